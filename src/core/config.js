@@ -36,6 +36,25 @@ FinancialPlanner.Config = (function() {
       ANALYSIS: 'Analysis',
       SETTINGS: 'Settings',
       SALTEDGE_TRANSACTIONS: 'SaltEdge Transactions',
+      PLAID_RAW: 'Plaid Raw',
+      CATEGORY_MAPPINGS: 'Category Mappings',
+      CATEGORIZATION_RULES: 'Categorization Rules',
+      RULES_PREVIEW: 'Rules Preview',
+      SUGGESTION_REVIEW: 'Suggestion Review',
+      DUPLICATE_REVIEW: 'Duplicate Review',
+      ACCOUNT_BALANCES: 'Account Balances',
+      YEARLY_SUMMARY: 'Yearly Summary',
+      CATEGORY_BREAKDOWN: 'Category Breakdown',
+      CATEGORY_BREAKDOWN_DETAILS: 'Breakdown Transactions',
+      SAVINGS_ANALYSIS: 'Savings Analysis',
+      CHARTS: 'Charts',
+      BUDGETS: 'Budgets',
+      ANOMALIES: 'Anomalies',
+      FIXED_VARIABLE: 'Fixed vs Variable',
+      FORECAST: 'Cash Flow Forecast',
+      PLANNED_ITEMS: 'Planned Items',
+      SAVINGS_OPPORTUNITIES: 'Savings Opportunities',
+      ENVELOPES: 'Envelopes',
     },
     /** 
      * @property {object} TRANSACTION_TYPES Defines categories for financial transactions.
@@ -63,26 +82,280 @@ FinancialPlanner.Config = (function() {
       SAVINGS: 0.2,
       DEFAULT: 0.2, // Default rate if a specific category is not listed
     },
-    /** @property {string[]} HEADERS Defines the column headers for transaction and overview sheets. */
-    HEADERS: [
-      'Type', 'Category', 'Sub-Category', 'Shared?',
-      'Jan-24', 'Feb-24', 'Mar-24', 'Apr-24',
-      'May-24', 'Jun-24', 'Jul-24', 'Aug-24',
-      'Sep-24', 'Oct-24', 'Nov-24', 'Dec-24', 'Total', 'Average',
-    ],
+    /**
+     * @property {object} HEADERS Defines the fixed column headers of the overview sheet.
+     * The month headers between them are generated from the selected period (see OVERVIEW_PERIOD).
+     */
+    HEADERS: {
+      /** @property {string[]} LEADING Headers before the month columns. */
+      LEADING: ['Type', 'Category', 'Sub-Category', 'Shared?'],
+      /** @property {string[]} TRAILING Summary headers after the month columns. */
+      TRAILING: ['Total', 'Average'],
+      /** @property {string[]} COMPARISON Year-over-year headers added after the summary when comparing. */
+      COMPARISON: ['Prior Year', 'Change', '% Change'],
+    },
+    /** @property {object} OVERVIEW_PERIOD Defaults for the reporting window of the overview sheet. */
+    OVERVIEW_PERIOD: {
+      /** @property {object} MODES Supported windows: a calendar year, a fiscal year or the last N months. */
+      MODES: {
+        CALENDAR: 'calendar',
+        FISCAL: 'fiscal',
+        ROLLING: 'rolling',
+      },
+      /** @property {string} DEFAULT_MODE Window used until the user picks one. */
+      DEFAULT_MODE: 'calendar',
+      /** @property {number} FISCAL_START_MONTH First month (1-12) of the fiscal year. */
+      FISCAL_START_MONTH: 1,
+      /** @property {number} ROLLING_MONTHS Default length of the rolling window. */
+      ROLLING_MONTHS: 12,
+      /** @property {number} MAX_ROLLING_MONTHS Longest rolling window offered. */
+      MAX_ROLLING_MONTHS: 36,
+    },
+    /** 
+     * @property {object} LEDGER Canonical schema of the Transactions sheet.
+     * Every importer maps provider data onto these columns so the Overview, reports and
+     * dropdowns can rely on a single layout.
+     */
+    LEDGER: {
+      /** 
+       * @property {object} COLUMNS Maps record field names to sheet headers, in sheet order.
+       * Type, Category and Sub-Category must stay in columns C-E for the dependent dropdowns.
+       */
+      COLUMNS: {
+        date: 'Date',
+        description: 'Description',
+        type: 'Type',
+        category: 'Category',
+        subcategory: 'Sub-Category',
+        amount: 'Amount',
+        shared: 'Shared?',
+        merchant: 'Merchant',
+        account: 'Account',
+        source: 'Source',
+        providerCategory: 'Provider Category',
+        providerDetail: 'Provider Detail',
+        id: 'External ID',
+        duplicateOf: 'Duplicate Of',
+        duplicateReason: 'Duplicate Reason',
+        valueDate: 'Value Date',
+        counterpartyIban: 'Counterparty IBAN',
+      },
+      /**
+       * @property {object} LEGACY_HEADERS Old header names that are renamed in place when found.
+       * Sheets from before the ledger named the shared flag "Shared". Before SaltEdge joined the ledger,
+       * only Plaid rows existed and the id column was "Transaction ID".
+       */
+      LEGACY_HEADERS: {
+        'Shared': 'Shared?',
+        'Transaction ID': 'External ID',
+      },
+      /**
+       * @property {string[]} USER_FIELDS Fields owned by the user (or by the deduplication pass);
+       * re-imports never overwrite non-empty values.
+       */
+      USER_FIELDS: ['type', 'category', 'subcategory', 'shared', 'duplicateOf', 'duplicateReason'],
+      /** @property {object} SOURCES Display names of the transaction providers. */
+      SOURCES: {
+        PLAID: 'Plaid',
+        SALTEDGE: 'SaltEdge',
+        CSV: 'CSV',
+        OFX: 'OFX',
+        CAMT: 'CAMT.053',
+        MT940: 'MT940',
+        QIF: 'QIF',
+      },
+    },
+    /** @property {object} ACCOUNT_BALANCES Layout of the Account Balances sheet, one row per source and account. */
+    ACCOUNT_BALANCES: {
+      /** @property {object} COLUMNS Maps balance field names to sheet headers, in sheet order. */
+      COLUMNS: {
+        account: 'Account',
+        source: 'Source',
+        currency: 'Currency',
+        ledgerBalance: 'Ledger Balance',
+        availableBalance: 'Available Balance',
+        balanceDate: 'Balance Date',
+        updated: 'Updated',
+      },
+    },
+    /** @property {object} CATEGORY_SUGGESTER Settings for the naive Bayes category suggester. */
+    CATEGORY_SUGGESTER: {
+      /** @property {number} CONFIDENCE_THRESHOLD Suggestions at or above this probability are written directly; lower ones go to review. */
+      CONFIDENCE_THRESHOLD: 0.8,
+      /** @property {number} MIN_TRAINING_ROWS Minimum number of categorized rows needed before suggesting anything. */
+      MIN_TRAINING_ROWS: 20,
+      /** @property {number[]} AMOUNT_BUCKETS Upper bounds of the absolute-amount buckets used as features. */
+      AMOUNT_BUCKETS: [10, 25, 50, 100, 250, 500, 1000],
+    },
+    /** @property {object} CSV_IMPORT Settings for the CSV bank-statement importer. */
+    CSV_IMPORT: {
+      /** @property {string[]} DELIMITERS Delimiters tried by auto-detection, in order of preference. */
+      DELIMITERS: [',', ';', '\t', '|'],
+      /** @property {string[]} DATE_FORMATS Date formats tried by auto-detection, in order of preference. */
+      DATE_FORMATS: ['YYYY-MM-DD', 'DD.MM.YYYY', 'DD.MM.YY', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'YYYYMMDD'],
+      /** @property {number} PREVIEW_ROWS Number of data rows shown when previewing a file. */
+      PREVIEW_ROWS: 5,
+      /** @property {object} DEFAULT_PROFILE Starting point for a new bank profile. */
+      DEFAULT_PROFILE: {
+        name: '',
+        account: '',
+        delimiter: 'auto',
+        decimalSeparator: 'auto',
+        dateFormat: 'auto',
+        encoding: 'UTF-8',
+        skipRows: 0,
+        signConvention: 'signed',
+        columns: {
+          date: '',
+          description: '',
+          amount: '',
+          debit: '',
+          credit: '',
+          merchant: '',
+          category: '',
+          id: '',
+        },
+      },
+    },
+    /** @property {object} DEDUPLICATION Settings for the cross-source duplicate detection pass. */
+    DEDUPLICATION: {
+      /** @property {number} DATE_WINDOW_DAYS Default ±days between two postings of the same transaction; overridable in Settings. */
+      DATE_WINDOW_DAYS: 3,
+      /** @property {number} MATCH_SIMILARITY Description similarity (0-1) at or above which a unique pair is marked automatically. */
+      MATCH_SIMILARITY: 0.6,
+      /** @property {number} REVIEW_SIMILARITY Description similarity (0-1) at or above which a pair is offered for review. */
+      REVIEW_SIMILARITY: 0.3,
+    },
+    /** @property {object} ANOMALIES Thresholds of the spending anomaly detector. */
+    ANOMALIES: {
+      /** @property {number} LOOKBACK_MONTHS Anomalies are listed for this many recent months; older data only forms baselines. */
+      LOOKBACK_MONTHS: 12,
+      /** @property {number} MIN_MERCHANT_HISTORY Earlier charges a merchant needs before its amounts are judged. */
+      MIN_MERCHANT_HISTORY: 4,
+      /** @property {number} MERCHANT_RATIO A charge must also be at least this multiple of the merchant's median to be unusual. */
+      MERCHANT_RATIO: 2,
+      /** @property {number} FIRST_TIME_AMOUNT First charges from a merchant at or above this amount are flagged. */
+      FIRST_TIME_AMOUNT: 250,
+      /** @property {number} LEARNING_DAYS Days of ledger history needed before a merchant counts as new. */
+      LEARNING_DAYS: 60,
+      /** @property {number} DUPLICATE_WINDOW_HOURS Same merchant, account and amount on one day and within this many hours counts as a duplicate charge. */
+      DUPLICATE_WINDOW_HOURS: 24,
+      /** @property {string} CATEGORY_METHOD Outlier test for category-months: 'zscore' or 'iqr'. */
+      CATEGORY_METHOD: 'zscore',
+      /** @property {number} Z_SCORE Standard deviations from the baseline mean at which a category-month is unusual. */
+      Z_SCORE: 2.5,
+      /** @property {number} IQR_MULTIPLIER Interquartile ranges beyond the quartiles at which a value is unusual (Tukey fence). */
+      IQR_MULTIPLIER: 1.5,
+      /** @property {number} BASELINE_MONTHS Preceding months a category-month is compared with. */
+      BASELINE_MONTHS: 12,
+      /** @property {number} MIN_BASELINE_MONTHS Preceding months a category needs before its months are judged. */
+      MIN_BASELINE_MONTHS: 6,
+      /** @property {number} MIN_DEVIATION Smallest deviation from the baseline, as a share of it, worth flagging. */
+      MIN_DEVIATION: 0.25,
+    },
+    /**
+     * @property {object} FIXED_VARIABLE Thresholds of the fixed vs variable expense classifier. A group is
+     * fixed when it is charged in nearly every month by a nearly constant amount, semi-variable when it
+     * recurs with a moderately varying amount, and variable otherwise.
+     */
+    FIXED_VARIABLE: {
+      /** @property {string} GROUP_BY What is classified: 'category' (Type and Category) or 'merchant'. */
+      GROUP_BY: 'category',
+      /** @property {number} LOOKBACK_MONTHS Complete months analysed, ending with last month. */
+      LOOKBACK_MONTHS: 12,
+      /** @property {number} MIN_MONTHS Months since a group's first charge before it can be fixed or semi-variable. */
+      MIN_MONTHS: 3,
+      /** @property {number} FIXED_MIN_REGULARITY Share of months with a charge a fixed group needs. */
+      FIXED_MIN_REGULARITY: 0.9,
+      /** @property {number} FIXED_MAX_CV Largest coefficient of variation of the monthly amounts of a fixed group. */
+      FIXED_MAX_CV: 0.1,
+      /** @property {number} SEMI_MIN_REGULARITY Share of months with a charge a semi-variable group needs. */
+      SEMI_MIN_REGULARITY: 0.6,
+      /** @property {number} SEMI_MAX_CV Largest coefficient of variation of the monthly amounts of a semi-variable group. */
+      SEMI_MAX_CV: 0.35,
+      /** @property {number} TREND_MONTHS Months averaged at each end of the period to report how the fixed baseline changed. */
+      TREND_MONTHS: 3,
+    },
+    /** @property {object} FORECAST Defaults and thresholds of the cash flow forecast. */
+    FORECAST: {
+      /** @property {number} HORIZON_MONTHS Months projected by default, including the current one (3 to 12). */
+      HORIZON_MONTHS: 6,
+      /** @property {number} HISTORY_MONTHS Months of history used for recurring items and seasonal averages. */
+      HISTORY_MONTHS: 24,
+      /** @property {number} RECURRING_MIN_MONTHS Consecutive complete months a merchant must appear in to count as recurring. */
+      RECURRING_MIN_MONTHS: 3,
+      /** @property {number} RECURRING_MAX_CV Largest coefficient of variation of a recurring item's monthly amounts. */
+      RECURRING_MAX_CV: 0.2,
+      /** @property {number} SAFETY_THRESHOLD Default balance below which a month is flagged. */
+      SAFETY_THRESHOLD: 1000,
+      /** @property {number} BAND_Z Standard deviations of the monthly variable net spanned by the low/high band (1.28 is about 80%). */
+      BAND_Z: 1.28,
+    },
+    /** @property {object} SAVINGS_OPPORTUNITIES Thresholds of the savings suggestions. */
+    SAVINGS_OPPORTUNITIES: {
+      /** @property {number} RECENT_MONTHS Complete months, ending with last month, that recent spending is averaged over. */
+      RECENT_MONTHS: 3,
+      /** @property {number} BASELINE_MONTHS Months before the recent ones that form the baseline. */
+      BASELINE_MONTHS: 6,
+      /** @property {number} MIN_INCREASE Smallest rise over the baseline, as a share of it, worth a suggestion. */
+      MIN_INCREASE: 0.15,
+      /** @property {number} MIN_MONTHLY_SAVING Suggestions saving less than this per month are dropped. */
+      MIN_MONTHLY_SAVING: 10,
+      /** @property {number} MIN_TICKETS Purchases a merchant needs in both periods before its average ticket is compared. */
+      MIN_TICKETS: 3,
+      /** @property {number} SUBSCRIPTION_MAX_AMOUNT Recurring monthly payments up to this amount count as subscriptions. */
+      SUBSCRIPTION_MAX_AMOUNT: 100,
+      /** @property {number} SUBSCRIPTION_SIMILARITY Merchant name similarity (0-1) at or above which two subscriptions count as the same service. */
+      SUBSCRIPTION_SIMILARITY: 0.6,
+      /** @property {number} SUBSCRIPTION_IDLE_MONTHS Complete months without other spending in its category after which a subscription looks unused. */
+      SUBSCRIPTION_IDLE_MONTHS: 3,
+    },
+    /** @property {object} ENVELOPES Window and rollover policies of envelope budgeting. */
+    ENVELOPES: {
+      /** @property {number} FUTURE_MONTHS Months after the current one shown, so income can be assigned ahead. */
+      FUTURE_MONTHS: 1,
+      /** @property {number} MAX_MONTHS Most months shown; an earlier start month is moved forward. */
+      MAX_MONTHS: 24,
+      /**
+       * @property {object} POLICIES What happens to an envelope's leftover (or overspent) amount at the end of a month:
+       * carried into the next month, returned to To Be Assigned, or (leftovers only) moved to savings.
+       */
+      POLICIES: {
+        CARRY: 'Carry over',
+        RESET: 'Reset',
+        SWEEP: 'Sweep to savings',
+      },
+      /** @property {string} DEFAULT_POLICY Policy of envelopes that have none chosen yet. */
+      DEFAULT_POLICY: 'Carry over',
+    },
     /** @property {object} UI Contains settings related to the user interface. */
     UI: {
-      /** @property {object} SUBCATEGORY_TOGGLE Settings for the sub-category visibility toggle. */
+      /**
+       * @property {object} SUBCATEGORY_TOGGLE Settings for the sub-category visibility toggle.
+       * The overview controls sit in the two columns right of the last data column (Average, or
+       * % Change when comparing years), one per row: this toggle in row 1, then the PERIOD_SELECTOR controls.
+       */
       SUBCATEGORY_TOGGLE: {
-        /** @property {string} LABEL_CELL Cell for the toggle label (e.g., 'S1'). */
-        LABEL_CELL: 'S1',
-        /** @property {string} CHECKBOX_CELL Cell for the toggle checkbox (e.g., 'T1'). */
-        CHECKBOX_CELL: 'T1',
         /** @property {string} LABEL_TEXT Display text for the toggle label. */
         LABEL_TEXT: 'Show Sub-Categories',
         /** @property {string} NOTE_TEXT Explanatory note for the toggle. */
         NOTE_TEXT: 'Toggle to show or hide sub-categories in the overview sheet',
       },
+      /** @property {object} PERIOD_SELECTOR Labels of the overview period controls. */
+      PERIOD_SELECTOR: {
+        MODE_LABEL: 'Period',
+        YEAR_LABEL: 'Year',
+        FISCAL_START_LABEL: 'Fiscal Year Starts',
+        ROLLING_MONTHS_LABEL: 'Rolling Months',
+        COMPARE_LABEL: 'Compare with Prior Year',
+        /** @property {object} MODE_OPTIONS Display text per OVERVIEW_PERIOD mode. */
+        MODE_OPTIONS: {
+          calendar: 'Calendar Year',
+          fiscal: 'Fiscal Year',
+          rolling: 'Rolling Months',
+        },
+        NOTE_TEXT: 'Calendar and fiscal years use the Year below; a rolling window ends with the current month',
+      },
       /** 
        * @property {object} COLUMN_WIDTHS Defines default column widths (in pixels) for various columns in sheets.
        * The keys represent the column identifier and values are the width.
@@ -97,6 +370,7 @@ FinancialPlanner.Config = (function() {
         EXPENSE_CATEGORY: 150,
         AMOUNT: 100,
         RATE: 80,
+        CONTROL_LABEL: 130,
       },
     },
     /** @property {object} COLORS Defines color schemes for UI elements and charts. */
@@ -168,6 +442,19 @@ FinancialPlanner.Config = (function() {
       CURRENCY_SYMBOL: '€', 
       /** @property {string} CURRENCY_LOCALE_CODE Locale code for currency formatting (e.g., '0' for default/system). */
       CURRENCY_LOCALE_CODE: '0', 
+      /** @property {string} CURRENCY_CODE ISO code of the ledger currency (e.g., 'EUR'). */
+      CURRENCY_CODE: 'EUR',
+      /**
+       * @property {object} PRESENTATION_CURRENCIES Currencies charts can be presented in.
+       * Keys are ISO codes, values are the symbols used in number formats.
+       */
+      PRESENTATION_CURRENCIES: {
+        EUR: '€',
+        USD: '$',
+        GBP: '£',
+        CHF: 'CHF',
+        JPY: '¥'
+      },
       /** @property {string} DATE_FORMAT Default date format string (e.g., 'yyyy-MM-dd'). */
       DATE_FORMAT: 'yyyy-MM-dd',
       /** 
@@ -205,17 +492,24 @@ FinancialPlanner.Config = (function() {
         PRODUCTION: ['US'] // Change to ['DE', 'FR', 'BE', 'NL'] when you have European access
       },
       /** 
-       * @property {object} CATEGORY_MAP Mapping of Plaid categories to application transaction types.
-       * Maps Plaid's primary category to the app's Type field.
+       * @property {object} CATEGORY_MAP Mapping of Plaid categories to application types and categories.
+       * Keyed by Plaid's personal finance category (primary); seeds the Category Mappings sheet.
        */
       CATEGORY_MAP: {
-        'Food and Drink': 'Essentials',
-        'Shops': 'Wants/Pleasure',
-        'Travel': 'Wants/Pleasure',
-        'Recreation': 'Wants/Pleasure',
-        'Transfer': 'Savings',
-        'Payment': 'Essentials',
-        'Service': 'Essentials'
+        'INCOME': { TYPE: 'Income', CATEGORY: 'Income' },
+        'TRANSFER_OUT': { TYPE: 'Savings', CATEGORY: 'Transfers' },
+        'LOAN_PAYMENTS': { TYPE: 'Essentials', CATEGORY: 'Loans' },
+        'BANK_FEES': { TYPE: 'Essentials', CATEGORY: 'Fees' },
+        'ENTERTAINMENT': { TYPE: 'Wants/Pleasure', CATEGORY: 'Entertainment' },
+        'FOOD_AND_DRINK': { TYPE: 'Essentials', CATEGORY: 'Food' },
+        'GENERAL_MERCHANDISE': { TYPE: 'Wants/Pleasure', CATEGORY: 'Shopping' },
+        'HOME_IMPROVEMENT': { TYPE: 'Extra', CATEGORY: 'Home' },
+        'MEDICAL': { TYPE: 'Essentials', CATEGORY: 'Health' },
+        'PERSONAL_CARE': { TYPE: 'Wants/Pleasure', CATEGORY: 'Personal Care' },
+        'GENERAL_SERVICES': { TYPE: 'Essentials', CATEGORY: 'Services' },
+        'TRANSPORTATION': { TYPE: 'Essentials', CATEGORY: 'Transport' },
+        'TRAVEL': { TYPE: 'Wants/Pleasure', CATEGORY: 'Travel' },
+        'RENT_AND_UTILITIES': { TYPE: 'Essentials', CATEGORY: 'Housing' }
       }
     },
     /** @property {object} SALTEDGE SaltEdge Account Information Service integration settings. */
@@ -240,7 +534,27 @@ FinancialPlanner.Config = (function() {
         'debit_card',   // Debit card
         'card',         // Generic card
         'ewallet'       // E-wallet (PayPal, Venmo, etc.)
-      ]
+      ],
+      /** 
+       * @property {object} CATEGORY_MAP Mapping of SaltEdge categories to application types and categories.
+       * Keyed by SaltEdge's transaction category; seeds the Category Mappings sheet.
+       */
+      CATEGORY_MAP: {
+        'income': { TYPE: 'Income', CATEGORY: 'Income' },
+        'transfer': { TYPE: 'Savings', CATEGORY: 'Transfers' },
+        'fees_and_charges': { TYPE: 'Essentials', CATEGORY: 'Fees' },
+        'entertainment': { TYPE: 'Wants/Pleasure', CATEGORY: 'Entertainment' },
+        'food_and_dining': { TYPE: 'Essentials', CATEGORY: 'Food' },
+        'shopping': { TYPE: 'Wants/Pleasure', CATEGORY: 'Shopping' },
+        'home': { TYPE: 'Extra', CATEGORY: 'Home' },
+        'health_and_fitness': { TYPE: 'Essentials', CATEGORY: 'Health' },
+        'personal_care': { TYPE: 'Wants/Pleasure', CATEGORY: 'Personal Care' },
+        'bills_and_utilities': { TYPE: 'Essentials', CATEGORY: 'Housing' },
+        'auto_and_transport': { TYPE: 'Essentials', CATEGORY: 'Transport' },
+        'travel': { TYPE: 'Wants/Pleasure', CATEGORY: 'Travel' },
+        'insurance': { TYPE: 'Essentials', CATEGORY: 'Insurance' },
+        'taxes': { TYPE: 'Essentials', CATEGORY: 'Taxes' }
+      }
     },
   };
 
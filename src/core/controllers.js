@@ -73,6 +73,24 @@ FinancialPlanner.Controllers = (function() {
         .setHeight(500);
       SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Connect Bank Account');
     },
+    importCsv: function() {
+      const htmlOutput = HtmlService.createHtmlOutputFromFile('services/csv-import')
+        .setWidth(720)
+        .setHeight(640);
+      SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Import CSV Statement');
+    },
+    importStatementFile: function() {
+      const htmlOutput = HtmlService.createHtmlOutputFromFile('services/statement-import')
+        .setWidth(600)
+        .setHeight(480);
+      SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Import Statement File');
+    },
+    exportQif: function() {
+      const htmlOutput = HtmlService.createHtmlOutputFromFile('services/qif-export')
+        .setWidth(520)
+        .setHeight(420);
+      SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Export Transactions as QIF');
+    },
     importTransactions: function() {
       // Sync transactions using cursor-based API
       const syncResults = FinancialPlanner.PlaidTransactions.syncAll();
@@ -107,6 +125,67 @@ FinancialPlanner.Controllers = (function() {
       
       return count;
     },
+    applyCategoryMappings: function() {
+      const result = FinancialPlanner.CategoryMappingService.applyToExistingRows();
+      FinancialPlanner.UIService.showInfoAlert(
+        'Category Mappings',
+        result.mapped + ' transactions categorized, ' + result.unmapped + ' still without a mapping.'
+      );
+      return result;
+    },
+    showUnmappedCategories: function() {
+      return FinancialPlanner.CategoryMappingService.reportUnmapped();
+    },
+    reapplyCategorizationRules: function() {
+      const result = FinancialPlanner.CategorizationRulesService.reapplyToUncategorized();
+      FinancialPlanner.UIService.showInfoAlert(
+        'Categorization Rules',
+        result.matched + ' transactions categorized, ' + result.unmatched + ' matched no rule.'
+      );
+      return result;
+    },
+    previewCategorizationRules: function() {
+      return FinancialPlanner.CategorizationRulesService.preview();
+    },
+    suggestCategories: function() {
+      const result = FinancialPlanner.CategorySuggester.suggestForUncategorized();
+      FinancialPlanner.UIService.showInfoAlert(
+        'Category Suggestions',
+        'Learned from ' + result.trainingRows + ' categorized transactions.\n\n' +
+        result.applied + ' confident suggestions were applied.\n' +
+        result.review + ' low-confidence suggestions were listed on the review sheet.'
+      );
+      return result;
+    },
+    findDuplicateTransactions: function() {
+      const result = FinancialPlanner.DeduplicationService.run();
+      FinancialPlanner.UIService.showInfoAlert(
+        'Duplicate Detection',
+        result.marked + ' transactions were marked as duplicates.\n' +
+        result.review + ' possible duplicates were listed on the review sheet.'
+      );
+      return result;
+    },
+    applyDuplicateReview: function() {
+      const marked = FinancialPlanner.DeduplicationService.applyReview();
+      FinancialPlanner.UIService.showInfoAlert(
+        'Duplicate Review',
+        marked + ' transactions were marked as duplicates.'
+      );
+      return marked;
+    },
+    setDedupDateWindow: function() {
+      const current = FinancialPlanner.SettingsService.getDedupDateWindowDays();
+      const input = FinancialPlanner.UIService.showPromptDialog(
+        'Duplicate Date Window',
+        'Maximum number of days between two postings of the same transaction (currently ' + current + '):'
+      );
+      if (input === null || input.trim() === '') {
+        return current;
+      }
+      FinancialPlanner.SettingsService.setDedupDateWindowDays(input.trim());
+      return FinancialPlanner.SettingsService.getDedupDateWindowDays();
+    },
     generateMonthlySpendingReport: function() {
       return FinancialPlanner.MonthlySpendingReport.generate();
     },
@@ -157,6 +236,29 @@ FinancialPlanner.Controllers = (function() {
       }
       return true;
     },
+    migrateTransactionsSheet: function() {
+      const ui = SpreadsheetApp.getUi();
+      const response = ui.alert(
+        'Migrate Transactions Sheet',
+        'The Transactions sheet will be rewritten in the ledger layout: Type, Category and ' +
+        'Sub-Category move to columns C-E and older Plaid rows are converted.\n\n' +
+        'The current sheet is first copied to a backup sheet, which keeps its formatting, ' +
+        'validations and column widths.\n\nContinue?',
+        ui.ButtonSet.YES_NO
+      );
+
+      if (response !== ui.Button.YES) {
+        return 'Migration cancelled by user';
+      }
+      const backupName = FinancialPlanner.LedgerService.migrateSheet();
+      FinancialPlanner.UIService.showInfoAlert(
+        'Migrate Transactions Sheet',
+        backupName
+          ? 'The Transactions sheet was migrated. The old sheet is kept as "' + backupName + '".'
+          : 'The Transactions sheet already follows the ledger layout.'
+      );
+      return backupName;
+    },
     switchPlaidEnvironment: function() {
       const current = FinancialPlanner.SettingsService.getPlaidEnvironment();
       const newEnv = current === 'sandbox' ? 'production' : 'sandbox';
@@ -180,11 +282,55 @@ FinancialPlanner.Controllers = (function() {
       }
       return current;
     },
-    suggestSavingsOpportunities: function() { console.log("Suggesting savings..."); },
-    detectSpendingAnomalies: function() { console.log("Detecting anomalies..."); },
-    analyzeFixedVsVariableExpenses: function() { console.log("Analyzing fixed vs variable..."); },
-    generateCashFlowForecast: function() { console.log("Generating cash flow forecast..."); },
-    setBudgetTargets: function() { console.log("Setting budget targets..."); },
+    suggestSavingsOpportunities: function() {
+      const suggestions = FinancialPlanner.SavingsOpportunityService.run();
+      const sheetName = FinancialPlanner.Config.getSheetNames().SAVINGS_OPPORTUNITIES;
+      FinancialPlanner.UIService.showInfoAlert(
+        'Savings Opportunities',
+        suggestions.length === 0
+          ? 'No savings opportunities found in the recent months.'
+          : suggestions.length + ' suggestions were listed on the ' + sheetName + ' sheet.\n' +
+            'The top one, "' + suggestions[0].title + '", could save about ' +
+            FinancialPlanner.MetricsCalculator.formatCurrency(suggestions[0].monthly) + ' a month (' +
+            FinancialPlanner.MetricsCalculator.formatCurrency(suggestions[0].annual) + ' a year).'
+      );
+      return suggestions;
+    },
+    detectSpendingAnomalies: function() {
+      const result = FinancialPlanner.AnomalyService.run();
+      FinancialPlanner.UIService.showInfoAlert(
+        'Spending Anomalies',
+        result.open + ' anomalies were listed on the ' + FinancialPlanner.Config.getSheetNames().ANOMALIES + ' sheet.\n' +
+        result.dismissed + ' previously dismissed anomalies stay dismissed.\n\n' +
+        'Tick Dismiss next to an anomaly to keep it dismissed when detection runs again.'
+      );
+      return result;
+    },
+    analyzeFixedVsVariableExpenses: function() {
+      const classifier = FinancialPlanner.ExpenseClassifier;
+      const summary = classifier.run();
+      const counts = classifier.countByClass(summary);
+      const averages = summary.averages;
+      FinancialPlanner.UIService.showInfoAlert(
+        'Fixed vs Variable Expenses',
+        'Classified ' + summary.groups.length + ' expense groups: ' + counts.Fixed + ' fixed, ' +
+        counts['Semi-variable'] + ' semi-variable, ' + counts.Variable + ' variable.\n' +
+        'Fixed costs average ' + FinancialPlanner.MetricsCalculator.formatCurrency(averages.fixed) + ' per month' +
+        (averages.fixedShare === null ? '.' : ', ' + Math.round(averages.fixedShare * 100) + '% of income.') + '\n\n' +
+        'Choose a class in the Override column of the ' + FinancialPlanner.Config.getSheetNames().FIXED_VARIABLE +
+        ' sheet to correct a suggestion.'
+      );
+      return summary;
+    },
+    generateCashFlowForecast: function() {
+      return FinancialPlanner.ForecastService.run();
+    },
+    buildEnvelopes: function() {
+      return FinancialPlanner.EnvelopeService.run();
+    },
+    setBudgetTargets: function() {
+      FinancialPlanner.BudgetService.openEditor();
+    },
     setupEmailReports: function() { console.log("Setting up email reports..."); },
     saltedgeSetup: function() {
       return FinancialPlanner.SaltEdgeClient.setup();
@@ -224,9 +370,20 @@ FinancialPlanner.Controllers = (function() {
     // Wrapped methods
     createFinancialOverview_Wrapped: wrapWithFeedback(coreLogic.createFinancialOverview, 'Generating financial overview...', 'Financial overview generated successfully!', 'Failed to generate financial overview'),
     connectBankAccount_Wrapped: wrapWithFeedback(coreLogic.connectBankAccount, null, null, 'Failed to open bank connection dialog'),
+    importCsv_Wrapped: wrapWithFeedback(coreLogic.importCsv, null, null, 'Failed to open CSV import dialog'),
+    importStatementFile_Wrapped: wrapWithFeedback(coreLogic.importStatementFile, null, null, 'Failed to open statement import dialog'),
+    exportQif_Wrapped: wrapWithFeedback(coreLogic.exportQif, null, null, 'Failed to open QIF export dialog'),
     importTransactions_Wrapped: wrapWithFeedback(coreLogic.importTransactions, 'Importing transactions from bank...', 'Transactions imported successfully!', 'Failed to import transactions'),
     resetAndImportAllTransactions_Wrapped: wrapWithFeedback(coreLogic.resetAndImportAllTransactions, 'Resetting and fetching all transactions...', 'All transactions imported successfully!', 'Failed to import all transactions'),
     fetchInstitutions_Wrapped: wrapWithFeedback(coreLogic.fetchInstitutions, 'Fetching institutions from Plaid...', 'Institutions fetched successfully!', 'Failed to fetch institutions'),
+    applyCategoryMappings_Wrapped: wrapWithFeedback(coreLogic.applyCategoryMappings, 'Applying category mappings...', null, 'Failed to apply category mappings'),
+    showUnmappedCategories_Wrapped: wrapWithFeedback(coreLogic.showUnmappedCategories, 'Looking for unmapped categories...', null, 'Failed to list unmapped categories'),
+    reapplyCategorizationRules_Wrapped: wrapWithFeedback(coreLogic.reapplyCategorizationRules, 'Applying categorization rules...', null, 'Failed to apply categorization rules'),
+    previewCategorizationRules_Wrapped: wrapWithFeedback(coreLogic.previewCategorizationRules, 'Previewing categorization rules...', 'Rules preview ready!', 'Failed to preview categorization rules'),
+    suggestCategories_Wrapped: wrapWithFeedback(coreLogic.suggestCategories, 'Learning from categorized transactions...', null, 'Failed to suggest categories'),
+    findDuplicateTransactions_Wrapped: wrapWithFeedback(coreLogic.findDuplicateTransactions, 'Looking for duplicate transactions...', null, 'Failed to detect duplicate transactions'),
+    applyDuplicateReview_Wrapped: wrapWithFeedback(coreLogic.applyDuplicateReview, 'Applying duplicate review...', null, 'Failed to apply duplicate review'),
+    setDedupDateWindow_Wrapped: wrapWithFeedback(coreLogic.setDedupDateWindow, null, 'Duplicate date window updated!', 'Failed to update duplicate date window'),
     generateMonthlySpendingReport_Wrapped: wrapWithFeedback(coreLogic.generateMonthlySpendingReport, 'Generating monthly spending report...', 'Monthly spending report generated successfully!', 'Failed to generate monthly spending report'),
     showKeyMetrics_Wrapped: wrapWithFeedback(coreLogic.showKeyMetrics, 'Analyzing financial data...', 'Key metrics displayed successfully!', 'Failed to display key metrics'),
     generateYearlySummary_Wrapped: wrapWithFeedback(coreLogic.generateYearlySummary, 'Generating yearly summary report...', 'Yearly summary report generated successfully!', 'Failed to generate yearly summary report'),
@@ -238,17 +395,19 @@ FinancialPlanner.Controllers = (function() {
     createCategoryPieChart_Wrapped: wrapWithFeedback(coreLogic.createCategoryPieChart, 'Creating category pie chart...', 'Category pie chart created successfully!', 'Failed to create category pie chart'),
     toggleShowSubCategories_Wrapped: wrapWithFeedback(coreLogic.toggleShowSubCategories, 'Updating display preferences...', 'Display preferences updated successfully!', 'Failed to update display preferences'),
     refreshCache_Wrapped: wrapWithFeedback(coreLogic.refreshCache, 'Refreshing all caches...', 'Caches refreshed successfully!', 'Failed to refresh one or more caches'),
+    migrateTransactionsSheet_Wrapped: wrapWithFeedback(coreLogic.migrateTransactionsSheet, 'Migrating the Transactions sheet...', null, 'Failed to migrate the Transactions sheet'),
     switchPlaidEnvironment_Wrapped: wrapWithFeedback(coreLogic.switchPlaidEnvironment, null, 'Environment switched successfully!', 'Failed to switch environment'),
     saltedgeSetup_Wrapped: wrapWithFeedback(coreLogic.saltedgeSetup, 'Setting up SaltEdge integration...', 'SaltEdge setup completed successfully!', 'Failed to setup SaltEdge'),
     saltedgeConnect_Wrapped: wrapWithFeedback(coreLogic.saltedgeConnect, null, null, 'Failed to connect SaltEdge bank account'),
     saltedgeImport_Wrapped: wrapWithFeedback(coreLogic.saltedgeImport, 'Importing data from SaltEdge...', 'SaltEdge data imported successfully!', 'Failed to import SaltEdge data'),
     saltedgeShowAccounts_Wrapped: wrapWithFeedback(coreLogic.saltedgeShowAccounts, null, null, 'Failed to show connected SaltEdge accounts'),
     saltedgeDisconnect_Wrapped: wrapWithFeedback(coreLogic.saltedgeDisconnect, 'Disconnecting SaltEdge account...', 'Account disconnected successfully!', 'Failed to disconnect SaltEdge account'),
-    suggestSavingsOpportunities_Wrapped: wrapWithFeedback(coreLogic.suggestSavingsOpportunities, 'Working...', 'Coming soon!', 'Operation failed'),
-    detectSpendingAnomalies_Wrapped: wrapWithFeedback(coreLogic.detectSpendingAnomalies, 'Working...', 'Coming soon!', 'Operation failed'),
-    analyzeFixedVsVariableExpenses_Wrapped: wrapWithFeedback(coreLogic.analyzeFixedVsVariableExpenses, 'Working...', 'Coming soon!', 'Operation failed'),
-    generateCashFlowForecast_Wrapped: wrapWithFeedback(coreLogic.generateCashFlowForecast, 'Working...', 'Coming soon!', 'Operation failed'),
-    setBudgetTargets_Wrapped: wrapWithFeedback(coreLogic.setBudgetTargets, 'Working...', 'Coming soon!', 'Operation failed'),
+    suggestSavingsOpportunities_Wrapped: wrapWithFeedback(coreLogic.suggestSavingsOpportunities, 'Looking for savings opportunities...', null, 'Failed to suggest savings opportunities'),
+    detectSpendingAnomalies_Wrapped: wrapWithFeedback(coreLogic.detectSpendingAnomalies, 'Looking for spending anomalies...', null, 'Failed to detect spending anomalies'),
+    analyzeFixedVsVariableExpenses_Wrapped: wrapWithFeedback(coreLogic.analyzeFixedVsVariableExpenses, 'Classifying expenses...', null, 'Failed to analyze fixed vs variable expenses'),
+    generateCashFlowForecast_Wrapped: wrapWithFeedback(coreLogic.generateCashFlowForecast, 'Building cash flow forecast...', 'Cash flow forecast ready', 'Failed to build the cash flow forecast'),
+    buildEnvelopes_Wrapped: wrapWithFeedback(coreLogic.buildEnvelopes, 'Building envelopes...', 'Envelopes updated', 'Failed to build the envelopes'),
+    setBudgetTargets_Wrapped: wrapWithFeedback(coreLogic.setBudgetTargets, null, null, 'Failed to open the budget editor'),
     setupEmailReports_Wrapped: wrapWithFeedback(coreLogic.setupEmailReports, 'Working...', 'Coming soon!', 'Operation failed'),
 
     // Event Handlers
@@ -272,7 +431,23 @@ FinancialPlanner.Controllers = (function() {
             .addItem('🌊 Connect SaltEdge Bank', 'saltedgeConnect_Global')
             .addItem('📥 Import SaltEdge Data', 'saltedgeImport_Global')
             .addItem('👁️ Show Connected Accounts', 'saltedgeShowAccounts_Global')
-            .addItem('🔌 Disconnect Account', 'saltedgeDisconnect_Global'))
+            .addItem('🔌 Disconnect Account', 'saltedgeDisconnect_Global')
+            .addSeparator()
+            .addItem('📄 Import CSV Statement', 'importCsv_Global')
+            .addItem('📑 Import Statement File (OFX/CAMT/MT940/QIF)', 'importStatementFile_Global')
+            .addItem('📤 Export Transactions as QIF', 'exportQif_Global'))
+          .addSeparator()
+          .addSubMenu(ui.createMenu('🏷️ Categorization')
+            .addItem('🗂️ Apply Category Mappings', 'applyCategoryMappings_Global')
+            .addItem('❓ Show Unmapped Categories', 'showUnmappedCategories_Global')
+            .addSeparator()
+            .addItem('⚡ Re-apply Rules to Uncategorized', 'reapplyCategorizationRules_Global')
+            .addItem('🔍 Preview Rules (Dry Run)', 'previewCategorizationRules_Global')
+            .addSeparator()
+            .addItem('🤖 Suggest Categories from History', 'suggestCategories_Global')
+            .addSeparator()
+            .addItem('👯 Find Duplicate Transactions', 'findDuplicateTransactions_Global')
+            .addItem('✅ Apply Duplicate Review', 'applyDuplicateReview_Global'))
           .addSeparator()
           .addSubMenu(ui.createMenu('📋 Reports')
             .addItem('📝 Monthly Spending Report', 'generateMonthlySpendingReport_Global')
@@ -288,16 +463,19 @@ FinancialPlanner.Controllers = (function() {
           .addSeparator()
           .addSubMenu(ui.createMenu('🧮 Financial Analysis')
             .addItem('📊 Key Metrics', 'showKeyMetrics_Global')
-            .addItem('💡 Suggest Savings (Soon)', 'suggestSavingsOpportunities_Global')
-            .addItem('⚠️ Anomalies (Soon)', 'detectSpendingAnomalies_Global')
-            .addItem('📌 Fixed/Variable (Soon)', 'analyzeFixedVsVariableExpenses_Global')
-            .addItem('🔮 Cash Flow (Soon)', 'generateCashFlowForecast_Global'))
+            .addItem('💡 Suggest Savings', 'suggestSavingsOpportunities_Global')
+            .addItem('⚠️ Spending Anomalies', 'detectSpendingAnomalies_Global')
+            .addItem('📌 Fixed vs Variable', 'analyzeFixedVsVariableExpenses_Global')
+            .addItem('🔮 Cash Flow Forecast', 'generateCashFlowForecast_Global')
+            .addItem('✉️ Envelopes', 'buildEnvelopes_Global'))
           .addSeparator()
           .addSubMenu(ui.createMenu('⚙️ Settings')
             .addItem('🔄 Toggle Sub-Categories', 'toggleShowSubCategories_Global')
-            .addItem('🎯 Set Budgets (Soon)', 'setBudgetTargets_Global')
+            .addItem('📆 Duplicate Date Window', 'setDedupDateWindow_Global')
+            .addItem('🎯 Set Budgets', 'setBudgetTargets_Global')
             .addItem('📧 Email Reports (Soon)', 'setupEmailReports_Global')
-            .addItem('🔄 Refresh Cache', 'refreshCache_Global'))
+            .addItem('🔄 Refresh Cache', 'refreshCache_Global')
+            .addItem('🧱 Migrate Transactions Sheet', 'migrateTransactionsSheet_Global'))
           .addToUi();
       } catch (error) {
         if (FinancialPlanner.ErrorService && typeof FinancialPlanner.ErrorService.log === 'function') {
@@ -318,6 +496,24 @@ FinancialPlanner.Controllers = (function() {
           if (FinancialPlanner.FinanceOverview && FinancialPlanner.FinanceOverview.handleEdit) {
             FinancialPlanner.FinanceOverview.handleEdit(e);
           }
+        } else if (sheetName === FinancialPlanner.Config.getSheetNames().YEARLY_SUMMARY ||
+            sheetName === FinancialPlanner.Config.getSheetNames().CATEGORY_BREAKDOWN ||
+            sheetName === FinancialPlanner.Config.getSheetNames().SAVINGS_ANALYSIS) {
+          if (FinancialPlanner.ReportService && FinancialPlanner.ReportService.handleEdit) {
+            FinancialPlanner.ReportService.handleEdit(e);
+          }
+        } else if (sheetName === FinancialPlanner.Config.getSheetNames().CHARTS) {
+          if (FinancialPlanner.VisualizationService && FinancialPlanner.VisualizationService.handleEdit) {
+            FinancialPlanner.VisualizationService.handleEdit(e);
+          }
+        } else if (sheetName === FinancialPlanner.Config.getSheetNames().FORECAST) {
+          if (FinancialPlanner.ForecastService && FinancialPlanner.ForecastService.handleEdit) {
+            FinancialPlanner.ForecastService.handleEdit(e);
+          }
+        } else if (sheetName === FinancialPlanner.Config.getSheetNames().ENVELOPES) {
+          if (FinancialPlanner.EnvelopeService && FinancialPlanner.EnvelopeService.handleEdit) {
+            FinancialPlanner.EnvelopeService.handleEdit(e);
+          }
         }
       } catch (error) {
         if (FinancialPlanner.ErrorService && typeof FinancialPlanner.ErrorService.log === 'function') {
@@ -387,9 +583,20 @@ function createGlobalControllerAction(methodName) {
 // Create global functions for all wrapped controller actions
 createGlobalControllerAction('createFinancialOverview');
 createGlobalControllerAction('connectBankAccount');
+createGlobalControllerAction('importCsv');
+createGlobalControllerAction('importStatementFile');
+createGlobalControllerAction('exportQif');
 createGlobalControllerAction('importTransactions');
 createGlobalControllerAction('resetAndImportAllTransactions');
 createGlobalControllerAction('fetchInstitutions');
+createGlobalControllerAction('applyCategoryMappings');
+createGlobalControllerAction('showUnmappedCategories');
+createGlobalControllerAction('reapplyCategorizationRules');
+createGlobalControllerAction('previewCategorizationRules');
+createGlobalControllerAction('suggestCategories');
+createGlobalControllerAction('findDuplicateTransactions');
+createGlobalControllerAction('applyDuplicateReview');
+createGlobalControllerAction('setDedupDateWindow');
 createGlobalControllerAction('generateMonthlySpendingReport');
 createGlobalControllerAction('showKeyMetrics');
 createGlobalControllerAction('generateYearlySummary');
@@ -401,10 +608,12 @@ createGlobalControllerAction('createIncomeVsExpensesChart');
 createGlobalControllerAction('createCategoryPieChart');
 createGlobalControllerAction('toggleShowSubCategories');
 createGlobalControllerAction('refreshCache');
+createGlobalControllerAction('migrateTransactionsSheet');
 createGlobalControllerAction('suggestSavingsOpportunities');
 createGlobalControllerAction('detectSpendingAnomalies');
 createGlobalControllerAction('analyzeFixedVsVariableExpenses');
 createGlobalControllerAction('generateCashFlowForecast');
+createGlobalControllerAction('buildEnvelopes');
 createGlobalControllerAction('setBudgetTargets');
 createGlobalControllerAction('setupEmailReports');
 createGlobalControllerAction('switchPlaidEnvironment');
@@ -26,6 +26,127 @@ function plaidExchangeTokenGlobal(publicToken) {
   return FinancialPlanner.PlaidService.exchangePublicToken(publicToken);
 }
 
+/**
+ * Global function called from csv-import.html to load the saved CSV profiles.
+ * @returns {{profiles: Object<string, object>, defaultProfile: object}} The profiles.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function csvGetProfilesGlobal() {
+  return FinancialPlanner.CsvImporter.getProfiles();
+}
+
+/**
+ * Global function called from csv-import.html to preview a file's headers and first rows.
+ * @param {{text: string, driveFile: string, profile: object}} request - The import request.
+ * @returns {{headers: string[], rows: Array<Array<string>>, delimiter: string}} The preview.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function csvPreviewGlobal(request) {
+  return FinancialPlanner.CsvImporter.preview(request);
+}
+
+/**
+ * Global function called from csv-import.html to import a file into the ledger.
+ * @param {{text: string, driveFile: string, profile: object, saveProfile: boolean}} request - The import request.
+ * @returns {{added: number, updated: number, skipped: number}} The import outcome.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function csvImportGlobal(request) {
+  return FinancialPlanner.CsvImporter.importCsv(request);
+}
+
+/**
+ * Global function called from statement-import.html to import an OFX/QFX file into the ledger.
+ * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+ * @returns {{added: number, updated: number, skipped: number, balances: number}} The import outcome.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function ofxImportGlobal(request) {
+  return FinancialPlanner.OfxImporter.importOfx(request);
+}
+
+/**
+ * Global function called from statement-import.html to import a CAMT.053 file into the ledger.
+ * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+ * @returns {{added: number, updated: number, skipped: number, balances: number, duplicates: number}} The import outcome.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function camtImportGlobal(request) {
+  return FinancialPlanner.CamtImporter.importCamt(request);
+}
+
+/**
+ * Global function called from statement-import.html to import an MT940 file into the ledger.
+ * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+ * @returns {{added: number, updated: number, skipped: number, balances: number, duplicates: number}} The import outcome.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function mt940ImportGlobal(request) {
+  return FinancialPlanner.Mt940Importer.importMt940(request);
+}
+
+/**
+ * Global function called from statement-import.html to import a QIF file into the ledger.
+ * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+ * @returns {{added: number, updated: number, skipped: number}} The import outcome.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function qifImportGlobal(request) {
+  return FinancialPlanner.QifService.importQif(request);
+}
+
+/**
+ * Global function called from qif-export.html to export ledger rows as a QIF file.
+ * @param {{from: string, to: string, account: string, type: string, category: string, dateOrder: string}} filter - The export filter.
+ * @returns {{count: number, name: string, url: string}} The number of exported rows and the created Drive file.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function qifExportGlobal(filter) {
+  return FinancialPlanner.QifService.exportQif(filter);
+}
+
+/**
+ * Global function called from budget-editor.html to load the dropdown hierarchy and saved budgets.
+ * @returns {{hierarchy: Object<string, Object<string, string[]>>, types: string[], budgets: Array<object>}} The editor data.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function budgetGetEditorDataGlobal() {
+  return FinancialPlanner.BudgetService.getEditorData();
+}
+
+/**
+ * Global function called from budget-editor.html to save a budget.
+ * @param {{type: string, category: string, subcategory: string, period: string, amount: string, month: string, weights: string}} entry - The budget.
+ * @returns {{hierarchy: Object<string, Object<string, string[]>>, types: string[], budgets: Array<object>}} The refreshed editor data.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function budgetSaveGlobal(entry) {
+  FinancialPlanner.BudgetService.saveBudget(entry);
+  return FinancialPlanner.BudgetService.getEditorData();
+}
+
+/**
+ * Global function called from budget-editor.html to remove a budget.
+ * @param {{type: string, category: string, subcategory: string, month: string}} entry - The budget line.
+ * @returns {{hierarchy: Object<string, Object<string, string[]>>, types: string[], budgets: Array<object>}} The refreshed editor data.
+ * @global
+ */
+// eslint-disable-next-line no-unused-vars
+function budgetRemoveGlobal(entry) {
+  FinancialPlanner.BudgetService.removeBudget(entry);
+  return FinancialPlanner.BudgetService.getEditorData();
+}
+
 /**
  * Initializes the Financial Planning Tools application.
  * This function logs the start of the initialization process, verifies that the
@@ -19,10 +19,12 @@
  * @param {SheetBuilderModule} sheetBuilder - Instance of the Sheet Builder module (factory).
  * @param {MetricsCalculatorModule} metricsCalculator - Instance of the Metrics Calculator module.
  * @param {FormulaBuilderModule} formulaBuilder - Instance of the Formula Builder module.
+ * @param {FinancialPlanner.PeriodService} periodService - Instance of the Period service.
+ * @param {FinancialPlanner.BudgetService} budgetService - The Budget Service, holding the budgets the targets come from.
  */
 FinancialPlanner.FinancialAnalysisService = (function(
   utils, uiService, errorService, config, 
-  sheetBuilder, metricsCalculator, formulaBuilder
+  sheetBuilder, metricsCalculator, formulaBuilder, periodService, budgetService
 ) {
   
   /**
@@ -42,6 +44,10 @@ FinancialPlanner.FinancialAnalysisService = (function(
       this.data = this.sheet.getDataRange().getValues();
       /** @type {string} Sheet name quoted for use in formulas. */
       this.overviewSheetName = `'${config.getSection('SHEETS').OVERVIEW}'`;
+      /** @type {object} Month, Total and Average columns of the period the overview was built for. */
+      this.layout = periodService.findLayout(this.data[0] || []);
+      /** @type {Date[]} Months the overview covers, used to average the budgets. */
+      this.months = periodService.findMonths(this.data[0] || []);
     }
     
     /**
@@ -81,18 +87,18 @@ FinancialPlanner.FinancialAnalysisService = (function(
      * @memberof DataExtractor
      */
     findTotalRow(label) {
-      const totalColLetter = utils.columnToLetter(17);
-      const averageColLetter = utils.columnToLetter(18);
-      const monthlyStartCol = utils.columnToLetter(5);
-      const monthlyEndCol = utils.columnToLetter(16);
+      const totalColLetter = utils.columnToLetter(this.layout.totalColumn);
+      const averageColLetter = utils.columnToLetter(this.layout.averageColumn);
+      const monthlyStartCol = utils.columnToLetter(this.layout.firstMonthColumn);
+      const monthlyEndCol = utils.columnToLetter(this.layout.lastMonthColumn);
       
       for (let i = 0; i < this.data.length; i++) {
         if (this.data[i][0] === label) {
           const rowNum = i + 1;
           return {
             row: rowNum,
-            total: this.data[i][16],
-            average: this.data[i][17],
+            total: this.data[i][this.layout.totalColumn - 1],
+            average: this.data[i][this.layout.averageColumn - 1],
             totalRef: `${this.overviewSheetName}!${totalColLetter}${rowNum}`,
             averageRef: `${this.overviewSheetName}!${averageColLetter}${rowNum}`,
             monthlyValuesRangeRef: `${this.overviewSheetName}!${monthlyStartCol}${rowNum}:${monthlyEndCol}${rowNum}`
@@ -116,11 +122,11 @@ FinancialPlanner.FinancialAnalysisService = (function(
           const rowNum = i + 1;
           totalExpenses = {
             row: rowNum,
-            total: this.data[i][16],
-            average: this.data[i][17],
-            totalRef: `${this.overviewSheetName}!${utils.columnToLetter(17)}${rowNum}`,
-            averageRef: `${this.overviewSheetName}!${utils.columnToLetter(18)}${rowNum}`,
-            monthlyValuesRangeRef: `${this.overviewSheetName}!${utils.columnToLetter(5)}${rowNum}:${utils.columnToLetter(16)}${rowNum}`
+            total: this.data[i][this.layout.totalColumn - 1],
+            average: this.data[i][this.layout.averageColumn - 1],
+            totalRef: `${this.overviewSheetName}!${utils.columnToLetter(this.layout.totalColumn)}${rowNum}`,
+            averageRef: `${this.overviewSheetName}!${utils.columnToLetter(this.layout.averageColumn)}${rowNum}`,
+            monthlyValuesRangeRef: `${this.overviewSheetName}!${utils.columnToLetter(this.layout.firstMonthColumn)}${rowNum}:${utils.columnToLetter(this.layout.lastMonthColumn)}${rowNum}`
           };
           break;
         }
@@ -151,7 +157,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
         const type = row[0];
         const category = row[1];
         const subcategory = row[2];
-        const average = row[17];
+        const average = row[this.layout.averageColumn - 1];
         
         if (!category) continue;
         
@@ -317,7 +323,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
         .setVerticalAlignment('middle');
       
       sheet.getRange(startRow + 3, startColumn + 1)
-        .setValue(metric.totalLabel || (metric.targetValue !== undefined ? 'Target' : 'Annual Total'))
+        .setValue(metric.totalLabel || (metric.targetValue !== undefined ? 'Target' : 'Period Total'))
         .setFontSize(9)
         .setFontColor('#808080') // Grey color for labels
         .setHorizontalAlignment('center')
@@ -491,6 +497,24 @@ FinancialPlanner.FinancialAnalysisService = (function(
       this.metricsCalculator = metricsCalculator;
       /** @type {FormulaBuilderModule} */
       this.formulaBuilder = formulaBuilder;
+      /** @type {Array<object>} Budgets from the Budgets sheet (see `BudgetService.getBudgets`). */
+      this.budgets = budgetService.getSavedBudgets();
+    }
+    
+    /**
+     * Returns the target share of income of a type or category: its average budget over the
+     * overview's months divided by the average income. Without a budget (or income) the
+     * `TARGET_RATES` rate of the type applies, to its categories as well.
+     * @param {ReturnType<DataExtractor['extractMetrics']>} metrics - Extracted metrics from DataExtractor.
+     * @param {string} type - The transaction type.
+     * @param {string} [category] - The category; omit for the whole type.
+     * @returns {number} The target rate.
+     * @memberof FinancialAnalysisService
+     */
+    getTargetRate(metrics, type, category) {
+      const income = metrics.income ? metrics.income.average : 0;
+      const budget = budgetService.getAverageBudget(this.budgets, this.dataExtractor.months, type, category);
+      return budget !== null && income > 0 ? budget / income : budgetService.getTargetRate(type);
     }
     
     /**
@@ -547,7 +571,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
      */
     buildKeyMetricsSection(metrics) {
       const totals = metrics;
-      const targetRates = config.getSection('TARGET_RATES');
+      const types = config.getSection('TRANSACTION_TYPES');
 
       // Helper function to safely access properties of metric objects (which might be null)
       const getRef = (metric, refType) => metric && metric[refType] ? metric[refType] : null;
@@ -584,7 +608,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
           rate: { // Corresponding rate card
             name: 'Overall Savings Rate',
             avgFormula: (savingsAvgRef && incomeAvgRef) ? `=IFERROR(${savingsAvgRef}/${incomeAvgRef},0)` : `=0`, 
-            targetValue: targetRates.SAVINGS || 0.2, 
+            targetValue: this.getTargetRate(metrics, types.SAVINGS),
             sparklinePlaceholderText: `[Trend: Savings Rate]`,
             valueType: 'percentage',
             avgLabel: 'Avg Rate',
@@ -604,7 +628,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
           rate: {
             name: 'Essentials Spending Rate',
             avgFormula: (essentialsAvgRef && incomeAvgRef) ? `=IFERROR(ABS(${essentialsAvgRef})/${incomeAvgRef},0)` : `=0`,
-            targetValue: targetRates.ESSENTIALS || 0.5,
+            targetValue: this.getTargetRate(metrics, types.ESSENTIALS),
             sparklinePlaceholderText: `[Trend: Essentials Rate]`,
             valueType: 'percentage',
             avgLabel: 'Avg Rate',
@@ -624,7 +648,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
           rate: {
             name: 'Wants/Pleasure Spending Rate',
             avgFormula: (wantsPleasureAvgRef && incomeAvgRef) ? `=IFERROR(ABS(${wantsPleasureAvgRef})/${incomeAvgRef},0)` : `=0`,
-            targetValue: targetRates.WANTS || 0.2,
+            targetValue: this.getTargetRate(metrics, types.WANTS),
             sparklinePlaceholderText: `[Trend: Wants Rate]`,
             valueType: 'percentage',
             avgLabel: 'Avg Rate',
@@ -645,7 +669,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
           rate: {
             name: 'Extra Spending Rate',
             avgFormula: (extraAvgRef && incomeAvgRef) ? `=IFERROR(ABS(${extraAvgRef})/${incomeAvgRef},0)` : `=0`,
-            targetValue: targetRates.EXTRA || 0.1,
+            targetValue: this.getTargetRate(metrics, types.EXTRA),
             sparklinePlaceholderText: `[Trend: Extra Rate]`,
             valueType: 'percentage',
             avgLabel: 'Avg Rate',
@@ -722,11 +746,8 @@ FinancialPlanner.FinancialAnalysisService = (function(
       
       // Process each expense category
       categories.forEach((cat, index) => {
-        // Determine the target rate for this category based on its type (Essentials, Wants, etc.)
-        let targetRate = config.getSection('TARGET_RATES').DEFAULT; // Default target rate
-        if (cat.type === "Essentials") targetRate = config.getSection('TARGET_RATES').ESSENTIALS;
-        else if (cat.type === "Wants/Pleasure") targetRate = config.getSection('TARGET_RATES').WANTS;
-        else if (cat.type === "Extra") targetRate = config.getSection('TARGET_RATES').EXTRA;
+        // Target rate from the category's budget, else the rate of its type (Essentials, Wants, etc.)
+        const targetRate = this.getTargetRate(metrics, cat.type, cat.category);
         
         const currentRow = this.builder.getCurrentRow() + index; // Calculate sheet row number for formulas
         
@@ -736,7 +757,7 @@ FinancialPlanner.FinancialAnalysisService = (function(
           cat.type,
           cat.amount, // Average monthly amount from overview
           '',         // Placeholder for '% of Income' formula
-          targetRate, // Target rate for this category type
+          targetRate, // Target rate for this category
           ''          // Placeholder for 'Variance' formula
         ]);
         
@@ -748,14 +769,18 @@ FinancialPlanner.FinancialAnalysisService = (function(
         });
       });
       
-      // Add a 'Total Expenses' summary row to the category data
+      // Add a 'Total Expenses' summary row to the category data; with budgets, its target is the sum of the type targets
       const totalRow = this.builder.getCurrentRow() + categoryData.length;
+      const expenseTypes = config.getSection('EXPENSE_TYPES');
+      const totalTargetRate = expenseTypes.some(type => budgetService.hasBudget(this.budgets, type)) ?
+        expenseTypes.reduce((sum, type) => sum + this.getTargetRate(metrics, type), 0) :
+        config.getSection('TARGET_RATES').TOTAL_EXPENSES || 0.8;
       categoryData.push([
         'Total Expenses', // Label
         'All',            // Type
         metrics.expenses.average, // Average total expenses from overview
         '',               // Placeholder for '% of Income' formula
-        config.getSection('TARGET_RATES').TOTAL_EXPENSES || 0.8, // Target total expense rate (e.g., 80%)
+        totalTargetRate, // Target total expense rate (e.g., 80%)
         ''                // Placeholder for 'Variance' formula
       ]);
       
@@ -895,7 +920,9 @@ FinancialPlanner.FinancialAnalysisService = (function(
   FinancialPlanner.Config,
   FinancialPlanner.SheetBuilder,
   FinancialPlanner.MetricsCalculator,
-  FinancialPlanner.FormulaBuilder
+  FinancialPlanner.FormulaBuilder,
+  FinancialPlanner.PeriodService,
+  FinancialPlanner.BudgetService
 );
 
 // Backward compatibility
@@ -21,10 +21,13 @@
  * @param {FormulaBuilderModule} formulaBuilder - Instance of the Formula Builder module.
  * @param {DataProcessorModule} dataProcessor - Instance of the Data Processor module.
  * @param {FinancialPlanner.FinancialAnalysisService} analysisService - Instance of the Financial Analysis service.
+ * @param {FinancialPlanner.PeriodService} periodService - Instance of the Period service.
+ * @param {FinancialPlanner.MetricsCalculator} metricsCalculator - The Metrics Calculator, used for year-over-year changes.
+ * @param {FinancialPlanner.BudgetService} budgetService - The Budget Service, holding the budgets the averages are marked against.
  */
 FinancialPlanner.FinanceOverview = (function(
   utils, uiService, cacheService, errorService, config, settingsService, 
-  sheetBuilder, formulaBuilder, dataProcessor, analysisService
+  sheetBuilder, formulaBuilder, dataProcessor, analysisService, periodService, metricsCalculator, budgetService
 ) {
   
   /**
@@ -51,6 +54,16 @@ FinancialPlanner.FinanceOverview = (function(
       this.groupedData = null;
       /** @type {object|null} Column indices from the transaction sheet. */
       this.columnIndices = null;
+      /** @type {{mode: string, compare: boolean, months: Date[], startDate: Date, endDate: Date, label: string}} The reporting window. */
+      this.period = periodService.getCurrent();
+      /** @type {object} Column positions for the period (see `PeriodService.getLayout`). */
+      this.layout = periodService.getLayout(this.period);
+      /** @type {number[]} Years offered by the year selector. */
+      this.years = [];
+      /** @type {Array<{row: number, type: string, category: (string|undefined), subcategory: (string|undefined)}>} Lines marked against their budget. */
+      this.budgetLines = [];
+      /** @type {number|null} Row of the Total Income line. */
+      this.incomeTotalRow = null;
     }
     
     /**
@@ -78,6 +91,7 @@ FinancialPlanner.FinanceOverview = (function(
       
       // Validate data structure
       this.processor.validateStructure();
+      this.years = this.collectYears(transactionData);
       
       // Get cached or process data
       const combinations = cacheService.get('finance_overview_categories', 
@@ -100,9 +114,19 @@ FinancialPlanner.FinanceOverview = (function(
      * @memberof FinancialOverviewBuilder
      */
     build() {
+      // Month columns plus the two control columns may outgrow a new sheet's 26 columns
+      const sheet = this.builder.sheet;
+      const requiredColumns = this.layout.lastColumn + 2;
+      if (sheet.getMaxColumns() < requiredColumns) {
+        sheet.insertColumnsAfter(sheet.getMaxColumns(), requiredColumns - sheet.getMaxColumns());
+      }
+      
+      // Keep the "Mmm-yy" month labels as text, or Sheets turns them into dates findMonths cannot read back
+      const headers = periodService.getHeaders(this.period);
+      this.builder.clear();
+      sheet.getRange(1, 1, 1, headers.length).setNumberFormat('@');
       this.builder
-        .clear()
-        .addHeaderRow(config.getSection('HEADERS'), {
+        .addHeaderRow(headers, {
           background: config.getSection('COLORS').UI.HEADER_BG,
           fontColor: config.getSection('COLORS').UI.HEADER_FONT,
           fontWeight: 'bold',
@@ -120,6 +144,11 @@ FinancialPlanner.FinanceOverview = (function(
       this.buildSavingsSection();
       this.buildNetCalculations();
       
+      if (this.period.compare) {
+        this.addPercentChanges();
+      }
+      this.addBudgetMarkers();
+      
       // Apply column widths
       const widths = config.getSection('UI').COLUMN_WIDTHS;
       this.builder.setColumnWidths({
@@ -130,11 +159,17 @@ FinancialPlanner.FinanceOverview = (function(
       });
       
       // Set month column widths
-      for (let i = 5; i <= 16; i++) {
+      for (let i = this.layout.firstMonthColumn; i <= this.layout.lastMonthColumn; i++) {
         this.builder.sheet.setColumnWidth(i, widths.MONTH);
       }
-      this.builder.sheet.setColumnWidth(17, widths.AVERAGE);
-      this.builder.sheet.setColumnWidth(18, widths.AVERAGE);
+      this.builder.sheet.setColumnWidth(this.layout.totalColumn, widths.AVERAGE);
+      this.builder.sheet.setColumnWidth(this.layout.averageColumn, widths.AVERAGE);
+      if (this.period.compare) {
+        for (let i = this.layout.priorTotalColumn; i <= this.layout.percentChangeColumn; i++) {
+          this.builder.sheet.setColumnWidth(i, widths.AVERAGE);
+        }
+      }
+      this.builder.sheet.setColumnWidth(this.layout.lastColumn + 1, widths.CONTROL_LABEL);
       
       // Hide subcategory column if needed
       if (!this.showSubCategories) {
@@ -145,21 +180,73 @@ FinancialPlanner.FinanceOverview = (function(
     }
     
     /**
-     * Sets up UI controls on the overview sheet, such as the "Show Sub-Categories" checkbox.
+     * Sets up UI controls on the overview sheet: the "Show Sub-Categories" checkbox and the
+     * period selector, one label/value pair per row right of the last data column.
      * @memberof FinancialOverviewBuilder
      */
     setupUIControls() {
-      const uiConfig = config.getSection('UI').SUBCATEGORY_TOGGLE;
+      const uiConfig = config.getSection('UI');
+      const toggle = uiConfig.SUBCATEGORY_TOGGLE;
+      const selector = uiConfig.PERIOD_SELECTOR;
       const sheet = this.builder.sheet;
+      const labelColumn = this.layout.lastColumn + 1;
+      const modeOptions = Object.keys(selector.MODE_OPTIONS).map(key => selector.MODE_OPTIONS[key]);
+      const monthNames = periodService.getMonthNames();
+      const rollingOptions = [];
+      for (let i = 1; i <= config.getSection('OVERVIEW_PERIOD').MAX_ROLLING_MONTHS; i++) {
+        rollingOptions.push(String(i));
+      }
       
-      sheet.getRange(uiConfig.LABEL_CELL)
-        .setValue(uiConfig.LABEL_TEXT)
+      sheet.getRange(1, labelColumn, 6, 1)
+        .setValues([
+          [toggle.LABEL_TEXT],
+          [selector.MODE_LABEL],
+          [selector.YEAR_LABEL],
+          [selector.FISCAL_START_LABEL],
+          [selector.ROLLING_MONTHS_LABEL],
+          [selector.COMPARE_LABEL]
+        ])
         .setFontWeight('bold');
       
-      const checkbox = sheet.getRange(uiConfig.CHECKBOX_CELL);
+      const checkbox = sheet.getRange(1, labelColumn + 1);
       checkbox.insertCheckboxes()
         .setValue(this.showSubCategories)
-        .setNote(uiConfig.NOTE_TEXT);
+        .setNote(toggle.NOTE_TEXT);
+      sheet.getRange(6, labelColumn + 1).insertCheckboxes().setValue(this.period.compare);
+      
+      const addDropdown = (row, options, value) => {
+        sheet.getRange(row, labelColumn + 1)
+          .setDataValidation(SpreadsheetApp.newDataValidation()
+            .requireValueInList(options, true)
+            .setAllowInvalid(false)
+            .build())
+          .setValue(value);
+      };
+      addDropdown(2, modeOptions, selector.MODE_OPTIONS[this.period.mode]);
+      addDropdown(3, this.years.map(String), String(this.period.year));
+      addDropdown(4, monthNames, monthNames[this.period.fiscalStartMonth - 1]);
+      addDropdown(5, rollingOptions, String(this.period.rollingMonths));
+      sheet.getRange(2, labelColumn + 1).setNote(selector.NOTE_TEXT + '. Showing: ' + this.period.label);
+    }
+    
+    /**
+     * Collects the years offered by the year selector: every year with transactions,
+     * the current year and the selected year.
+     * @param {Array<Array<*>>} transactionData - The transaction sheet values including headers.
+     * @returns {number[]} The years, ascending.
+     * @memberof FinancialOverviewBuilder
+     */
+    collectYears(transactionData) {
+      const years = {};
+      years[new Date().getFullYear()] = true;
+      years[this.period.year] = true;
+      for (let i = 1; i < transactionData.length; i++) {
+        const date = transactionData[i][this.columnIndices.date];
+        if (date instanceof Date && !isNaN(date.getTime())) {
+          years[date.getFullYear()] = true;
+        }
+      }
+      return Object.keys(years).map(Number).sort((a, b) => a - b);
     }
     
     /**
@@ -174,7 +261,7 @@ FinancialPlanner.FinanceOverview = (function(
       
       this.builder
         .addSectionHeader('Income', {
-          merge: 18,
+          merge: this.layout.lastColumn,
           background: config.getSection('COLORS').UI.SECTION_HEADER_BG || '#d3d3d3',
           fontWeight: 'bold',
           fontSize: 12
@@ -202,6 +289,7 @@ FinancialPlanner.FinanceOverview = (function(
       });
       
       // Add income total
+      this.incomeTotalRow = this.builder.getCurrentRow();
       this.addTypeTotal('Income', startRow + 1, incomeData.length);
       
       this.builder.addBlankRow();
@@ -229,7 +317,7 @@ FinancialPlanner.FinanceOverview = (function(
       if (!hasExpenses) return;
       
       this.builder.addSectionHeader('Expenses', {
-        merge: 18,
+        merge: this.layout.lastColumn,
         background: colors.UI.SECTION_HEADER_BG || '#d3d3d3',
         fontWeight: 'bold',
         fontSize: 12
@@ -245,6 +333,7 @@ FinancialPlanner.FinanceOverview = (function(
         
         // Add type total row with embedded formulas
         this.addTypeRowWithEmbeddedTotals(type, typeRow);
+        this.addBudgetLines(type, typeRow, typeData);
         
         // Add category rows
         const categoryData = typeData.map(combo => [
@@ -287,7 +376,7 @@ FinancialPlanner.FinanceOverview = (function(
       if (!savingsData || savingsData.length === 0) return;
       
       this.builder.addSectionHeader('Savings', {
-        merge: 18,
+        merge: this.layout.lastColumn,
         background: config.getSection('COLORS').UI.SECTION_HEADER_BG || '#d3d3d3',
         fontWeight: 'bold',
         fontSize: 12
@@ -297,6 +386,7 @@ FinancialPlanner.FinanceOverview = (function(
       
       // Add savings type row with embedded totals
       this.addTypeRowWithEmbeddedTotals(transactionTypes.SAVINGS, savingsRow);
+      this.addBudgetLines(transactionTypes.SAVINGS, savingsRow, savingsData);
       
       // Add savings categories
       const categoryData = savingsData.map(combo => [
@@ -332,7 +422,7 @@ FinancialPlanner.FinanceOverview = (function(
       }
       
       this.builder.addSectionHeader('Net Calculations', {
-        merge: 18,
+        merge: this.layout.lastColumn,
         background: config.getSection('COLORS').UI.NET_BG,
         fontWeight: 'bold',
         fontColor: config.getSection('COLORS').UI.NET_FONT
@@ -382,76 +472,110 @@ FinancialPlanner.FinanceOverview = (function(
     }
     
     // Helper methods
+    /**
+     * Builds the SUMIFS formula of one Overview cell via `FormulaBuilder.buildCategoryTotalFormula`.
+     * @param {string} type - The transaction type.
+     * @param {string|null} category - The category, or null for a whole type.
+     * @param {string|null} subcategory - The sub-category, or null.
+     * @param {number} row - The row number (1-based) of the cell.
+     * @param {{monthDate?: Date, startDate?: Date, endDate?: Date}} dates - The month, or the date range, to total.
+     * @returns {string} The formula.
+     * @memberof FinancialOverviewBuilder
+     */
+    buildCategoryFormula(type, category, subcategory, row, dates) {
+      const sheetNames = config.getSection('SHEETS');
+      return formulaBuilder.buildCategoryTotalFormula({
+        transactionSheet: sheetNames.TRANSACTIONS,
+        amountColumn: utils.columnToLetter(this.columnIndices.amount + 1),
+        typeColumn: utils.columnToLetter(this.columnIndices.type + 1),
+        categoryColumn: utils.columnToLetter(this.columnIndices.category + 1),
+        subcategoryColumn: utils.columnToLetter(this.columnIndices.subcategory + 1),
+        dateColumn: utils.columnToLetter(this.columnIndices.date + 1),
+        typeValue: type,
+        categoryValue: category,
+        subcategoryValue: subcategory,
+        monthDate: dates.monthDate,
+        startDate: dates.startDate,
+        endDate: dates.endDate,
+        overviewSheetName: sheetNames.OVERVIEW,
+        currentRow: row,
+        showSubCategories: this.showSubCategories,
+        duplicateColumn: this.columnIndices.duplicateOf >= 0
+          ? utils.columnToLetter(this.columnIndices.duplicateOf + 1)
+          : null
+      });
+    }
+    
     /**
      * Generates an array of formula configurations for a set of category/subcategory rows.
-     * This includes monthly totals, overall total, and average for each row.
+     * This includes monthly totals, overall total, and average for each row, plus the
+     * prior-year total and change when comparing years.
      * @param {Array<{type: string, category: string, subcategory: string}>} combinations - Array of category combination objects.
      * @param {number} startRow - The starting row number (1-based) in the sheet for these combinations.
      * @returns {Array<object>} An array of formula configuration objects suitable for `SheetBuilder.addDataRows`.
      * @memberof FinancialOverviewBuilder
      */
     generateRowFormulas(combinations, startRow) {
-      const sheetNames = config.getSection('SHEETS');
+      const expenseTypes = config.getSection('EXPENSE_TYPES');
       const formulas = [];
       
+      // Builds a category cell, halving shared expenses
+      const categoryFormula = (combo, row, dates) => {
+        const formula = this.buildCategoryFormula(combo.type, combo.category, combo.subcategory, row, dates);
+        return expenseTypes.includes(combo.type) ? `(${formula})/IF(D${row}=TRUE, 2, 1)` : formula;
+      };
+      
       // Monthly formulas
-      for (let monthCol = 5; monthCol <= 16; monthCol++) {
+      this.period.months.forEach((monthDate, monthIndex) => {
         const monthFormulas = [];
         for (let i = 0; i < combinations.length; i++) {
-          const combo = combinations[i];
-          const currentRow = startRow + i;
-          const monthDate = new Date(2024, monthCol - 5, 1);
-          
-          const formula = formulaBuilder.buildCategoryTotalFormula({
-            transactionSheet: sheetNames.TRANSACTIONS,
-            amountColumn: utils.columnToLetter(this.columnIndices.amount + 1),
-            typeColumn: utils.columnToLetter(this.columnIndices.type + 1),
-            categoryColumn: utils.columnToLetter(this.columnIndices.category + 1),
-            subcategoryColumn: utils.columnToLetter(this.columnIndices.subcategory + 1),
-            dateColumn: utils.columnToLetter(this.columnIndices.date + 1),
-            typeValue: combo.type,
-            categoryValue: combo.category,
-            subcategoryValue: combo.subcategory,
-            monthDate: monthDate,
-            overviewSheetName: sheetNames.OVERVIEW,
-            currentRow: currentRow,
-            showSubCategories: this.showSubCategories
-          });
-          
-          // Add shared divisor for expense types
-          const expenseTypes = config.getSection('EXPENSE_TYPES');
-          if (expenseTypes.includes(combo.type)) {
-            monthFormulas.push(`(${formula})/IF(D${currentRow}=TRUE, 2, 1)`);
-          } else {
-            monthFormulas.push(formula);
-          }
+          monthFormulas.push(categoryFormula(combinations[i], startRow + i, { monthDate: monthDate }));
         }
         formulas.push({
-          startColumn: monthCol,
+          startColumn: this.layout.firstMonthColumn + monthIndex,
           values: monthFormulas.map(f => [f])
         });
-      }
+      });
       
       // Total and average formulas
       const totalFormulas = [];
       const averageFormulas = [];
+      const firstMonth = utils.columnToLetter(this.layout.firstMonthColumn);
+      const lastMonth = utils.columnToLetter(this.layout.lastMonthColumn);
       
       for (let i = 0; i < combinations.length; i++) {
         const row = startRow + i;
-        totalFormulas.push([formulaBuilder.buildRowTotalFormula('E', 'P', row)]);
-        averageFormulas.push([formulaBuilder.buildRowAverageFormula('E', 'P', row)]);
+        totalFormulas.push([formulaBuilder.buildRowTotalFormula(firstMonth, lastMonth, row)]);
+        averageFormulas.push([formulaBuilder.buildRowAverageFormula(firstMonth, lastMonth, row)]);
       }
       
       formulas.push({
-        startColumn: 17,
+        startColumn: this.layout.totalColumn,
         values: totalFormulas
       });
       
       formulas.push({
-        startColumn: 18,
+        startColumn: this.layout.averageColumn,
         values: averageFormulas
       });
       
+      // Prior-year total and change
+      if (this.period.compare) {
+        const priorDates = { startDate: this.period.priorStartDate, endDate: this.period.priorEndDate };
+        const comparisonFormulas = [];
+        for (let i = 0; i < combinations.length; i++) {
+          const row = startRow + i;
+          comparisonFormulas.push([
+            categoryFormula(combinations[i], row, priorDates),
+            this.buildChangeFormula(row)
+          ]);
+        }
+        formulas.push({
+          startColumn: this.layout.priorTotalColumn,
+          values: comparisonFormulas
+        });
+      }
+      
       return formulas;
     }
     
@@ -464,13 +588,12 @@ FinancialPlanner.FinanceOverview = (function(
      */
     addTypeRowWithEmbeddedTotals(type, row) {
       const colors = config.getSection('COLORS');
-      const sheetNames = config.getSection('SHEETS');
       
       // Add the type name
       this.builder.sheet.getRange(row, 1).setValue(type);
       
       // Style the entire row
-      const rowRange = this.builder.sheet.getRange(row, 1, 1, 18);
+      const rowRange = this.builder.sheet.getRange(row, 1, 1, this.layout.lastColumn);
       rowRange
         .setBackground(colors.UI.TYPE_HEADER_TOTAL_BG || '#f0f0f0')
         .setFontColor(colors.UI.TYPE_HEADER_TOTAL_FONT || '#000000');
@@ -480,42 +603,94 @@ FinancialPlanner.FinanceOverview = (function(
       
       // Generate formulas
       const formulas = [];
-      for (let monthCol = 5; monthCol <= 16; monthCol++) {
-        const monthDate = new Date(2024, monthCol - 5, 1);
-        
-        const formula = formulaBuilder.buildCategoryTotalFormula({
-          transactionSheet: sheetNames.TRANSACTIONS,
-          amountColumn: utils.columnToLetter(this.columnIndices.amount + 1),
-          typeColumn: utils.columnToLetter(this.columnIndices.type + 1),
-          categoryColumn: utils.columnToLetter(this.columnIndices.category + 1),
-          subcategoryColumn: utils.columnToLetter(this.columnIndices.subcategory + 1),
-          dateColumn: utils.columnToLetter(this.columnIndices.date + 1),
-          typeValue: type,
-          categoryValue: null,
-          subcategoryValue: null,
-          monthDate: monthDate,
-          overviewSheetName: sheetNames.OVERVIEW,
-          currentRow: row,
-          showSubCategories: this.showSubCategories
-        });
-        
-        formulas.push(formula);
-      }
+      this.period.months.forEach(monthDate => {
+        formulas.push(this.buildCategoryFormula(type, null, null, row, { monthDate: monthDate }));
+      });
       
       // Add total and average formulas
-      formulas.push(formulaBuilder.buildRowTotalFormula('E', 'P', row));
-      formulas.push(formulaBuilder.buildRowAverageFormula('E', 'P', row));
+      const firstMonth = utils.columnToLetter(this.layout.firstMonthColumn);
+      const lastMonth = utils.columnToLetter(this.layout.lastMonthColumn);
+      formulas.push(formulaBuilder.buildRowTotalFormula(firstMonth, lastMonth, row));
+      formulas.push(formulaBuilder.buildRowAverageFormula(firstMonth, lastMonth, row));
+      if (this.period.compare) {
+        formulas.push(this.buildCategoryFormula(type, null, null, row, {
+          startDate: this.period.priorStartDate,
+          endDate: this.period.priorEndDate
+        }));
+        formulas.push(this.buildChangeFormula(row));
+      }
       
       // Apply formulas
-      this.builder.sheet.getRange(row, 5, 1, 14).setFormulas([formulas]);
+      const valueRange = this.builder.sheet.getRange(row, this.layout.firstMonthColumn, 1, formulas.length);
+      valueRange.setFormulas([formulas]);
       
       // Format as currency
       const currencyFormat = config.getSection('LOCALE').NUMBER_FORMATS.CURRENCY_DEFAULT;
-      this.builder.sheet.getRange(row, 5, 1, 14).setNumberFormat(currencyFormat);
+      valueRange.setNumberFormat(currencyFormat);
       
       this.builder.setCurrentRow(row + 1);
     }
     
+    /**
+     * Records a type row and the category rows below it for `addBudgetMarkers`.
+     * @param {string} type - The transaction type.
+     * @param {number} typeRow - The row (1-based) of the type; its categories follow on the next rows.
+     * @param {Array<{category: string, subcategory: string}>} combinations - The category combinations of the type.
+     * @memberof FinancialOverviewBuilder
+     */
+    addBudgetLines(type, typeRow, combinations) {
+      this.budgetLines.push({ row: typeRow, type: type });
+      combinations.forEach((combo, i) => {
+        this.budgetLines.push({
+          row: typeRow + 1 + i,
+          type: type,
+          category: combo.category,
+          subcategory: combo.subcategory || undefined
+        });
+      });
+    }
+    
+    /**
+     * Marks the Average cell of each expense and savings line against its budget: a note with the
+     * average monthly budget over the period and a red background while the average misses it
+     * (spends more, or saves less). Types without budgets are held to their `TARGET_RATES` share of
+     * the average income instead; categories without budgets are left unmarked.
+     * @memberof FinancialOverviewBuilder
+     */
+    addBudgetMarkers() {
+      const sheet = this.builder.sheet;
+      const budgets = budgetService.getSavedBudgets();
+      const savingsType = config.getSection('TRANSACTION_TYPES').SAVINGS;
+      const budgetSheetName = config.getSection('SHEETS').BUDGETS;
+      const averageLetter = utils.columnToLetter(this.layout.averageColumn);
+      const rules = [];
+      
+      this.budgetLines.forEach(line => {
+        const cell = `${averageLetter}${line.row}`;
+        const budget = budgetService.getAverageBudget(budgets, this.period.months, line.type, line.category, line.subcategory);
+        let limit;
+        let note;
+        if (budget !== null) {
+          limit = String(Math.round(budget * 100) / 100);
+          note = `Budget: ${budget.toFixed(2)} a month on average (${budgetSheetName} sheet)`;
+        } else if (!line.category && this.incomeTotalRow) {
+          const rate = budgetService.getTargetRate(line.type);
+          limit = `${rate}*ABS(${averageLetter}${this.incomeTotalRow})`;
+          note = `Target: ${Math.round(rate * 100)}% of income (no budgets set)`;
+        } else {
+          return;
+        }
+        
+        sheet.getRange(cell).setNote(note);
+        rules.push(SpreadsheetApp.newConditionalFormatRule()
+          .whenFormulaSatisfied(`=ABS(${cell})${line.type === savingsType ? '<' : '>'}${limit}`)
+          .setBackground('#FFCDD2')
+          .setRanges([sheet.getRange(cell)])
+          .build());
+      });
+      sheet.setConditionalFormatRules(rules);
+    }
+    
     /**
      * Adds a total row for a specific transaction type (e.g., "Total Income")
      * by summing up its constituent category rows.
@@ -546,7 +721,7 @@ FinancialPlanner.FinanceOverview = (function(
     addTotalExpensesRow(expenseTypeRows) {
       const formulas = [];
       
-      for (let col = 5; col <= 18; col++) {
+      for (let col = this.layout.firstMonthColumn; col <= this.layout.lastAdditiveColumn; col++) {
         const colLetter = utils.columnToLetter(col);
         const components = expenseTypeRows.map(row => ({
           reference: `${colLetter}${row}`,
@@ -579,7 +754,7 @@ FinancialPlanner.FinanceOverview = (function(
     addNetCalculationRow(label, components) {
       const formulas = [];
       
-      for (let col = 5; col <= 18; col++) {
+      for (let col = this.layout.firstMonthColumn; col <= this.layout.lastAdditiveColumn; col++) {
         const colComponents = components.map(comp => ({
           reference: comp.reference.replace(/[A-Z]/, utils.columnToLetter(col)),
           operation: comp.operation
@@ -615,7 +790,7 @@ FinancialPlanner.FinanceOverview = (function(
       const formulas = [];
       const endRow = startRow + rowCount - 1;
       
-      for (let col = 5; col <= 18; col++) {
+      for (let col = this.layout.firstMonthColumn; col <= this.layout.lastAdditiveColumn; col++) {
         const colLetter = utils.columnToLetter(col);
         formulas.push({
           column: col,
@@ -626,6 +801,49 @@ FinancialPlanner.FinanceOverview = (function(
       return formulas;
     }
     
+    /**
+     * Builds the year-over-year change formula of a row: its total minus its prior-year total.
+     * @param {number} row - The row number (1-based).
+     * @returns {string} The formula.
+     * @memberof FinancialOverviewBuilder
+     */
+    buildChangeFormula(row) {
+      return formulaBuilder.buildNetFormula([
+        { reference: `${utils.columnToLetter(this.layout.totalColumn)}${row}`, operation: 'add' },
+        { reference: `${utils.columnToLetter(this.layout.priorTotalColumn)}${row}`, operation: 'subtract' }
+      ]);
+    }
+    
+    /**
+     * Fills the % Change column from the calculated totals using `MetricsCalculator.calculatePercentageChange`,
+     * and gives each cell the colors of its row so type and total rows keep their styling across the column.
+     * The percentages are values, refreshed whenever the overview is regenerated.
+     * @memberof FinancialOverviewBuilder
+     */
+    addPercentChanges() {
+      const sheet = this.builder.sheet;
+      const rowCount = this.builder.getCurrentRow() - 2;
+      if (rowCount < 1) return;
+      
+      SpreadsheetApp.flush();
+      const totals = sheet.getRange(2, this.layout.totalColumn, rowCount, 1).getValues();
+      const priorTotals = sheet.getRange(2, this.layout.priorTotalColumn, rowCount, 1).getValues();
+      const changeRange = sheet.getRange(2, this.layout.changeColumn, rowCount, 1);
+      const percentRange = sheet.getRange(2, this.layout.percentChangeColumn, rowCount, 1);
+      
+      percentRange.setValues(totals.map((row, i) => {
+        const current = row[0];
+        const previous = priorTotals[i][0];
+        if (typeof current !== 'number' || typeof previous !== 'number') return [''];
+        return [metricsCalculator.calculatePercentageChange(current, previous)];
+      }));
+      percentRange
+        .setBackgrounds(changeRange.getBackgrounds())
+        .setFontColors(changeRange.getFontColors())
+        .setFontWeights(changeRange.getFontWeights());
+      utils.formatAsPercentage(percentRange, 1);
+    }
+    
     /**
      * Finds the row numbers for various key total lines (Income, Expenses, Savings, etc.)
      * by searching the first column of the provided 2D data array.
@@ -729,22 +947,45 @@ FinancialPlanner.FinanceOverview = (function(
     },
     
     /**
-     * Handles edit events on the overview sheet, specifically for the subcategory toggle checkbox.
-     * If the checkbox state changes, it regenerates the overview.
+     * Handles edit events on the overview sheet controls: the subcategory toggle checkbox and
+     * the period selector. A control is recognised by the label left of the edited cell, as its
+     * column moves with the number of month columns. Changes are saved and the overview regenerated.
      * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event object.
      * @memberof FinancialPlanner.FinanceOverview
      */
     handleEdit: function(e) {
       try {
-        if (e.range.getSheet().getName() !== config.getSection('SHEETS').OVERVIEW) return;
+        const sheet = e.range.getSheet();
+        if (sheet.getName() !== config.getSection('SHEETS').OVERVIEW) return;
+        if (e.range.getNumRows() !== 1 || e.range.getNumColumns() !== 1 || e.range.getColumn() < 2) return;
         
-        const subcategoryToggle = config.getSection('UI').SUBCATEGORY_TOGGLE;
-        if (e.range.getA1Notation() === subcategoryToggle.CHECKBOX_CELL) {
-          const newValue = e.range.getValue();
-          settingsService.setShowSubCategories(newValue);
-          uiService.showLoadingSpinner("Updating overview based on preference change...");
-          this.create();
+        const uiConfig = config.getSection('UI');
+        const selector = uiConfig.PERIOD_SELECTOR;
+        const label = sheet.getRange(e.range.getRow(), e.range.getColumn() - 1).getValue();
+        const value = e.range.getValue();
+        
+        if (label === uiConfig.SUBCATEGORY_TOGGLE.LABEL_TEXT) {
+          settingsService.setShowSubCategories(value);
+        } else if (label === selector.MODE_LABEL) {
+          const mode = Object.keys(selector.MODE_OPTIONS).filter(key => selector.MODE_OPTIONS[key] === value)[0];
+          if (!mode) return;
+          settingsService.setOverviewPeriod({ mode: mode });
+        } else if (label === selector.YEAR_LABEL) {
+          settingsService.setOverviewPeriod({ year: Number(value) });
+        } else if (label === selector.FISCAL_START_LABEL) {
+          const month = periodService.getMonthNames().indexOf(value) + 1;
+          if (!month) return;
+          settingsService.setOverviewPeriod({ fiscalStartMonth: month });
+        } else if (label === selector.ROLLING_MONTHS_LABEL) {
+          settingsService.setOverviewPeriod({ rollingMonths: Number(value) });
+        } else if (label === selector.COMPARE_LABEL) {
+          settingsService.setOverviewPeriod({ compareYoY: value === true });
+        } else {
+          return;
         }
+        
+        uiService.showLoadingSpinner("Updating overview based on preference change...");
+        this.create();
       } catch (error) {
         errorService.handle(error, "Failed to process change on Overview sheet");
       }
@@ -760,7 +1001,10 @@ FinancialPlanner.FinanceOverview = (function(
   FinancialPlanner.SheetBuilder,
   FinancialPlanner.FormulaBuilder,
   FinancialPlanner.DataProcessor,
-  FinancialPlanner.FinancialAnalysisService
+  FinancialPlanner.FinancialAnalysisService,
+  FinancialPlanner.PeriodService,
+  FinancialPlanner.MetricsCalculator,
+  FinancialPlanner.BudgetService
 );
 
 // Backward compatibility
@@ -15,55 +15,33 @@
  * @param {UIServiceModule} uiService - Instance of the UI Service module.
  * @param {ErrorServiceModule} errorService - Instance of the Error Service module.
  * @param {ConfigModule} config - Instance of the Config module.
+ * @param {FinancialPlanner.VisualizationService} visualizationService - The Visualization Service, drawing the category pie.
  */
-FinancialPlanner.MonthlySpendingReport = (function(utils, uiService, errorService, config) {
+FinancialPlanner.MonthlySpendingReport = (function(utils, uiService, errorService, config, visualizationService) {
   // Private variables and functions
   
   /**
-   * Adds relevant charts (e.g., a pie chart for expense breakdown by category)
-   * to the monthly report sheet.
+   * Adds the expense breakdown pie to the monthly report sheet, with its slice table below the report.
+   * Re-generating the report updates the chart in place.
    * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object where the report is generated.
-   * @param {Object<string, Object<string, number>>} categoryData - Processed data where keys are categories,
-   *   and values are objects mapping subcategories to their summed amounts for the current month.
-   * @param {number} totalExpenses - The total expense amount for the current month.
+   * @param {Date} month - The first day of the reported month.
    * @private
    */
-  function addMonthlyReportCharts(sheet, categoryData, totalExpenses) {
-    // Find last row with data
+  function addMonthlyReportCharts(sheet, month) {
+    // The slice table goes below the last row with data
     const lastRow = sheet.getLastRow();
     
-    // Create pie chart for category breakdown
-    const categories = Object.keys(categoryData);
-    const categoryValues = categories.map(category => {
-      return Object.values(categoryData[category]).reduce((sum, amount) => sum + amount, 0);
+    visualizationService.insertCategoryPie(sheet, {
+      months: [month],
+      level: 'Category',
+      title: 'Expense Breakdown by Category',
+      tableRow: lastRow + 3,
+      tableColumn: 1,
+      chartRow: 5,
+      chartColumn: 8,
+      width: 450,
+      height: 300
     });
-    
-    // Create temporary range for chart data
-    const chartDataRangeStartRow = lastRow + 3;
-    const numChartDataRows = categories.length + 1; // +1 for header
-    const chartRange = sheet.getRange(chartDataRangeStartRow, 1, numChartDataRows, 2);
-    
-    // Prepare data for batch write
-    const chartData = [["Category", "Amount"]]; // Header row
-    for (let i = 0; i < categories.length; i++) {
-      chartData.push([categories[i], categoryValues[i]]);
-    }
-    
-    // Batch write chart data
-    chartRange.setValues(chartData);
-    
-    // Create the chart using the same range
-    const pieChart = sheet.newChart()
-      .setChartType(Charts.ChartType.PIE)
-      .addRange(chartRange)
-      .setPosition(5, 8, 0, 0)
-      .setOption('title', 'Expense Breakdown by Category')
-      .setOption('pieSliceText', 'percentage')
-      .setOption('width', 450)
-      .setOption('height', 300)
-      .build();
-    
-    sheet.insertChart(pieChart);
   }
   
   /**
@@ -181,8 +159,8 @@ FinancialPlanner.MonthlySpendingReport = (function(utils, uiService, errorServic
       throw errorService.create("Could not find 'Transactions' sheet", { severity: "high" });
     }
     
-    const transactionData = transactionSheet.getDataRange().getValues();
-    const headers = transactionData[0];
+    const sheetData = transactionSheet.getDataRange().getValues();
+    const headers = sheetData[0];
     
     // Find column indices
     const dateColIndex = headers.indexOf("Date");
@@ -190,11 +168,17 @@ FinancialPlanner.MonthlySpendingReport = (function(utils, uiService, errorServic
     const categoryColIndex = headers.indexOf("Category");
     const subcategoryColIndex = headers.indexOf("Sub-Category");
     const amountColIndex = headers.indexOf("Amount");
+    const duplicateColIndex = headers.indexOf("Duplicate Of");
     
     if (dateColIndex < 0 || typeColIndex < 0 || categoryColIndex < 0 || amountColIndex < 0) {
       throw errorService.create("Could not find required columns in Transaction sheet", { severity: "high" });
     }
     
+    // Rows marked as cross-source duplicates are counted on their surviving row
+    const transactionData = duplicateColIndex < 0 ? sheetData : sheetData.filter((row, index) => {
+      return index === 0 || row[duplicateColIndex] === "";
+    });
+    
     // Filter transactions for current month
     const currentMonthTransactions = transactionData.filter((row, index) => {
       if (index === 0) return false; // Skip header
@@ -207,10 +191,11 @@ FinancialPlanner.MonthlySpendingReport = (function(utils, uiService, errorServic
     const categoryData = {};
     let totalExpenses = 0;
     
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
     currentMonthTransactions.forEach(row => {
       const type = row[typeColIndex];
-      // Only include expenses
-      if (type !== "Expenses" && type !== "Wants/Pleasure" && type !== "Extra") return;
+      // Only include expenses, as the category pie does
+      if (expenseTypes.indexOf(type) === -1) return;
       
       const category = row[categoryColIndex];
       const subcategory = row[subcategoryColIndex] || "(None)";
@@ -316,7 +301,7 @@ FinancialPlanner.MonthlySpendingReport = (function(utils, uiService, errorServic
     });
     
     // Add charts
-    addMonthlyReportCharts(reportSheet, categoryData, totalExpenses);
+    addMonthlyReportCharts(reportSheet, new Date(currentYear, currentMonth, 1));
     
     // Auto-size columns
     reportSheet.autoResizeColumns(1, 6);
@@ -351,7 +336,8 @@ FinancialPlanner.MonthlySpendingReport = (function(utils, uiService, errorServic
       }
     }
   };
-})(FinancialPlanner.Utils, FinancialPlanner.UIService, FinancialPlanner.ErrorService, FinancialPlanner.Config);
+})(FinancialPlanner.Utils, FinancialPlanner.UIService, FinancialPlanner.ErrorService, FinancialPlanner.Config,
+  FinancialPlanner.VisualizationService);
 
 // Backward compatibility layer for existing global functions
 /**
@@ -1,75 +1,997 @@
 /**
  * @fileoverview Report Service for Financial Planning Tools.
  * This module is intended to provide functionality for generating various financial reports
- * beyond the main overview, such as yearly summaries, category breakdowns, and savings analyses.
+ * beyond the main overview: the yearly summary, the category breakdown and the savings analysis.
  * It follows the namespace pattern and uses dependency injection.
- * Currently, most report generation functions are placeholders.
  * @module features/reports/report-service
  */
 
 /**
  * @namespace FinancialPlanner.ReportService
  * @description Service responsible for generating various financial reports.
- * This service currently contains placeholders for future report implementations like
- * yearly summaries, category breakdowns, and savings analyses.
+ * It builds the yearly summary, the category breakdown and the savings analysis.
  * @param {UtilsModule} utils - Instance of the Utils module.
  * @param {UIServiceModule} uiService - Instance of the UI Service module for notifications and alerts.
  * @param {ErrorServiceModule} errorService - Instance of the Error Service module for error handling.
  * @param {ConfigModule} config - Instance of the Config module for global configurations.
+ * @param {DataProcessorModule} dataProcessor - Instance of the Data Processor module.
+ * @param {FinancialPlanner.MetricsCalculator} metricsCalculator - The Metrics Calculator.
+ * @param {FinancialPlanner.SettingsService} settingsService - The Settings Service, holding the savings goals.
+ * @param {FinancialPlanner.PeriodService} periodService - The Period Service, resolving the Overview's period.
  */
-FinancialPlanner.ReportService = (function(utils, uiService, errorService, config) {
+FinancialPlanner.ReportService = (function(utils, uiService, errorService, config, dataProcessor, metricsCalculator,
+  settingsService, periodService) {
   // Private variables and functions
   
   /**
-   * Placeholder function for generating a yearly summary report.
-   * Displays a "Coming Soon!" message.
-   * @todo Implement the actual logic for yearly summary report generation.
+   * @const {object} YEARLY_SUMMARY
    * @private
+   * @description Layout of the Yearly Summary sheet: the year selector cell, the first row of the
+   *   month table (header, twelve months, then the total and average rows), the number of
+   *   top categories listed and the column the charts are placed in.
    */
-  function createYearlySummary() {
-    // TODO: Implement yearly summary generation
-    uiService.showInfoAlert('Yearly Summary', 'Coming Soon!');
+  const YEARLY_SUMMARY = {
+    YEAR_CELL: 'B2',
+    TABLE_ROW: 4,
+    TOP_CATEGORIES: 10,
+    CHART_COLUMN: 11
+  };
+  
+  /**
+   * @const {object} CATEGORY_BREAKDOWN
+   * @private
+   * @description Layout of the Category Breakdown sheet: the selector cells (type, category and
+   *   date range), the header row of the ranking table, the number of largest transactions listed
+   *   per row and the labels used for "any category" and for rows without a (sub-)category.
+   */
+  const CATEGORY_BREAKDOWN = {
+    TYPE_CELL: 'B2',
+    CATEGORY_CELL: 'B3',
+    FROM_CELL: 'B4',
+    TO_CELL: 'B5',
+    TABLE_ROW: 7,
+    LARGEST_TRANSACTIONS: 3,
+    ALL_CATEGORIES: '(All)',
+    NO_CATEGORY: '(None)'
+  };
+  
+  /**
+   * @const {object} SAVINGS_ANALYSIS
+   * @private
+   * @description Layout of the Savings Analysis sheet: the header row of the month table, the header
+   *   label and editable goal column of the buckets table below it, and the number of complete
+   *   months the trailing average covers.
+   */
+  const SAVINGS_ANALYSIS = {
+    TABLE_ROW: 5,
+    BUCKET_HEADER: 'Bucket',
+    GOAL_COLUMN: 6,
+    TRAILING_MONTHS: 6
+  };
+  
+  /**
+   * Lists the years that have transactions in monthly aggregates.
+   * @param {Object<string, object>} monthlyData - Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+   * @returns {number[]} The years, ascending.
+   * @private
+   */
+  function getYears(monthlyData) {
+    const years = {};
+    Object.keys(monthlyData).forEach(key => {
+      const year = parseInt(key.split('-')[0], 10);
+      if (!isNaN(year)) years[year] = true;
+    });
+    return Object.keys(years).map(Number).sort((a, b) => a - b);
+  }
+  
+  /**
+   * Reads the year currently chosen in the selector of an existing Yearly Summary sheet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @returns {number|null} The selected year, or null if there is no sheet or selection.
+   * @private
+   */
+  function getSelectedYear(spreadsheet) {
+    const sheet = spreadsheet.getSheetByName(config.getSheetNames().YEARLY_SUMMARY);
+    if (!sheet) return null;
+    const year = parseInt(sheet.getRange(YEARLY_SUMMARY.YEAR_CELL).getValue(), 10);
+    return isNaN(year) ? null : year;
+  }
+  
+  /**
+   * Summarizes one year of monthly aggregates.
+   * Expenses are reported as positive spend, so refunds reduce them; net is income minus
+   * expenses minus savings, as on the Overview.
+   * @param {Object<string, {income: number, expenses: number, savings: number, transactions: Array<Array<*>>}>} monthlyData -
+   *   Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+   * @param {number} year - The year to summarize.
+   * @param {{type: number, category: number, amount: number}} indices - Column indices of the transaction rows.
+   * @returns {object} The summary: `months` (twelve rows with income, `expensesByType`, expenses, savings,
+   *   net and savingsRate), `totals`, `averages` (per month with data), `monthsWithData`,
+   *   `bestMonth`/`worstMonth` by net (null without data) and `topCategories` ranked by spend.
+   * @private
+   */
+  function summarizeYear(monthlyData, year, indices) {
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    const categories = {};
+    const months = [];
+    
+    for (let month = 0; month < 12; month++) {
+      const data = monthlyData[year + '-' + (month + 1)];
+      const expensesByType = {};
+      expenseTypes.forEach(type => { expensesByType[type] = 0; });
+      
+      (data ? data.transactions : []).forEach(row => {
+        const type = row[indices.type];
+        if (expenseTypes.indexOf(type) === -1) return;
+        const spend = -(parseFloat(row[indices.amount]) || 0);
+        const category = row[indices.category] || '(Uncategorized)';
+        const key = type + '|' + category;
+        expensesByType[type] += spend;
+        if (!categories[key]) categories[key] = { category: category, type: type, amount: 0 };
+        categories[key].amount += spend;
+      });
+      
+      const income = data ? data.income : 0;
+      const expenses = data ? -data.expenses : 0;
+      const savings = data ? data.savings : 0;
+      months.push({
+        month: month,
+        label: utils.getMonthName(month),
+        hasData: !!data,
+        income: income,
+        expensesByType: expensesByType,
+        expenses: expenses,
+        savings: savings,
+        net: income - expenses - savings,
+        savingsRate: metricsCalculator.calculateSavingsRate(income, savings)
+      });
+    }
+    
+    const totals = { income: 0, expenses: 0, savings: 0, net: 0, expensesByType: {} };
+    expenseTypes.forEach(type => { totals.expensesByType[type] = 0; });
+    months.forEach(m => {
+      totals.income += m.income;
+      totals.expenses += m.expenses;
+      totals.savings += m.savings;
+      totals.net += m.net;
+      expenseTypes.forEach(type => { totals.expensesByType[type] += m.expensesByType[type]; });
+    });
+    totals.savingsRate = metricsCalculator.calculateSavingsRate(totals.income, totals.savings);
+    
+    const activeMonths = months.filter(m => m.hasData);
+    const divisor = activeMonths.length || 1;
+    const averages = {
+      income: totals.income / divisor,
+      expenses: totals.expenses / divisor,
+      savings: totals.savings / divisor,
+      net: totals.net / divisor,
+      savingsRate: totals.savingsRate,
+      expensesByType: {}
+    };
+    expenseTypes.forEach(type => { averages.expensesByType[type] = totals.expensesByType[type] / divisor; });
+    
+    const byNet = activeMonths.slice().sort((a, b) => b.net - a.net);
+    const topCategories = Object.keys(categories)
+      .map(key => categories[key])
+      .filter(c => c.amount > 0)
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, YEARLY_SUMMARY.TOP_CATEGORIES)
+      .map(c => ({
+        category: c.category,
+        type: c.type,
+        amount: c.amount,
+        share: totals.expenses > 0 ? c.amount / totals.expenses : 0
+      }));
+    
+    return {
+      year: year,
+      months: months,
+      totals: totals,
+      averages: averages,
+      monthsWithData: activeMonths.length,
+      bestMonth: byNet.length > 0 ? byNet[0] : null,
+      worstMonth: byNet.length > 0 ? byNet[byNet.length - 1] : null,
+      topCategories: topCategories
+    };
+  }
+  
+  /**
+   * Builds one row of the month table.
+   * @param {string} label - The row label.
+   * @param {{income: number, expensesByType: Object<string, number>, expenses: number, savings: number, net: number, savingsRate: number}} values -
+   *   A month, the totals or the averages of a summary.
+   * @returns {Array<*>} The row values.
+   * @private
+   */
+  function buildTableRow(label, values) {
+    const byType = config.getSection('EXPENSE_TYPES').map(type => values.expensesByType[type]);
+    return [label, values.income]
+      .concat(byType)
+      .concat([values.expenses, values.savings, values.net, values.savingsRate]);
+  }
+  
+  /**
+   * Writes a year summary to the Yearly Summary sheet: the year selector, the month table with
+   * totals and averages, the best and worst months, the top categories and the charts.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @param {object} summary - The summary (see `summarizeYear`).
+   * @param {number[]} years - The years offered by the selector.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet.
+   * @private
+   */
+  function writeYearlySummary(spreadsheet, summary, years) {
+    const sheet = utils.getOrCreateSheet(spreadsheet, config.getSheetNames().YEARLY_SUMMARY);
+    sheet.clear();
+    sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+    
+    const colors = config.getSection('COLORS');
+    const currencyFormat = config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT;
+    const headers = ['Month', 'Income']
+      .concat(config.getSection('EXPENSE_TYPES'))
+      .concat(['Total Expenses', 'Savings', 'Net', 'Savings Rate']);
+    const columns = headers.length;
+    
+    // Title and year selector
+    sheet.getRange(1, 1).setValue('Yearly Summary - ' + summary.year);
+    sheet.getRange(1, 1, 1, columns).merge().setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1).setValue('Year').setFontWeight('bold');
+    sheet.getRange(YEARLY_SUMMARY.YEAR_CELL)
+      .setDataValidation(SpreadsheetApp.newDataValidation()
+        .requireValueInList(years.map(String), true)
+        .setAllowInvalid(false)
+        .build())
+      .setValue(String(summary.year))
+      .setNote('Choose a year to rebuild the summary');
+    
+    // Month table
+    const tableRow = YEARLY_SUMMARY.TABLE_ROW;
+    const rows = [headers]
+      .concat(summary.months.map(m => buildTableRow(m.label, m)))
+      .concat([buildTableRow('Total', summary.totals), buildTableRow('Average', summary.averages)]);
+    sheet.getRange(tableRow, 1, rows.length, columns).setValues(rows);
+    sheet.getRange(tableRow, 1, 1, columns)
+      .setFontWeight('bold')
+      .setBackground(colors.UI.HEADER_BG)
+      .setFontColor(colors.UI.HEADER_FONT);
+    utils.formatAsCurrency(sheet.getRange(tableRow + 1, 2, rows.length - 1, columns - 2), currencyFormat);
+    utils.formatAsPercentage(sheet.getRange(tableRow + 1, columns, rows.length - 1, 1), 1);
+    const totalRow = tableRow + 13;
+    sheet.getRange(totalRow, 1, 1, columns).setBackground('#D9D9D9').setFontWeight('bold');
+    sheet.getRange(totalRow + 1, 1, 1, columns).setBackground('#F3F3F3').setFontWeight('bold');
+    
+    // Best and worst months
+    let row = totalRow + 3;
+    sheet.getRange(row, 1).setValue('Highlights').setFontWeight('bold').setFontSize(12);
+    const highlights = [
+      ['Best Month (Net)', summary.bestMonth ? summary.bestMonth.label : '-', summary.bestMonth ? summary.bestMonth.net : ''],
+      ['Worst Month (Net)', summary.worstMonth ? summary.worstMonth.label : '-', summary.worstMonth ? summary.worstMonth.net : ''],
+      ['Months with Data', summary.monthsWithData, '']
+    ];
+    sheet.getRange(row + 1, 1, highlights.length, 3).setValues(highlights);
+    sheet.getRange(row + 1, 1, highlights.length, 1).setFontWeight('bold');
+    utils.formatAsCurrency(sheet.getRange(row + 1, 3, 2, 1), currencyFormat);
+    
+    // Top categories
+    row += highlights.length + 2;
+    sheet.getRange(row, 1).setValue('Top ' + YEARLY_SUMMARY.TOP_CATEGORIES + ' Categories by Spend')
+      .setFontWeight('bold').setFontSize(12);
+    const categoryRows = [['Rank', 'Category', 'Type', 'Amount', '% of Expenses']]
+      .concat(summary.topCategories.map((c, i) => [i + 1, c.category, c.type, c.amount, c.share]));
+    sheet.getRange(row + 1, 1, categoryRows.length, 5).setValues(categoryRows);
+    sheet.getRange(row + 1, 1, 1, 5).setFontWeight('bold').setBackground('#D9EAD3');
+    if (categoryRows.length > 1) {
+      utils.formatAsCurrency(sheet.getRange(row + 2, 4, categoryRows.length - 1, 1), currencyFormat);
+      utils.formatAsPercentage(sheet.getRange(row + 2, 5, categoryRows.length - 1, 1), 1);
+    }
+    
+    addYearlySummaryCharts(sheet, summary.year, columns);
+    sheet.autoResizeColumns(1, columns);
+    return sheet;
+  }
+  
+  /**
+   * Adds the income-vs-expenses column chart and the savings rate line chart,
+   * both reading the twelve month rows of the table.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The report sheet.
+   * @param {number} year - The summarized year, used in the chart titles.
+   * @param {number} columns - The number of table columns; the savings rate is the last.
+   * @private
+   */
+  function addYearlySummaryCharts(sheet, year, columns) {
+    const chartColors = config.getSection('COLORS').CHART;
+    const tableRow = YEARLY_SUMMARY.TABLE_ROW;
+    const monthRange = sheet.getRange(tableRow, 1, 13, 1);
+    
+    const incomeExpenseChart = sheet.newChart()
+      .setChartType(Charts.ChartType.COLUMN)
+      .addRange(monthRange)
+      .addRange(sheet.getRange(tableRow, 2, 13, 1))
+      .addRange(sheet.getRange(tableRow, columns - 3, 13, 1))
+      .setNumHeaders(1)
+      .setPosition(tableRow, YEARLY_SUMMARY.CHART_COLUMN, 0, 0)
+      .setOption('title', 'Income vs Expenses ' + year)
+      .setOption('colors', [chartColors.SERIES[3], chartColors.SERIES[0]])
+      .setOption('width', 600)
+      .setOption('height', 300)
+      .build();
+    sheet.insertChart(incomeExpenseChart);
+    
+    const savingsRateChart = sheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(monthRange)
+      .addRange(sheet.getRange(tableRow, columns, 13, 1))
+      .setNumHeaders(1)
+      .setPosition(tableRow + 16, YEARLY_SUMMARY.CHART_COLUMN, 0, 0)
+      .setOption('title', 'Savings Rate ' + year)
+      .setOption('colors', [chartColors.SERIES[2]])
+      .setOption('vAxis.format', 'percent')
+      .setOption('legend', { position: 'none' })
+      .setOption('width', 600)
+      .setOption('height', 300)
+      .build();
+    sheet.insertChart(savingsRateChart);
+  }
+  
+  /**
+   * Generates the Yearly Summary sheet from the Transactions data.
+   * @param {number} [year] - The year to summarize; defaults to the year chosen in the sheet's
+   *   selector, else the current year, else the latest year with transactions.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet.
+   * @throws {Error} If the Transactions sheet or its required columns are missing.
+   * @private
+   */
+  function createYearlySummary(year) {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const transactionSheet = spreadsheet.getSheetByName(config.getSheetNames().TRANSACTIONS);
+    if (!transactionSheet) {
+      throw errorService.create("Could not find 'Transactions' sheet", { severity: "high" });
+    }
+    
+    const data = transactionSheet.getDataRange().getValues();
+    const indices = dataProcessor.getColumnIndices(data[0]);
+    const processor = dataProcessor.create(data, indices);
+    processor.validateStructure();
+    
+    const monthlyData = processor.aggregateByMonth();
+    const years = getYears(monthlyData);
+    const currentYear = new Date().getFullYear();
+    let selectedYear = year || getSelectedYear(spreadsheet);
+    if (!selectedYear) {
+      selectedYear = years.indexOf(currentYear) !== -1 || years.length === 0 ? currentYear : years[years.length - 1];
+    }
+    if (years.indexOf(selectedYear) === -1) {
+      years.push(selectedYear);
+      years.sort((a, b) => a - b);
+    }
+    
+    return writeYearlySummary(spreadsheet, summarizeYear(monthlyData, selectedYear, indices), years);
+  }
+  
+  /**
+   * Coerces a selector cell value to a date.
+   * @param {*} value - A Date or a date string.
+   * @returns {Date|null} The date, or null if the value is empty or not a date.
+   * @private
+   */
+  function toDate(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  
+  /**
+   * Ranks the children of a Type (its categories) or of a Category (its sub-categories) by
+   * spend within a date range. Spend is the negated amount, or the amount itself for income.
+   * Rows marked as duplicates are skipped.
+   * @param {Array<Array<*>>} rows - Transaction rows without the header.
+   * @param {{type: string, category: (string|null), from: Date, to: Date}} selection - The parent and the
+   *   inclusive date range; without a category the Type is the parent.
+   * @param {{type: number, category: number, subcategory: number, date: number, amount: number,
+   *   description: number, merchant: number, duplicateOf: number}} indices - Column indices of the rows.
+   * @returns {{total: number, count: number, months: Date[], items: Array<{name: string, value: string,
+   *   amount: number, count: number, average: number, share: number, monthly: number[],
+   *   largest: Array<{date: Date, description: string, amount: number}>}>}} The parent total and count,
+   *   the first day of each month in the range, and the children ranked by spend. `value` is the
+   *   cell value the child is matched on ("" for rows without a (sub-)category) and `monthly` holds
+   *   one total per month of `months`.
+   * @private
+   */
+  function breakdownCategories(rows, selection, indices) {
+    const sign = selection.type === config.getSection('TRANSACTION_TYPES').INCOME ? 1 : -1;
+    const groupIndex = selection.category ? indices.subcategory : indices.category;
+    const from = selection.from;
+    const to = new Date(selection.to.getFullYear(), selection.to.getMonth(), selection.to.getDate(), 23, 59, 59, 999);
+    
+    const months = [];
+    for (let month = new Date(from.getFullYear(), from.getMonth(), 1); month <= to;
+      month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+      months.push(month);
+    }
+    
+    const groups = {};
+    let total = 0;
+    let count = 0;
+    rows.forEach(row => {
+      if (indices.duplicateOf >= 0 && row[indices.duplicateOf] !== '') return;
+      if (row[indices.type] !== selection.type) return;
+      if (selection.category && row[indices.category] !== selection.category) return;
+      const date = toDate(row[indices.date]);
+      if (!date || date < from || date > to) return;
+      
+      const value = row[groupIndex] || '';
+      const amount = sign * (parseFloat(row[indices.amount]) || 0);
+      if (!groups[value]) {
+        groups[value] = { value: value, amount: 0, count: 0, monthly: months.map(() => 0), transactions: [] };
+      }
+      const group = groups[value];
+      group.amount += amount;
+      group.count++;
+      group.monthly[(date.getFullYear() - from.getFullYear()) * 12 + date.getMonth() - from.getMonth()] += amount;
+      group.transactions.push({
+        date: date,
+        description: (indices.description >= 0 && row[indices.description]) ||
+          (indices.merchant >= 0 && row[indices.merchant]) || '',
+        amount: amount
+      });
+      total += amount;
+      count++;
+    });
+    
+    const items = Object.keys(groups)
+      .map(key => groups[key])
+      .sort((a, b) => b.amount - a.amount)
+      .map(group => ({
+        name: group.value || CATEGORY_BREAKDOWN.NO_CATEGORY,
+        value: group.value,
+        amount: group.amount,
+        count: group.count,
+        average: group.amount / group.count,
+        share: total !== 0 ? group.amount / total : 0,
+        monthly: group.monthly,
+        largest: group.transactions
+          .sort((a, b) => b.amount - a.amount)
+          .slice(0, CATEGORY_BREAKDOWN.LARGEST_TRANSACTIONS)
+      }));
+    
+    return { total: total, count: count, months: months, items: items };
+  }
+  
+  /**
+   * Builds the FILTER formula listing the Transactions rows behind one breakdown row.
+   * @param {string} transactionSheetName - The name of the Transactions sheet.
+   * @param {number} lastColumn - The last column (1-based) of the Transactions sheet.
+   * @param {object} indices - Column indices of the Transactions sheet (see `breakdownCategories`).
+   * @param {{type: string, category: (string|null), from: Date, to: Date}} selection - The breakdown selection.
+   * @param {string} value - The category or sub-category value of the row ("" for none).
+   * @returns {string} The formula.
+   * @private
+   */
+  function buildDrillDownFormula(transactionSheetName, lastColumn, indices, selection, value) {
+    const sheetName = "'" + transactionSheetName.replace(/'/g, "''") + "'!";
+    const column = index => {
+      const letter = utils.columnToLetter(index + 1);
+      return sheetName + letter + '2:' + letter;
+    };
+    const text = v => '"' + String(v).replace(/"/g, '""') + '"';
+    const to = selection.to;
+    const conditions = [
+      column(indices.type) + '=' + text(selection.type),
+      column(selection.category ? indices.subcategory : indices.category) + '=' + text(value),
+      column(indices.date) + '>=DATE(' + selection.from.getFullYear() + ',' + (selection.from.getMonth() + 1) + ',' + selection.from.getDate() + ')',
+      column(indices.date) + '<DATE(' + to.getFullYear() + ',' + (to.getMonth() + 1) + ',' + (to.getDate() + 1) + ')'
+    ];
+    if (selection.category) {
+      conditions.splice(1, 0, column(indices.category) + '=' + text(selection.category));
+    }
+    if (indices.duplicateOf >= 0) {
+      conditions.push(column(indices.duplicateOf) + '=""');
+    }
+    return '=IFERROR(FILTER(' + sheetName + 'A2:' + utils.columnToLetter(lastColumn) + ',' +
+      conditions.join(',') + '),"No matching transactions")';
   }
   
   /**
-   * Placeholder function for generating a category breakdown report.
-   * Displays a "Coming Soon!" message.
-   * @todo Implement the actual logic for category breakdown report generation.
+   * Reads the current selection from an existing Category Breakdown sheet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @returns {{type: string, category: string, from: (Date|null), to: (Date|null)}} The selector values;
+   *   empty when there is no sheet yet.
    * @private
    */
-  function createCategoryBreakdown() {
-    // TODO: Implement category breakdown report
-    uiService.showInfoAlert('Category Breakdown', 'Coming Soon!');
+  function getBreakdownSelection(spreadsheet) {
+    const sheet = spreadsheet.getSheetByName(config.getSheetNames().CATEGORY_BREAKDOWN);
+    if (!sheet) return { type: '', category: '', from: null, to: null };
+    const values = sheet.getRange(CATEGORY_BREAKDOWN.TYPE_CELL + ':' + CATEGORY_BREAKDOWN.TO_CELL).getValues();
+    return { type: values[0][0], category: values[1][0], from: toDate(values[2][0]), to: toDate(values[3][0]) };
   }
   
   /**
-   * Placeholder function for generating a savings analysis report.
-   * Displays a "Coming Soon!" message.
-   * @todo Implement the actual logic for savings analysis report generation.
+   * Writes the drill-down sheet: one block per breakdown row, each a FILTER over the Transactions
+   * sheet, sized for the rows matched when the report was built.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @param {object} breakdown - The breakdown (see `breakdownCategories`).
+   * @param {object} selection - The breakdown selection.
+   * @param {Array<string>} headers - The Transactions header row.
+   * @param {object} indices - Column indices of the Transactions sheet.
+   * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, rows: number[]}} The sheet and the first row of each block.
+   * @private
+   */
+  function writeBreakdownDrillDown(spreadsheet, breakdown, selection, headers, indices) {
+    const sheetNames = config.getSheetNames();
+    const sheet = utils.getOrCreateSheet(spreadsheet, sheetNames.CATEGORY_BREAKDOWN_DETAILS);
+    sheet.clear();
+    
+    const rows = [];
+    let row = 1;
+    breakdown.items.forEach(item => {
+      rows.push(row);
+      sheet.getRange(row, 1).setValue(item.name + ' (' + item.count + ' transactions)')
+        .setFontWeight('bold').setFontSize(12);
+      sheet.getRange(row + 1, 1, 1, headers.length).setValues([headers])
+        .setFontWeight('bold').setBackground('#D9EAD3');
+      sheet.getRange(row + 2, 1).setFormula(
+        buildDrillDownFormula(sheetNames.TRANSACTIONS, headers.length, indices, selection, item.value)
+      );
+      row += item.count + 4;
+    });
+    if (indices.date >= 0 && row > 1) {
+      sheet.getRange(1, indices.date + 1, row - 1, 1).setNumberFormat(config.getLocale().DATE_FORMAT);
+    }
+    return { sheet: sheet, rows: rows };
+  }
+  
+  /**
+   * Writes the Category Breakdown sheet: the selectors, the parent total and the ranking table with
+   * sparklines, the largest transactions and links to the drill-down blocks.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @param {object} breakdown - The breakdown (see `breakdownCategories`).
+   * @param {object} selection - The breakdown selection.
+   * @param {string[]} categories - The categories of the selected type, offered by the category selector.
+   * @param {{sheet: GoogleAppsScript.Spreadsheet.Sheet, rows: number[]}} drillDown - The drill-down sheet and block rows.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet.
+   * @private
+   */
+  function writeCategoryBreakdown(spreadsheet, breakdown, selection, categories, drillDown) {
+    const sheet = utils.getOrCreateSheet(spreadsheet, config.getSheetNames().CATEGORY_BREAKDOWN);
+    sheet.clear();
+    
+    const colors = config.getSection('COLORS');
+    const locale = config.getLocale();
+    const parent = selection.category || selection.type;
+    const headers = ['Rank', selection.category ? 'Sub-Category' : 'Category', 'Amount', 'Count', 'Avg Ticket',
+      'Share of ' + parent, 'Monthly Trend', 'Largest Transactions', 'Transactions'];
+    const columns = headers.length;
+    const dropdown = options => SpreadsheetApp.newDataValidation()
+      .requireValueInList(options, true)
+      .setAllowInvalid(false)
+      .build();
+    
+    // Title, selectors and parent total
+    sheet.getRange(1, 1).setValue('Category Breakdown - ' + (selection.category ? selection.type + ' / ' + parent : parent));
+    sheet.getRange(1, 1, 1, columns).merge().setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1, 4, 1).setValues([['Type'], ['Category'], ['From'], ['To']]).setFontWeight('bold');
+    sheet.getRange(CATEGORY_BREAKDOWN.TYPE_CELL)
+      .setDataValidation(dropdown(config.getSection('TYPE_ORDER')))
+      .setValue(selection.type);
+    sheet.getRange(CATEGORY_BREAKDOWN.CATEGORY_CELL)
+      .setDataValidation(dropdown([CATEGORY_BREAKDOWN.ALL_CATEGORIES].concat(categories)))
+      .setValue(selection.category || CATEGORY_BREAKDOWN.ALL_CATEGORIES)
+      .setNote('Choose a category to rank its sub-categories, or ' + CATEGORY_BREAKDOWN.ALL_CATEGORIES +
+        ' to rank the categories of the type');
+    sheet.getRange(CATEGORY_BREAKDOWN.FROM_CELL + ':' + CATEGORY_BREAKDOWN.TO_CELL)
+      .setDataValidation(SpreadsheetApp.newDataValidation().requireDate().setAllowInvalid(false).build())
+      .setValues([[selection.from], [selection.to]])
+      .setNumberFormat(locale.DATE_FORMAT);
+    sheet.getRange(2, 4, 2, 2).setValues([['Total', breakdown.total], ['Transactions', breakdown.count]]);
+    sheet.getRange(2, 4, 2, 1).setFontWeight('bold');
+    utils.formatAsCurrency(sheet.getRange(2, 5), locale.NUMBER_FORMATS.CURRENCY_DEFAULT);
+    
+    // Ranking table
+    const tableRow = CATEGORY_BREAKDOWN.TABLE_ROW;
+    const timeZone = Session.getScriptTimeZone();
+    const gid = drillDown.sheet.getSheetId();
+    const rows = breakdown.items.map((item, i) => [
+      i + 1,
+      item.name,
+      item.amount,
+      item.count,
+      item.average,
+      item.share,
+      '=SPARKLINE({' + item.monthly.map(v => Math.round(v * 100) / 100).join(',') + '},{"charttype","column";"color","' +
+        colors.CHART.SERIES[2] + '"})',
+      item.largest.map(t => Utilities.formatDate(t.date, timeZone, locale.DATE_FORMAT) + '  ' +
+        t.description + '  ' + t.amount.toFixed(2)).join('\n'),
+      '=HYPERLINK("#gid=' + gid + '&range=A' + drillDown.rows[i] + '","View transactions (' + item.count + ')")'
+    ]);
+    sheet.getRange(tableRow, 1, 1, columns).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground(colors.UI.HEADER_BG)
+      .setFontColor(colors.UI.HEADER_FONT);
+    if (rows.length === 0) {
+      sheet.getRange(tableRow + 1, 1).setValue('No transactions match this selection.');
+    } else {
+      sheet.getRange(tableRow + 1, 1, rows.length, columns).setValues(rows).setVerticalAlignment('top');
+      utils.formatAsCurrency(sheet.getRange(tableRow + 1, 3, rows.length, 1), locale.NUMBER_FORMATS.CURRENCY_DEFAULT);
+      utils.formatAsCurrency(sheet.getRange(tableRow + 1, 5, rows.length, 1), locale.NUMBER_FORMATS.CURRENCY_DEFAULT);
+      utils.formatAsPercentage(sheet.getRange(tableRow + 1, 6, rows.length, 1), 1);
+      sheet.getRange(tableRow + 1, 8, rows.length, 1).setWrap(true);
+    }
+    
+    sheet.autoResizeColumns(1, 6);
+    sheet.setColumnWidth(7, 160);
+    sheet.setColumnWidth(8, 360);
+    sheet.setColumnWidth(9, 160);
+    return sheet;
+  }
+  
+  /**
+   * Generates the Category Breakdown sheet and its drill-down sheet from the Transactions data.
+   * The selection comes from the sheet's selectors; the first time it defaults to the first
+   * expense type, all categories and the current year to date.
+   * @param {{resetCategory: boolean}} [options] - `resetCategory` clears the category selection,
+   *   used when the type changes.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet.
+   * @throws {Error} If the Transactions sheet or its required columns are missing, or the date range is reversed.
+   * @private
+   */
+  function createCategoryBreakdown(options) {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const transactionSheet = spreadsheet.getSheetByName(config.getSheetNames().TRANSACTIONS);
+    if (!transactionSheet) {
+      throw errorService.create("Could not find 'Transactions' sheet", { severity: "high" });
+    }
+    
+    const data = transactionSheet.getDataRange().getValues();
+    const indices = dataProcessor.getColumnIndices(data[0]);
+    dataProcessor.create(data, indices).validateStructure();
+    
+    const saved = getBreakdownSelection(spreadsheet);
+    const today = new Date();
+    const type = config.getSection('TYPE_ORDER').indexOf(saved.type) !== -1
+      ? saved.type
+      : config.getSection('EXPENSE_TYPES')[0];
+    const categories = {};
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][indices.type] === type && data[i][indices.category]) categories[data[i][indices.category]] = true;
+    }
+    const categoryNames = Object.keys(categories).sort();
+    const keepCategory = !(options && options.resetCategory) && categoryNames.indexOf(saved.category) !== -1;
+    
+    const selection = {
+      type: type,
+      category: keepCategory ? saved.category : null,
+      from: saved.from || new Date(today.getFullYear(), 0, 1),
+      to: saved.to || new Date(today.getFullYear(), today.getMonth(), today.getDate())
+    };
+    if (selection.from > selection.to) {
+      throw errorService.create('The "From" date must be on or before the "To" date', { severity: 'low' });
+    }
+    
+    const breakdown = breakdownCategories(data.slice(1), selection, indices);
+    const drillDown = writeBreakdownDrillDown(spreadsheet, breakdown, selection, data[0], indices);
+    return writeCategoryBreakdown(spreadsheet, breakdown, selection, categoryNames, drillDown);
+  }
+  
+  /**
+   * Summarizes savings for the months of a period: the amount and rate saved each month against
+   * the target rate, cumulative savings, streaks of hitting or missing the target and the savings
+   * buckets (category, or "Category / Sub-Category") with a projection towards their goals.
+   * Savings are the negated amounts of Savings rows, so withdrawals reduce them. Months after
+   * `today` are left out; the month of `today` is shown but, being incomplete, does not count
+   * towards streaks or the trailing average.
+   * @param {Object<string, {income: number, transactions: Array<Array<*>>}>} monthlyData -
+   *   Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+   * @param {Date[]} months - The first day of each month of the period.
+   * @param {{type: number, category: number, subcategory: number, amount: number}} indices - Column indices of the transaction rows.
+   * @param {{targetRate: number, goals: Object<string, number>, trailingMonths: number, today: Date}} options -
+   *   The target savings rate, the goal of each bucket, the number of complete months the trailing
+   *   average covers and the reference date.
+   * @returns {{months: Array<{date: Date, label: string, partial: boolean, income: number, savings: number,
+   *   rate: number, targetAmount: number, gap: number, hit: (boolean|null), cumulative: number}>,
+   *   totals: {income: number, savings: number, rate: number, targetAmount: number, gap: number},
+   *   streaks: {current: {hit: (boolean|null), length: number}, longestHit: number, longestMiss: number},
+   *   trailingAverage: number, buckets: Array<{name: string, saved: number, periodSaved: number, share: number,
+   *   monthlyAverage: number, goal: number, remaining: number, monthsToGoal: (number|null),
+   *   goalDate: (Date|null), status: string}>}} The summary. `hit` is null for months without income or
+   *   savings; `gap` is savings minus the target amount. Buckets are ranked by all-time savings.
+   * @private
+   */
+  function summarizeSavings(monthlyData, months, indices, options) {
+    const savingsType = config.getSection('TRANSACTION_TYPES').SAVINGS;
+    const today = options.today;
+    const currentMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    const trailingStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth() - options.trailingMonths, 1);
+    const periodStart = months[0];
+    const periodEnd = new Date(months[months.length - 1].getFullYear(), months[months.length - 1].getMonth() + 1, 1);
+    const goals = options.goals || {};
+    
+    // Savings per month and per bucket
+    const savingsByMonth = {};
+    const buckets = {};
+    const getBucket = name => {
+      if (!buckets[name]) buckets[name] = { name: name, saved: 0, periodSaved: 0, trailing: 0 };
+      return buckets[name];
+    };
+    Object.keys(goals).forEach(getBucket);
+    Object.keys(monthlyData).forEach(key => {
+      const parts = key.split('-');
+      const month = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, 1);
+      if (isNaN(month.getTime()) || month > currentMonth) return;
+      
+      monthlyData[key].transactions.forEach(row => {
+        if (row[indices.type] !== savingsType) return;
+        const amount = -(parseFloat(row[indices.amount]) || 0);
+        const category = row[indices.category] || '(Uncategorized)';
+        const subcategory = indices.subcategory >= 0 ? row[indices.subcategory] : '';
+        const bucket = getBucket(subcategory ? category + ' / ' + subcategory : category);
+        bucket.saved += amount;
+        if (month >= periodStart && month < periodEnd) bucket.periodSaved += amount;
+        if (month >= trailingStart && month < currentMonth) bucket.trailing += amount;
+        savingsByMonth[key] = (savingsByMonth[key] || 0) + amount;
+      });
+    });
+    
+    // Month table
+    let cumulative = 0;
+    const rows = months.filter(month => month <= currentMonth).map(month => {
+      const key = month.getFullYear() + '-' + (month.getMonth() + 1);
+      const income = monthlyData[key] ? monthlyData[key].income : 0;
+      const savings = savingsByMonth[key] || 0;
+      const rate = metricsCalculator.calculateSavingsRate(income, savings);
+      const targetAmount = Math.max(income, 0) * options.targetRate;
+      cumulative += savings;
+      return {
+        date: month,
+        label: utils.getMonthName(month.getMonth()) + ' ' + month.getFullYear(),
+        partial: month.getTime() === currentMonth.getTime(),
+        income: income,
+        savings: savings,
+        rate: rate,
+        targetAmount: targetAmount,
+        gap: savings - targetAmount,
+        hit: income === 0 && savings === 0 ? null : income > 0 && rate >= options.targetRate,
+        cumulative: cumulative
+      };
+    });
+    
+    const totals = { income: 0, savings: 0, targetAmount: 0 };
+    rows.forEach(m => {
+      totals.income += m.income;
+      totals.savings += m.savings;
+      totals.targetAmount += m.targetAmount;
+    });
+    totals.rate = metricsCalculator.calculateSavingsRate(totals.income, totals.savings);
+    totals.gap = totals.savings - totals.targetAmount;
+    
+    // Streaks over complete months with activity
+    const streaks = { current: { hit: null, length: 0 }, longestHit: 0, longestMiss: 0 };
+    rows.filter(m => !m.partial && m.hit !== null).forEach(m => {
+      if (streaks.current.hit === m.hit) {
+        streaks.current.length++;
+      } else {
+        streaks.current = { hit: m.hit, length: 1 };
+      }
+      if (m.hit) {
+        streaks.longestHit = Math.max(streaks.longestHit, streaks.current.length);
+      } else {
+        streaks.longestMiss = Math.max(streaks.longestMiss, streaks.current.length);
+      }
+    });
+    
+    // Buckets and time to goal
+    const names = Object.keys(buckets);
+    const totalSaved = names.reduce((sum, name) => sum + Math.max(buckets[name].saved, 0), 0);
+    const bucketRows = names
+      .map(name => buckets[name])
+      .sort((a, b) => b.saved - a.saved)
+      .map(bucket => {
+        const goal = goals[bucket.name] || 0;
+        const monthlyAverage = bucket.trailing / options.trailingMonths;
+        const remaining = Math.max(goal - bucket.saved, 0);
+        let monthsToGoal = null;
+        let status = 'No goal';
+        if (goal > 0 && remaining === 0) {
+          monthsToGoal = 0;
+          status = 'Reached';
+        } else if (goal > 0 && monthlyAverage > 0) {
+          monthsToGoal = Math.ceil(remaining / monthlyAverage);
+          status = 'In progress';
+        } else if (goal > 0) {
+          status = 'Stalled';
+        }
+        return {
+          name: bucket.name,
+          saved: bucket.saved,
+          periodSaved: bucket.periodSaved,
+          share: totalSaved > 0 ? Math.max(bucket.saved, 0) / totalSaved : 0,
+          monthlyAverage: monthlyAverage,
+          goal: goal,
+          remaining: remaining,
+          monthsToGoal: monthsToGoal,
+          goalDate: monthsToGoal ? new Date(currentMonth.getFullYear(), currentMonth.getMonth() + monthsToGoal, 1) : null,
+          status: status
+        };
+      });
+    
+    return {
+      months: rows,
+      totals: totals,
+      streaks: streaks,
+      trailingAverage: bucketRows.reduce((sum, b) => sum + b.monthlyAverage, 0),
+      buckets: bucketRows
+    };
+  }
+  
+  /**
+   * Describes a streak, e.g. "3 months meeting the target".
+   * @param {number} length - The streak length in months.
+   * @param {boolean} hit - Whether the streak is of months meeting the target.
+   * @returns {string} The description.
+   * @private
+   */
+  function describeStreak(length, hit) {
+    return length + (length === 1 ? ' month ' : ' months ') + (hit ? 'meeting' : 'missing') + ' the target';
+  }
+  
+  /**
+   * Writes the Savings Analysis sheet: the target and streaks, the month table with totals and
+   * the savings buckets with their goals and projections.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @param {object} summary - The summary (see `summarizeSavings`).
+   * @param {{label: string}} period - The analysed period.
+   * @param {number} targetRate - The target savings rate.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet.
+   * @private
+   */
+  function writeSavingsAnalysis(spreadsheet, summary, period, targetRate) {
+    const sheet = utils.getOrCreateSheet(spreadsheet, config.getSheetNames().SAVINGS_ANALYSIS);
+    sheet.clear();
+    
+    const colors = config.getSection('COLORS');
+    const locale = config.getLocale();
+    const currencyFormat = locale.NUMBER_FORMATS.CURRENCY_DEFAULT;
+    const columns = 10;
+    const styleHeader = range => range
+      .setFontWeight('bold')
+      .setBackground(colors.UI.HEADER_BG)
+      .setFontColor(colors.UI.HEADER_FONT);
+    
+    // Title, target and streaks
+    const streaks = summary.streaks;
+    sheet.getRange(1, 1).setValue('Savings Analysis - ' + period.label);
+    sheet.getRange(1, 1, 1, columns).merge().setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1, 2, 4).setValues([
+      ['Target Savings Rate', targetRate, 'Trailing Average / Month', summary.trailingAverage],
+      ['Current Streak', streaks.current.length > 0 ? describeStreak(streaks.current.length, streaks.current.hit) : '-',
+        'Longest Streaks', 'Met ' + streaks.longestHit + ', missed ' + streaks.longestMiss]
+    ]);
+    sheet.getRange(2, 1, 2, 1).setFontWeight('bold');
+    sheet.getRange(2, 3, 2, 1).setFontWeight('bold');
+    utils.formatAsPercentage(sheet.getRange(2, 2), 0);
+    utils.formatAsCurrency(sheet.getRange(2, 4), currencyFormat);
+    sheet.getRange(2, 3).setNote('Average monthly savings over the last ' + SAVINGS_ANALYSIS.TRAILING_MONTHS +
+      ' complete months, used to project the time to each goal');
+    
+    // Month table
+    const tableRow = SAVINGS_ANALYSIS.TABLE_ROW;
+    const monthHeaders = ['Month', 'Income', 'Savings', 'Savings Rate', 'Target', 'Gap', 'Target Met', 'Cumulative Savings'];
+    const metLabel = m => m.partial ? 'In progress' : m.hit === null ? '-' : m.hit ? 'Yes' : 'No';
+    const monthRows = summary.months.map(m => [
+      m.partial ? m.label + ' (to date)' : m.label, m.income, m.savings, m.rate, m.targetAmount, m.gap, metLabel(m), m.cumulative
+    ]);
+    const t = summary.totals;
+    monthRows.push(['Total', t.income, t.savings, t.rate, t.targetAmount, t.gap, '', t.savings]);
+    styleHeader(sheet.getRange(tableRow, 1, 1, monthHeaders.length).setValues([monthHeaders]));
+    sheet.getRange(tableRow + 1, 1, monthRows.length, monthHeaders.length).setValues(monthRows);
+    [2, 3, 5, 6, 8].forEach(column => {
+      utils.formatAsCurrency(sheet.getRange(tableRow + 1, column, monthRows.length, 1), currencyFormat);
+    });
+    utils.formatAsPercentage(sheet.getRange(tableRow + 1, 4, monthRows.length, 1), 1);
+    sheet.getRange(tableRow + 1, 7, monthRows.length, 1).setFontColors(monthRows.map(r => [
+      r[6] === 'Yes' ? colors.UI.INCOME_FONT : r[6] === 'No' ? colors.UI.EXPENSE_FONT : colors.UI.NEUTRAL_FONT
+    ]));
+    sheet.getRange(tableRow + monthRows.length, 1, 1, monthHeaders.length).setBackground('#D9D9D9').setFontWeight('bold');
+    
+    // Savings buckets
+    const bucketRow = tableRow + monthRows.length + 2;
+    const bucketHeaders = [SAVINGS_ANALYSIS.BUCKET_HEADER, 'Saved (All Time)', 'Saved (' + period.label + ')', 'Share',
+      'Avg / Month', 'Goal', 'Remaining', 'Months to Goal', 'Projected Date', 'Status'];
+    sheet.getRange(bucketRow, 1).setValue('Savings Buckets').setFontWeight('bold').setFontSize(12);
+    styleHeader(sheet.getRange(bucketRow + 1, 1, 1, bucketHeaders.length).setValues([bucketHeaders]));
+    sheet.getRange(bucketRow + 1, SAVINGS_ANALYSIS.GOAL_COLUMN)
+      .setNote('Enter a goal amount for a bucket to project when it will be reached at the trailing average');
+    if (summary.buckets.length === 0) {
+      sheet.getRange(bucketRow + 2, 1).setValue('No savings transactions yet.');
+    } else {
+      const rows = summary.buckets.map(b => [
+        b.name, b.saved, b.periodSaved, b.share, b.monthlyAverage, b.goal || '', b.goal ? b.remaining : '',
+        b.monthsToGoal === null ? '' : b.monthsToGoal, b.goalDate || '', b.status
+      ]);
+      sheet.getRange(bucketRow + 2, 1, rows.length, bucketHeaders.length).setValues(rows);
+      [2, 3, 5, 6, 7].forEach(column => {
+        utils.formatAsCurrency(sheet.getRange(bucketRow + 2, column, rows.length, 1), currencyFormat);
+      });
+      utils.formatAsPercentage(sheet.getRange(bucketRow + 2, 4, rows.length, 1), 1);
+      sheet.getRange(bucketRow + 2, 9, rows.length, 1).setNumberFormat('mmm yyyy');
+      sheet.getRange(bucketRow + 2, SAVINGS_ANALYSIS.GOAL_COLUMN, rows.length, 1)
+        .setBackground('#FFF2CC')
+        .setDataValidation(SpreadsheetApp.newDataValidation().requireNumberGreaterThanOrEqualTo(0).setAllowInvalid(false).build());
+    }
+    
+    sheet.autoResizeColumns(1, columns);
+    return sheet;
+  }
+  
+  /**
+   * Generates the Savings Analysis sheet from the Transactions data for the Overview's period.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet.
+   * @throws {Error} If the Transactions sheet or its required columns are missing.
    * @private
    */
   function createSavingsAnalysis() {
-    // TODO: Implement savings analysis report
-    uiService.showInfoAlert('Savings Analysis', 'Coming Soon!');
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const transactionSheet = spreadsheet.getSheetByName(config.getSheetNames().TRANSACTIONS);
+    if (!transactionSheet) {
+      throw errorService.create("Could not find 'Transactions' sheet", { severity: "high" });
+    }
+    
+    const data = transactionSheet.getDataRange().getValues();
+    const indices = dataProcessor.getColumnIndices(data[0]);
+    const processor = dataProcessor.create(data, indices);
+    processor.validateStructure();
+    
+    const period = periodService.getCurrent();
+    const targetRate = config.getTargetRates().SAVINGS;
+    const summary = summarizeSavings(processor.aggregateByMonth(), period.months, indices, {
+      targetRate: targetRate,
+      goals: settingsService.getSavingsGoals(),
+      trailingMonths: SAVINGS_ANALYSIS.TRAILING_MONTHS,
+      today: new Date()
+    });
+    return writeSavingsAnalysis(spreadsheet, summary, period, targetRate);
+  }
+  
+  /**
+   * Saves a goal edited on the Savings Analysis sheet and rebuilds the report.
+   * Edits outside the Goal column of the buckets table are ignored.
+   * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event object.
+   * @returns {boolean} True if the edit was a goal and the report was rebuilt.
+   * @private
+   */
+  function handleSavingsGoalEdit(e) {
+    const range = e.range;
+    const row = range.getRow();
+    if (range.getColumn() !== SAVINGS_ANALYSIS.GOAL_COLUMN || range.getNumRows() !== 1 || row <= SAVINGS_ANALYSIS.TABLE_ROW) {
+      return false;
+    }
+    const sheet = range.getSheet();
+    const labels = sheet.getRange(SAVINGS_ANALYSIS.TABLE_ROW, 1, row - SAVINGS_ANALYSIS.TABLE_ROW + 1, 1).getValues();
+    const headerIndex = labels.map(r => r[0]).lastIndexOf(SAVINGS_ANALYSIS.BUCKET_HEADER);
+    const bucket = labels[labels.length - 1][0];
+    if (headerIndex === -1 || headerIndex === labels.length - 1 || !bucket) return false;
+    
+    settingsService.setSavingsGoal(bucket, range.getValue());
+    return true;
   }
   
   // Public API
   return {
     /**
      * Public method to trigger the generation of the yearly summary report.
-     * This currently calls the placeholder `createYearlySummary` function.
+     * Builds the "Yearly Summary" sheet: per-month income, expenses by type, savings, net and
+     * savings rate, year totals and averages, best and worst months, the top categories by spend
+     * and the income-vs-expenses and savings rate charts.
      * It includes UI feedback (loading spinner) and error handling.
-     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} Currently returns `null` as the report
-     *   functionality is not yet implemented. Upon implementation, it should return the
-     *   generated Google Apps Script `Sheet` object.
+     * @param {number} [year] - The year to summarize; defaults to the year in the sheet's selector.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} The generated report sheet,
+     *   or `null` if an error occurred.
      * @memberof FinancialPlanner.ReportService
      * @example
-     * FinancialPlanner.ReportService.generateYearlySummary();
+     * FinancialPlanner.ReportService.generateYearlySummary(2024);
      */
-    generateYearlySummary: function() {
+    generateYearlySummary: function(year) {
       try {
         uiService.showLoadingSpinner("Generating yearly summary report...");
-        const result = createYearlySummary();
+        const result = createYearlySummary(year);
         uiService.hideLoadingSpinner();
         return result;
       } catch (error) {
@@ -79,20 +1001,99 @@ FinancialPlanner.ReportService = (function(utils, uiService, errorService, confi
       }
     },
     
+    /**
+     * Summarizes one year of monthly aggregates for the Yearly Summary.
+     * @param {Object<string, object>} monthlyData - Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+     * @param {number} year - The year to summarize.
+     * @param {{type: number, category: number, amount: number}} indices - Column indices of the transaction rows.
+     * @returns {object} The summary (months, totals, averages, best/worst month and top categories).
+     * @memberof FinancialPlanner.ReportService
+     */
+    summarizeYear: function(monthlyData, year, indices) {
+      return summarizeYear(monthlyData, year, indices);
+    },
+    
+    /**
+     * Ranks the categories of a type, or the sub-categories of a category, by spend.
+     * @param {Array<Array<*>>} rows - Transaction rows without the header.
+     * @param {{type: string, category: (string|null), from: Date, to: Date}} selection - The parent and date range.
+     * @param {object} indices - Column indices of the rows (see `DataProcessor.getColumnIndices`).
+     * @returns {object} The breakdown: parent total and count, months and ranked items.
+     * @memberof FinancialPlanner.ReportService
+     */
+    breakdownCategories: function(rows, selection, indices) {
+      return breakdownCategories(rows, selection, indices);
+    },
+    
+    /**
+     * Summarizes savings against the target rate for the months of a period.
+     * @param {Object<string, object>} monthlyData - Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+     * @param {Date[]} months - The first day of each month of the period.
+     * @param {object} indices - Column indices of the transaction rows (see `DataProcessor.getColumnIndices`).
+     * @param {{targetRate: number, goals: Object<string, number>, trailingMonths: number, today: Date}} options -
+     *   The target rate, bucket goals, trailing window and reference date.
+     * @returns {object} The summary: months, totals, streaks, trailing average and buckets.
+     * @memberof FinancialPlanner.ReportService
+     */
+    summarizeSavings: function(monthlyData, months, indices, options) {
+      return summarizeSavings(monthlyData, months, indices, options);
+    },
+    
+    /**
+     * Handles edits of the report selectors: the Yearly Summary year, the Category Breakdown
+     * type, category and date range, and the Savings Analysis bucket goals. The report is
+     * rebuilt for the new selection.
+     * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event object.
+     * @memberof FinancialPlanner.ReportService
+     */
+    handleEdit: function(e) {
+      const sheetName = e.range.getSheet().getName();
+      const sheetNames = config.getSheetNames();
+      const cell = e.range.getA1Notation();
+      
+      if (sheetName === sheetNames.YEARLY_SUMMARY && cell === YEARLY_SUMMARY.YEAR_CELL) {
+        const year = parseInt(e.range.getValue(), 10);
+        if (isNaN(year)) return;
+        if (this.generateYearlySummary(year)) {
+          uiService.showSuccessNotification("Yearly summary updated for " + year);
+        }
+      } else if (sheetName === sheetNames.CATEGORY_BREAKDOWN) {
+        const selectors = [CATEGORY_BREAKDOWN.TYPE_CELL, CATEGORY_BREAKDOWN.CATEGORY_CELL,
+          CATEGORY_BREAKDOWN.FROM_CELL, CATEGORY_BREAKDOWN.TO_CELL];
+        if (selectors.indexOf(cell) === -1) return;
+        if (this.generateCategoryBreakdown({ resetCategory: cell === CATEGORY_BREAKDOWN.TYPE_CELL })) {
+          uiService.showSuccessNotification("Category breakdown updated");
+        }
+      } else if (sheetName === sheetNames.SAVINGS_ANALYSIS) {
+        try {
+          if (!handleSavingsGoalEdit(e)) return;
+        } catch (error) {
+          errorService.handle(error, "Failed to save savings goal");
+          return;
+        }
+        if (this.generateSavingsAnalysis()) {
+          uiService.showSuccessNotification("Savings goal saved");
+        }
+      }
+    },
+    
     /**
      * Public method to trigger the generation of the category breakdown report.
-     * This currently calls the placeholder `createCategoryBreakdown` function.
+     * Builds the "Category Breakdown" sheet for the type or category and date range chosen in its
+     * selectors: children ranked by spend with count, average ticket, share of the parent, a monthly
+     * sparkline, the largest transactions and a link to the matching rows on the drill-down sheet.
      * It includes UI feedback and error handling.
-     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} Currently returns `null`.
-     *   Should return the generated `Sheet` object upon implementation.
+     * @param {{resetCategory: boolean}} [options] - `resetCategory` clears the category selection.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} The generated report sheet,
+     *   or `null` if an error occurred.
      * @memberof FinancialPlanner.ReportService
      * @example
      * FinancialPlanner.ReportService.generateCategoryBreakdown();
      */
-    generateCategoryBreakdown: function() {
+    generateCategoryBreakdown: function(options) {
       try {
         uiService.showLoadingSpinner("Generating category breakdown report...");
-        const result = createCategoryBreakdown();
+        const result = createCategoryBreakdown(options);
         uiService.hideLoadingSpinner();
         return result;
       } catch (error) {
@@ -104,10 +1105,13 @@ FinancialPlanner.ReportService = (function(utils, uiService, errorService, confi
     
     /**
      * Public method to trigger the generation of the savings analysis report.
-     * This currently calls the placeholder `createSavingsAnalysis` function.
+     * Builds the "Savings Analysis" sheet for the Overview's period: monthly savings and savings
+     * rate against `TARGET_RATES.SAVINGS`, cumulative savings, streaks of meeting or missing the
+     * target, and the savings buckets with their goals and projected time to goal at the trailing
+     * average.
      * It includes UI feedback and error handling.
-     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} Currently returns `null`.
-     *   Should return the generated `Sheet` object upon implementation.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} The generated report sheet,
+     *   or `null` if an error occurred.
      * @memberof FinancialPlanner.ReportService
      * @example
      * FinancialPlanner.ReportService.generateSavingsAnalysis();
@@ -125,7 +1129,16 @@ FinancialPlanner.ReportService = (function(utils, uiService, errorService, confi
       }
     }
   };
-})(FinancialPlanner.Utils, FinancialPlanner.UIService, FinancialPlanner.ErrorService, FinancialPlanner.Config);
+})(
+  FinancialPlanner.Utils,
+  FinancialPlanner.UIService,
+  FinancialPlanner.ErrorService,
+  FinancialPlanner.Config,
+  FinancialPlanner.DataProcessor,
+  FinancialPlanner.MetricsCalculator,
+  FinancialPlanner.SettingsService,
+  FinancialPlanner.PeriodService
+);
 
 // Backward compatibility layer for existing global functions
 
@@ -133,8 +1146,8 @@ FinancialPlanner.ReportService = (function(utils, uiService, errorService, confi
  * Generates the yearly summary report.
  * This global function is maintained for backward compatibility.
  * It delegates its execution to `FinancialPlanner.ReportService.generateYearlySummary()`.
- * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The result from the service call,
- *   which is currently `null` or `undefined` if the service is not loaded.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The report sheet, `null` on error,
+ *   or `undefined` if the service is not loaded.
  * @global
  */
 function generateYearlySummary() {
@@ -148,7 +1161,8 @@ function generateYearlySummary() {
  * Generates the category breakdown report.
  * This global function is maintained for backward compatibility.
  * It delegates its execution to `FinancialPlanner.ReportService.generateCategoryBreakdown()`.
- * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The result from the service call.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The report sheet, `null` on error,
+ *   or `undefined` if the service is not loaded.
  * @global
  */
 function generateCategoryBreakdown() {
@@ -162,7 +1176,8 @@ function generateCategoryBreakdown() {
  * Generates the savings analysis report.
  * This global function is maintained for backward compatibility.
  * It delegates its execution to `FinancialPlanner.ReportService.generateSavingsAnalysis()`.
- * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The result from the service call.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The report sheet, `null` on error,
+ *   or `undefined` if the service is not loaded.
  * @global
  */
 function generateSavingsAnalysis() {
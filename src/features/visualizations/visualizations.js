@@ -2,111 +2,1065 @@
  * @fileoverview Visualization Service for Financial Planning Tools.
  * This module is intended to provide functionality for generating various charts and
  * visualizations to help users understand their financial data.
+ * Charts are placed on the "Charts" sheet, each in its own block with the data it reads.
+ * The category pie generator is also used by the monthly spending report.
  * It follows the namespace pattern and uses dependency injection.
- * Currently, most chart generation functions are placeholders.
  * @module features/visualizations/visualization-service
  */
 
 /**
  * @namespace FinancialPlanner.VisualizationService
  * @description Service responsible for generating various charts and visualizations based on financial data.
- * This service currently contains placeholders for future chart implementations such as
- * spending trends, budget vs. actual, income vs. expenses, and category breakdowns.
+ * It builds the spending trends, budget vs. actual, income vs. expenses and category pie charts.
  * @param {UtilsModule} utils - Instance of the Utils module.
  * @param {UIServiceModule} uiService - Instance of the UI Service module for notifications and alerts.
  * @param {ErrorServiceModule} errorService - Instance of the Error Service module for error handling.
  * @param {ConfigModule} config - Instance of the Config module for global configurations.
+ * @param {DataProcessorModule} dataProcessor - Instance of the Data Processor module.
+ * @param {FinancialPlanner.MetricsCalculator} metricsCalculator - The Metrics Calculator.
+ * @param {FinancialPlanner.PeriodService} periodService - The Period Service, resolving the Overview's period.
+ * @param {FinancialPlanner.BudgetService} budgetService - The Budget Service, holding the category budgets.
  */
-FinancialPlanner.VisualizationService = (function(utils, uiService, errorService, config) {
-  // Private variables and functions (if any in the future)
-
+FinancialPlanner.VisualizationService = (function(utils, uiService, errorService, config, dataProcessor,
+  metricsCalculator, periodService, budgetService) {
+  // Private variables and functions
+  
+  /**
+   * @const {object} CHARTS
+   * @private
+   * @description Layout of the Charts sheet. Each chart owns a block of `SECTION_ROWS` rows: a title,
+   *   its selectors, the data table the chart reads and the chart itself, anchored on the section's
+   *   first row so re-running finds and updates it. `SECTIONS` gives each chart's block index.
+   */
+  const CHARTS = {
+    SECTION_ROWS: 100,
+    SECTIONS: {
+      SPENDING_TRENDS: 0,
+      BUDGET_VS_ACTUAL: 1,
+      INCOME_VS_EXPENSES: 2,
+      CATEGORY_PIE: 3
+    },
+    TABLE_OFFSET: 3,
+    WIDTH: 700,
+    HEIGHT: 350
+  };
+  
+  /**
+   * @const {number} MOVING_AVERAGE_MONTHS
+   * @private
+   * @description Window of the moving-average overlay on the spending trends chart.
+   */
+  const MOVING_AVERAGE_MONTHS = 3;
+  
+  /**
+   * @const {string[]} CASH_FLOW_WINDOWS
+   * @private
+   * @description Time windows offered by the income vs. expenses chart; the first is the Overview's period.
+   */
+  const CASH_FLOW_WINDOWS = ['Overview Period', 'Last 6 Months', 'Last 12 Months', 'Last 24 Months'];
+  
+  /**
+   * @const {object} CATEGORY_PIE
+   * @private
+   * @description Choices of the category pie chart: the periods, the type filter (the first choice
+   *   means every expense type), the grouping levels and styles, and the default share below which
+   *   slices fold into "Other".
+   */
+  const CATEGORY_PIE = {
+    PERIODS: ['This Month', 'Last Month', 'Overview Period', 'Last 3 Months', 'Last 6 Months', 'Last 12 Months'],
+    ALL_EXPENSES: 'All Expenses',
+    LEVELS: ['Type', 'Category', 'Sub-Category'],
+    STYLES: ['Pie', 'Donut'],
+    THRESHOLD: 0.03,
+    OTHER: 'Other'
+  };
+  
+  /**
+   * Returns the first row of a chart's block on the Charts sheet.
+   * @param {string} section - The key of the chart in `CHARTS.SECTIONS`.
+   * @returns {number} The 1-based row.
+   * @private
+   */
+  function getSectionRow(section) {
+    return CHARTS.SECTIONS[section] * CHARTS.SECTION_ROWS + 1;
+  }
+  
+  /**
+   * Finds the chart anchored on a row of the Charts sheet.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Charts sheet.
+   * @param {number} row - The anchor row of the chart.
+   * @returns {GoogleAppsScript.Spreadsheet.EmbeddedChart|null} The chart, or null if there is none yet.
+   * @private
+   */
+  function findChart(sheet, row) {
+    const charts = sheet.getCharts().filter(chart => chart.getContainerInfo().getAnchorRow() === row);
+    return charts.length > 0 ? charts[0] : null;
+  }
+  
+  /**
+   * Inserts a chart, or updates the one already anchored on the same row so re-running a
+   * visualization does not stack copies.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Charts sheet.
+   * @param {number} row - The anchor row of the chart.
+   * @param {number} column - The anchor column of the chart.
+   * @param {function(GoogleAppsScript.Spreadsheet.EmbeddedChartBuilder): GoogleAppsScript.Spreadsheet.EmbeddedChartBuilder} configure -
+   *   Sets the chart type, ranges and options on a builder without ranges.
+   * @param {{width: number, height: number}} [size] - The chart size; the Charts sheet size by default.
+   * @returns {GoogleAppsScript.Spreadsheet.EmbeddedChart} The inserted or updated chart.
+   * @private
+   */
+  function upsertChart(sheet, row, column, configure, size) {
+    const existing = findChart(sheet, row);
+    const builder = existing ? existing.modify().clearRanges() : sheet.newChart();
+    const chart = configure(builder)
+      .setPosition(row, column, 0, 0)
+      .setOption('width', size ? size.width : CHARTS.WIDTH)
+      .setOption('height', size ? size.height : CHARTS.HEIGHT)
+      .build();
+    if (existing) {
+      sheet.updateChart(chart);
+    } else {
+      sheet.insertChart(chart);
+    }
+    return chart;
+  }
+  
+  /**
+   * Gets the Charts sheet and clears the block of one chart, leaving the other charts' blocks alone.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @param {string} section - The key of the chart in `CHARTS.SECTIONS`.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Charts sheet.
+   * @private
+   */
+  function prepareSection(spreadsheet, section) {
+    const sheet = utils.getOrCreateSheet(spreadsheet, config.getSheetNames().CHARTS);
+    sheet.getRange(getSectionRow(section), 1, CHARTS.SECTION_ROWS, sheet.getMaxColumns()).clear();
+    return sheet;
+  }
+  
+  /**
+   * Reads the Transactions sheet into monthly aggregates.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @returns {{monthlyData: Object<string, object>, indices: object}} The aggregates keyed "YYYY-M"
+   *   (see `DataProcessor.aggregateByMonth`) and the column indices of the transaction rows.
+   * @throws {Error} If the Transactions sheet or its required columns are missing.
+   * @private
+   */
+  function readMonthlyData(spreadsheet) {
+    const transactionSheet = spreadsheet.getSheetByName(config.getSheetNames().TRANSACTIONS);
+    if (!transactionSheet) {
+      throw errorService.create("Could not find 'Transactions' sheet", { severity: "high" });
+    }
+    const data = transactionSheet.getDataRange().getValues();
+    const indices = dataProcessor.getColumnIndices(data[0]);
+    const processor = dataProcessor.create(data, indices);
+    processor.validateStructure();
+    return { monthlyData: processor.aggregateByMonth(), indices: indices };
+  }
+  
+  /**
+   * Returns the months of the Overview's period up to the current month.
+   * @param {Date} [today=new Date()] - The reference date.
+   * @returns {{months: Date[], label: string, mode: string, fiscalStartMonth: number}} The first day of
+   *   each month, the period label, and the period mode and fiscal year start (1-12).
+   * @private
+   */
+  function getChartMonths(today) {
+    const period = periodService.getCurrent();
+    const now = today || new Date();
+    const current = new Date(now.getFullYear(), now.getMonth(), 1);
+    const months = period.months.filter(month => month <= current);
+    return {
+      months: months.length > 0 ? months : period.months,
+      label: period.label,
+      mode: period.mode,
+      fiscalStartMonth: period.fiscalStartMonth
+    };
+  }
+  
+  /**
+   * Builds the monthly spend series of the spending trends chart, each with its moving average.
+   * Spend is the negated amount, so refunds reduce it. Without categories there is one series
+   * per expense type; with categories, one per category across all expense types. The average
+   * also draws on the months just before the first one, so it starts without a gap.
+   * @param {Object<string, {transactions: Array<Array<*>>}>} monthlyData - Aggregates keyed "YYYY-M"
+   *   (see `DataProcessor.aggregateByMonth`).
+   * @param {Date[]} months - The first day of each month to chart.
+   * @param {{type: number, category: number, amount: number}} indices - Column indices of the transaction rows.
+   * @param {string[]} [categories] - The categories to chart; empty for the expense types.
+   * @returns {Array<{name: string, values: number[], average: Array<number|null>}>} One series per
+   *   expense type or category, each with one value and one moving average per month.
+   * @private
+   */
+  function buildSpendingTrends(monthlyData, months, indices, categories) {
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    const byCategory = categories && categories.length > 0;
+    const names = byCategory ? categories : expenseTypes;
+    const lead = MOVING_AVERAGE_MONTHS - 1;
+    const first = months[0];
+    const allMonths = [];
+    for (let i = lead; i > 0; i--) allMonths.push(new Date(first.getFullYear(), first.getMonth() - i, 1));
+    months.forEach(month => allMonths.push(month));
+    
+    return names.map(name => {
+      const values = allMonths.map(month => {
+        const data = monthlyData[month.getFullYear() + '-' + (month.getMonth() + 1)];
+        return (data ? data.transactions : []).reduce((sum, row) => {
+          if (expenseTypes.indexOf(row[indices.type]) === -1) return sum;
+          if ((byCategory ? row[indices.category] : row[indices.type]) !== name) return sum;
+          return sum - (parseFloat(row[indices.amount]) || 0);
+        }, 0);
+      });
+      return {
+        name: name,
+        values: values.slice(lead),
+        average: metricsCalculator.calculateMovingAverage(values, MOVING_AVERAGE_MONTHS).slice(lead)
+      };
+    });
+  }
+  
+  /**
+   * Creates or updates the spending trends block of the Charts sheet: the category selector,
+   * a table of monthly spend and moving averages, and a line chart of it.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Charts sheet.
+   * @throws {Error} If the Transactions sheet or its required columns are missing.
+   * @private
+   */
+  function createSpendingTrends() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const transactions = readMonthlyData(spreadsheet);
+    const row = getSectionRow('SPENDING_TRENDS');
+    
+    const existing = spreadsheet.getSheetByName(config.getSheetNames().CHARTS);
+    const selected = existing ? String(existing.getRange(row + 1, 2).getValue()) : '';
+    const categories = selected.split(',').map(c => c.trim()).filter(c => c !== '');
+    
+    const period = getChartMonths();
+    const series = buildSpendingTrends(transactions.monthlyData, period.months, transactions.indices, categories);
+    const sheet = prepareSection(spreadsheet, 'SPENDING_TRENDS');
+    const colors = config.getSection('COLORS');
+    
+    sheet.getRange(row, 1).setValue('Spending Trends - ' + period.label).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(row + 1, 1).setValue('Categories').setFontWeight('bold');
+    sheet.getRange(row + 1, 2).setValue(categories.join(', '))
+      .setBackground('#FFF2CC')
+      .setNote('Enter categories separated by commas to chart them, or leave empty to chart each expense type');
+    
+    const tableRow = row + CHARTS.TABLE_OFFSET;
+    const headers = ['Month']
+      .concat(series.map(s => s.name))
+      .concat(series.map(s => s.name + ' (' + MOVING_AVERAGE_MONTHS + '-mo avg)'));
+    const rows = period.months.map((month, i) => [periodService.getMonthLabel(month)]
+      .concat(series.map(s => s.values[i]))
+      .concat(series.map(s => s.average[i] === null ? '' : s.average[i])));
+    sheet.getRange(tableRow, 1, 1, headers.length).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground(colors.UI.HEADER_BG)
+      .setFontColor(colors.UI.HEADER_FONT);
+    sheet.getRange(tableRow + 1, 1, rows.length, headers.length).setValues(rows);
+    utils.formatAsCurrency(sheet.getRange(tableRow + 1, 2, rows.length, headers.length - 1),
+      config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT);
+    
+    // Each average is drawn dashed in the color of its series
+    const seriesColors = colors.CHART.SERIES;
+    const seriesOptions = {};
+    series.forEach((s, i) => {
+      const color = seriesColors[i % seriesColors.length];
+      seriesOptions[i] = { color: color, lineWidth: 2 };
+      seriesOptions[series.length + i] = { color: color, lineWidth: 1, lineDashStyle: [4, 4] };
+    });
+    upsertChart(sheet, row, headers.length + 2, builder => builder
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sheet.getRange(tableRow, 1, rows.length + 1, headers.length))
+      .setNumHeaders(1)
+      .setOption('title', 'Monthly Spending Trends')
+      .setOption('series', seriesOptions)
+      .setOption('legend', { position: 'right' })
+      .setOption('vAxis.format', 'currency'));
+    return sheet;
+  }
+  
+  /**
+   * Compares spend with the budget of each category for one month and for the year to date.
+   * Spend is the negated amount of expense rows, so refunds reduce it. Categories with spend but
+   * no budget are included with a budget of 0. Variance is actual minus budget, so a positive
+   * variance means over budget.
+   * @param {Array<{type: string, category: string, monthly: number}>} budgets - Budgets as returned by
+   *   `BudgetService.getBudgets`.
+   * @param {Object<string, {transactions: Array<Array<*>>}>} monthlyData - Aggregates keyed "YYYY-M"
+   *   (see `DataProcessor.aggregateByMonth`).
+   * @param {{type: number, category: number, amount: number}} indices - Column indices of the transaction rows.
+   * @param {Date} month - The first day of the month to compare.
+   * @param {Date} yearStart - The first day of the month the year to date starts with.
+   * @returns {{rows: Array<{type: string, category: string, budget: number, actual: number, variance: number,
+   *   variancePercent: (number|null), ytdBudget: number, ytdActual: number, ytdVariance: number}>,
+   *   totals: object}} One row per category in type order, then by name, and the totals of all rows.
+   *   `variancePercent` is null without a budget.
+   * @private
+   */
+  function compareBudget(budgets, monthlyData, indices, month, yearStart) {
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    const ytdMonths = [];
+    for (let m = new Date(yearStart.getFullYear(), yearStart.getMonth(), 1); m <= month;
+      m = new Date(m.getFullYear(), m.getMonth() + 1, 1)) {
+      ytdMonths.push(m);
+    }
+    
+    const rows = {};
+    const getRow = (type, category) => {
+      const key = type + '|' + category;
+      if (!rows[key]) {
+        rows[key] = { type: type, category: category, budget: 0, actual: 0, ytdBudget: 0, ytdActual: 0 };
+        ytdMonths.forEach(m => {
+          const amount = budgetService.getMonthlyBudget(budgets, type, category, m);
+          rows[key].ytdBudget += amount;
+          if (m.getTime() === month.getTime()) rows[key].budget = amount;
+        });
+      }
+      return rows[key];
+    };
+    budgets.forEach(b => {
+      if (expenseTypes.indexOf(b.type) !== -1) getRow(b.type, b.category);
+    });
+    
+    ytdMonths.forEach(m => {
+      const data = monthlyData[m.getFullYear() + '-' + (m.getMonth() + 1)];
+      (data ? data.transactions : []).forEach(row => {
+        const type = row[indices.type];
+        if (expenseTypes.indexOf(type) === -1) return;
+        const spend = -(parseFloat(row[indices.amount]) || 0);
+        const entry = getRow(type, row[indices.category] || '(Uncategorized)');
+        entry.ytdActual += spend;
+        if (m.getTime() === month.getTime()) entry.actual += spend;
+      });
+    });
+    
+    const withVariance = r => {
+      r.variance = metricsCalculator.calculateVariance(r.actual, r.budget);
+      r.variancePercent = r.budget > 0 ? r.variance / r.budget : null;
+      r.ytdVariance = metricsCalculator.calculateVariance(r.ytdActual, r.ytdBudget);
+      return r;
+    };
+    const result = Object.keys(rows)
+      .map(key => rows[key])
+      .filter(r => r.budget !== 0 || r.actual !== 0 || r.ytdBudget !== 0 || r.ytdActual !== 0)
+      .sort((a, b) => expenseTypes.indexOf(a.type) - expenseTypes.indexOf(b.type) ||
+        String(a.category).localeCompare(String(b.category)))
+      .map(withVariance);
+    
+    const totals = { type: '', category: 'Total', budget: 0, actual: 0, ytdBudget: 0, ytdActual: 0 };
+    result.forEach(r => {
+      totals.budget += r.budget;
+      totals.actual += r.actual;
+      totals.ytdBudget += r.ytdBudget;
+      totals.ytdActual += r.ytdActual;
+    });
+    return { rows: result, totals: withVariance(totals) };
+  }
+  
+  /**
+   * Replaces the conditional format rules of a Charts sheet block, keeping those of other blocks.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Charts sheet.
+   * @param {number} row - The first row of the block.
+   * @param {GoogleAppsScript.Spreadsheet.ConditionalFormatRule[]} rules - The block's new rules.
+   * @private
+   */
+  function setSectionFormatRules(sheet, row, rules) {
+    const lastRow = row + CHARTS.SECTION_ROWS - 1;
+    const kept = sheet.getConditionalFormatRules().filter(rule => rule.getRanges().every(range =>
+      range.getLastRow() < row || range.getRow() > lastRow));
+    sheet.setConditionalFormatRules(kept.concat(rules));
+  }
+  
+  /**
+   * Creates or updates the budget vs. actual block of the Charts sheet: the month selector,
+   * a variance table for the month and the year to date with over-budget categories highlighted,
+   * and a clustered bar chart of budget and actual spend per category. The year to date starts with
+   * the fiscal year when the Overview uses one, else in January.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Charts sheet.
+   * @throws {Error} If the Transactions sheet or its required columns are missing.
+   * @private
+   */
+  function createBudgetVsActual() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const transactions = readMonthlyData(spreadsheet);
+    const row = getSectionRow('BUDGET_VS_ACTUAL');
+    
+    const period = getChartMonths();
+    const labels = period.months.map(periodService.getMonthLabel);
+    const existing = spreadsheet.getSheetByName(config.getSheetNames().CHARTS);
+    const selectedIndex = existing ? labels.indexOf(String(existing.getRange(row + 1, 2).getDisplayValue())) : -1;
+    const month = period.months[selectedIndex !== -1 ? selectedIndex : period.months.length - 1];
+    const startMonth = period.mode === config.getSection('OVERVIEW_PERIOD').MODES.FISCAL ? period.fiscalStartMonth - 1 : 0;
+    const yearStart = new Date(month.getFullYear() - (month.getMonth() < startMonth ? 1 : 0), startMonth, 1);
+    
+    const comparison = compareBudget(budgetService.getBudgets(), transactions.monthlyData, transactions.indices,
+      month, yearStart);
+    const sheet = prepareSection(spreadsheet, 'BUDGET_VS_ACTUAL');
+    const colors = config.getSection('COLORS');
+    const currencyFormat = config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT;
+    const monthLabel = periodService.getMonthLabel(month);
+    
+    sheet.getRange(row, 1).setValue('Budget vs Actual - ' + monthLabel).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(row + 1, 1).setValue('Month').setFontWeight('bold');
+    sheet.getRange(row + 1, 2)
+      .setNumberFormat('@')
+      .setDataValidation(SpreadsheetApp.newDataValidation().requireValueInList(labels, true).setAllowInvalid(false).build())
+      .setValue(monthLabel)
+      .setBackground('#FFF2CC')
+      .setNote('Budgets are entered on the ' + config.getSheetNames().BUDGETS + ' sheet. The year to date starts in ' +
+        periodService.getMonthLabel(yearStart) + '.');
+    
+    const tableRow = row + CHARTS.TABLE_OFFSET;
+    const headers = ['Type', 'Category', 'Budget', 'Actual', 'Variance', 'Variance %', 'YTD Budget', 'YTD Actual', 'YTD Variance'];
+    const toRow = r => [r.type, r.category, r.budget, r.actual, r.variance,
+      r.variancePercent === null ? '' : r.variancePercent, r.ytdBudget, r.ytdActual, r.ytdVariance];
+    const rows = comparison.rows.map(toRow);
+    sheet.getRange(tableRow, 1, 1, headers.length).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground(colors.UI.HEADER_BG)
+      .setFontColor(colors.UI.HEADER_FONT);
+    if (rows.length === 0) {
+      sheet.getRange(tableRow + 1, 1).setValue('No budgets or spending for this month yet.');
+      setSectionFormatRules(sheet, row, []);
+      const stale = findChart(sheet, row);
+      if (stale) sheet.removeChart(stale);
+      return sheet;
+    }
+    
+    sheet.getRange(tableRow + 1, 1, rows.length + 1, headers.length).setValues(rows.concat([toRow(comparison.totals)]));
+    sheet.getRange(tableRow + rows.length + 1, 1, 1, headers.length).setBackground('#D9D9D9').setFontWeight('bold');
+    [3, 4, 5, 7, 8, 9].forEach(column => {
+      utils.formatAsCurrency(sheet.getRange(tableRow + 1, column, rows.length + 1, 1), currencyFormat);
+    });
+    utils.formatAsPercentage(sheet.getRange(tableRow + 1, 6, rows.length + 1, 1), 1);
+    
+    // Over budget: a positive variance, for the month and for the year to date
+    const overBudget = range => SpreadsheetApp.newConditionalFormatRule()
+      .whenNumberGreaterThan(0)
+      .setBackground('#FFCDD2')
+      .setFontColor(colors.UI.EXPENSE_FONT)
+      .setRanges([range])
+      .build();
+    setSectionFormatRules(sheet, row, [
+      overBudget(sheet.getRange(tableRow + 1, 5, rows.length + 1, 2)),
+      overBudget(sheet.getRange(tableRow + 1, 9, rows.length + 1, 1))
+    ]);
+    
+    upsertChart(sheet, row, headers.length + 2, builder => builder
+      .setChartType(Charts.ChartType.BAR)
+      .addRange(sheet.getRange(tableRow, 2, rows.length + 1, 3))
+      .setNumHeaders(1)
+      .setOption('title', 'Budget vs Actual - ' + monthLabel)
+      .setOption('colors', [colors.CHART.SERIES[2], colors.CHART.SERIES[0]])
+      .setOption('legend', { position: 'top' })
+      .setOption('hAxis.format', 'currency'));
+    return sheet;
+  }
+  
+  /**
+   * Resolves a time window choice of a chart into its months: "This Month", "Last Month" or
+   * "Last N Months" ending with the current month.
+   * @param {string} choice - The window; anything else means the Overview period.
+   * @param {Date} [today=new Date()] - The reference date.
+   * @returns {{months: Date[], label: string}} The first day of each month and a display label.
+   * @private
+   */
+  function getWindowMonths(choice, today) {
+    const now = today || new Date();
+    const match = /^Last (\d+) Months$/.exec(String(choice));
+    const single = choice === 'This Month' || choice === 'Last Month';
+    const count = single ? 1 : (match ? parseInt(match[1], 10) : 0);
+    if (count > 0) {
+      const end = choice === 'Last Month' ? 1 : 0;
+      const months = [];
+      for (let i = count - 1; i >= 0; i--) months.push(new Date(now.getFullYear(), now.getMonth() - end - i, 1));
+      return { months: months, label: single ? periodService.getMonthLabel(months[0]) : choice };
+    }
+    const period = getChartMonths(today);
+    return { months: period.months, label: period.label };
+  }
+  
+  /**
+   * Reads monthly cash flow from the values of the Overview sheet: income from "Total Income",
+   * each expense type from its type row, and net from the last net calculation row, so savings
+   * count as outflows when the Overview has them. Expenses keep the Overview's negative sign.
+   * @param {Array<Array<*>>} values - The Overview sheet values, header row first.
+   * @param {{firstMonthColumn: number, lastMonthColumn: number}} layout - The Overview columns (see `PeriodService.findLayout`).
+   * @returns {{income: number[], expenses: Object<string, number[]>, net: number[]}|null} One value per
+   *   month column, or null if the Overview has no income or net rows.
+   * @private
+   */
+  function readOverviewCashFlow(values, layout) {
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    const monthValues = row => row.slice(layout.firstMonthColumn - 1, layout.lastMonthColumn).map(v => parseFloat(v) || 0);
+    const rows = {};
+    values.forEach(row => {
+      const label = String(row[0]);
+      if (label === 'Total Income' || label.indexOf('Net (Total Income - Expenses') === 0) {
+        rows[label.indexOf('Net') === 0 ? 'net' : 'income'] = monthValues(row);
+      } else if (expenseTypes.indexOf(label) !== -1 && row[1] === '' && !rows[label]) {
+        rows[label] = monthValues(row);
+      }
+    });
+    if (!rows.income || !rows.net) return null;
+    
+    const empty = rows.income.map(() => 0);
+    const expenses = {};
+    expenseTypes.forEach(type => { expenses[type] = rows[type] || empty; });
+    return { income: rows.income, expenses: expenses, net: rows.net };
+  }
+  
+  /**
+   * Builds monthly cash flow from the Transactions data with the Overview's signs: income
+   * positive, expenses negative, and net the sum of income, expenses and savings.
+   * @param {Object<string, {transactions: Array<Array<*>>}>} monthlyData - Aggregates keyed "YYYY-M"
+   *   (see `DataProcessor.aggregateByMonth`).
+   * @param {Date[]} months - The first day of each month.
+   * @param {{type: number, amount: number}} indices - Column indices of the transaction rows.
+   * @returns {{income: number[], expenses: Object<string, number[]>, net: number[]}} One value per month.
+   * @private
+   */
+  function buildLedgerCashFlow(monthlyData, months, indices) {
+    const types = config.getSection('TRANSACTION_TYPES');
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    const result = { income: [], expenses: {}, net: [] };
+    expenseTypes.forEach(type => { result.expenses[type] = []; });
+    
+    months.forEach(month => {
+      const data = monthlyData[month.getFullYear() + '-' + (month.getMonth() + 1)];
+      const sums = {};
+      (data ? data.transactions : []).forEach(row => {
+        const type = row[indices.type];
+        sums[type] = (sums[type] || 0) + (parseFloat(row[indices.amount]) || 0);
+      });
+      const income = sums[types.INCOME] || 0;
+      let net = income + (sums[types.SAVINGS] || 0);
+      expenseTypes.forEach(type => {
+        result.expenses[type].push(sums[type] || 0);
+        net += sums[type] || 0;
+      });
+      result.income.push(income);
+      result.net.push(net);
+    });
+    return result;
+  }
+  
+  /**
+   * Collects the cash flow of a window from the Overview when it covers every month of the
+   * window, else from the Transactions data.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+   * @param {Date[]} months - The first day of each month of the window.
+   * @returns {{income: number[], expenses: Object<string, number[]>, net: number[], source: string}}
+   *   One value per month and the name of the sheet the values came from.
+   * @throws {Error} If the Overview cannot be used and the Transactions sheet or its columns are missing.
+   * @private
+   */
+  function getCashFlow(spreadsheet, months) {
+    const sheetNames = config.getSheetNames();
+    const overviewSheet = spreadsheet.getSheetByName(sheetNames.OVERVIEW);
+    if (overviewSheet) {
+      const values = overviewSheet.getDataRange().getValues();
+      const layout = periodService.findLayout(values[0]);
+      const overviewMonths = periodService.getCurrent().months.map(m => m.getTime());
+      const positions = months.map(m => overviewMonths.indexOf(m.getTime()));
+      const cashFlow = overviewMonths.length === layout.lastMonthColumn - layout.firstMonthColumn + 1 &&
+        positions.indexOf(-1) === -1 ? readOverviewCashFlow(values, layout) : null;
+      if (cashFlow) {
+        const pick = list => positions.map(i => list[i]);
+        const expenses = {};
+        Object.keys(cashFlow.expenses).forEach(type => { expenses[type] = pick(cashFlow.expenses[type]); });
+        return { income: pick(cashFlow.income), expenses: expenses, net: pick(cashFlow.net), source: sheetNames.OVERVIEW };
+      }
+    }
+    
+    const transactions = readMonthlyData(spreadsheet);
+    const cashFlow = buildLedgerCashFlow(transactions.monthlyData, months, transactions.indices);
+    cashFlow.source = sheetNames.TRANSACTIONS;
+    return cashFlow;
+  }
+  
+  /**
+   * Creates or updates the income vs. expenses block of the Charts sheet: the window and currency
+   * selectors, the exchange rate, a monthly cash-flow table and a combo chart of income bars,
+   * expense-type bars stacked below zero and a net cash-flow line. Amounts are converted with the
+   * rate cell, which fetches the live rate from Google Finance for a foreign currency.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Charts sheet.
+   * @throws {Error} If neither the Overview nor the Transactions data can be read.
+   * @private
+   */
+  function createIncomeVsExpenses() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const row = getSectionRow('INCOME_VS_EXPENSES');
+    const locale = config.getLocale();
+    const currencies = locale.PRESENTATION_CURRENCIES;
+    
+    const existing = spreadsheet.getSheetByName(config.getSheetNames().CHARTS);
+    const selectors = existing ? existing.getRange(row + 1, 2, 2, 1).getValues() : [[''], ['']];
+    const windowChoice = CASH_FLOW_WINDOWS.indexOf(selectors[0][0]) !== -1 ? selectors[0][0] : CASH_FLOW_WINDOWS[0];
+    const currency = currencies[selectors[1][0]] ? selectors[1][0] : locale.CURRENCY_CODE;
+    
+    const span = getWindowMonths(windowChoice);
+    const cashFlow = getCashFlow(spreadsheet, span.months);
+    const sheet = prepareSection(spreadsheet, 'INCOME_VS_EXPENSES');
+    const colors = config.getSection('COLORS');
+    const dropdown = options => SpreadsheetApp.newDataValidation().requireValueInList(options, true).setAllowInvalid(false).build();
+    
+    // Title, selectors and exchange rate
+    sheet.getRange(row, 1).setValue('Income vs Expenses - ' + span.label).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(row + 1, 1, 2, 1).setValues([['Window'], ['Currency']]).setFontWeight('bold');
+    sheet.getRange(row + 1, 2).setDataValidation(dropdown(CASH_FLOW_WINDOWS)).setValue(windowChoice).setBackground('#FFF2CC')
+      .setNote('Data source: ' + cashFlow.source);
+    sheet.getRange(row + 2, 2).setDataValidation(dropdown(Object.keys(currencies))).setValue(currency).setBackground('#FFF2CC');
+    sheet.getRange(row + 2, 3).setValue('Rate').setFontWeight('bold');
+    const rateCell = sheet.getRange(row + 2, 4);
+    if (currency === locale.CURRENCY_CODE) {
+      rateCell.setValue(1);
+    } else {
+      rateCell.setFormula('=GOOGLEFINANCE("CURRENCY:' + locale.CURRENCY_CODE + currency + '")')
+        .setNote('Live ' + locale.CURRENCY_CODE + ' to ' + currency + ' rate; type a fixed rate to override it until the chart is rebuilt');
+    }
+    
+    // Cash-flow table, converted by the rate cell
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    const tableRow = row + CHARTS.TABLE_OFFSET + 1;
+    const rate = '$D$' + (row + 2);
+    const convert = value => '=' + Math.round(value * 100) / 100 + '*' + rate;
+    const headers = ['Month', 'Income'].concat(expenseTypes).concat(['Net Cash Flow']);
+    const rows = span.months.map((month, i) => [periodService.getMonthLabel(month), convert(cashFlow.income[i])]
+      .concat(expenseTypes.map(type => convert(cashFlow.expenses[type][i])))
+      .concat([convert(cashFlow.net[i])]));
+    sheet.getRange(tableRow, 1, 1, headers.length).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground(colors.UI.HEADER_BG)
+      .setFontColor(colors.UI.HEADER_FONT);
+    sheet.getRange(tableRow + 1, 1, rows.length, headers.length).setValues(rows);
+    const symbol = currencies[currency];
+    sheet.getRange(tableRow + 1, 2, rows.length, headers.length - 1).setNumberFormat(
+      locale.NUMBER_FORMATS.CURRENCY_DEFAULT.split('[$' + locale.CURRENCY_SYMBOL + '-').join('[$' + symbol + '-'));
+    
+    // Income up, expense types stacked below zero, net as a line on top
+    const seriesColors = colors.CHART.SERIES;
+    const expenseColors = seriesColors.filter((color, i) => i !== 2 && i !== 3);
+    const series = { 0: { color: seriesColors[3] } };
+    expenseTypes.forEach((type, i) => { series[i + 1] = { color: expenseColors[i % expenseColors.length] }; });
+    series[expenseTypes.length + 1] = { type: 'line', color: seriesColors[2], lineWidth: 3, pointSize: 5 };
+    upsertChart(sheet, row, headers.length + 2, builder => builder
+      .setChartType(Charts.ChartType.COMBO)
+      .addRange(sheet.getRange(tableRow, 1, rows.length + 1, headers.length))
+      .setNumHeaders(1)
+      .setOption('title', 'Income vs Expenses (' + currency + ')')
+      .setOption('seriesType', 'bars')
+      .setOption('isStacked', true)
+      .setOption('series', series)
+      .setOption('legend', { position: 'right' }));
+    return sheet;
+  }
+  
+  /**
+   * Groups spend over a period into the slices of a category pie. Expense and savings amounts are
+   * negated and income kept as is, so refunds reduce a slice; groups that net to zero or below are
+   * left out. Slices are sorted by size, and at least two slices below the threshold share fold into
+   * one "Other" slice at the end.
+   * @param {Object<string, {transactions: Array<Array<*>>}>} monthlyData - Aggregates keyed "YYYY-M"
+   *   (see `DataProcessor.aggregateByMonth`).
+   * @param {Date[]} months - The first day of each month of the period.
+   * @param {{type: number, category: number, subcategory: number, amount: number}} indices - Column
+   *   indices of the transaction rows.
+   * @param {{type: string, level: string, threshold: number}} [options] - The type to include (empty for
+   *   every expense type), the grouping level (one of `CATEGORY_PIE.LEVELS`, "Category" by default) and
+   *   the share below which slices fold (`CATEGORY_PIE.THRESHOLD` by default).
+   * @returns {{slices: Array<{label: string, value: number, share: number}>, total: number, folded: string[]}}
+   *   The slices, their total, and the labels folded into "Other".
+   * @private
+   */
+  function groupCategorySlices(monthlyData, months, indices, options) {
+    const opts = options || {};
+    const types = opts.type ? [opts.type] : config.getSection('EXPENSE_TYPES');
+    const income = config.getSection('TRANSACTION_TYPES').INCOME;
+    const level = CATEGORY_PIE.LEVELS.indexOf(opts.level) !== -1 ? opts.level : 'Category';
+    const threshold = typeof opts.threshold === 'number' && opts.threshold >= 0 ? opts.threshold : CATEGORY_PIE.THRESHOLD;
+    
+    const sums = {};
+    months.forEach(month => {
+      const data = monthlyData[month.getFullYear() + '-' + (month.getMonth() + 1)];
+      (data ? data.transactions : []).forEach(row => {
+        const type = row[indices.type];
+        if (types.indexOf(type) === -1) return;
+        let label = type;
+        if (level === 'Category') {
+          label = row[indices.category] || '(None)';
+        } else if (level === 'Sub-Category') {
+          const subcategory = indices.subcategory >= 0 ? row[indices.subcategory] : '';
+          label = (row[indices.category] || '(None)') + ' / ' + (subcategory || '(None)');
+        }
+        const amount = parseFloat(row[indices.amount]) || 0;
+        sums[label] = (sums[label] || 0) + (type === income ? amount : -amount);
+      });
+    });
+    
+    const groups = Object.keys(sums)
+      .filter(label => sums[label] > 0)
+      .map(label => ({ label: label, value: Math.round(sums[label] * 100) / 100 }))
+      .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+    const total = groups.reduce((sum, group) => sum + group.value, 0);
+    const small = groups.filter(group => group.value / total < threshold);
+    const folded = small.length > 1 ? small : [];
+    const slices = groups.filter(group => folded.indexOf(group) === -1);
+    
+    if (folded.length > 0) {
+      const otherValue = folded.reduce((sum, group) => sum + group.value, 0);
+      const existingOther = slices.filter(slice => slice.label === CATEGORY_PIE.OTHER)[0];
+      if (existingOther) {
+        existingOther.value += otherValue;
+      } else {
+        slices.push({ label: CATEGORY_PIE.OTHER, value: otherValue });
+      }
+    }
+    slices.forEach(slice => { slice.share = total > 0 ? slice.value / total : 0; });
+    return { slices: slices, total: total, folded: folded.map(group => group.label) };
+  }
+  
+  /**
+   * Writes the slices of a category pie as a table and draws the pie from it, updating a chart
+   * already anchored on the same row. Without slices the table says so and the chart is removed.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to draw on.
+   * @param {{slices: Array<{label: string, value: number, share: number}>}} grouping - The slices (see
+   *   `groupCategorySlices`).
+   * @param {{level: string, title: string, donut: boolean, tableRow: number, tableColumn: number,
+   *   chartRow: number, chartColumn: number, width: number, height: number}} layout - The grouping level
+   *   naming the first column, the chart title and style, where the table and chart go, and the chart size.
+   * @private
+   */
+  function drawCategoryPie(sheet, grouping, layout) {
+    const colors = config.getSection('COLORS');
+    const headers = [layout.level || 'Category', 'Amount', 'Share'];
+    sheet.getRange(layout.tableRow, layout.tableColumn, 1, headers.length).setValues([headers])
+      .setFontWeight('bold')
+      .setBackground(colors.UI.HEADER_BG)
+      .setFontColor(colors.UI.HEADER_FONT);
+    
+    const rows = grouping.slices.map(slice => [slice.label, slice.value, slice.share]);
+    if (rows.length === 0) {
+      sheet.getRange(layout.tableRow + 1, layout.tableColumn).setValue('No spending in this period.');
+      const stale = findChart(sheet, layout.chartRow);
+      if (stale) sheet.removeChart(stale);
+      return;
+    }
+    sheet.getRange(layout.tableRow + 1, layout.tableColumn, rows.length, headers.length).setValues(rows);
+    utils.formatAsCurrency(sheet.getRange(layout.tableRow + 1, layout.tableColumn + 1, rows.length, 1),
+      config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT);
+    utils.formatAsPercentage(sheet.getRange(layout.tableRow + 1, layout.tableColumn + 2, rows.length, 1), 1);
+    
+    // Slices are folded here, so the chart's own small-slice grouping is turned off
+    upsertChart(sheet, layout.chartRow, layout.chartColumn, builder => builder
+      .setChartType(Charts.ChartType.PIE)
+      .addRange(sheet.getRange(layout.tableRow, layout.tableColumn, rows.length + 1, 2))
+      .setNumHeaders(1)
+      .setOption('title', layout.title)
+      .setOption('pieSliceText', 'percentage')
+      .setOption('pieHole', layout.donut ? 0.4 : 0)
+      .setOption('sliceVisibilityThreshold', 0)
+      .setOption('colors', colors.CHART.SERIES)
+      .setOption('legend', { position: 'right' }),
+      layout.width ? { width: layout.width, height: layout.height } : null);
+  }
+  
+  /**
+   * Groups the Transactions data over a period and draws the resulting category pie on a sheet.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to draw on.
+   * @param {object} options - The period (`months`), the grouping options (see `groupCategorySlices`) and
+   *   the layout (see `drawCategoryPie`).
+   * @returns {{slices: Array<object>, total: number, folded: string[]}} The grouping that was drawn.
+   * @throws {Error} If the Transactions sheet or its required columns are missing.
+   * @private
+   */
+  function insertCategoryPie(sheet, options) {
+    const transactions = readMonthlyData(SpreadsheetApp.getActiveSpreadsheet());
+    const grouping = groupCategorySlices(transactions.monthlyData, options.months, transactions.indices, options);
+    drawCategoryPie(sheet, grouping, options);
+    return grouping;
+  }
+  
+  /**
+   * Creates or updates the category pie block of the Charts sheet: the period, type, grouping,
+   * threshold and style selectors, a table of the slices and a pie or donut chart of them.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Charts sheet.
+   * @throws {Error} If the Transactions sheet or its required columns are missing.
+   * @private
+   */
+  function createCategoryPie() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const row = getSectionRow('CATEGORY_PIE');
+    const typeChoices = [CATEGORY_PIE.ALL_EXPENSES].concat(config.getSection('TYPE_ORDER'));
+    
+    const existing = spreadsheet.getSheetByName(config.getSheetNames().CHARTS);
+    const selectors = existing ? existing.getRange(row + 1, 2, 5, 1).getValues() : [[''], [''], [''], [''], ['']];
+    const pick = (value, choices, fallback) => choices.indexOf(value) !== -1 ? value : fallback;
+    const periodChoice = pick(selectors[0][0], CATEGORY_PIE.PERIODS, CATEGORY_PIE.PERIODS[0]);
+    const typeChoice = pick(selectors[1][0], typeChoices, CATEGORY_PIE.ALL_EXPENSES);
+    const level = pick(selectors[2][0], CATEGORY_PIE.LEVELS, 'Category');
+    const style = pick(selectors[4][0], CATEGORY_PIE.STYLES, CATEGORY_PIE.STYLES[0]);
+    let threshold = parseFloat(selectors[3][0]);
+    if (isNaN(threshold) || threshold < 0) threshold = CATEGORY_PIE.THRESHOLD;
+    if (threshold >= 1) threshold = threshold / 100;
+    
+    const span = getWindowMonths(periodChoice);
+    const sheet = prepareSection(spreadsheet, 'CATEGORY_PIE');
+    const dropdown = options => SpreadsheetApp.newDataValidation().requireValueInList(options, true).setAllowInvalid(false).build();
+    const title = (typeChoice === CATEGORY_PIE.ALL_EXPENSES ? 'Spending' : typeChoice) + ' by ' + level + ' - ' + span.label;
+    
+    sheet.getRange(row, 1).setValue(title).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(row + 1, 1, 5, 1).setValues([['Period'], ['Type'], ['Group By'], ['Other Below'], ['Style']]).setFontWeight('bold');
+    sheet.getRange(row + 1, 2).setDataValidation(dropdown(CATEGORY_PIE.PERIODS)).setValue(periodChoice);
+    sheet.getRange(row + 2, 2).setDataValidation(dropdown(typeChoices)).setValue(typeChoice);
+    sheet.getRange(row + 3, 2).setDataValidation(dropdown(CATEGORY_PIE.LEVELS)).setValue(level);
+    sheet.getRange(row + 4, 2).setValue(threshold).setNumberFormat('0.0%')
+      .setNote('Slices with a smaller share of the total are combined into "' + CATEGORY_PIE.OTHER + '"; 0% keeps every slice');
+    sheet.getRange(row + 5, 2).setDataValidation(dropdown(CATEGORY_PIE.STYLES)).setValue(style);
+    sheet.getRange(row + 1, 2, 5, 1).setBackground('#FFF2CC');
+    
+    const tableRow = row + CHARTS.TABLE_OFFSET + 4;
+    insertCategoryPie(sheet, {
+      months: span.months,
+      type: typeChoice === CATEGORY_PIE.ALL_EXPENSES ? '' : typeChoice,
+      level: level,
+      threshold: threshold,
+      title: title,
+      donut: style === 'Donut',
+      tableRow: tableRow,
+      tableColumn: 1,
+      chartRow: row,
+      chartColumn: 5
+    });
+    return sheet;
+  }
+  
   // Public API
   return {
     /**
-     * Placeholder function to create a spending trends chart.
-     * Displays a "Coming Soon!" message.
-     * @todo Implement the actual logic for spending trends chart generation.
+     * Creates or updates the spending trends chart on the "Charts" sheet: monthly spend per
+     * expense type, or per category chosen in the sheet's selector, over the Overview's period,
+     * each with a 3-month moving-average overlay. Re-running updates the chart in place.
+     * It includes UI feedback and error handling.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} The Charts sheet, or `null` if an error occurred.
      * @memberof FinancialPlanner.VisualizationService
-     * @returns {void} Currently shows an info alert and does not return a chart object.
      * @example
      * FinancialPlanner.VisualizationService.createSpendingTrendsChart();
      */
     createSpendingTrendsChart: function() {
       try {
         uiService.showLoadingSpinner("Creating spending trends chart...");
-        // TODO: Implement spending trends chart
-        SpreadsheetApp.getUi().alert('Spending Trends Chart - Coming Soon!');
+        const result = createSpendingTrends();
         uiService.hideLoadingSpinner();
+        return result;
       } catch (error) {
         uiService.hideLoadingSpinner();
         errorService.handle(error, "Failed to create spending trends chart");
+        return null;
       }
     },
 
     /**
-     * Placeholder function to create a budget vs. actual spending chart.
-     * Displays a "Coming Soon!" message.
-     * @todo Implement the actual logic for budget vs. actual chart generation.
+     * Builds the monthly spend series of the spending trends chart.
+     * @param {Object<string, object>} monthlyData - Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+     * @param {Date[]} months - The first day of each month to chart.
+     * @param {object} indices - Column indices of the transaction rows (see `DataProcessor.getColumnIndices`).
+     * @param {string[]} [categories] - The categories to chart; empty for the expense types.
+     * @returns {Array<{name: string, values: number[], average: Array<number|null>}>} The series with their moving averages.
+     * @memberof FinancialPlanner.VisualizationService
+     */
+    buildSpendingTrends: function(monthlyData, months, indices, categories) {
+      return buildSpendingTrends(monthlyData, months, indices, categories);
+    },
+
+    /**
+     * Handles edits of the Charts sheet selectors: the spending trends categories, the
+     * budget vs. actual month, the income vs. expenses window and currency, and the category pie
+     * options. The chart of the edited selector is rebuilt.
+     * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event object.
+     * @memberof FinancialPlanner.VisualizationService
+     */
+    handleEdit: function(e) {
+      if (e.range.getColumn() !== 2) return;
+      const row = e.range.getRow();
+      if (row === getSectionRow('SPENDING_TRENDS') + 1) {
+        if (this.createSpendingTrendsChart()) {
+          uiService.showSuccessNotification("Spending trends chart updated");
+        }
+      } else if (row === getSectionRow('BUDGET_VS_ACTUAL') + 1) {
+        if (this.createBudgetVsActualChart()) {
+          uiService.showSuccessNotification("Budget vs actual chart updated");
+        }
+      } else if (row === getSectionRow('INCOME_VS_EXPENSES') + 1 || row === getSectionRow('INCOME_VS_EXPENSES') + 2) {
+        if (this.createIncomeVsExpensesChart()) {
+          uiService.showSuccessNotification("Income vs expenses chart updated");
+        }
+      } else if (row > getSectionRow('CATEGORY_PIE') && row <= getSectionRow('CATEGORY_PIE') + 5) {
+        if (this.createCategoryPieChart()) {
+          uiService.showSuccessNotification("Category pie chart updated");
+        }
+      }
+    },
+
+    /**
+     * Creates or updates the budget vs. actual chart on the "Charts" sheet for the month chosen in
+     * its selector (the current month by default): a clustered bar chart of budget and actual spend
+     * per category next to a variance table for the month and the year to date, with over-budget
+     * categories highlighted. Budgets come from the "Budgets" sheet.
+     * It includes UI feedback and error handling.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} The Charts sheet, or `null` if an error occurred.
      * @memberof FinancialPlanner.VisualizationService
-     * @returns {void} Currently shows an info alert and does not return a chart object.
      * @example
      * FinancialPlanner.VisualizationService.createBudgetVsActualChart();
      */
     createBudgetVsActualChart: function() {
       try {
         uiService.showLoadingSpinner("Creating budget vs actual chart...");
-        // TODO: Implement budget vs actual chart
-        SpreadsheetApp.getUi().alert('Budget vs Actual Chart - Coming Soon!');
+        const result = createBudgetVsActual();
         uiService.hideLoadingSpinner();
+        return result;
       } catch (error) {
         uiService.hideLoadingSpinner();
         errorService.handle(error, "Failed to create budget vs actual chart");
+        return null;
       }
     },
 
     /**
-     * Placeholder function to create an income vs. expenses chart.
-     * Displays a "Coming Soon!" message.
-     * @todo Implement the actual logic for income vs. expenses chart generation.
+     * Compares spend with the category budgets for a month and the year to date.
+     * @param {Array<object>} budgets - Budgets as returned by `BudgetService.getBudgets`.
+     * @param {Object<string, object>} monthlyData - Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+     * @param {object} indices - Column indices of the transaction rows (see `DataProcessor.getColumnIndices`).
+     * @param {Date} month - The first day of the month to compare.
+     * @param {Date} yearStart - The first day of the month the year to date starts with.
+     * @returns {{rows: Array<object>, totals: object}} One row per category with budget, actual and variances, and the totals.
+     * @memberof FinancialPlanner.VisualizationService
+     */
+    compareBudget: function(budgets, monthlyData, indices, month, yearStart) {
+      return compareBudget(budgets, monthlyData, indices, month, yearStart);
+    },
+
+    /**
+     * Creates or updates the income vs. expenses chart on the "Charts" sheet: a combo chart of
+     * monthly income bars, expense-type bars stacked below zero and a net cash-flow line. The values
+     * come from the Overview's total and net rows, or from the Transactions data if there is no
+     * Overview covering the window. The time window and the presentation currency are chosen in
+     * the sheet's selectors.
+     * It includes UI feedback and error handling.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} The Charts sheet, or `null` if an error occurred.
      * @memberof FinancialPlanner.VisualizationService
-     * @returns {void} Currently shows an info alert and does not return a chart object.
      * @example
      * FinancialPlanner.VisualizationService.createIncomeVsExpensesChart();
      */
     createIncomeVsExpensesChart: function() {
       try {
         uiService.showLoadingSpinner("Creating income vs expenses chart...");
-        // TODO: Implement income vs expenses chart
-        SpreadsheetApp.getUi().alert('Income vs Expenses Chart - Coming Soon!');
+        const result = createIncomeVsExpenses();
         uiService.hideLoadingSpinner();
+        return result;
       } catch (error) {
         uiService.hideLoadingSpinner();
         errorService.handle(error, "Failed to create income vs expenses chart");
+        return null;
       }
     },
 
     /**
-     * Placeholder function to create a category breakdown pie chart.
-     * Displays a "Coming Soon!" message.
-     * @todo Implement the actual logic for category pie chart generation.
+     * Reads monthly income, expenses by type and net cash flow from the Overview sheet values.
+     * @param {Array<Array<*>>} values - The Overview sheet values, header row first.
+     * @param {object} layout - The Overview columns (see `PeriodService.findLayout`).
+     * @returns {{income: number[], expenses: Object<string, number[]>, net: number[]}|null} One value per
+     *   month column, or null without income or net rows.
+     * @memberof FinancialPlanner.VisualizationService
+     */
+    readOverviewCashFlow: function(values, layout) {
+      return readOverviewCashFlow(values, layout);
+    },
+
+    /**
+     * Builds monthly income, expenses by type and net cash flow from the Transactions data.
+     * @param {Object<string, object>} monthlyData - Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+     * @param {Date[]} months - The first day of each month.
+     * @param {object} indices - Column indices of the transaction rows (see `DataProcessor.getColumnIndices`).
+     * @returns {{income: number[], expenses: Object<string, number[]>, net: number[]}} One value per month.
+     * @memberof FinancialPlanner.VisualizationService
+     */
+    buildLedgerCashFlow: function(monthlyData, months, indices) {
+      return buildLedgerCashFlow(monthlyData, months, indices);
+    },
+
+    /**
+     * Creates or updates the category pie chart on the "Charts" sheet: spend over the period chosen
+     * in its selectors, for every expense type or one type, grouped by Type, Category or
+     * Sub-Category, with slices below the threshold share folded into "Other". The style selector
+     * switches between a pie and a donut.
+     * It includes UI feedback and error handling.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet | null} The Charts sheet, or `null` if an error occurred.
      * @memberof FinancialPlanner.VisualizationService
-     * @returns {void} Currently shows an info alert and does not return a chart object.
      * @example
      * FinancialPlanner.VisualizationService.createCategoryPieChart();
      */
     createCategoryPieChart: function() {
       try {
         uiService.showLoadingSpinner("Creating category pie chart...");
-        // TODO: Implement category pie chart
-        SpreadsheetApp.getUi().alert('Category Pie Chart - Coming Soon!');
+        const result = createCategoryPie();
         uiService.hideLoadingSpinner();
+        return result;
       } catch (error) {
         uiService.hideLoadingSpinner();
         errorService.handle(error, "Failed to create category pie chart");
+        return null;
       }
+    },
+
+    /**
+     * Groups spend over a period into category pie slices, folding small slices into "Other".
+     * @param {Object<string, object>} monthlyData - Aggregates keyed "YYYY-M" (see `DataProcessor.aggregateByMonth`).
+     * @param {Date[]} months - The first day of each month of the period.
+     * @param {object} indices - Column indices of the transaction rows (see `DataProcessor.getColumnIndices`).
+     * @param {{type: string, level: string, threshold: number}} [options] - The type filter (empty for every
+     *   expense type), the grouping level ("Type", "Category" or "Sub-Category") and the fold threshold share.
+     * @returns {{slices: Array<{label: string, value: number, share: number}>, total: number, folded: string[]}}
+     *   The slices largest first, their total, and the labels folded into "Other".
+     * @memberof FinancialPlanner.VisualizationService
+     */
+    groupCategorySlices: function(monthlyData, months, indices, options) {
+      return groupCategorySlices(monthlyData, months, indices, options);
+    },
+
+    /**
+     * Draws a category pie or donut of the Transactions data on any sheet, with its slice table.
+     * Re-running with the same chart row updates the chart in place. Used by the Charts sheet and
+     * the monthly spending report.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to draw on.
+     * @param {{months: Date[], type: string, level: string, threshold: number, title: string, donut: boolean,
+     *   tableRow: number, tableColumn: number, chartRow: number, chartColumn: number, width: number,
+     *   height: number}} options - The period, the grouping options (see `groupCategorySlices`), the chart
+     *   title and style, where the table and chart go and, optionally, the chart size.
+     * @returns {{slices: Array<object>, total: number, folded: string[]}} The grouping that was drawn.
+     * @throws {Error} If the Transactions sheet or its required columns are missing.
+     * @memberof FinancialPlanner.VisualizationService
+     * @example
+     * FinancialPlanner.VisualizationService.insertCategoryPie(sheet, {
+     *   months: [new Date(2024, 4, 1)], level: 'Sub-Category', threshold: 0.05, title: 'May 2024',
+     *   tableRow: 20, tableColumn: 1, chartRow: 2, chartColumn: 6
+     * });
+     */
+    insertCategoryPie: function(sheet, options) {
+      return insertCategoryPie(sheet, options);
     }
   };
-})(FinancialPlanner.Utils, FinancialPlanner.UIService, FinancialPlanner.ErrorService, FinancialPlanner.Config);
+})(
+  FinancialPlanner.Utils,
+  FinancialPlanner.UIService,
+  FinancialPlanner.ErrorService,
+  FinancialPlanner.Config,
+  FinancialPlanner.DataProcessor,
+  FinancialPlanner.MetricsCalculator,
+  FinancialPlanner.PeriodService,
+  FinancialPlanner.BudgetService
+);
 
 // Backward compatibility layer for existing global functions
 
@@ -114,7 +1068,8 @@ FinancialPlanner.VisualizationService = (function(utils, uiService, errorService
  * Creates a spending trends chart.
  * This global function is maintained for backward compatibility.
  * It delegates its execution to `FinancialPlanner.VisualizationService.createSpendingTrendsChart()`.
- * @returns {void | undefined} Currently returns `undefined` as the underlying service method is a placeholder.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The Charts sheet, `null` on error,
+ *   or `undefined` if the service is not loaded.
  * @global
  */
 function createSpendingTrendsChart() {
@@ -128,7 +1083,8 @@ function createSpendingTrendsChart() {
  * Creates a budget vs actual chart.
  * This global function is maintained for backward compatibility.
  * It delegates its execution to `FinancialPlanner.VisualizationService.createBudgetVsActualChart()`.
- * @returns {void | undefined} Currently returns `undefined`.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The Charts sheet, `null` on error,
+ *   or `undefined` if the service is not loaded.
  * @global
  */
 function createBudgetVsActualChart() {
@@ -142,7 +1098,8 @@ function createBudgetVsActualChart() {
  * Creates an income vs expenses chart.
  * This global function is maintained for backward compatibility.
  * It delegates its execution to `FinancialPlanner.VisualizationService.createIncomeVsExpensesChart()`.
- * @returns {void | undefined} Currently returns `undefined`.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The Charts sheet, `null` on error,
+ *   or `undefined` if the service is not loaded.
  * @global
  */
 function createIncomeVsExpensesChart() {
@@ -156,7 +1113,8 @@ function createIncomeVsExpensesChart() {
  * Creates a category pie chart.
  * This global function is maintained for backward compatibility.
  * It delegates its execution to `FinancialPlanner.VisualizationService.createCategoryPieChart()`.
- * @returns {void | undefined} Currently returns `undefined`.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet | null | undefined} The Charts sheet, `null` on error,
+ *   or `undefined` if the service is not loaded.
  * @global
  */
 function createCategoryPieChart() {
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Account Balance Service - Reads and writes the Account Balances sheet.
+ * Statement imports report the closing balance of each account; this sheet keeps the latest
+ * one per source and account so reports and forecasts have a starting point that does not
+ * depend on summing the full transaction history.
+ * @module services/account-balance-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Account Balance Service - Latest balance per account.
+ * @namespace FinancialPlanner.AccountBalanceService
+ */
+FinancialPlanner.AccountBalanceService = (function() {
+  /**
+   * Builds the key of a balance row. Account names are only unique per source.
+   * @private
+   * @param {string} source - The provider name (LEDGER.SOURCES).
+   * @param {string} account - The account name.
+   * @returns {string} The key.
+   */
+  function getBalanceKey(source, account) {
+    return (source || '') + '|' + account;
+  }
+
+  /**
+   * Converts a sheet row into a balance object.
+   * @private
+   * @param {Array<*>} row - The row values.
+   * @param {string[]} headers - The sheet header row.
+   * @returns {object} The balance.
+   */
+  function fromRow(row, headers) {
+    const columns = FinancialPlanner.Config.getSection('ACCOUNT_BALANCES').COLUMNS;
+    const balance = {};
+    Object.keys(columns).forEach(function(field) {
+      const index = headers.indexOf(columns[field]);
+      balance[field] = index === -1 ? '' : row[index];
+    });
+    return balance;
+  }
+
+  /**
+   * Converts a balance object into a sheet row, keeping cells of unknown columns.
+   * @private
+   * @param {object} balance - The balance.
+   * @param {string[]} headers - The sheet header row.
+   * @param {Array<*>} [baseRow] - The existing row values.
+   * @returns {Array<*>} The row values.
+   */
+  function toRow(balance, headers, baseRow) {
+    const columns = FinancialPlanner.Config.getSection('ACCOUNT_BALANCES').COLUMNS;
+    const row = baseRow ? baseRow.slice() : headers.map(function() { return ''; });
+    Object.keys(columns).forEach(function(field) {
+      const index = headers.indexOf(columns[field]);
+      if (index !== -1 && balance[field] !== undefined && balance[field] !== null) {
+        row[index] = balance[field];
+      }
+    });
+    return row;
+  }
+
+  // Public API
+  return {
+    /**
+     * Returns the Account Balances sheet, creating it with its headers if needed.
+     * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: string[]}} The sheet and its header row.
+     * @memberof FinancialPlanner.AccountBalanceService
+     */
+    getSheet: function() {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheetName = FinancialPlanner.Config.getSheetNames().ACCOUNT_BALANCES;
+      const columns = FinancialPlanner.Config.getSection('ACCOUNT_BALANCES').COLUMNS;
+      const headers = Object.keys(columns).map(function(field) {
+        return columns[field];
+      });
+      let sheet = ss.getSheetByName(sheetName);
+
+      if (!sheet) {
+        sheet = ss.insertSheet(sheetName);
+      }
+
+      if (sheet.getLastRow() === 0) {
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+        sheet.getRange(2, headers.indexOf(columns.ledgerBalance) + 1, sheet.getMaxRows() - 1, 2)
+          .setNumberFormat(FinancialPlanner.Config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT);
+        return { sheet: sheet, headers: headers };
+      }
+
+      return { sheet: sheet, headers: sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] };
+    },
+
+    /**
+     * Reads every stored balance.
+     * @returns {Array<object>} Balances with account, source, currency, ledgerBalance,
+     *   availableBalance, balanceDate and updated fields.
+     * @memberof FinancialPlanner.AccountBalanceService
+     */
+    getBalances: function() {
+      const balances = this.getSheet();
+      const lastRow = balances.sheet.getLastRow();
+      if (lastRow < 2) return [];
+
+      return balances.sheet.getRange(2, 1, lastRow - 1, balances.headers.length).getValues()
+        .map(function(row) {
+          return fromRow(row, balances.headers);
+        });
+    },
+
+    /**
+     * Inserts or updates balances keyed by their `source` and `account` fields.
+     * A stored balance is only replaced by one with the same or a later balance date, so
+     * importing an older statement does not roll an account back.
+     * @param {Array<object>} balances - Balances with account, source, currency, ledgerBalance,
+     *   availableBalance and balanceDate fields.
+     * @returns {{added: number, updated: number}} Counts of appended and updated rows.
+     * @memberof FinancialPlanner.AccountBalanceService
+     */
+    upsert: function(balances) {
+      const result = { added: 0, updated: 0 };
+      if (!balances || balances.length === 0) return result;
+
+      const store = this.getSheet();
+      const sheet = store.sheet;
+      const headers = store.headers;
+      const lastRow = sheet.getLastRow();
+      const data = lastRow > 1
+        ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+        : [];
+
+      const rowByKey = {};
+      data.forEach(function(row, i) {
+        const existing = fromRow(row, headers);
+        rowByKey[getBalanceKey(existing.source, existing.account)] = i;
+      });
+
+      const now = new Date();
+      const newRows = [];
+      balances.forEach(function(balance) {
+        const incoming = Object.assign({}, balance, { updated: now });
+        const key = getBalanceKey(incoming.source, incoming.account);
+        const existingIndex = rowByKey[key];
+
+        if (existingIndex === undefined) {
+          rowByKey[key] = data.length + newRows.length;
+          newRows.push(toRow(incoming, headers));
+          result.added++;
+          return;
+        }
+
+        const target = existingIndex < data.length ? data : newRows;
+        const index = existingIndex < data.length ? existingIndex : existingIndex - data.length;
+        const existing = fromRow(target[index], headers);
+        if (existing.balanceDate instanceof Date && incoming.balanceDate instanceof Date &&
+            incoming.balanceDate.getTime() < existing.balanceDate.getTime()) {
+          return;
+        }
+        target[index] = toRow(incoming, headers, target[index]);
+        if (target === data) result.updated++;
+      });
+
+      if (result.updated > 0) {
+        sheet.getRange(2, 1, data.length, headers.length).setValues(data);
+      }
+      if (newRows.length > 0) {
+        sheet.getRange(lastRow + 1, 1, newRows.length, headers.length).setValues(newRows);
+      }
+
+      Logger.log('Account balances: ' + result.added + ' added, ' + result.updated + ' updated');
+      return result;
+    }
+  };
+})();
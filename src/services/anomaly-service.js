@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Anomaly Service - Flags unusual transactions and unusual category-months.
+ * A transaction is unusual when its amount is far above the merchant's earlier charges, when it
+ * is a large first charge from a new merchant, or when the same merchant charged the same amount
+ * to the same account twice on one day. A category-month is unusual when its spend is an outlier (z-score or IQR)
+ * against the category's preceding months. Findings are listed on the Anomalies sheet, where a
+ * Dismiss checkbox keeps an anomaly dismissed when the detector runs again.
+ * @module services/anomaly-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Anomaly Service - Spending anomaly detection for the ledger.
+ * @namespace FinancialPlanner.AnomalyService
+ */
+FinancialPlanner.AnomalyService = (function() {
+  /**
+   * @const {number} MS_PER_HOUR
+   * @private
+   */
+  const MS_PER_HOUR = 60 * 60 * 1000;
+
+  /**
+   * @const {string[]} HEADERS
+   * @private
+   * @description Columns of the Anomalies sheet. The hidden Key column identifies an anomaly
+   * across runs, so a ticked Dismiss box is carried over.
+   */
+  const HEADERS = [
+    'Dismiss', 'Date', 'Kind', 'Type', 'Category', 'Merchant',
+    'Amount', 'Baseline', 'Reason', 'Source Row', 'Key'
+  ];
+
+  /**
+   * @const {object} KINDS
+   * @private
+   * @description Display names of the anomaly kinds.
+   */
+  const KINDS = {
+    DUPLICATE: 'Duplicate charge',
+    NEW_MERCHANT: 'New merchant',
+    UNUSUAL_AMOUNT: 'Unusual amount',
+    CATEGORY_MONTH: 'Unusual month'
+  };
+
+  /**
+   * Reads the thresholds from the configuration.
+   * @private
+   * @returns {object} The ANOMALIES configuration section.
+   */
+  function getOptions() {
+    return FinancialPlanner.Config.getSection('ANOMALIES');
+  }
+
+  /**
+   * Tells whether a charge repeats an earlier one: same amount, source and account, on the same
+   * calendar day and within `DUPLICATE_WINDOW_HOURS`. Ledger dates usually carry no time, so the
+   * day is what tells a double booking from a purchase repeated the next morning.
+   * @private
+   * @param {{spend: number, date: Date, record: object}} item - The later charge.
+   * @param {{spend: number, date: Date, record: object}} previous - An earlier charge of the same merchant.
+   * @param {object} options - The thresholds.
+   * @returns {boolean} True if the later charge looks like a duplicate.
+   */
+  function isDuplicateCharge(item, previous, options) {
+    return Math.round(previous.spend * 100) === Math.round(item.spend * 100) &&
+      (previous.record.source || '') === (item.record.source || '') &&
+      (previous.record.account || '') === (item.record.account || '') &&
+      previous.date.toDateString() === item.date.toDateString() &&
+      item.date - previous.date <= options.DUPLICATE_WINDOW_HOURS * MS_PER_HOUR;
+  }
+
+  /**
+   * Identifies a ledger record independently of its row, so keys survive re-sorting the ledger.
+   * @private
+   * @param {object} record - A ledger record.
+   * @param {Date} date - The record's date.
+   * @returns {string} The reference.
+   */
+  function getReference(record, date) {
+    if (record.source && record.id) return record.source + ':' + record.id;
+    return date.toISOString().substring(0, 10) + ':' + record.amount + ':' + record.description;
+  }
+
+  /**
+   * Formats an amount for a reason text.
+   * @private
+   * @param {number} value - The amount.
+   * @returns {string} The formatted amount with two decimals.
+   */
+  function formatAmount(value) {
+    return FinancialPlanner.MetricsCalculator.formatCurrency(value, { decimals: 2 });
+  }
+
+  /**
+   * Returns the first day of the earliest month anomalies are listed for.
+   * @private
+   * @param {object} options - The thresholds.
+   * @param {Date} today - The reference date.
+   * @returns {Date} The first listed month.
+   */
+  function getListedFrom(options, today) {
+    return new Date(today.getFullYear(), today.getMonth() - options.LOOKBACK_MONTHS + 1, 1);
+  }
+
+  /**
+   * Reads the keys of the anomalies dismissed on the Anomalies sheet.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet|null} sheet - The Anomalies sheet, if it exists.
+   * @returns {Object<string, boolean>} The dismissed keys.
+   */
+  function readDismissed(sheet) {
+    const dismissed = {};
+    if (!sheet || sheet.getLastRow() < 2) return dismissed;
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, HEADERS.length).getValues().forEach(function(row) {
+      if (row[0] === true && row[HEADERS.length - 1]) {
+        dismissed[row[HEADERS.length - 1]] = true;
+      }
+    });
+    return dismissed;
+  }
+
+  /**
+   * Writes the anomalies to the Anomalies sheet, replacing its content. Open anomalies come
+   * first, newest first; dismissed ones follow, greyed out.
+   * @private
+   * @param {Array<object>} anomalies - The anomalies, each with a `dismissed` flag.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The Anomalies sheet.
+   */
+  function writeAnomalySheet(anomalies) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const config = FinancialPlanner.Config;
+    const sheet = FinancialPlanner.Utils.getOrCreateSheet(ss, config.getSheetNames().ANOMALIES);
+    const transactionSheet = ss.getSheetByName(config.getSheetNames().TRANSACTIONS);
+    const gid = transactionSheet ? transactionSheet.getSheetId() : 0;
+    const colors = config.getSection('COLORS').UI;
+
+    sheet.getRange(2, 1, sheet.getMaxRows() - 1, 1).clearDataValidations();
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground(colors.HEADER_BG)
+      .setFontColor(colors.HEADER_FONT);
+    sheet.setFrozenRows(1);
+    sheet.hideColumns(HEADERS.length);
+
+    const sorted = anomalies.slice().sort(function(a, b) {
+      return (a.dismissed ? 1 : 0) - (b.dismissed ? 1 : 0) || b.date - a.date;
+    });
+    if (sorted.length === 0) {
+      sheet.setConditionalFormatRules([]);
+      sheet.getRange(2, 2).setValue('No anomalies found.');
+      return sheet;
+    }
+
+    const rows = sorted.map(function(anomaly) {
+      return [
+        anomaly.dismissed, anomaly.date, anomaly.kind, anomaly.type, anomaly.category, anomaly.merchant,
+        anomaly.amount, anomaly.baseline === null ? '' : anomaly.baseline, anomaly.reason,
+        anomaly.row ? '=HYPERLINK("#gid=' + gid + '&range=A' + anomaly.row + '","Row ' + anomaly.row + '")' : '',
+        anomaly.key
+      ];
+    });
+    sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    sheet.getRange(2, 1, rows.length, 1).insertCheckboxes();
+    sheet.getRange(2, 2, rows.length, 1).setNumberFormats(sorted.map(function(anomaly) {
+      return [anomaly.kind === KINDS.CATEGORY_MONTH ? 'mmm yyyy' : 'yyyy-mm-dd'];
+    }));
+    FinancialPlanner.Utils.formatAsCurrency(
+      sheet.getRange(2, 7, rows.length, 2),
+      config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT
+    );
+
+    sheet.setConditionalFormatRules([
+      SpreadsheetApp.newConditionalFormatRule()
+        .whenFormulaSatisfied('=$A2=TRUE')
+        .setFontColor('#9E9E9E')
+        .setRanges([sheet.getRange(2, 2, rows.length, HEADERS.length - 2)])
+        .build()
+    ]);
+    sheet.autoResizeColumns(1, HEADERS.length - 1);
+    return sheet;
+  }
+
+  // Public API
+  return {
+    /**
+     * Finds unusual transactions among spending records: duplicate charges (same merchant, amount
+     * and account on the day of an earlier charge, within `DUPLICATE_WINDOW_HOURS`), amounts above both the Tukey
+     * fence and `MERCHANT_RATIO` times the median of the merchant's earlier charges, and first
+     * charges from a merchant of at least `FIRST_TIME_AMOUNT` once the ledger has `LEARNING_DAYS`
+     * of history. A transaction gets at most one anomaly, in that order. Spending is any
+     * outflow that is not typed Income or Savings; rows marked as duplicates are ignored.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {object} options - The thresholds (see the ANOMALIES configuration section).
+     * @param {Date} [today=new Date()] - The reference date; only anomalies of the last
+     *   `LOOKBACK_MONTHS` are returned.
+     * @returns {Array<{key: string, kind: string, date: Date, type: string, category: string, merchant: string,
+     *   amount: number, baseline: (number|null), reason: string, row: number}>} The anomalies, oldest first.
+     * @memberof FinancialPlanner.AnomalyService
+     */
+    findTransactionAnomalies: function(records, options, today) {
+      const types = FinancialPlanner.Config.getSection('TRANSACTION_TYPES');
+      const listedFrom = getListedFrom(options, today || new Date());
+      const utils = FinancialPlanner.Utils;
+      const spending = records
+        .map(function(record) { return { record: record, date: utils.getRecordDate(record), key: utils.getMerchantKey(record) }; })
+        .filter(function(item) {
+          const record = item.record;
+          return item.date && item.key && !record.duplicateOf && (parseFloat(record.amount) || 0) < 0 &&
+            record.type !== types.INCOME && record.type !== types.SAVINGS;
+        })
+        .sort(function(a, b) { return a.date - b.date || (a.record.row || 0) - (b.record.row || 0); });
+      if (spending.length === 0) return [];
+
+      const firstDate = spending[0].date;
+      const history = {};
+      const anomalies = [];
+      spending.forEach(function(item) {
+        const record = item.record;
+        const spend = -parseFloat(record.amount);
+        const earlier = history[item.key] || [];
+        const merchant = record.merchant || record.description;
+        let anomaly = null;
+
+        const duplicate = earlier.filter(function(previous) {
+          return isDuplicateCharge({ spend: spend, date: item.date, record: record }, previous, options);
+        }).pop();
+        const amounts = earlier.map(function(previous) { return previous.spend; });
+        const stats = FinancialPlanner.MetricsCalculator.calculateStatistics(amounts);
+
+        if (duplicate) {
+          const hours = Math.round((item.date - duplicate.date) / MS_PER_HOUR);
+          anomaly = {
+            kind: KINDS.DUPLICATE,
+            baseline: -duplicate.spend,
+            reason: 'Same amount charged by ' + merchant + ' ' +
+              (hours === 0 ? 'on the same day' : hours + ' hour(s)') + ' after ' +
+              (duplicate.record.row ? 'row ' + duplicate.record.row : 'an earlier charge')
+          };
+        } else if (amounts.length >= options.MIN_MERCHANT_HISTORY &&
+            spend > stats.q3 + options.IQR_MULTIPLIER * stats.iqr && spend >= options.MERCHANT_RATIO * stats.median) {
+          anomaly = {
+            kind: KINDS.UNUSUAL_AMOUNT,
+            baseline: -stats.median,
+            reason: (Math.round(spend / stats.median * 10) / 10) + ' times the usual ' + formatAmount(stats.median) +
+              ' at ' + merchant + ' (' + amounts.length + ' earlier charges)'
+          };
+        } else if (amounts.length === 0 && spend >= options.FIRST_TIME_AMOUNT &&
+            item.date - firstDate >= options.LEARNING_DAYS * 24 * MS_PER_HOUR) {
+          anomaly = {
+            kind: KINDS.NEW_MERCHANT,
+            baseline: null,
+            reason: 'First charge from ' + merchant + ', at or above ' + formatAmount(options.FIRST_TIME_AMOUNT)
+          };
+        }
+
+        if (anomaly && item.date >= listedFrom) {
+          anomaly.key = anomaly.kind + '|' + getReference(record, item.date);
+          anomaly.date = item.date;
+          anomaly.type = record.type || '';
+          anomaly.category = record.category || '';
+          anomaly.merchant = merchant;
+          anomaly.amount = -spend;
+          anomaly.row = record.row;
+          anomalies.push(anomaly);
+        }
+        earlier.push({ spend: spend, date: item.date, record: record });
+        history[item.key] = earlier;
+      });
+      return anomalies;
+    },
+
+    /**
+     * Finds unusual category-months: months whose spend in a category is an outlier against the
+     * category's `BASELINE_MONTHS` preceding months, by z-score or by the Tukey fence depending on
+     * `CATEGORY_METHOD`, and deviates from the baseline by at least `MIN_DEVIATION` of it. A
+     * category needs `MIN_BASELINE_MONTHS` months since its first spend before it is judged; months
+     * without spend count as zero. The current month is incomplete, so it is only flagged when high.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {object} options - The thresholds (see the ANOMALIES configuration section).
+     * @param {Date} [today=new Date()] - The reference date; only anomalies of the last
+     *   `LOOKBACK_MONTHS` are returned.
+     * @returns {Array<object>} The anomalies (see `findTransactionAnomalies`) dated on the first day of
+     *   their month, without a row.
+     * @memberof FinancialPlanner.AnomalyService
+     */
+    findCategoryAnomalies: function(records, options, today) {
+      const now = today || new Date();
+      const expenseTypes = FinancialPlanner.Config.getSection('EXPENSE_TYPES');
+      const currentIndex = now.getFullYear() * 12 + now.getMonth();
+      const listedFrom = getListedFrom(options, now);
+      const useIqr = options.CATEGORY_METHOD === 'iqr';
+
+      const series = {};
+      records.forEach(function(record) {
+        const date = FinancialPlanner.Utils.getRecordDate(record);
+        if (!date || record.duplicateOf || expenseTypes.indexOf(record.type) === -1 || !record.category) return;
+        const monthIndex = date.getFullYear() * 12 + date.getMonth();
+        if (monthIndex > currentIndex) return;
+        const key = record.type + '|' + record.category;
+        if (!series[key]) series[key] = { type: record.type, category: record.category, first: monthIndex, spend: {} };
+        series[key].first = Math.min(series[key].first, monthIndex);
+        series[key].spend[monthIndex] = (series[key].spend[monthIndex] || 0) - (parseFloat(record.amount) || 0);
+      });
+
+      const anomalies = [];
+      Object.keys(series).forEach(function(key) {
+        const category = series[key];
+        const valueOf = function(index) { return Math.round((category.spend[index] || 0) * 100) / 100; };
+        for (let index = category.first + options.MIN_BASELINE_MONTHS; index <= currentIndex; index++) {
+          const month = new Date(Math.floor(index / 12), index % 12, 1);
+          if (month < listedFrom) continue;
+
+          const baseline = [];
+          for (let i = Math.max(category.first, index - options.BASELINE_MONTHS); i < index; i++) baseline.push(valueOf(i));
+          const stats = FinancialPlanner.MetricsCalculator.calculateStatistics(baseline);
+          const value = valueOf(index);
+          const reference = useIqr ? stats.median : stats.mean;
+          const high = value > reference;
+          if (index === currentIndex && !high) continue;
+          if (Math.abs(value - reference) < options.MIN_DEVIATION * Math.abs(reference) || value === reference) continue;
+
+          let reason;
+          if (useIqr) {
+            const fence = high ? stats.q3 + options.IQR_MULTIPLIER * stats.iqr : stats.q1 - options.IQR_MULTIPLIER * stats.iqr;
+            if (high ? value <= fence : value >= fence) continue;
+            reason = 'Spend ' + (high ? 'above' : 'below') + ' the usual range of the last ' + baseline.length +
+              ' months (' + (high ? 'upper' : 'lower') + ' limit ' + formatAmount(fence) + ')';
+          } else {
+            const z = stats.stdDev > 0 ? (value - stats.mean) / stats.stdDev : (high ? Infinity : -Infinity);
+            if (Math.abs(z) < options.Z_SCORE) continue;
+            reason = 'Spend ' + (isFinite(z) ? (Math.round(Math.abs(z) * 10) / 10) + ' standard deviations ' : 'far ') +
+              (high ? 'above' : 'below') + ' the ' + baseline.length + '-month average';
+          }
+
+          anomalies.push({
+            key: KINDS.CATEGORY_MONTH + '|' + key + '|' + month.getFullYear() + '-' + (month.getMonth() + 1),
+            kind: KINDS.CATEGORY_MONTH,
+            date: month,
+            type: category.type,
+            category: category.category,
+            merchant: '',
+            amount: -value,
+            baseline: -Math.round(reference * 100) / 100,
+            reason: reason + (index === currentIndex ? ' (month to date)' : ''),
+            row: null
+          });
+        }
+      });
+      return anomalies.sort(function(a, b) { return a.date - b.date; });
+    },
+
+    /**
+     * Runs the detector over the ledger and lists the findings on the Anomalies sheet. Anomalies
+     * whose Dismiss box was ticked before stay dismissed; dismissals of anomalies that are no
+     * longer found are dropped.
+     * @returns {{open: number, dismissed: number}} The number of open and dismissed anomalies listed.
+     * @memberof FinancialPlanner.AnomalyService
+     */
+    run: function() {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const options = getOptions();
+      const today = new Date();
+      const records = FinancialPlanner.LedgerService.getRecords();
+      const dismissed = readDismissed(ss.getSheetByName(FinancialPlanner.Config.getSheetNames().ANOMALIES));
+
+      const anomalies = this.findTransactionAnomalies(records, options, today)
+        .concat(this.findCategoryAnomalies(records, options, today));
+      anomalies.forEach(function(anomaly) {
+        anomaly.dismissed = dismissed[anomaly.key] === true;
+      });
+      writeAnomalySheet(anomalies).activate();
+
+      const dismissedCount = anomalies.filter(function(anomaly) { return anomaly.dismissed; }).length;
+      Logger.log('Anomaly detection: ' + (anomalies.length - dismissedCount) + ' open, ' + dismissedCount + ' dismissed');
+      return { open: anomalies.length - dismissedCount, dismissed: dismissedCount };
+    }
+  };
+})();
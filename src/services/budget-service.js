@@ -0,0 +1,537 @@
+/**
+ * @fileoverview Budget Service - Stores budgets per Type, Category and Sub-Category.
+ * Budgets live in a user-editable "Budgets" sheet. Each row holds either a monthly amount or a
+ * yearly amount spread over the months evenly or by twelve custom weights; a monthly row with a
+ * Month set overrides the budget of that one month. The sheet is seeded with the expense
+ * categories found in the Transactions sheet the first time it is created, so only the amounts
+ * need to be filled in. Budgets can also be edited from the Budgets sidebar.
+ * @module services/budget-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Budget Service - Per-category monthly and yearly budgets.
+ * @namespace FinancialPlanner.BudgetService
+ */
+FinancialPlanner.BudgetService = (function() {
+  /**
+   * @const {string[]} HEADERS
+   * @private
+   * @description Column headers of the Budgets sheet.
+   */
+  const HEADERS = ['Type', 'Category', 'Sub-Category', 'Period', 'Amount', 'Month', 'Weights'];
+
+  /**
+   * @const {{MONTHLY: string, YEARLY: string}} PERIODS
+   * @private
+   * @description Values of the Period column.
+   */
+  const PERIODS = { MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+
+  /**
+   * Parses the Weights column: twelve non-negative numbers, January first, separated by commas
+   * or semicolons.
+   * @private
+   * @param {*} value - The cell value.
+   * @returns {number[]|null} The weights, or null if blank or invalid.
+   */
+  function parseWeights(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const weights = String(value).split(/[,;]/).map(function(part) { return Number(part.trim()); });
+    const valid = weights.length === 12 && weights.every(function(w) { return isFinite(w) && w >= 0; });
+    if (!valid) return null;
+    return weights.reduce(function(sum, w) { return sum + w; }, 0) > 0 ? weights : null;
+  }
+
+  /**
+   * Parses the Month column, a date or a "yyyy-MM" text, into the first day of that month.
+   * @private
+   * @param {*} value - The cell value.
+   * @returns {Date|null} The month, or null if blank or invalid.
+   */
+  function parseMonth(value) {
+    if (value instanceof Date && !isNaN(value.getTime())) {
+      return new Date(value.getFullYear(), value.getMonth(), 1);
+    }
+    const match = /^(\d{4})-(\d{1,2})$/.exec(String(value || '').trim());
+    if (!match || match[2] < 1 || match[2] > 12) return null;
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, 1);
+  }
+
+  /**
+   * Formats a month as "yyyy-MM", the value of an HTML month input.
+   * @private
+   * @param {Date|null} month - The month.
+   * @returns {string} The text; empty for no month.
+   */
+  function formatMonth(month) {
+    if (!month) return '';
+    return month.getFullYear() + '-' + ('0' + (month.getMonth() + 1)).slice(-2);
+  }
+
+  /**
+   * Tells whether a budget belongs to a Type, Category and Sub-Category.
+   * @private
+   * @param {object} budget - A budget as returned by `getBudgets`.
+   * @param {string} type - The transaction type.
+   * @param {string} category - The category.
+   * @param {string} [subcategory] - The sub-category; blank for the category as a whole.
+   * @returns {boolean} True if the budget is for exactly that line.
+   */
+  function matches(budget, type, category, subcategory) {
+    return budget.type === type && budget.category === category &&
+      (budget.subcategory || '') === (subcategory || '');
+  }
+
+  /**
+   * Tells whether a budget has an amount. Seeded rows stay blank until an amount is entered.
+   * @private
+   * @param {object} budget - A budget as returned by `getBudgets`.
+   * @returns {boolean} True if an amount was entered.
+   */
+  function isSet(budget) {
+    return budget.amount !== null;
+  }
+
+  /**
+   * Returns the budget of exactly one line for a month: its override for that month, else its
+   * monthly amount, else its share of the yearly amount.
+   * @private
+   * @param {Array<object>} budgets - Budgets as returned by `getBudgets`.
+   * @param {string} type - The transaction type.
+   * @param {string} category - The category.
+   * @param {string} subcategory - The sub-category; blank for the category as a whole.
+   * @param {Date} month - Any date in the month.
+   * @returns {number|null} The budgeted amount, or null if the line has no budget.
+   */
+  function resolveLine(budgets, type, category, subcategory, month) {
+    let standing = null;
+    for (let i = 0; i < budgets.length; i++) {
+      const budget = budgets[i];
+      if (!matches(budget, type, category, subcategory) || !isSet(budget)) continue;
+      if (!budget.month) {
+        standing = standing || budget;
+      } else if (budget.month.getFullYear() === month.getFullYear() && budget.month.getMonth() === month.getMonth()) {
+        return budget.amount;
+      }
+    }
+    if (!standing) return null;
+    if (standing.period !== PERIODS.YEARLY) return standing.monthly;
+    if (!standing.weights) return standing.amount / 12;
+    const total = standing.weights.reduce(function(sum, w) { return sum + w; }, 0);
+    return standing.amount * standing.weights[month.getMonth()] / total;
+  }
+
+  /**
+   * Converts a sheet row into a budget.
+   * @private
+   * @param {Array<*>} row - The row values, in `HEADERS` order.
+   * @returns {{type: string, category: string, subcategory: string, period: string, amount: (number|null),
+   *   month: (Date|null), weights: (number[]|null), monthly: number}} The budget. `amount` is null when
+   *   blank; `monthly` is the standing monthly amount (a twelfth of a yearly budget), 0 when blank.
+   */
+  function toBudget(row) {
+    const period = row[3] === PERIODS.YEARLY ? PERIODS.YEARLY : PERIODS.MONTHLY;
+    const parsed = parseFloat(row[4]);
+    const amount = row[4] === '' || isNaN(parsed) ? null : parsed;
+    const monthly = amount === null ? 0 : (period === PERIODS.YEARLY ? amount / 12 : amount);
+    return {
+      type: row[0],
+      category: row[1],
+      subcategory: row[2] || '',
+      period: period,
+      amount: amount,
+      month: period === PERIODS.MONTHLY ? parseMonth(row[5]) : null,
+      weights: period === PERIODS.YEARLY ? parseWeights(row[6]) : null,
+      monthly: monthly
+    };
+  }
+
+  /**
+   * Builds the seed rows from the expense categories in the Transactions sheet.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss - The spreadsheet.
+   * @returns {Array<Array<*>>} One monthly row per Type and Category, in type order, with no amount.
+   */
+  function buildSeedRows(ss) {
+    const config = FinancialPlanner.Config;
+    const transactionSheet = ss.getSheetByName(config.getSheetNames().TRANSACTIONS);
+    if (!transactionSheet) return [];
+
+    const data = transactionSheet.getDataRange().getValues();
+    const indices = FinancialPlanner.DataProcessor.getColumnIndices(data[0]);
+    if (indices.type === -1 || indices.category === -1) return [];
+
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    const seen = {};
+    const rows = [];
+    for (let i = 1; i < data.length; i++) {
+      const type = data[i][indices.type];
+      const category = data[i][indices.category];
+      if (expenseTypes.indexOf(type) === -1 || !category || seen[type + '|' + category]) continue;
+      seen[type + '|' + category] = true;
+      rows.push([type, category, '', PERIODS.MONTHLY, '', '', '']);
+    }
+    return rows.sort(function(a, b) {
+      return expenseTypes.indexOf(a[0]) - expenseTypes.indexOf(b[0]) || String(a[1]).localeCompare(String(b[1]));
+    });
+  }
+
+  /**
+   * Writes the headers, formats and Period dropdown of the Budgets sheet.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The budgets sheet.
+   */
+  function formatBudgetSheet(sheet) {
+    const config = FinancialPlanner.Config;
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground(config.getSection('COLORS').UI.HEADER_BG)
+      .setFontColor(config.getSection('COLORS').UI.HEADER_FONT);
+    sheet.setFrozenRows(1);
+
+    sheet.getRange('D2:D').setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList([PERIODS.MONTHLY, PERIODS.YEARLY], true)
+        .setAllowInvalid(false)
+        .build()
+    );
+    sheet.getRange('E2:E').setNumberFormat(config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT);
+    sheet.getRange('F2:F').setNumberFormat('mmm yyyy');
+    sheet.getRange('G2:G').setNumberFormat('@');
+    sheet.getRange(1, 6).setNote('Optional. Set a month to override the monthly budget of that month only.');
+    sheet.getRange(1, 7).setNote('Optional, yearly budgets only: twelve weights, January first, e.g. ' +
+      '"1,1,1,1,1,1,1,1,1,1,1,3" to budget more in December. Blank spreads the year evenly.');
+  }
+
+  /**
+   * Returns the Budgets sheet, creating and seeding it if needed.
+   * @private
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The budgets sheet.
+   */
+  function getBudgetSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = FinancialPlanner.Config.getSheetNames().BUDGETS;
+    let sheet = ss.getSheetByName(sheetName);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+      formatBudgetSheet(sheet);
+
+      const seedRows = buildSeedRows(ss);
+      if (seedRows.length > 0) {
+        sheet.getRange(2, 1, seedRows.length, HEADERS.length).setValues(seedRows);
+      }
+      Logger.log('Created ' + sheetName + ' sheet with ' + seedRows.length + ' categories');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Reads the budgets of a Budgets sheet. Rows without a category are skipped.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The budgets sheet.
+   * @returns {Array<object>} The budgets in sheet order (see `toBudget`).
+   */
+  function readBudgets(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+
+    return sheet.getRange(2, 1, lastRow - 1, HEADERS.length).getValues()
+      .filter(function(row) { return row[1] !== ''; })
+      .map(toBudget);
+  }
+
+  /**
+   * Validates a budget entry from the editor and converts it into a sheet row.
+   * @private
+   * @param {{type: string, category: string, subcategory: string, period: string, amount: (number|string),
+   *   month: string, weights: string}} entry - The entry.
+   * @returns {Array<*>} The row, in `HEADERS` order.
+   * @throws {Error} If the entry is incomplete or invalid.
+   */
+  function toRow(entry) {
+    const errorService = FinancialPlanner.ErrorService;
+    const period = entry.period || PERIODS.MONTHLY;
+    const value = Number(entry.amount);
+    if (!entry.type || !entry.category) {
+      throw errorService.create('A budget needs a type and a category', { severity: 'low' });
+    }
+    if (period !== PERIODS.MONTHLY && period !== PERIODS.YEARLY) {
+      throw errorService.create('Invalid budget period. Must be Monthly or Yearly', { severity: 'low', providedValue: period });
+    }
+    if (entry.amount === '' || entry.amount === null || entry.amount === undefined || isNaN(value) || value < 0) {
+      throw errorService.create('Invalid budget. Must be zero or a positive amount', {
+        severity: 'low',
+        providedValue: entry.amount
+      });
+    }
+
+    const month = entry.month ? parseMonth(entry.month) : null;
+    if (entry.month && !month) {
+      throw errorService.create('Invalid budget month. Use the format yyyy-MM', { severity: 'low', providedValue: entry.month });
+    }
+    if (month && period === PERIODS.YEARLY) {
+      throw errorService.create('Only monthly budgets can be set for a single month', { severity: 'low' });
+    }
+
+    const weights = entry.weights ? parseWeights(entry.weights) : null;
+    if (entry.weights && (!weights || period !== PERIODS.YEARLY)) {
+      throw errorService.create('Weights need a yearly budget and twelve non-negative numbers, January first', {
+        severity: 'low',
+        providedValue: entry.weights
+      });
+    }
+
+    return [entry.type, entry.category, entry.subcategory || '', period, value, month || '', weights ? weights.join(',') : ''];
+  }
+
+  /**
+   * Finds the sheet row of a budget line: the standing row when no month is given, else the
+   * override of that month.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The budgets sheet.
+   * @param {{type: string, category: string, subcategory: string, month: string}} entry - The line.
+   * @returns {number} The 1-based row, or -1 if the line has no row yet.
+   */
+  function findRow(sheet, entry) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return -1;
+    const month = formatMonth(entry.month ? parseMonth(entry.month) : null);
+    const budgets = sheet.getRange(2, 1, lastRow - 1, HEADERS.length).getValues().map(toBudget);
+    for (let i = 0; i < budgets.length; i++) {
+      if (matches(budgets[i], entry.type, entry.category, entry.subcategory) && formatMonth(budgets[i].month) === month) {
+        return i + 2;
+      }
+    }
+    return -1;
+  }
+
+  // Public API
+  return {
+    /**
+     * Reads all budgets from the Budgets sheet (creating it if needed).
+     * Rows without a category are skipped.
+     * @returns {Array<{type: string, category: string, subcategory: string, period: string, amount: (number|null),
+     *   month: (Date|null), weights: (number[]|null), monthly: number}>} The budgets in sheet order. `amount`
+     *   is null when blank; `monthly` is the standing monthly amount, a twelfth of a yearly budget.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    getBudgets: function() {
+      return readBudgets(getBudgetSheet());
+    },
+
+    /**
+     * Reads all budgets without creating the Budgets sheet, for reports that fall back to
+     * `TARGET_RATES` when no budgets were entered.
+     * @returns {Array<object>} The budgets (see `getBudgets`); empty if the sheet does not exist.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    getSavedBudgets: function() {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FinancialPlanner.Config.getSheetNames().BUDGETS);
+      if (!sheet) return [];
+      return readBudgets(sheet);
+    },
+
+    /**
+     * Finds the standing budget (not a single-month override) of a category or sub-category.
+     * @param {Array<object>} budgets - Budgets as returned by `getBudgets`.
+     * @param {string} type - The transaction type.
+     * @param {string} category - The category.
+     * @param {string} [subcategory] - The sub-category; omit for the category as a whole.
+     * @returns {object|null} The budget, or null if the line has none.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    findBudget: function(budgets, type, category, subcategory) {
+      for (let i = 0; i < budgets.length; i++) {
+        if (matches(budgets[i], type, category, subcategory) && !budgets[i].month) return budgets[i];
+      }
+      return null;
+    },
+
+    /**
+     * Returns the budget of a category or sub-category for one month: the override of that month,
+     * else the monthly amount, else the month's share of the yearly amount. A category without a
+     * budget of its own totals the budgets of its sub-categories.
+     * @param {Array<object>} budgets - Budgets as returned by `getBudgets`.
+     * @param {string} type - The transaction type.
+     * @param {string} category - The category.
+     * @param {Date} month - Any date in the month.
+     * @param {string} [subcategory] - The sub-category; omit for the category as a whole.
+     * @returns {number} The budgeted amount; 0 if there is no budget.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    getMonthlyBudget: function(budgets, type, category, month, subcategory) {
+      const own = resolveLine(budgets, type, category, subcategory || '', month);
+      if (own !== null || subcategory) return own || 0;
+
+      const seen = {};
+      let total = 0;
+      budgets.forEach(function(budget) {
+        if (budget.type !== type || budget.category !== category || !budget.subcategory || seen[budget.subcategory]) return;
+        seen[budget.subcategory] = true;
+        total += resolveLine(budgets, type, category, budget.subcategory, month) || 0;
+      });
+      return total;
+    },
+
+    /**
+     * Returns the budget of a whole type for one month, the total of its categories.
+     * @param {Array<object>} budgets - Budgets as returned by `getBudgets`.
+     * @param {string} type - The transaction type.
+     * @param {Date} month - Any date in the month.
+     * @returns {number} The budgeted amount; 0 if the type has no budgets.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    getTypeBudget: function(budgets, type, month) {
+      const seen = {};
+      let total = 0;
+      budgets.forEach(function(budget) {
+        if (budget.type !== type || seen[budget.category]) return;
+        seen[budget.category] = true;
+        total += this.getMonthlyBudget(budgets, type, budget.category, month);
+      }, this);
+      return total;
+    },
+
+    /**
+     * Tells whether any amount was entered for a type, category or sub-category. Seeded rows
+     * without an amount do not count, so reports can fall back to `TARGET_RATES`.
+     * @param {Array<object>} budgets - Budgets as returned by `getBudgets`.
+     * @param {string} type - The transaction type.
+     * @param {string} [category] - The category; omit for the whole type.
+     * @param {string} [subcategory] - The sub-category; omit for the whole category.
+     * @returns {boolean} True if there is a budget.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    hasBudget: function(budgets, type, category, subcategory) {
+      return budgets.some(function(budget) {
+        return budget.type === type && isSet(budget) &&
+          (!category || budget.category === category) &&
+          (!subcategory || budget.subcategory === subcategory);
+      });
+    },
+
+    /**
+     * Returns the average monthly budget of a type, category or sub-category over some months.
+     * @param {Array<object>} budgets - Budgets as returned by `getBudgets`.
+     * @param {Date[]} months - Any date in each month.
+     * @param {string} type - The transaction type.
+     * @param {string} [category] - The category; omit for the whole type.
+     * @param {string} [subcategory] - The sub-category; omit for the whole category.
+     * @returns {number|null} The average, or null if there is no budget or no month.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    getAverageBudget: function(budgets, months, type, category, subcategory) {
+      if (months.length === 0 || !this.hasBudget(budgets, type, category, subcategory)) return null;
+      let total = 0;
+      months.forEach(function(month) {
+        total += category ?
+          this.getMonthlyBudget(budgets, type, category, month, subcategory) :
+          this.getTypeBudget(budgets, type, month);
+      }, this);
+      return total / months.length;
+    },
+
+    /**
+     * Returns the `TARGET_RATES` share of income of a type, the fallback when it has no budgets.
+     * @param {string} type - The transaction type.
+     * @returns {number} The target rate; `TARGET_RATES.DEFAULT` for types without a rate of their own.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    getTargetRate: function(type) {
+      const types = FinancialPlanner.Config.getSection('TRANSACTION_TYPES');
+      const rates = FinancialPlanner.Config.getTargetRates();
+      const key = Object.keys(types).filter(function(k) { return types[k] === type; })[0];
+      return key && rates[key] !== undefined ? rates[key] : rates.DEFAULT;
+    },
+
+    /**
+     * Saves a budget line, replacing its standing budget (or its override of the same month).
+     * @param {{type: string, category: string, subcategory: string, period: string, amount: (number|string),
+     *   month: string, weights: string}} entry - The budget. `period` is "Monthly" (default) or "Yearly";
+     *   `month` ("yyyy-MM") makes a monthly budget an override of that month; `weights` (twelve numbers,
+     *   January first) spreads a yearly budget unevenly.
+     * @throws {Error} If the entry is incomplete or invalid.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    saveBudget: function(entry) {
+      const row = toRow(entry);
+      const sheet = getBudgetSheet();
+      const rowNumber = findRow(sheet, entry);
+      if (rowNumber === -1) {
+        sheet.appendRow(row);
+      } else {
+        sheet.getRange(rowNumber, 1, 1, HEADERS.length).setValues([row]);
+      }
+    },
+
+    /**
+     * Deletes a budget line: its standing budget, or its override of one month.
+     * @param {{type: string, category: string, subcategory: string, month: string}} entry - The line.
+     * @returns {boolean} True if a row was deleted.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    removeBudget: function(entry) {
+      const sheet = getBudgetSheet();
+      const rowNumber = findRow(sheet, entry);
+      if (rowNumber === -1) return false;
+      sheet.deleteRow(rowNumber);
+      return true;
+    },
+
+    /**
+     * Sets the monthly budget of a category, adding a row for it if needed.
+     * @param {string} type - The transaction type.
+     * @param {string} category - The category.
+     * @param {number} amount - The monthly budget.
+     * @throws {Error} If the category is missing or the amount is not a non-negative number.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    setBudget: function(type, category, amount) {
+      this.saveBudget({ type: type, category: category, period: PERIODS.MONTHLY, amount: amount });
+    },
+
+    /**
+     * Returns what the Budgets sidebar needs: the dropdown hierarchy of the budgetable types and the
+     * saved budgets, with months as "yyyy-MM" and weights as text.
+     * @returns {{hierarchy: Object<string, Object<string, string[]>>, types: string[], budgets: Array<object>}}
+     *   The editor data; `types` lists the hierarchy's types in `TYPE_ORDER`, Income excluded.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    getEditorData: function() {
+      const config = FinancialPlanner.Config;
+      const hierarchy = FinancialPlanner.DropdownService.getHierarchy();
+      const income = config.getSection('TRANSACTION_TYPES').INCOME;
+      return {
+        hierarchy: hierarchy,
+        types: config.getSection('TYPE_ORDER').filter(function(type) { return type !== income && hierarchy[type]; }),
+        budgets: this.getBudgets().filter(isSet).map(function(budget) {
+          return {
+            type: budget.type,
+            category: budget.category,
+            subcategory: budget.subcategory,
+            period: budget.period,
+            amount: budget.amount,
+            month: formatMonth(budget.month),
+            weights: budget.weights ? budget.weights.join(',') : ''
+          };
+        })
+      };
+    },
+
+    /**
+     * Opens the Budgets sidebar.
+     * @memberof FinancialPlanner.BudgetService
+     */
+    openEditor: function() {
+      FinancialPlanner.UIService.showSidebar('Budgets',
+        HtmlService.createHtmlOutputFromFile('services/budget-editor').getContent());
+    }
+  };
+})();
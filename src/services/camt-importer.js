@@ -0,0 +1,322 @@
+/**
+ * @fileoverview CAMT Importer - Imports ISO 20022 CAMT.053 bank statements into the ledger.
+ * European banks export CAMT.053 XML, which covers the gaps while a SaltEdge consent is
+ * being renewed. Each booked entry becomes a ledger record with its booking and value date,
+ * signed amount, counterparty and remittance information; closing balances feed the
+ * Account Balances sheet. Imported entries are then deduplicated against SaltEdge.
+ * @module services/camt-importer
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * CAMT Importer - Parses CAMT.053 statements and imports them into the ledger.
+ * @namespace FinancialPlanner.CamtImporter
+ */
+FinancialPlanner.CamtImporter = (function() {
+  /**
+   * Returns the first child element with the given local name, following a
+   * slash-separated path ("Acct/Id/IBAN"). Namespaces are ignored because every
+   * CAMT.053 version (001.02 to 001.08) uses its own.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element|null} element - The element to start from.
+   * @param {string} path - The path of local names.
+   * @returns {GoogleAppsScript.XML_Service.Element|null} The element, or null.
+   */
+  function child(element, path) {
+    return path.split('/').reduce(function(current, name) {
+      if (!current) return null;
+      const children = current.getChildren();
+      for (let i = 0; i < children.length; i++) {
+        if (children[i].getName() === name) return children[i];
+      }
+      return null;
+    }, element);
+  }
+
+  /**
+   * Returns every child element with the given local name.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element|null} element - The parent element.
+   * @param {string} name - The local name.
+   * @returns {Array<GoogleAppsScript.XML_Service.Element>} The elements.
+   */
+  function children(element, name) {
+    if (!element) return [];
+    return element.getChildren().filter(function(candidate) {
+      return candidate.getName() === name;
+    });
+  }
+
+  /**
+   * Returns the trimmed text of the element at a path.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element|null} element - The element to start from.
+   * @param {string} path - The path of local names.
+   * @returns {string} The text, or an empty string.
+   */
+  function text(element, path) {
+    const found = child(element, path);
+    return found ? found.getText().trim() : '';
+  }
+
+  /**
+   * Returns the first non-empty text among several paths.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element|null} element - The element to start from.
+   * @param {string[]} paths - The paths, in order of preference.
+   * @returns {string} The text, or an empty string.
+   */
+  function firstText(element, paths) {
+    for (let i = 0; i < paths.length; i++) {
+      const value = text(element, paths[i]);
+      if (value) return value;
+    }
+    return '';
+  }
+
+  /**
+   * Reads an amount with its credit/debit indicator as a signed number.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element} element - The element holding Amt and CdtDbtInd.
+   * @param {string} [fallbackIndicator] - Indicator to use when the element has none (batch details).
+   * @returns {{amount: number, currency: string}} The signed amount (debits negative) and its currency.
+   */
+  function readAmount(element, fallbackIndicator) {
+    const amountElement = child(element, 'Amt') || child(element, 'AmtDtls/TxAmt/Amt');
+    const amount = amountElement ? parseFloat(amountElement.getText()) : NaN;
+    const currencyAttribute = amountElement ? amountElement.getAttribute('Ccy') : null;
+    const indicator = text(element, 'CdtDbtInd') || fallbackIndicator;
+    return {
+      amount: indicator === 'DBIT' ? -amount : amount,
+      currency: currencyAttribute ? currencyAttribute.getValue() : ''
+    };
+  }
+
+  /**
+   * Reads an ISO date or date-time element ("Dt" or "DtTm" child) as a local date.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element|null} element - The date choice element.
+   * @returns {Date|null} The date, or null.
+   */
+  function readDate(element) {
+    const value = text(element, 'Dt') || text(element, 'DtTm');
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  }
+
+  /**
+   * Reads the counterparty of a transaction: the creditor for debits, the debtor for credits.
+   * Handles the CAMT.053.001.08 layout, where the name sits under an extra Pty element.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element|null} details - The TxDtls element.
+   * @param {number} amount - The signed amount.
+   * @returns {{name: string, iban: string}} The counterparty.
+   */
+  function readCounterparty(details, amount) {
+    const party = amount < 0 ? 'Cdtr' : 'Dbtr';
+    const parties = child(details, 'RltdPties');
+    return {
+      name: firstText(parties, [party + '/Nm', party + '/Pty/Nm', 'Ultmt' + party + '/Nm']),
+      iban: firstText(parties, [party + 'Acct/Id/IBAN', party + 'Acct/Id/Othr/Id'])
+    };
+  }
+
+  /**
+   * Reads the remittance information of a transaction: unstructured lines, or the
+   * structured creditor reference.
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element|null} details - The TxDtls element.
+   * @returns {string} The remittance text.
+   */
+  function readRemittance(details) {
+    const remittance = child(details, 'RmtInf');
+    const lines = children(remittance, 'Ustrd').map(function(line) {
+      return line.getText().trim();
+    });
+    if (lines.length > 0) return lines.join(' ');
+    return text(remittance, 'Strd/CdtrRefInf/Ref');
+  }
+
+  /**
+   * Finds the statement balance of a given type (e.g. CLBD, CLAV).
+   * @private
+   * @param {GoogleAppsScript.XML_Service.Element} statement - The Stmt element.
+   * @param {string} code - The ISO balance type code.
+   * @returns {{amount: number, date: Date}|null} The signed balance, or null if absent.
+   */
+  function readBalance(statement, code) {
+    const balances = children(statement, 'Bal').filter(function(balance) {
+      return text(balance, 'Tp/CdOrPrtry/Cd') === code;
+    });
+    if (balances.length === 0) return null;
+    const balance = balances[balances.length - 1];
+    return { amount: readAmount(balance).amount, date: readDate(child(balance, 'Dt')) };
+  }
+
+  // Public API
+  return {
+    /**
+     * Extracts the statements of a CAMT.053 file. An entry with several priced transaction
+     * details (a batch booking) yields one transaction per detail; otherwise one per entry.
+     * @param {string} xml - The CAMT.053 file content.
+     * @returns {Array<{iban: string, currency: string, transactions: Array<object>,
+     *   closingBalance: object, availableBalance: object}>} One entry per Stmt; transactions
+     *   carry reference, status, bookingDate, valueDate, amount, currency, counterparty,
+     *   counterpartyIban, remittance and bankCode.
+     * @throws {Error} If the file is not a CAMT.053 document.
+     * @memberof FinancialPlanner.CamtImporter
+     */
+    getStatements: function(xml) {
+      let root;
+      try {
+        root = XmlService.parse(String(xml).replace(/^\uFEFF/, '')).getRootElement();
+      } catch (e) {
+        throw FinancialPlanner.ErrorService.create('The file is not valid XML: ' + e.message, { severity: 'low' });
+      }
+      const container = child(root, 'BkToCstmrStmt');
+      if (!container) {
+        throw FinancialPlanner.ErrorService.create('The file is not a CAMT.053 statement (no BkToCstmrStmt element)', { severity: 'low' });
+      }
+
+      return children(container, 'Stmt').map(function(statement) {
+        const transactions = [];
+
+        children(statement, 'Ntry').forEach(function(entry) {
+          const entryAmount = readAmount(entry);
+          const indicator = text(entry, 'CdtDbtInd');
+          const details = [];
+          children(entry, 'NtryDtls').forEach(function(group) {
+            Array.prototype.push.apply(details, children(group, 'TxDtls'));
+          });
+          const split = details.length > 1 && details.every(function(detail) {
+            return child(detail, 'Amt') || child(detail, 'AmtDtls/TxAmt/Amt');
+          });
+
+          (split ? details : [details[0] || null]).forEach(function(detail, i) {
+            const amount = split ? readAmount(detail, indicator) : entryAmount;
+            const counterparty = readCounterparty(detail, amount.amount);
+            const reference = firstText(entry, ['AcctSvcrRef', 'NtryRef']) ||
+              firstText(detail, ['Refs/AcctSvcrRef', 'Refs/TxId']);
+            transactions.push({
+              reference: reference ? reference + (split ? '/' + (i + 1) : '') : '',
+              status: text(entry, 'Sts') || text(entry, 'Sts/Cd'),
+              bookingDate: readDate(child(entry, 'BookgDt')),
+              valueDate: readDate(child(entry, 'ValDt')),
+              amount: amount.amount,
+              currency: amount.currency,
+              counterparty: counterparty.name,
+              counterpartyIban: counterparty.iban,
+              remittance: readRemittance(detail) || text(detail, 'AddtlTxInf') || text(entry, 'AddtlNtryInf'),
+              bankCode: firstText(entry, ['BkTxCd/Domn/Fmly/SubFmlyCd', 'BkTxCd/Prtry/Cd'])
+            });
+          });
+        });
+
+        return {
+          iban: firstText(statement, ['Acct/Id/IBAN', 'Acct/Id/Othr/Id']),
+          currency: text(statement, 'Acct/Ccy'),
+          transactions: transactions,
+          closingBalance: readBalance(statement, 'CLBD'),
+          availableBalance: readBalance(statement, 'CLAV')
+        };
+      });
+    },
+
+    /**
+     * Maps a CAMT.053 file to ledger records and account balances.
+     * The id is "<IBAN>:<AcctSvcrRef>" (the bank's unique entry reference); entries without
+     * one get a content id from booking date, amount and remittance. Pending entries and
+     * entries without a booking date or amount are counted as skipped.
+     * @param {string} xml - The CAMT.053 file content.
+     * @param {{account: string}} [options] - `account` overrides the account name (otherwise the IBAN).
+     * @returns {{records: Array<object>, balances: Array<object>, skipped: number}} The import data.
+     * @memberof FinancialPlanner.CamtImporter
+     */
+    toRecords: function(xml, options) {
+      const accountOverride = options && options.account ? String(options.account).trim() : '';
+      const normalizer = FinancialPlanner.TransactionNormalizer;
+      const source = FinancialPlanner.Config.getSection('LEDGER').SOURCES.CAMT;
+      const records = [];
+      const balances = [];
+      const occurrences = {};
+      let skipped = 0;
+
+      this.getStatements(xml).forEach(function(statement) {
+        const account = accountOverride || statement.iban;
+
+        statement.transactions.forEach(function(transaction) {
+          if (transaction.status === 'PDNG' || !transaction.bookingDate || isNaN(transaction.amount)) {
+            skipped++;
+            return;
+          }
+
+          let id = transaction.reference;
+          if (!id) {
+            const key = [statement.iban, transaction.bookingDate.getTime(), transaction.amount.toFixed(2), transaction.remittance].join('|');
+            occurrences[key] = (occurrences[key] || 0) + 1;
+            id = normalizer.createContentId('camt', key + '|' + occurrences[key]);
+          }
+
+          records.push(normalizer.createRecord({
+            date: transaction.bookingDate,
+            valueDate: transaction.valueDate || '',
+            description: transaction.remittance || transaction.counterparty,
+            amount: Math.round(transaction.amount * 100) / 100,
+            merchant: transaction.counterparty,
+            counterpartyIban: transaction.counterpartyIban,
+            account: account,
+            source: source,
+            providerCategory: transaction.bankCode,
+            id: statement.iban + ':' + id
+          }));
+        });
+
+        if (statement.closingBalance || statement.availableBalance) {
+          const dated = statement.closingBalance || statement.availableBalance;
+          balances.push({
+            account: account,
+            source: source,
+            currency: statement.currency,
+            ledgerBalance: statement.closingBalance ? statement.closingBalance.amount : '',
+            availableBalance: statement.availableBalance ? statement.availableBalance.amount : '',
+            balanceDate: dated.date || ''
+          });
+        }
+      });
+
+      return { records: records, balances: balances, skipped: skipped };
+    },
+
+    /**
+     * Imports a CAMT.053 file into the ledger, records its balances and marks entries
+     * SaltEdge already imported as duplicates.
+     * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+     * @returns {{added: number, updated: number, skipped: number, balances: number, duplicates: number}} The import outcome.
+     * @memberof FinancialPlanner.CamtImporter
+     */
+    importCamt: function(request) {
+      const sources = FinancialPlanner.Config.getSection('LEDGER').SOURCES;
+      const result = this.toRecords(FinancialPlanner.Utils.readImportText(request, request.encoding), request);
+      if (result.records.length === 0 && result.balances.length === 0) {
+        throw FinancialPlanner.ErrorService.create('The CAMT.053 file contains no booked entries or balances', { severity: 'low' });
+      }
+
+      const upsert = FinancialPlanner.LedgerService.importRecords(result.records, sources.CAMT);
+      FinancialPlanner.AccountBalanceService.upsert(result.balances);
+      const dedup = FinancialPlanner.DeduplicationService.markImported(result.records, sources.SALTEDGE);
+
+      Logger.log('CAMT.053 import: ' + upsert.added + ' added, ' + upsert.updated + ' updated, ' +
+                 result.skipped + ' skipped, ' + dedup.marked + ' duplicates of SaltEdge');
+      return {
+        added: upsert.added,
+        updated: upsert.updated,
+        skipped: result.skipped,
+        balances: result.balances.length,
+        duplicates: dedup.marked
+      };
+    }
+  };
+})();
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Categorization Rules Service - Rule-based auto-categorization of transactions.
+ * Rules live in an ordered, user-editable "Categorization Rules" sheet. Each rule combines
+ * optional conditions (description/merchant regex, amount range, account, provider category,
+ * day of month) and assigns Type/Category/Sub-Category and optionally the Shared? flag.
+ * The first enabled rule whose conditions all match wins.
+ * @module services/categorization-rules-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Categorization Rules Service - Ordered rules engine for transaction categorization.
+ * @namespace FinancialPlanner.CategorizationRulesService
+ */
+FinancialPlanner.CategorizationRulesService = (function() {
+  /**
+   * @const {string[]} HEADERS
+   * @private
+   * @description Column headers of the Categorization Rules sheet.
+   */
+  const HEADERS = [
+    'Enabled', 'Rule Name',
+    'Description Regex', 'Merchant Regex', 'Min Amount', 'Max Amount',
+    'Account', 'Provider Category', 'Day From', 'Day To',
+    'Type', 'Category', 'Sub-Category', 'Shared?'
+  ];
+
+  /**
+   * @const {Array<*>} EXAMPLE_RULE
+   * @private
+   * @description Disabled example row written when the sheet is created.
+   */
+  const EXAMPLE_RULE = [
+    false, 'Example: streaming', 'NETFLIX|SPOTIFY', '', '', '', '', '', '', '',
+    'Wants/Pleasure', 'Subscriptions', 'Streaming', ''
+  ];
+
+  /**
+   * Returns the Categorization Rules sheet, creating it if needed.
+   * @private
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The rules sheet.
+   */
+  function getRulesSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = FinancialPlanner.Config.getSheetNames().CATEGORIZATION_RULES;
+    let sheet = ss.getSheetByName(sheetName);
+
+    if (!sheet) {
+      const colors = FinancialPlanner.Config.getSection('COLORS').UI;
+      sheet = ss.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, HEADERS.length)
+        .setValues([HEADERS])
+        .setFontWeight('bold')
+        .setBackground(colors.HEADER_BG)
+        .setFontColor(colors.HEADER_FONT);
+      sheet.getRange(1, HEADERS.indexOf('Min Amount') + 1)
+        .setNote('Amounts are compared as absolute values, so 10 to 20 matches both -15 and 15.');
+      sheet.getRange(1, HEADERS.indexOf('Day From') + 1)
+        .setNote('Day of month (1-31). A range like 28 to 3 wraps around the month end.');
+      sheet.getRange(1, 1)
+        .setNote('Untick to disable a rule. A blank cell counts as enabled.');
+      sheet.getRange(2, 1, 1, EXAMPLE_RULE.length).setValues([EXAMPLE_RULE]);
+      sheet.getRange(2, 1).insertCheckboxes();
+      sheet.setFrozenRows(1);
+      Logger.log('Created ' + sheetName + ' sheet');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Compiles a case-insensitive regular expression from a rule cell.
+   * @private
+   * @param {string} pattern - The pattern text.
+   * @param {number} sheetRow - The rule's sheet row, for the warning message.
+   * @returns {RegExp|null|undefined} The regex, null if the cell is blank, or undefined if invalid.
+   */
+  function compilePattern(pattern, sheetRow) {
+    if (pattern === '' || pattern === null || pattern === undefined) return null;
+    try {
+      return new RegExp(String(pattern), 'i');
+    } catch (e) {
+      Logger.log('Skipping rule on row ' + sheetRow + ': invalid regex "' + pattern + '" (' + e.message + ')');
+      return undefined;
+    }
+  }
+
+  /**
+   * Converts a cell value to a number, or null if blank/not numeric.
+   * @private
+   * @param {*} value - The cell value.
+   * @returns {number|null} The number or null.
+   */
+  function toNumberOrNull(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+
+  /**
+   * Returns the day of month of a record's date.
+   * @private
+   * @param {Date|string} date - The record date.
+   * @returns {number|null} The day of month, or null if the date is unusable.
+   */
+  function getDayOfMonth(date) {
+    const parsed = FinancialPlanner.TransactionNormalizer.parseDate(date);
+    return parsed ? parsed.getDate() : null;
+  }
+
+  /**
+   * Checks whether a day falls within a (possibly month-wrapping) day range.
+   * @private
+   * @param {number} day - The day of month.
+   * @param {number|null} from - The first day, or null for no lower bound.
+   * @param {number|null} to - The last day, or null for no upper bound.
+   * @returns {boolean} True if the day is within the range.
+   */
+  function isDayInRange(day, from, to) {
+    if (from === null && to === null) return true;
+    if (day === null) return false;
+    if (from === null) return day <= to;
+    if (to === null) return day >= from;
+    return from <= to ? (day >= from && day <= to) : (day >= from || day <= to);
+  }
+
+  /**
+   * Reads a Shared? cell into true/false, or null when the rule leaves the flag alone.
+   * @private
+   * @param {*} value - The cell value.
+   * @returns {boolean|null} The flag value.
+   */
+  function parseSharedFlag(value) {
+    if (value === true || String(value).toUpperCase() === 'TRUE') return true;
+    if (value === false || String(value).toUpperCase() === 'FALSE') return false;
+    return null;
+  }
+
+  // Public API
+  return {
+    /**
+     * Parses rule rows (without the header) into rule objects.
+     * Disabled rules, rules without a Type and rules with an invalid regex are skipped.
+     * @param {Array<Array<*>>} rows - Rule rows in sheet column order.
+     * @returns {Array<object>} The usable rules, in order.
+     * @memberof FinancialPlanner.CategorizationRulesService
+     */
+    parseRules: function(rows) {
+      const rules = [];
+
+      rows.forEach(function(row, i) {
+        const sheetRow = i + 2;
+        const cell = function(header) {
+          return row[HEADERS.indexOf(header)];
+        };
+
+        const enabled = cell('Enabled');
+        if (enabled === false || String(enabled).toUpperCase() === 'FALSE') return;
+        if (!cell('Type')) return;
+
+        const descriptionRegex = compilePattern(cell('Description Regex'), sheetRow);
+        const merchantRegex = compilePattern(cell('Merchant Regex'), sheetRow);
+        if (descriptionRegex === undefined || merchantRegex === undefined) return;
+
+        rules.push({
+          row: sheetRow,
+          name: cell('Rule Name') || 'Row ' + sheetRow,
+          descriptionRegex: descriptionRegex,
+          merchantRegex: merchantRegex,
+          minAmount: toNumberOrNull(cell('Min Amount')),
+          maxAmount: toNumberOrNull(cell('Max Amount')),
+          account: String(cell('Account') || '').trim().toLowerCase(),
+          providerCategory: String(cell('Provider Category') || '').trim().toLowerCase(),
+          dayFrom: toNumberOrNull(cell('Day From')),
+          dayTo: toNumberOrNull(cell('Day To')),
+          type: cell('Type'),
+          category: cell('Category') || '',
+          subcategory: cell('Sub-Category') || '',
+          shared: parseSharedFlag(cell('Shared?'))
+        });
+      });
+
+      return rules;
+    },
+
+    /**
+     * Reads and parses the rules from the Categorization Rules sheet (creating it if needed).
+     * @returns {Array<object>} The usable rules, in sheet order.
+     * @memberof FinancialPlanner.CategorizationRulesService
+     */
+    getRules: function() {
+      const sheet = getRulesSheet();
+      const lastRow = sheet.getLastRow();
+      if (lastRow < 2) return [];
+      return this.parseRules(sheet.getRange(2, 1, lastRow - 1, HEADERS.length).getValues());
+    },
+
+    /**
+     * Checks whether every condition of a rule matches a ledger record.
+     * Blank conditions always match.
+     * @param {object} rule - A rule from `parseRules`.
+     * @param {object} record - A ledger record.
+     * @returns {boolean} True if the rule matches.
+     * @memberof FinancialPlanner.CategorizationRulesService
+     */
+    matches: function(rule, record) {
+      if (rule.descriptionRegex && !rule.descriptionRegex.test(String(record.description || ''))) return false;
+      if (rule.merchantRegex && !rule.merchantRegex.test(String(record.merchant || ''))) return false;
+
+      const amount = Math.abs(parseFloat(record.amount) || 0);
+      if (rule.minAmount !== null && amount < Math.abs(rule.minAmount)) return false;
+      if (rule.maxAmount !== null && amount > Math.abs(rule.maxAmount)) return false;
+
+      if (rule.account && String(record.account || '').trim().toLowerCase() !== rule.account) return false;
+
+      if (rule.providerCategory) {
+        const primary = String(record.providerCategory || '').trim().toLowerCase();
+        const detail = String(record.providerDetail || '').trim().toLowerCase();
+        if (rule.providerCategory !== primary && rule.providerCategory !== detail) return false;
+      }
+
+      return isDayInRange(getDayOfMonth(record.date), rule.dayFrom, rule.dayTo);
+    },
+
+    /**
+     * Returns the first rule that matches a record.
+     * @param {Array<object>} rules - Rules from `parseRules`.
+     * @param {object} record - A ledger record.
+     * @returns {object|null} The matching rule, or null.
+     * @memberof FinancialPlanner.CategorizationRulesService
+     */
+    findMatchingRule: function(rules, record) {
+      for (let i = 0; i < rules.length; i++) {
+        if (this.matches(rules[i], record)) {
+          return rules[i];
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Applies the rules to records that have no Type yet.
+     * @param {Array<object>} records - Ledger records (modified in place).
+     * @param {Array<object>} [rules] - Preloaded rules; read from the sheet if omitted.
+     * @returns {{matched: number, unmatched: number}} How many records a rule categorized.
+     * @memberof FinancialPlanner.CategorizationRulesService
+     */
+    applyToRecords: function(records, rules) {
+      const result = { matched: 0, unmatched: 0 };
+      if (!records || records.length === 0) return result;
+
+      rules = rules || this.getRules();
+      const self = this;
+
+      records.forEach(function(record) {
+        if (record.type) return;
+
+        const rule = self.findMatchingRule(rules, record);
+        if (rule) {
+          record.type = rule.type;
+          record.category = rule.category;
+          record.subcategory = rule.subcategory;
+          if (rule.shared !== null) {
+            record.shared = rule.shared;
+          }
+          result.matched++;
+        } else {
+          result.unmatched++;
+        }
+      });
+
+      Logger.log('Categorization rules applied: ' + result.matched + ' matched, ' + result.unmatched + ' unmatched');
+      return result;
+    },
+
+    /**
+     * Re-applies the rules to ledger rows that are uncategorized (no Type or no Category).
+     * Matching rows get the rule's full Type/Category/Sub-Category, replacing any partial
+     * categorization (e.g. a Type-only mapping).
+     * @returns {{matched: number, unmatched: number}} The outcome.
+     * @memberof FinancialPlanner.CategorizationRulesService
+     */
+    reapplyToUncategorized: function() {
+      const rules = this.getRules();
+      const uncategorized = FinancialPlanner.LedgerService.getRecords().filter(function(record) {
+        return !record.type || !record.category;
+      });
+
+      // Clear partial categorization so applyToRecords treats the rows as blank
+      const candidates = uncategorized.map(function(record) {
+        return Object.assign({}, record, { type: '', category: '', subcategory: '' });
+      });
+      const result = this.applyToRecords(candidates, rules);
+
+      FinancialPlanner.LedgerService.updateRecords(candidates.filter(function(record) {
+        return record.type;
+      }));
+      return result;
+    },
+
+    /**
+     * Dry run: writes a "Rules Preview" sheet listing which rule would match each
+     * uncategorized ledger row, without changing the ledger.
+     * @returns {number} The number of rows a rule would categorize.
+     * @memberof FinancialPlanner.CategorizationRulesService
+     */
+    preview: function() {
+      const rules = this.getRules();
+      const self = this;
+      const rows = [];
+      let matched = 0;
+
+      FinancialPlanner.LedgerService.getRecords().forEach(function(record) {
+        if (record.type && record.category) return;
+
+        const rule = self.findMatchingRule(rules, record);
+        if (rule) matched++;
+        rows.push([
+          record.row,
+          record.date,
+          record.description,
+          record.amount,
+          rule ? rule.name + ' (row ' + rule.row + ')' : '— no match —',
+          rule ? rule.type : '',
+          rule ? rule.category : '',
+          rule ? rule.subcategory : '',
+          rule && rule.shared !== null ? rule.shared : ''
+        ]);
+      });
+
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = FinancialPlanner.Utils.getOrCreateSheet(ss, FinancialPlanner.Config.getSheetNames().RULES_PREVIEW);
+      const headers = ['Ledger Row', 'Date', 'Description', 'Amount', 'Matched Rule', 'Type', 'Category', 'Sub-Category', 'Shared?'];
+      const colors = FinancialPlanner.Config.getSection('COLORS').UI;
+
+      sheet.getRange(1, 1, 1, headers.length)
+        .setValues([headers])
+        .setFontWeight('bold')
+        .setBackground(colors.HEADER_BG)
+        .setFontColor(colors.HEADER_FONT);
+      sheet.setFrozenRows(1);
+
+      if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+        FinancialPlanner.Utils.formatAsCurrency(
+          sheet.getRange(2, 4, rows.length, 1),
+          FinancialPlanner.Config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT
+        );
+      }
+      sheet.autoResizeColumns(1, headers.length);
+      ss.setActiveSheet(sheet);
+
+      Logger.log('Rules preview: ' + matched + ' of ' + rows.length + ' uncategorized rows would match');
+      return matched;
+    }
+  };
+})();
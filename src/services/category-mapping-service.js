@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Category Mapping Service - Maps provider categories to Type/Category/Sub-Category.
+ * Mappings live in a user-editable "Category Mappings" sheet that is seeded from each
+ * provider's `CATEGORY_MAP` (`Config.PLAID`, `Config.SALTEDGE`) the first time it is created. Imports apply the mappings to
+ * uncategorized transactions, and the mappings can be re-applied to existing rows at any time.
+ * @module services/category-mapping-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Category Mapping Service - Provider category to ledger category mapping.
+ * @namespace FinancialPlanner.CategoryMappingService
+ */
+FinancialPlanner.CategoryMappingService = (function() {
+  /**
+   * @const {string[]} HEADERS
+   * @private
+   * @description Column headers of the Category Mappings sheet.
+   */
+  const HEADERS = ['Provider', 'Provider Category', 'Provider Detail', 'Type', 'Category', 'Sub-Category'];
+
+  /**
+   * Normalizes a category key so that different spellings compare equal.
+   * Plaid's legacy categories ("Food and Drink") and its personal finance categories
+   * ("FOOD_AND_DRINK") both normalize to "FOOD_AND_DRINK".
+   * @private
+   * @param {*} value - The raw category value.
+   * @returns {string} The normalized key.
+   */
+  function normalizeKey(value) {
+    return String(value || '')
+      .trim()
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Builds the seed rows from the providers' CATEGORY_MAP config, one row per provider and category.
+   * @private
+   * @returns {Array<Array<string>>} Rows ready to write to the mappings sheet.
+   */
+  function buildSeedRows() {
+    const config = FinancialPlanner.Config;
+    const sources = config.getSection('LEDGER').SOURCES;
+    const providers = [
+      { source: sources.PLAID, categoryMap: config.getSection('PLAID').CATEGORY_MAP },
+      { source: sources.SALTEDGE, categoryMap: config.getSection('SALTEDGE').CATEGORY_MAP }
+    ];
+    const rows = [];
+    providers.forEach(function(provider) {
+      const categoryMap = provider.categoryMap || {};
+      Object.keys(categoryMap).forEach(function(providerCategory) {
+        const target = categoryMap[providerCategory];
+        rows.push([provider.source, providerCategory, '', target.TYPE, target.CATEGORY || '', '']);
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Returns the Category Mappings sheet, creating and seeding it if needed.
+   * @private
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The mappings sheet.
+   */
+  function getMappingSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = FinancialPlanner.Config.getSheetNames().CATEGORY_MAPPINGS;
+    let sheet = ss.getSheetByName(sheetName);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, HEADERS.length)
+        .setValues([HEADERS])
+        .setFontWeight('bold')
+        .setBackground(FinancialPlanner.Config.getSection('COLORS').UI.HEADER_BG)
+        .setFontColor(FinancialPlanner.Config.getSection('COLORS').UI.HEADER_FONT);
+      sheet.setFrozenRows(1);
+
+      const seedRows = buildSeedRows();
+      if (seedRows.length > 0) {
+        sheet.getRange(2, 1, seedRows.length, HEADERS.length).setValues(seedRows);
+      }
+      Logger.log('Created ' + sheetName + ' sheet with ' + seedRows.length + ' seed mappings');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Adds an unmapped provider category to a tally keyed by provider and category.
+   * @private
+   * @param {object} tally - The running tally.
+   * @param {string} provider - The provider name.
+   * @param {string} providerCategory - The provider's primary category.
+   * @param {string} providerDetail - The provider's detailed category.
+   */
+  function countUnmapped(tally, provider, providerCategory, providerDetail) {
+    const key = [provider, providerCategory, providerDetail].join('|');
+    if (!tally[key]) {
+      tally[key] = {
+        provider: provider,
+        providerCategory: providerCategory,
+        providerDetail: providerDetail,
+        count: 0
+      };
+    }
+    tally[key].count++;
+  }
+
+  // Public API
+  return {
+    /**
+     * Reads all mappings from the Category Mappings sheet (creating it if needed).
+     * @returns {Array<{provider: string, providerCategory: string, providerDetail: string, type: string, category: string, subcategory: string}>}
+     *   The mappings in sheet order.
+     * @memberof FinancialPlanner.CategoryMappingService
+     */
+    getMappings: function() {
+      const sheet = getMappingSheet();
+      const lastRow = sheet.getLastRow();
+      if (lastRow < 2) return [];
+
+      return sheet.getRange(2, 1, lastRow - 1, HEADERS.length).getValues().map(function(row) {
+        return {
+          provider: row[0],
+          providerCategory: row[1],
+          providerDetail: row[2],
+          type: row[3],
+          category: row[4],
+          subcategory: row[5]
+        };
+      });
+    },
+
+    /**
+     * Finds the mapping for a provider category.
+     * A mapping on the detailed category wins over one on the primary category; otherwise the
+     * first matching row in sheet order is used. Rows without a Type are ignored, and a blank
+     * Provider matches any provider.
+     * @param {Array<object>} mappings - Mappings as returned by `getMappings`.
+     * @param {string} provider - The provider name (e.g. 'Plaid'); blank matches any mapping.
+     * @param {string} providerCategory - The provider's primary category.
+     * @param {string} [providerDetail] - The provider's detailed category.
+     * @returns {object|null} The matching mapping, or null if none applies.
+     * @memberof FinancialPlanner.CategoryMappingService
+     */
+    findMapping: function(mappings, provider, providerCategory, providerDetail) {
+      const primaryKey = normalizeKey(providerCategory);
+      const detailKey = normalizeKey(providerDetail);
+      const providerKey = normalizeKey(provider);
+      let primaryMatch = null;
+
+      for (let i = 0; i < mappings.length; i++) {
+        const mapping = mappings[i];
+        if (!mapping.type) continue;
+
+        const mappingProvider = normalizeKey(mapping.provider);
+        if (mappingProvider && providerKey && mappingProvider !== providerKey) continue;
+
+        const mappingDetail = normalizeKey(mapping.providerDetail);
+        if (mappingDetail) {
+          if (detailKey && mappingDetail === detailKey) {
+            return mapping;
+          }
+        } else if (!primaryMatch && primaryKey && normalizeKey(mapping.providerCategory) === primaryKey) {
+          primaryMatch = mapping;
+        }
+      }
+
+      return primaryMatch;
+    },
+
+    /**
+     * Applies the mappings to ledger records that have no Type yet.
+     * @param {Array<object>} records - Ledger records (modified in place).
+     * @param {string} provider - The provider the records came from.
+     * @param {Array<object>} [mappings] - Preloaded mappings; read from the sheet if omitted.
+     * @returns {{mapped: number, unmapped: number}} How many records were (not) categorized.
+     * @memberof FinancialPlanner.CategoryMappingService
+     */
+    applyToRecords: function(records, provider, mappings) {
+      const result = { mapped: 0, unmapped: 0 };
+      if (!records || records.length === 0) return result;
+
+      mappings = mappings || this.getMappings();
+      const self = this;
+
+      records.forEach(function(record) {
+        if (record.type) return;
+
+        const mapping = self.findMapping(mappings, provider, record.providerCategory, record.providerDetail);
+        if (mapping) {
+          record.type = mapping.type;
+          record.category = mapping.category;
+          record.subcategory = mapping.subcategory;
+          result.mapped++;
+        } else {
+          result.unmapped++;
+        }
+      });
+
+      Logger.log('Category mappings applied: ' + result.mapped + ' mapped, ' + result.unmapped + ' unmapped');
+      return result;
+    },
+
+    /**
+     * Re-applies the mappings to every uncategorized row in the Transactions ledger,
+     * using each row's Source as the provider. Rows that already have a Type are left untouched.
+     * @returns {{mapped: number, unmapped: number}} Totals across all sources.
+     * @memberof FinancialPlanner.CategoryMappingService
+     */
+    applyToExistingRows: function() {
+      const mappings = this.getMappings();
+      const self = this;
+      const result = { mapped: 0, unmapped: 0 };
+
+      // Keyed by Source + External ID so the idempotent upsert can write them back
+      const uncategorized = FinancialPlanner.LedgerService.getRecords().filter(function(record) {
+        return record.id && !record.type && record.providerCategory;
+      });
+
+      const bySource = {};
+      uncategorized.forEach(function(record) {
+        if (!bySource[record.source]) {
+          bySource[record.source] = [];
+        }
+        bySource[record.source].push(record);
+      });
+      Object.keys(bySource).forEach(function(source) {
+        const sourceResult = self.applyToRecords(bySource[source], source, mappings);
+        result.mapped += sourceResult.mapped;
+        result.unmapped += sourceResult.unmapped;
+      });
+
+      FinancialPlanner.LedgerService.upsert(uncategorized.filter(function(record) {
+        return record.type;
+      }));
+      return result;
+    },
+
+    /**
+     * Lists provider categories on uncategorized ledger rows that no mapping covers.
+     * @returns {Array<{provider: string, providerCategory: string, providerDetail: string, count: number}>}
+     *   Unmapped categories, most frequent first.
+     * @memberof FinancialPlanner.CategoryMappingService
+     */
+    findUnmapped: function() {
+      return this.collectUnmapped(FinancialPlanner.LedgerService.getRecords(), this.getMappings());
+    },
+
+    /**
+     * Tallies the provider categories of uncategorized records that no mapping covers,
+     * per provider: each record is matched and reported under its own Source.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {Array<object>} mappings - Mappings as returned by `getMappings`.
+     * @returns {Array<{provider: string, providerCategory: string, providerDetail: string, count: number}>}
+     *   Unmapped categories, most frequent first.
+     * @memberof FinancialPlanner.CategoryMappingService
+     */
+    collectUnmapped: function(records, mappings) {
+      const self = this;
+      const tally = {};
+
+      records.forEach(function(record) {
+        if (record.type || !record.providerCategory) return;
+        if (!self.findMapping(mappings, record.source, record.providerCategory, record.providerDetail)) {
+          countUnmapped(tally, record.source, record.providerCategory, record.providerDetail);
+        }
+      });
+
+      return Object.keys(tally).map(function(key) {
+        return tally[key];
+      }).sort(function(a, b) {
+        return b.count - a.count;
+      });
+    },
+
+    /**
+     * Reports unmapped provider categories to the user and appends them to the
+     * Category Mappings sheet with a blank Type, ready to be filled in.
+     * Categories already listed in the sheet (even without a Type) are not added twice.
+     * @returns {number} The number of unmapped provider categories found.
+     * @memberof FinancialPlanner.CategoryMappingService
+     */
+    reportUnmapped: function() {
+      const unmapped = this.findUnmapped();
+
+      if (unmapped.length === 0) {
+        FinancialPlanner.UIService.showInfoAlert('Category Mappings', 'Every provider category has a mapping.');
+        return 0;
+      }
+
+      const sheet = getMappingSheet();
+      const listed = {};
+      this.getMappings().forEach(function(mapping) {
+        listed[[normalizeKey(mapping.provider), normalizeKey(mapping.providerCategory), normalizeKey(mapping.providerDetail)].join('|')] = true;
+      });
+
+      const newRows = unmapped.filter(function(item) {
+        return !listed[[normalizeKey(item.provider), normalizeKey(item.providerCategory), normalizeKey(item.providerDetail)].join('|')];
+      }).map(function(item) {
+        return [item.provider, item.providerCategory, item.providerDetail, '', '', ''];
+      });
+
+      if (newRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, HEADERS.length).setValues(newRows);
+      }
+
+      const lines = unmapped.slice(0, 20).map(function(item) {
+        return '• ' + item.provider + ': ' + item.providerCategory +
+          (item.providerDetail ? ' / ' + item.providerDetail : '') + ' (' + item.count + ')';
+      });
+      if (unmapped.length > lines.length) {
+        lines.push('…and ' + (unmapped.length - lines.length) + ' more');
+      }
+
+      FinancialPlanner.UIService.showInfoAlert(
+        'Unmapped Categories',
+        unmapped.length + ' provider categories have no mapping yet:\n\n' + lines.join('\n') +
+        '\n\nThey have been added to the "' + sheet.getName() + '" sheet. Fill in the Type, Category and ' +
+        'Sub-Category columns, then run "Apply Category Mappings".'
+      );
+      return unmapped.length;
+    }
+  };
+})();
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Category Suggester - Learns categories from the user's own history.
+ * A multinomial naive Bayes classifier trained on already categorized Transactions rows.
+ * Features are description tokens, the merchant and an amount bucket; the label is the
+ * Type/Category/Sub-Category triple. Runs entirely in Apps Script with no external API.
+ * @module services/category-suggester
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Category Suggester - Naive Bayes category suggestions for uncategorized transactions.
+ * @namespace FinancialPlanner.CategorySuggester
+ */
+FinancialPlanner.CategorySuggester = (function() {
+  /**
+   * @const {string} LABEL_SEPARATOR
+   * @private
+   * @description Joins Type, Category and Sub-Category into a single label key.
+   */
+  const LABEL_SEPARATOR = '|';
+
+  /**
+   * Returns the amount bucket feature for an amount.
+   * The sign is kept so that refunds and purchases of the same size are told apart.
+   * @private
+   * @param {number} amount - The signed transaction amount.
+   * @param {number[]} buckets - Ascending upper bounds of the buckets.
+   * @returns {string} The bucket feature, e.g. "amt:-<=50" or "amt:+>1000".
+   */
+  function getAmountFeature(amount, buckets) {
+    const sign = amount < 0 ? '-' : '+';
+    const abs = Math.abs(amount);
+    for (let i = 0; i < buckets.length; i++) {
+      if (abs <= buckets[i]) {
+        return 'amt:' + sign + '<=' + buckets[i];
+      }
+    }
+    return 'amt:' + sign + '>' + buckets[buckets.length - 1];
+  }
+
+  /**
+   * Reads the Transactions sheet through the shared DataProcessor.
+   * @private
+   * @returns {Array<object>} Row objects (see `DataProcessor.mapAllRows`).
+   */
+  function readTransactionRows() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = FinancialPlanner.Config.getSheetNames().TRANSACTIONS;
+    const sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      throw FinancialPlanner.ErrorService.create('Required sheet "' + sheetName + '" not found', { severity: 'high' });
+    }
+
+    const data = sheet.getDataRange().getValues();
+    const dataProcessor = FinancialPlanner.DataProcessor;
+    const processor = dataProcessor.create(data, dataProcessor.getColumnIndices(data[0]));
+    processor.validateStructure();
+    return processor.mapAllRows();
+  }
+
+  /**
+   * Writes the low-confidence suggestions to the review sheet.
+   * @private
+   * @param {Array<{row: object, suggestion: object}>} items - Rows and their suggestions.
+   */
+  function writeReviewSheet(items) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = FinancialPlanner.Utils.getOrCreateSheet(ss, FinancialPlanner.Config.getSheetNames().SUGGESTION_REVIEW);
+    const colors = FinancialPlanner.Config.getSection('COLORS').UI;
+    const headers = ['Ledger Row', 'Date', 'Description', 'Amount', 'Suggested Type', 'Suggested Category', 'Suggested Sub-Category', 'Confidence'];
+
+    sheet.getRange(1, 1, 1, headers.length)
+      .setValues([headers])
+      .setFontWeight('bold')
+      .setBackground(colors.HEADER_BG)
+      .setFontColor(colors.HEADER_FONT);
+    sheet.setFrozenRows(1);
+
+    if (items.length > 0) {
+      const rows = items.map(function(item) {
+        return [
+          item.row.row,
+          item.row.date,
+          item.row.description,
+          item.row.amount,
+          item.suggestion.type,
+          item.suggestion.category,
+          item.suggestion.subcategory,
+          item.suggestion.confidence
+        ];
+      });
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+      FinancialPlanner.Utils.formatAsCurrency(
+        sheet.getRange(2, 4, rows.length, 1),
+        FinancialPlanner.Config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT
+      );
+      FinancialPlanner.Utils.formatAsPercentage(sheet.getRange(2, 8, rows.length, 1));
+    }
+    sheet.autoResizeColumns(1, headers.length);
+  }
+
+  // Public API
+  return {
+    /**
+     * Extracts the classifier features of a transaction.
+     * @param {{description: string, merchant: string, amount: number}} transaction - The transaction.
+     * @returns {string[]} The features: description tokens, "m:<merchant>" and an amount bucket.
+     * @memberof FinancialPlanner.CategorySuggester
+     */
+    extractFeatures: function(transaction) {
+      const buckets = FinancialPlanner.Config.getSection('CATEGORY_SUGGESTER').AMOUNT_BUCKETS;
+      const tokens = String(transaction.description || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(function(token) {
+          // Drop short tokens and pure numbers (card suffixes, store numbers, dates)
+          return token.length > 1 && !/^\d+$/.test(token);
+        });
+
+      const features = tokens.slice();
+      const merchant = String(transaction.merchant || '').trim().toLowerCase();
+      if (merchant) {
+        features.push('m:' + merchant);
+      }
+      features.push(getAmountFeature(parseFloat(transaction.amount) || 0, buckets));
+      return features;
+    },
+
+    /**
+     * Trains a naive Bayes model from categorized transactions.
+     * Rows without a Type or Category are ignored.
+     * @param {Array<object>} rows - Row objects with description, merchant, amount, type, category, subcategory.
+     * @returns {{labels: object, vocabulary: object, vocabularySize: number, totalDocs: number}} The model.
+     * @memberof FinancialPlanner.CategorySuggester
+     */
+    train: function(rows) {
+      const self = this;
+      const model = { labels: {}, vocabulary: {}, vocabularySize: 0, totalDocs: 0 };
+
+      rows.forEach(function(row) {
+        if (!row.type || !row.category) return;
+
+        const label = [row.type, row.category, row.subcategory || ''].join(LABEL_SEPARATOR);
+        if (!model.labels[label]) {
+          model.labels[label] = { docs: 0, tokenCounts: {}, totalTokens: 0 };
+        }
+
+        const entry = model.labels[label];
+        entry.docs++;
+        model.totalDocs++;
+
+        self.extractFeatures(row).forEach(function(feature) {
+          entry.tokenCounts[feature] = (entry.tokenCounts[feature] || 0) + 1;
+          entry.totalTokens++;
+          if (!model.vocabulary[feature]) {
+            model.vocabulary[feature] = true;
+            model.vocabularySize++;
+          }
+        });
+      });
+
+      return model;
+    },
+
+    /**
+     * Predicts the most likely Type/Category/Sub-Category for a transaction.
+     * Uses Laplace smoothing; the confidence is the posterior probability of the winning
+     * label, normalized over all labels.
+     * @param {object} model - A model from `train`.
+     * @param {{description: string, merchant: string, amount: number}} transaction - The transaction.
+     * @returns {{type: string, category: string, subcategory: string, confidence: number}|null}
+     *   The suggestion, or null if the model has no labels.
+     * @memberof FinancialPlanner.CategorySuggester
+     */
+    predict: function(model, transaction) {
+      const labels = Object.keys(model.labels);
+      if (labels.length === 0) return null;
+
+      const features = this.extractFeatures(transaction).filter(function(feature) {
+        // Features never seen in training carry no information
+        return model.vocabulary[feature];
+      });
+
+      const scores = labels.map(function(label) {
+        const entry = model.labels[label];
+        let logProb = Math.log(entry.docs / model.totalDocs);
+        features.forEach(function(feature) {
+          const count = entry.tokenCounts[feature] || 0;
+          logProb += Math.log((count + 1) / (entry.totalTokens + model.vocabularySize));
+        });
+        return logProb;
+      });
+
+      // Normalize with the log-sum-exp trick to avoid underflow
+      const maxScore = Math.max.apply(null, scores);
+      let sum = 0;
+      let bestIndex = 0;
+      scores.forEach(function(score, i) {
+        sum += Math.exp(score - maxScore);
+        if (score > scores[bestIndex]) bestIndex = i;
+      });
+
+      const parts = labels[bestIndex].split(LABEL_SEPARATOR);
+      return {
+        type: parts[0],
+        category: parts[1],
+        subcategory: parts[2],
+        confidence: Math.exp(scores[bestIndex] - maxScore) / sum
+      };
+    },
+
+    /**
+     * Trains on the categorized Transactions rows and suggests categories for the
+     * uncategorized ones. Suggestions at or above the configured confidence threshold are
+     * written to the ledger; the rest are listed on the Suggestion Review sheet.
+     * @returns {{applied: number, review: number, trainingRows: number}} The outcome.
+     * @memberof FinancialPlanner.CategorySuggester
+     */
+    suggestForUncategorized: function() {
+      const settings = FinancialPlanner.Config.getSection('CATEGORY_SUGGESTER');
+      const rows = readTransactionRows();
+      const model = this.train(rows);
+
+      if (model.totalDocs < settings.MIN_TRAINING_ROWS) {
+        throw FinancialPlanner.ErrorService.create(
+          'Not enough categorized transactions to learn from (' + model.totalDocs + ' of ' +
+          settings.MIN_TRAINING_ROWS + ' needed). Categorize more rows first.',
+          { severity: 'low' }
+        );
+      }
+
+      const self = this;
+      const confident = {};
+      const review = [];
+
+      rows.forEach(function(row) {
+        if (row.type) return;
+        const suggestion = self.predict(model, row);
+        if (!suggestion) return;
+
+        if (suggestion.confidence >= settings.CONFIDENCE_THRESHOLD) {
+          confident[row.row] = suggestion;
+        } else {
+          review.push({ row: row, suggestion: suggestion });
+        }
+      });
+
+      const toUpdate = FinancialPlanner.LedgerService.getRecords().filter(function(record) {
+        return confident[record.row];
+      });
+      toUpdate.forEach(function(record) {
+        const suggestion = confident[record.row];
+        record.type = suggestion.type;
+        record.category = suggestion.category;
+        record.subcategory = suggestion.subcategory;
+      });
+      FinancialPlanner.LedgerService.updateRecords(toUpdate);
+
+      writeReviewSheet(review);
+
+      Logger.log('Category suggester: trained on ' + model.totalDocs + ' rows, applied ' +
+                 toUpdate.length + ', flagged ' + review.length + ' for review');
+      return { applied: toUpdate.length, review: review.length, trainingRows: model.totalDocs };
+    }
+  };
+})();
@@ -0,0 +1,516 @@
+/**
+ * @fileoverview CSV Importer - Imports bank-statement CSV files into the ledger.
+ * For banks that neither Plaid nor SaltEdge support. Files are pasted or read from Drive,
+ * parsed with delimiter, quoting, decimal-separator and date-format detection, and mapped
+ * to ledger records through a per-bank profile saved in the SettingsService. Records then
+ * go through the same categorization and idempotent upsert as the synced providers, so
+ * importing the same file twice changes nothing.
+ * @module services/csv-importer
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * CSV Importer - Parses bank CSV exports and imports them through a saved profile.
+ * @namespace FinancialPlanner.CsvImporter
+ */
+FinancialPlanner.CsvImporter = (function() {
+  /**
+   * @const {RegExp} DATE_TOKENS
+   * @private
+   * @description Tokens understood in date formats such as "DD.MM.YYYY".
+   */
+  const DATE_TOKENS = /YYYY|YY|MM|DD/g;
+
+  /**
+   * Resolves a delimiter setting to the character itself. "tab" is accepted because
+   * a literal tab cannot be typed into the profile form.
+   * @private
+   * @param {string} delimiter - The delimiter setting.
+   * @returns {string} The delimiter character.
+   */
+  function resolveDelimiter(delimiter) {
+    return delimiter === 'tab' || delimiter === '\\t' ? '\t' : delimiter;
+  }
+
+  /**
+   * Counts the delimiter characters of a line that are outside double quotes.
+   * @private
+   * @param {string} line - A line of the file.
+   * @param {string} delimiter - The delimiter character.
+   * @returns {number} The number of delimiters.
+   */
+  function countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (c === '"') {
+        inQuotes = !inQuotes;
+      } else if (c === delimiter && !inQuotes) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Compiles a date format such as "DD.MM.YYYY" into a regular expression.
+   * Day and month accept one or two digits when the format has separators.
+   * @private
+   * @param {string} format - The date format.
+   * @returns {{regex: RegExp, order: string[]}} The expression and the token of each capture group.
+   */
+  function compileDateFormat(format) {
+    const hasSeparators = /[^YMD]/.test(format);
+    const order = [];
+    let pattern = '';
+    let lastIndex = 0;
+    let match;
+
+    DATE_TOKENS.lastIndex = 0;
+    while ((match = DATE_TOKENS.exec(format)) !== null) {
+      pattern += format.substring(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      if (match[0] === 'YYYY') {
+        pattern += '(\\d{4})';
+      } else if (match[0] === 'YY') {
+        pattern += '(\\d{2})';
+      } else {
+        pattern += hasSeparators ? '(\\d{1,2})' : '(\\d{2})';
+      }
+      order.push(match[0]);
+      lastIndex = match.index + match[0].length;
+    }
+    pattern += format.substring(lastIndex).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+    // Allow a trailing time ("01.03.2024 14:22")
+    return { regex: new RegExp('^' + pattern + '(?:[ T].*)?$'), order: order };
+  }
+
+  /**
+   * Finds the index of a profile column in the header row.
+   * A column is referenced by its header (case-insensitive) or by its 1-based number.
+   * @private
+   * @param {string[]} headers - The header row.
+   * @param {string|number} reference - The column reference from the profile.
+   * @returns {number} The zero-based index, or -1 if not mapped or not found.
+   */
+  function resolveColumn(headers, reference) {
+    if (reference === '' || reference === null || reference === undefined) return -1;
+    if (/^\d+$/.test(String(reference))) {
+      const index = Number(reference) - 1;
+      return index < headers.length ? index : -1;
+    }
+    const wanted = String(reference).trim().toLowerCase();
+    for (let i = 0; i < headers.length; i++) {
+      if (String(headers[i]).trim().toLowerCase() === wanted) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Formats a date as YYYY-MM-DD without time zone conversion.
+   * @private
+   * @param {Date} date - The date.
+   * @returns {string} The formatted date.
+   */
+  function formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return date.getFullYear() + '-' + month + '-' + day;
+  }
+
+  // Public API
+  return {
+    /**
+     * Detects the delimiter of a CSV text by looking for the candidate that splits the
+     * first lines into the same, largest number of fields.
+     * @param {string} text - The CSV text.
+     * @param {number} [skipRows=0] - Lines before the header row (bank preambles) to ignore.
+     * @returns {string} The detected delimiter; "," if nothing fits.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    detectDelimiter: function(text, skipRows) {
+      const candidates = FinancialPlanner.Config.getSection('CSV_IMPORT').DELIMITERS.map(resolveDelimiter);
+      const lines = String(text).split(/\r?\n/).slice(skipRows || 0).filter(function(line) {
+        return line.trim() !== '';
+      }).slice(0, 10);
+
+      let best = ',';
+      let bestScore = 0;
+      candidates.forEach(function(delimiter) {
+        const counts = lines.map(function(line) {
+          return countOutsideQuotes(line, delimiter);
+        });
+        const frequency = {};
+        counts.forEach(function(count) {
+          if (count > 0) frequency[count] = (frequency[count] || 0) + 1;
+        });
+        Object.keys(frequency).forEach(function(count) {
+          // Consistency across lines matters most, then the number of fields
+          const score = frequency[count] * 1000 + Number(count);
+          if (score > bestScore) {
+            bestScore = score;
+            best = delimiter;
+          }
+        });
+      });
+      return best;
+    },
+
+    /**
+     * Parses CSV text into rows (RFC 4180): quoted fields may contain delimiters, line breaks
+     * and doubled quotes. A byte order mark is dropped, and blank lines are skipped.
+     * @param {string} text - The CSV text.
+     * @param {string} delimiter - The delimiter character.
+     * @returns {Array<Array<string>>} The rows.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    parse: function(text, delimiter) {
+      const input = String(text).replace(/^\uFEFF/, '');
+      const rows = [];
+      let row = [];
+      let field = '';
+      let inQuotes = false;
+
+      function endRow() {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+          rows.push(row);
+        }
+        row = [];
+        field = '';
+      }
+
+      for (let i = 0; i < input.length; i++) {
+        const c = input[i];
+        if (inQuotes) {
+          if (c === '"' && input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (c === '"') {
+            inQuotes = false;
+          } else {
+            field += c;
+          }
+        } else if (c === '"' && field === '') {
+          inQuotes = true;
+        } else if (c === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (c === '\r' || c === '\n') {
+          if (c === '\r' && input[i + 1] === '\n') i++;
+          endRow();
+        } else {
+          field += c;
+        }
+      }
+      if (field !== '' || row.length > 0) {
+        endRow();
+      }
+      return rows;
+    },
+
+    /**
+     * Detects whether amounts use a decimal comma or a decimal point.
+     * A value with both separators decides by the last one; a separator that occurs more than
+     * once is a thousands separator; a single separator followed by three digits is ambiguous.
+     * @param {Array<string>} values - Amount cells.
+     * @returns {string} "," or "." (the default when undecided).
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    detectDecimalSeparator: function(values) {
+      let comma = 0;
+      let point = 0;
+      values.forEach(function(value) {
+        const s = String(value).replace(/[^\d.,]/g, '');
+        const lastComma = s.lastIndexOf(',');
+        const lastPoint = s.lastIndexOf('.');
+        if (lastComma !== -1 && lastPoint !== -1) {
+          if (lastComma > lastPoint) comma++; else point++;
+        } else if (lastComma !== -1 || lastPoint !== -1) {
+          const separator = lastComma !== -1 ? ',' : '.';
+          const occurrences = s.split(separator).length - 1;
+          const decimals = s.length - s.lastIndexOf(separator) - 1;
+          if (occurrences > 1) {
+            if (separator === ',') point++; else comma++;
+          } else if (decimals !== 3) {
+            if (separator === ',') comma++; else point++;
+          }
+        }
+      });
+      return comma > point ? ',' : '.';
+    },
+
+    /**
+     * Parses an amount cell. Handles thousands separators, currency symbols, a leading or
+     * trailing minus and accounting-style parentheses for negatives.
+     * @param {string|number} value - The cell value.
+     * @param {string} decimalSeparator - "," or ".".
+     * @returns {number} The amount, or NaN if the cell holds no number.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    parseAmount: function(value, decimalSeparator) {
+      if (typeof value === 'number') return value;
+      const raw = String(value || '').trim();
+      if (!raw) return NaN;
+
+      const negative = /^\(.*\)$/.test(raw) || /^[^\d]*-/.test(raw) || /-\s*$/.test(raw);
+      let digits = raw.replace(/[^\d.,]/g, '');
+      if (decimalSeparator === ',') {
+        digits = digits.replace(/\./g, '').replace(',', '.');
+      } else {
+        digits = digits.replace(/,/g, '');
+      }
+
+      const amount = parseFloat(digits);
+      if (isNaN(amount)) return NaN;
+      return negative ? -amount : amount;
+    },
+
+    /**
+     * Parses a date cell with the given format.
+     * @param {string|Date} value - The cell value.
+     * @param {string} format - A format built from YYYY, YY, MM and DD (e.g. "DD.MM.YYYY").
+     * @returns {Date|null} The local date, or null if the value does not match or is not a real date.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    parseDate: function(value, format) {
+      if (value instanceof Date) return value;
+      const compiled = compileDateFormat(format);
+      const match = compiled.regex.exec(String(value || '').trim());
+      if (!match) return null;
+
+      const parts = {};
+      compiled.order.forEach(function(token, i) {
+        parts[token] = Number(match[i + 1]);
+      });
+      const year = parts.YYYY || (parts.YY !== undefined ? 2000 + parts.YY : NaN);
+      const date = new Date(year, parts.MM - 1, parts.DD);
+
+      // Rejects 31.02. and month/day mix-ups such as 13 as a month
+      if (isNaN(date.getTime()) || date.getMonth() !== parts.MM - 1 || date.getDate() !== parts.DD) {
+        return null;
+      }
+      return date;
+    },
+
+    /**
+     * Detects the date format of a column: the first configured format that parses every value.
+     * @param {Array<string>} values - Date cells.
+     * @returns {string|null} The format, or null if none fits.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    detectDateFormat: function(values) {
+      const self = this;
+      const formats = FinancialPlanner.Config.getSection('CSV_IMPORT').DATE_FORMATS;
+      const nonEmpty = values.filter(function(value) {
+        return String(value).trim() !== '';
+      });
+      if (nonEmpty.length === 0) return null;
+
+      for (let i = 0; i < formats.length; i++) {
+        const fits = nonEmpty.every(function(value) {
+          return self.parseDate(value, formats[i]) !== null;
+        });
+        if (fits) return formats[i];
+      }
+      return null;
+    },
+
+    /**
+     * Fills a (possibly partial) profile with the defaults from `CSV_IMPORT.DEFAULT_PROFILE`.
+     * @param {object} [profile] - The profile.
+     * @returns {object} A complete copy of the profile.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    resolveProfile: function(profile) {
+      const defaults = JSON.parse(JSON.stringify(FinancialPlanner.Config.getSection('CSV_IMPORT').DEFAULT_PROFILE));
+      const resolved = Object.assign(defaults, profile || {});
+      resolved.columns = Object.assign(defaults.columns, (profile && profile.columns) || {});
+      resolved.skipRows = Number(resolved.skipRows) || 0;
+      return resolved;
+    },
+
+    /**
+     * Maps CSV text to ledger records through a profile.
+     * The amount comes from a signed amount column (optionally inverted for banks that show
+     * outflows as positive) or from separate debit and credit columns. Without an id column,
+     * the id is a hash of account, date, amount and description plus the occurrence count of
+     * identical rows in the file, so the same file always yields the same ids.
+     * Rows without a valid date or amount are counted as skipped.
+     * @param {string} text - The CSV text.
+     * @param {object} profile - The bank profile.
+     * @returns {{records: Array<object>, skipped: number, headers: string[], delimiter: string,
+     *   decimalSeparator: string, dateFormat: string}} The records and the settings used.
+     * @throws {Error} If required columns are missing or the date format cannot be detected.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    toRecords: function(text, profile) {
+      const self = this;
+      const p = this.resolveProfile(profile);
+      const delimiter = p.delimiter === 'auto' ? this.detectDelimiter(text, p.skipRows) : resolveDelimiter(p.delimiter);
+      const rows = this.parse(text, delimiter).slice(p.skipRows);
+      if (rows.length < 2) {
+        throw FinancialPlanner.ErrorService.create('The CSV file has no data rows', { severity: 'low' });
+      }
+
+      const headers = rows[0].map(function(header) {
+        return String(header).trim();
+      });
+      const data = rows.slice(1);
+      const idx = {};
+      Object.keys(p.columns).forEach(function(key) {
+        idx[key] = resolveColumn(headers, p.columns[key]);
+        if (p.columns[key] !== '' && idx[key] === -1) {
+          throw FinancialPlanner.ErrorService.create(
+            'Column "' + p.columns[key] + '" (' + key + ') was not found in the CSV headers',
+            { severity: 'medium', headers: headers }
+          );
+        }
+      });
+
+      const useDebitCredit = p.signConvention === 'debitCredit';
+      if (idx.date === -1 || (useDebitCredit ? idx.debit === -1 && idx.credit === -1 : idx.amount === -1)) {
+        throw FinancialPlanner.ErrorService.create(
+          'The profile must map a date column and ' + (useDebitCredit ? 'debit/credit columns' : 'an amount column'),
+          { severity: 'medium', headers: headers }
+        );
+      }
+
+      const column = function(key) {
+        return data.map(function(row) {
+          return idx[key] === -1 ? '' : row[idx[key]];
+        });
+      };
+      const dateFormat = p.dateFormat === 'auto' ? this.detectDateFormat(column('date')) : p.dateFormat;
+      if (!dateFormat) {
+        throw FinancialPlanner.ErrorService.create(
+          'Could not detect the date format. Set it in the profile (e.g. DD.MM.YYYY).',
+          { severity: 'medium' }
+        );
+      }
+      const decimalSeparator = p.decimalSeparator === 'auto'
+        ? this.detectDecimalSeparator(column('amount').concat(column('debit'), column('credit')))
+        : p.decimalSeparator;
+
+      const sources = FinancialPlanner.Config.getSection('LEDGER').SOURCES;
+      const account = p.account || p.name;
+      const occurrences = {};
+      const records = [];
+      let skipped = 0;
+
+      data.forEach(function(row) {
+        const cell = function(key) {
+          return idx[key] === -1 || row[idx[key]] === undefined ? '' : String(row[idx[key]]).trim();
+        };
+
+        let amount;
+        if (useDebitCredit) {
+          const debit = self.parseAmount(cell('debit'), decimalSeparator);
+          const credit = self.parseAmount(cell('credit'), decimalSeparator);
+          amount = isNaN(debit) && isNaN(credit)
+            ? NaN
+            : (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+        } else {
+          amount = self.parseAmount(cell('amount'), decimalSeparator);
+          if (p.signConvention === 'inverted') amount = -amount;
+        }
+
+        const date = self.parseDate(cell('date'), dateFormat);
+        if (!date || isNaN(amount)) {
+          skipped++;
+          return;
+        }
+        amount = Math.round(amount * 100) / 100;
+
+        let id = cell('id');
+        if (!id) {
+          const key = [account, formatDateKey(date), amount.toFixed(2), cell('description')].join('|');
+          occurrences[key] = (occurrences[key] || 0) + 1;
+          id = FinancialPlanner.TransactionNormalizer.createContentId('csv', key + '|' + occurrences[key]);
+        }
+
+        records.push(FinancialPlanner.TransactionNormalizer.createRecord({
+          date: date,
+          description: cell('description') || cell('merchant'),
+          amount: amount,
+          merchant: cell('merchant'),
+          account: account,
+          source: sources.CSV,
+          providerCategory: cell('category'),
+          id: id
+        }));
+      });
+
+      return {
+        records: records,
+        skipped: skipped,
+        headers: headers,
+        delimiter: delimiter,
+        decimalSeparator: decimalSeparator,
+        dateFormat: dateFormat
+      };
+    },
+
+    /**
+     * Returns the saved profiles and the default profile for the import dialog.
+     * @returns {{profiles: Object<string, object>, defaultProfile: object}} The profiles.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    getProfiles: function() {
+      return {
+        profiles: FinancialPlanner.SettingsService.getCsvProfiles(),
+        defaultProfile: this.resolveProfile({})
+      };
+    },
+
+    /**
+     * Reads the headers and first rows of a file so columns can be mapped in the dialog.
+     * @param {{text: string, driveFile: string, profile: object}} request - The import request.
+     * @returns {{headers: string[], rows: Array<Array<string>>, delimiter: string}} The preview.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    preview: function(request) {
+      const p = this.resolveProfile(request.profile);
+      const text = FinancialPlanner.Utils.readImportText(request, p.encoding);
+      const delimiter = p.delimiter === 'auto' ? this.detectDelimiter(text, p.skipRows) : resolveDelimiter(p.delimiter);
+      const rows = this.parse(text, delimiter).slice(p.skipRows);
+      const previewRows = FinancialPlanner.Config.getSection('CSV_IMPORT').PREVIEW_ROWS;
+      return {
+        headers: rows.length > 0 ? rows[0] : [],
+        rows: rows.slice(1, 1 + previewRows),
+        delimiter: delimiter === '\t' ? 'tab' : delimiter
+      };
+    },
+
+    /**
+     * Imports a CSV file into the ledger through the given profile, optionally saving the
+     * profile for the next import.
+     * @param {{text: string, driveFile: string, profile: object, saveProfile: boolean}} request - The import request.
+     * @returns {{added: number, updated: number, skipped: number}} The import outcome.
+     * @memberof FinancialPlanner.CsvImporter
+     */
+    importCsv: function(request) {
+      const profile = this.resolveProfile(request.profile);
+      if (!String(profile.name).trim()) {
+        throw FinancialPlanner.ErrorService.create('Choose a bank profile or give the new profile a name', { severity: 'low' });
+      }
+
+      const result = this.toRecords(FinancialPlanner.Utils.readImportText(request, profile.encoding), profile);
+      if (request.saveProfile) {
+        FinancialPlanner.SettingsService.saveCsvProfile(profile);
+      }
+
+      const upsert = FinancialPlanner.LedgerService.importRecords(
+        result.records,
+        FinancialPlanner.Config.getSection('LEDGER').SOURCES.CSV
+      );
+      Logger.log('CSV import (' + profile.name + '): ' + upsert.added + ' added, ' +
+                 upsert.updated + ' updated, ' + result.skipped + ' skipped');
+      return { added: upsert.added, updated: upsert.updated, skipped: result.skipped };
+    }
+  };
+})();
@@ -3,10 +3,14 @@
  * Provides functionalities for extracting, transforming, filtering, and aggregating
  * financial transaction data. It includes an inner `DataProcessor` class that
  * operates on a given dataset.
- * This module is designed to be instantiated by `00_module_loader.js`.
+ * A shared instance is registered as `FinancialPlanner.DataProcessor` at the end of this file.
  * @module services/data-processor
  */
 
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
 /**
  * IIFE to encapsulate the DataProcessorModule logic.
  * @returns {function} The DataProcessorModule constructor.
@@ -218,6 +222,7 @@ const DataProcessorModule = (function() {
     /**
      * Aggregates transaction data by month, calculating total income, expenses,
      * savings, and collecting transactions for each month.
+     * Rows marked as duplicates (see `isDuplicate`) are skipped.
      * @returns {Object<string, {income: number, expenses: number, savings: number, transactions: Array<Array<*>>}>}
      *   An object where keys are month strings (e.g., "YYYY-M") and values are objects
      *   containing aggregated financial data for that month.
@@ -227,6 +232,7 @@ const DataProcessorModule = (function() {
       
       for (let i = 1; i < this.data.length; i++) {
         const row = this.data[i];
+        if (this.isDuplicate(row)) continue;
         const date = new Date(row[this.indices.date]);
         const monthKey = `${date.getFullYear()}-${date.getMonth() + 1}`;
         
@@ -259,6 +265,7 @@ const DataProcessorModule = (function() {
     /**
      * Aggregates transaction data by category, calculating total amount, transaction count,
      * and collecting transactions for each category.
+     * Rows marked as duplicates (see `isDuplicate`) are skipped.
      * @returns {Object<string, {total: number, count: number, transactions: Array<Array<*>>}>}
      *   An object where keys are category names and values are objects containing
      *   aggregated data for that category.
@@ -270,7 +277,7 @@ const DataProcessorModule = (function() {
         const row = this.data[i];
         const category = row[this.indices.category];
         
-        if (!category) continue;
+        if (!category || this.isDuplicate(row)) continue;
         
         if (!categoryData[category]) {
           categoryData[category] = {
@@ -291,21 +298,22 @@ const DataProcessorModule = (function() {
 
     /**
      * Calculates monthly total amounts for a specific combination of type, category,
-     * and subcategory over a hardcoded year (2024 - needs configuration).
+     * and subcategory over the months of a reporting period.
      * @param {string} type - The transaction type (e.g., "Expense").
      * @param {string} [category=null] - Optional. The specific category.
      * @param {string} [subcategory=null] - Optional. The specific subcategory.
-     * @returns {Object<number, number>} An object where keys are month indices (0-11)
+     * @param {Date[]} [months] - Optional. The first day of each month to total; defaults to
+     *   the period selected for the Overview (see `PeriodService.getCurrent`).
+     * @returns {Object<number, number>} An object where keys are month indices within `months`
      *   and values are the total amounts for that month and criteria.
-     *   Note: The year is currently hardcoded to 2024.
      */
-    getMonthlyTotals(type, category = null, subcategory = null) {
+    getMonthlyTotals(type, category = null, subcategory = null, months = null) {
       const monthlyTotals = {};
+      const periodMonths = months || FinancialPlanner.PeriodService.getCurrent().months;
       
-      for (let month = 0; month < 12; month++) {
-        const year = 2024; // This should be configurable
-        const startDate = new Date(year, month, 1);
-        const endDate = new Date(year, month + 1, 0);
+      for (let month = 0; month < periodMonths.length; month++) {
+        const startDate = periodMonths[month];
+        const endDate = new Date(startDate.getFullYear(), startDate.getMonth() + 1, 0);
         
         const transactions = this.filterByDateRange(startDate, endDate)
           .filter((row, index) => {
@@ -348,10 +356,10 @@ const DataProcessorModule = (function() {
     }
 
     /**
-     * Determines the indices of predefined columns (Type, Category, Sub-Category, Date, Amount, Shared)
-     * based on an array of header strings.
+     * Determines the indices of predefined columns (Type, Category, Sub-Category, Date, Amount, Shared?,
+     * Description, Merchant, Duplicate Of) based on an array of header strings.
      * @param {Array<string>} headers - An array of strings representing the column headers.
-     * @returns {{type: number, category: number, subcategory: number, date: number, amount: number, shared: number}}
+     * @returns {{type: number, category: number, subcategory: number, date: number, amount: number, shared: number, description: number, merchant: number, duplicateOf: number}}
      *   An object mapping standard column names to their found zero-based index.
      *   Returns -1 for columns not found.
      * @static
@@ -363,18 +371,32 @@ const DataProcessorModule = (function() {
         subcategory: headers.indexOf("Sub-Category"),
         date: headers.indexOf("Date"),
         amount: headers.indexOf("Amount"),
-        shared: headers.indexOf("Shared")
+        shared: headers.indexOf("Shared?"),
+        description: headers.indexOf("Description"),
+        merchant: headers.indexOf("Merchant"),
+        duplicateOf: headers.indexOf("Duplicate Of")
       };
       
       return indices;
     }
 
+    /**
+     * Checks whether a data row has been marked as a duplicate of another ledger row.
+     * Always false for sheets without a "Duplicate Of" column.
+     * @param {Array<*>} row - A single data row array.
+     * @returns {boolean} True if the row should be left out of totals.
+     */
+    isDuplicate(row) {
+      return this.indices.duplicateOf >= 0 && row[this.indices.duplicateOf] !== '';
+    }
+
     /**
      * Maps a data row (as an array) to an object with named properties,
      * based on the current column indices. Also parses the amount to a float.
      * @param {Array<*>} row - A single data row array.
-     * @returns {{type: string, category: string, subcategory: string, date: *, amount: number, shared: *}}
-     *   An object representation of the row.
+     * @returns {{type: string, category: string, subcategory: string, date: *, amount: number, shared: *, description: string, merchant: string}}
+     *   An object representation of the row. Description and merchant are empty strings
+     *   when the sheet has no such column.
      */
     mapRowToObject(row) {
       return {
@@ -383,13 +405,31 @@ const DataProcessorModule = (function() {
         subcategory: row[this.indices.subcategory],
         date: row[this.indices.date],
         amount: parseFloat(row[this.indices.amount]) || 0,
-        shared: row[this.indices.shared]
+        shared: row[this.indices.shared],
+        description: this.indices.description >= 0 ? row[this.indices.description] : '',
+        merchant: this.indices.merchant >= 0 ? row[this.indices.merchant] : ''
       };
     }
 
+    /**
+     * Maps every data row (excluding the header) to an object via `mapRowToObject`,
+     * adding the 1-based sheet `row` number of each.
+     * @returns {Array<object>} The row objects, in sheet order.
+     */
+    mapAllRows() {
+      const rows = [];
+      for (let i = 1; i < this.data.length; i++) {
+        const obj = this.mapRowToObject(this.data[i]);
+        obj.row = i + 1;
+        rows.push(obj);
+      }
+      return rows;
+    }
+
     /**
      * Calculates summary statistics for the entire dataset, including total income,
      * expenses, savings, transaction count, and the date range of transactions.
+     * Rows marked as duplicates (see `isDuplicate`) are skipped.
      * @returns {{totalIncome: number, totalExpenses: number, totalSavings: number, transactionCount: number, dateRange: {start: Date|null, end: Date|null}}}
      *   An object containing the summary statistics.
      */
@@ -407,6 +447,7 @@ const DataProcessorModule = (function() {
       
       for (let i = 1; i < this.data.length; i++) {
         const row = this.data[i];
+        if (this.isDuplicate(row)) continue;
         const amount = parseFloat(row[this.indices.amount]) || 0;
         const type = row[this.indices.type];
         const date = new Date(row[this.indices.date]);
@@ -465,3 +506,11 @@ const DataProcessorModule = (function() {
 
   return DataProcessorModuleConstructor;
 })();
+
+/**
+ * Shared Data Processor factory used by the feature modules, which receive it as
+ * `FinancialPlanner.DataProcessor` when their IIFEs run. Relies on Config and ErrorService being
+ * loaded first (see filePushOrder in .clasp.json).
+ * @type {DataProcessorModule}
+ */
+FinancialPlanner.DataProcessor = new DataProcessorModule(FinancialPlanner.Config, FinancialPlanner.ErrorService);
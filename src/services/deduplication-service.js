@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Deduplication Service - Finds the same transaction imported from several sources.
+ * Accounts linked through both Plaid and SaltEdge, or backfilled from a statement file, show
+ * up in the ledger more than once. Pairs from different sources with the same amount, dates
+ * within a configurable window and similar descriptions are matched; duplicates are marked in
+ * the ledger (Duplicate Of / Duplicate Reason) instead of being deleted, and ambiguous pairs
+ * are listed on the Duplicate Review sheet for the user to decide.
+ * @module services/deduplication-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Deduplication Service - Cross-source duplicate detection for the ledger.
+ * @namespace FinancialPlanner.DeduplicationService
+ */
+FinancialPlanner.DeduplicationService = (function() {
+  /**
+   * @const {number} MS_PER_DAY
+   * @private
+   */
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  /**
+   * @const {string[]} REVIEW_HEADERS
+   * @private
+   * @description Columns of the Duplicate Review sheet. The Source/External ID pairs identify
+   * the ledger rows, so decisions still apply after rows have moved.
+   */
+  const REVIEW_HEADERS = [
+    'Mark Duplicate', 'Amount', 'Days Apart', 'Similarity',
+    'Source A', 'External ID A', 'Date A', 'Description A',
+    'Source B', 'External ID B', 'Date B', 'Description B'
+  ];
+
+  /**
+   * Returns the character bigrams of a string, without spaces.
+   * @private
+   * @param {string} text - Normalized text.
+   * @returns {string[]} The bigrams.
+   */
+  function getBigrams(text) {
+    const compact = text.replace(/ /g, '');
+    const bigrams = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+      bigrams.push(compact.substring(i, i + 2));
+    }
+    return bigrams;
+  }
+
+  /**
+   * Returns the whole number of days between two dates.
+   * @private
+   * @param {Date} a - The first date.
+   * @param {Date} b - The second date.
+   * @returns {number} The absolute difference in days.
+   */
+  function getDaysApart(a, b) {
+    return Math.round(Math.abs(a.getTime() - b.getTime()) / MS_PER_DAY);
+  }
+
+  /**
+   * Checks whether a record can take part in matching.
+   * @private
+   * @param {object} record - A ledger record.
+   * @returns {boolean} True if the record has an id, a source and a date and is not marked yet.
+   */
+  function isEligible(record) {
+    return Boolean(record.id && record.source && !record.duplicateOf) &&
+      record.date instanceof Date && !isNaN(record.date.getTime());
+  }
+
+  /**
+   * Reads the matching thresholds from the configuration and the user's date window.
+   * @private
+   * @returns {{windowDays: number, matchSimilarity: number, reviewSimilarity: number}} The options.
+   */
+  function getOptions() {
+    const settings = FinancialPlanner.Config.getSection('DEDUPLICATION');
+    return {
+      windowDays: FinancialPlanner.SettingsService.getDedupDateWindowDays(),
+      matchSimilarity: settings.MATCH_SIMILARITY,
+      reviewSimilarity: settings.REVIEW_SIMILARITY
+    };
+  }
+
+  /**
+   * Marks the duplicate record of each match in the ledger.
+   * @private
+   * @param {Array<{survivor: object, duplicate: object, days: number, score: number}>} matches - The matches.
+   * @returns {number} The number of rows marked.
+   */
+  function markMatches(matches) {
+    const marked = matches.map(function(match) {
+      match.duplicate.duplicateOf = FinancialPlanner.DeduplicationService.formatReference(match.survivor);
+      match.duplicate.duplicateReason = describeMatch(match);
+      return match.duplicate;
+    });
+    FinancialPlanner.LedgerService.updateRecords(marked);
+    return marked.length;
+  }
+
+  /**
+   * Builds the explanation stored in the Duplicate Reason column.
+   * @private
+   * @param {{survivor: object, days: number, score: number}} match - The match.
+   * @returns {string} The reason text.
+   */
+  function describeMatch(match) {
+    return 'Same amount as ' + match.survivor.source + ' transaction ' +
+      match.days + ' day(s) apart, description ' + Math.round(match.score * 100) + '% similar';
+  }
+
+  /**
+   * Writes the ambiguous pairs to the Duplicate Review sheet, replacing its content.
+   * @private
+   * @param {Array<{a: object, b: object, score: number, days: number}>} pairs - The ambiguous pairs.
+   */
+  function writeReviewSheet(pairs) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = FinancialPlanner.Utils.getOrCreateSheet(ss, FinancialPlanner.Config.getSheetNames().DUPLICATE_REVIEW);
+    const colors = FinancialPlanner.Config.getSection('COLORS').UI;
+
+    sheet.getRange(1, 1, 1, REVIEW_HEADERS.length)
+      .setValues([REVIEW_HEADERS])
+      .setFontWeight('bold')
+      .setBackground(colors.HEADER_BG)
+      .setFontColor(colors.HEADER_FONT);
+    sheet.setFrozenRows(1);
+
+    if (pairs.length > 0) {
+      const rows = pairs.map(function(pair) {
+        return [
+          false, pair.a.amount, pair.days, pair.score,
+          pair.a.source, pair.a.id, pair.a.date, pair.a.description,
+          pair.b.source, pair.b.id, pair.b.date, pair.b.description
+        ];
+      });
+      // Keep the ids as text: 19-digit SaltEdge ids would be rounded and never match again
+      [REVIEW_HEADERS.indexOf('External ID A'), REVIEW_HEADERS.indexOf('External ID B')].forEach(function(index) {
+        sheet.getRange(2, index + 1, rows.length, 1).setNumberFormat('@');
+      });
+      sheet.getRange(2, 1, rows.length, REVIEW_HEADERS.length).setValues(rows);
+      sheet.getRange(2, 1, rows.length, 1).insertCheckboxes();
+      FinancialPlanner.Utils.formatAsCurrency(
+        sheet.getRange(2, 2, rows.length, 1),
+        FinancialPlanner.Config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT
+      );
+      FinancialPlanner.Utils.formatAsPercentage(sheet.getRange(2, 4, rows.length, 1));
+    }
+    sheet.autoResizeColumns(1, REVIEW_HEADERS.length);
+  }
+
+  // Public API
+  return {
+    /**
+     * Scores how similar two transactions' descriptions are, from 0 to 1.
+     * Uses the Dice coefficient over character bigrams, so word order and small spelling
+     * differences between providers matter little. A description contained in the other
+     * (e.g. "Netflix" and "NETFLIX.COM AMSTERDAM") counts as a full match, and when both
+     * records have a merchant the better of the two scores is used.
+     * @param {{description: string, merchant: string}} a - The first record.
+     * @param {{description: string, merchant: string}} b - The second record.
+     * @returns {number} The similarity score.
+     * @memberof FinancialPlanner.DeduplicationService
+     */
+    similarity: function(a, b) {
+      function score(left, right) {
+        const x = FinancialPlanner.Utils.normalizeText(left);
+        const y = FinancialPlanner.Utils.normalizeText(right);
+        if (!x || !y) return 0;
+        if (x === y) return 1;
+
+        const shorter = x.length <= y.length ? x : y;
+        const longer = shorter === x ? y : x;
+        if (shorter.length >= 4 && longer.indexOf(shorter) !== -1) return 1;
+
+        const bigramsX = getBigrams(x);
+        const bigramsY = getBigrams(y);
+        if (bigramsX.length === 0 || bigramsY.length === 0) return 0;
+
+        const counts = {};
+        bigramsX.forEach(function(bigram) {
+          counts[bigram] = (counts[bigram] || 0) + 1;
+        });
+        let shared = 0;
+        bigramsY.forEach(function(bigram) {
+          if (counts[bigram] > 0) {
+            counts[bigram]--;
+            shared++;
+          }
+        });
+        return (2 * shared) / (bigramsX.length + bigramsY.length);
+      }
+
+      return Math.max(score(a.description, b.description), score(a.merchant, b.merchant));
+    },
+
+    /**
+     * Decides which record of a duplicate pair stays counted.
+     * A record the user already categorized wins; otherwise the one that reached the ledger
+     * first (the lower sheet row) does.
+     * @param {object} a - The first record.
+     * @param {object} b - The second record.
+     * @returns {{survivor: object, duplicate: object}} The pair in survivor/duplicate order.
+     * @memberof FinancialPlanner.DeduplicationService
+     */
+    chooseSurvivor: function(a, b) {
+      let aWins;
+      if (Boolean(a.type) !== Boolean(b.type)) {
+        aWins = Boolean(a.type);
+      } else {
+        aWins = !(b.row < a.row);
+      }
+      return aWins ? { survivor: a, duplicate: b } : { survivor: b, duplicate: a };
+    },
+
+    /**
+     * Returns the value stored in the Duplicate Of column to point at a surviving record.
+     * @param {{source: string, id: string}} record - The surviving record.
+     * @returns {string} The reference, e.g. "Plaid:tx_123".
+     * @memberof FinancialPlanner.DeduplicationService
+     */
+    formatReference: function(record) {
+      return record.source + ':' + record.id;
+    },
+
+    /**
+     * Finds duplicate pairs among ledger records from different sources.
+     * Candidates need the same amount (to the cent), dates at most `windowDays` apart and a
+     * description similarity of at least `reviewSimilarity`. A pair is matched when its
+     * similarity reaches `matchSimilarity` and neither record has any other candidate;
+     * every other candidate pair is returned as ambiguous.
+     * Records already marked as duplicates, and records without a source or id, are ignored.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {{windowDays: number, matchSimilarity: number, reviewSimilarity: number}} options - Matching thresholds.
+     * @returns {{matches: Array<{survivor: object, duplicate: object, score: number, days: number}>,
+     *   ambiguous: Array<{a: object, b: object, score: number, days: number}>}} The result.
+     * @memberof FinancialPlanner.DeduplicationService
+     */
+    findDuplicates: function(records, options) {
+      const self = this;
+      const byAmount = {};
+      records.filter(isEligible).forEach(function(record) {
+        const key = Math.round((parseFloat(record.amount) || 0) * 100);
+        if (!byAmount[key]) {
+          byAmount[key] = [];
+        }
+        byAmount[key].push(record);
+      });
+
+      const pairs = [];
+      const candidateCounts = new Map();
+      Object.keys(byAmount).forEach(function(key) {
+        const group = byAmount[key];
+        for (let i = 0; i < group.length; i++) {
+          for (let j = i + 1; j < group.length; j++) {
+            const a = group[i];
+            const b = group[j];
+            if (a.source === b.source) continue;
+
+            const days = getDaysApart(a.date, b.date);
+            if (days > options.windowDays) continue;
+
+            const score = self.similarity(a, b);
+            if (score < options.reviewSimilarity) continue;
+
+            pairs.push({ a: a, b: b, score: score, days: days });
+            candidateCounts.set(a, (candidateCounts.get(a) || 0) + 1);
+            candidateCounts.set(b, (candidateCounts.get(b) || 0) + 1);
+          }
+        }
+      });
+
+      const result = { matches: [], ambiguous: [] };
+      pairs.forEach(function(pair) {
+        const unique = candidateCounts.get(pair.a) === 1 && candidateCounts.get(pair.b) === 1;
+        if (unique && pair.score >= options.matchSimilarity) {
+          const ordered = self.chooseSurvivor(pair.a, pair.b);
+          result.matches.push({
+            survivor: ordered.survivor,
+            duplicate: ordered.duplicate,
+            score: pair.score,
+            days: pair.days
+          });
+        } else {
+          result.ambiguous.push(pair);
+        }
+      });
+
+      return result;
+    },
+
+    /**
+     * Runs the deduplication pass over the ledger. Confident matches are marked in the
+     * Duplicate Of / Duplicate Reason columns (clear both cells to undo a mark) and
+     * ambiguous pairs are written to the Duplicate Review sheet.
+     * @returns {{marked: number, review: number}} The number of marked rows and review pairs.
+     * @memberof FinancialPlanner.DeduplicationService
+     */
+    run: function() {
+      const result = this.findDuplicates(FinancialPlanner.LedgerService.getRecords(), getOptions());
+      const marked = markMatches(result.matches);
+      writeReviewSheet(result.ambiguous);
+
+      Logger.log('Deduplication: marked ' + marked + ' duplicates, ' +
+                 result.ambiguous.length + ' pairs for review');
+      return { marked: marked, review: result.ambiguous.length };
+    },
+
+    /**
+     * Deduplicates freshly imported records against some other sources only, e.g. a bank
+     * statement file against the transactions SaltEdge already synced for the same account,
+     * or a SaltEdge sync against the statement files imported in between.
+     * Confident matches are marked as in `run`; ambiguous pairs are only counted, so the
+     * Duplicate Review sheet of an earlier full pass is left untouched.
+     * @param {Array<object>} records - The imported records (with `source` and `id`).
+     * @param {string|string[]} sources - The provider(s) to compare against (LEDGER.SOURCES).
+     * @returns {{marked: number, review: number}} The number of marked rows and ambiguous pairs.
+     * @memberof FinancialPlanner.DeduplicationService
+     */
+    markImported: function(records, sources) {
+      if (!records || records.length === 0) return { marked: 0, review: 0 };
+
+      const self = this;
+      const against = [].concat(sources);
+      const imported = new Set(records.map(function(record) {
+        return self.formatReference(record);
+      }));
+      const candidates = FinancialPlanner.LedgerService.getRecords().filter(function(record) {
+        return against.indexOf(record.source) !== -1 || imported.has(self.formatReference(record));
+      });
+
+      const result = this.findDuplicates(candidates, getOptions());
+      const marked = markMatches(result.matches);
+
+      Logger.log('Deduplication against ' + against.join(', ') + ': marked ' + marked + ' duplicates, ' +
+                 result.ambiguous.length + ' ambiguous pairs');
+      return { marked: marked, review: result.ambiguous.length };
+    },
+
+    /**
+     * Applies the pairs ticked on the Duplicate Review sheet: the survivor is chosen as in
+     * `chooseSurvivor` and the other record is marked as its duplicate. Applied rows are
+     * removed from the review sheet; unticked rows stay for later.
+     * @returns {number} The number of rows marked as duplicates.
+     * @memberof FinancialPlanner.DeduplicationService
+     */
+    applyReview: function() {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.getSheetByName(FinancialPlanner.Config.getSheetNames().DUPLICATE_REVIEW);
+      if (!sheet || sheet.getLastRow() < 2) return 0;
+
+      const self = this;
+      const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, REVIEW_HEADERS.length).getValues();
+      const records = FinancialPlanner.LedgerService.getRecords();
+      const byReference = {};
+      records.forEach(function(record) {
+        if (record.source && record.id) {
+          byReference[self.formatReference(record)] = record;
+        }
+      });
+
+      const marked = [];
+      const appliedRows = [];
+      values.forEach(function(row, i) {
+        if (row[0] !== true) return;
+
+        const a = byReference[row[4] + ':' + row[5]];
+        const b = byReference[row[8] + ':' + row[9]];
+        if (!a || !b) {
+          Logger.log('Duplicate review row ' + (i + 2) + ' refers to a transaction that is no longer in the ledger');
+          return;
+        }
+        if (a.duplicateOf || b.duplicateOf) {
+          appliedRows.push(i + 2);
+          return;
+        }
+
+        const ordered = self.chooseSurvivor(a, b);
+        ordered.duplicate.duplicateOf = self.formatReference(ordered.survivor);
+        ordered.duplicate.duplicateReason = 'Confirmed in Duplicate Review';
+        marked.push(ordered.duplicate);
+        appliedRows.push(i + 2);
+      });
+
+      FinancialPlanner.LedgerService.updateRecords(marked);
+      // Delete bottom-up so earlier row numbers stay valid
+      appliedRows.reverse().forEach(function(rowNumber) {
+        sheet.deleteRow(rowNumber);
+      });
+
+      Logger.log('Duplicate review: marked ' + marked.length + ' duplicates');
+      return marked.length;
+    }
+  };
+})();
@@ -419,6 +419,26 @@ FinancialPlanner.DropdownService = (function(utils, uiService, errorService, con
             Logger.log("DropdownService: Initializing dropdown cache proactively.");
             dropdownCache = buildDropdownCache(SpreadsheetApp.getActiveSpreadsheet());
         }
+    },
+
+    /**
+     * Returns the Type > Category > Sub-Category hierarchy of the dropdowns, loading the cache if needed.
+     * Used by editors that offer the same choices as the Transactions sheet.
+     * @memberof FinancialPlanner.DropdownService
+     * @return {Object<string, Object<string, Array<string>>>} For each type, its categories mapped to their
+     *   sub-categories (empty when a category has none).
+     */
+    getHierarchy: function() {
+        this.initializeCache();
+        const hierarchy = {};
+        Object.keys(dropdownCache.typeToCategories).forEach(type => {
+            hierarchy[type] = {};
+            dropdownCache.typeToCategories[type].forEach(category => {
+                const key = `${type}${DROPDOWN_CONFIG.KEY_SEPARATOR}${category}`;
+                hierarchy[type][category] = (dropdownCache.typeCategoryToSubCategories[key] || []).slice();
+            });
+        });
+        return hierarchy;
     }
   };
 })(FinancialPlanner.Utils, FinancialPlanner.UIService, FinancialPlanner.ErrorService, FinancialPlanner.Config);
@@ -0,0 +1,484 @@
+/**
+ * @fileoverview Envelope Service - Zero-based envelope budgeting on top of the budget targets.
+ * Every expense and savings category is an envelope. Each month, income is assigned to the
+ * envelopes (by default the month's budget from the Budgets sheet), spending draws them down and
+ * what is left at the end of the month (or overspent) rolls into the next month according to the
+ * envelope's policy: carried over, reset to To Be Assigned, or swept to savings. The Envelopes
+ * sheet shows assigned, activity and available per month, and the "To Be Assigned" amount that
+ * should be brought to zero. The start month, the policies and the assigned amounts are edited
+ * on the sheet itself and rebuild it.
+ * @module services/envelope-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Envelope Service - Envelope budgeting with rollover.
+ * @namespace FinancialPlanner.EnvelopeService
+ */
+FinancialPlanner.EnvelopeService = (function() {
+  /**
+   * @const {object} LAYOUT
+   * @private
+   * @description Rows and columns of the Envelopes sheet. Each month is a block of Assigned,
+   * Activity and Available columns; the Key and Manual columns after the last block are hidden.
+   */
+  const LAYOUT = {
+    START_CELL: 'B2',
+    STATUS_ROW: 3,
+    HEADER_ROW: 5,
+    SUBHEADER_ROW: 6,
+    SUMMARY_ROW: 7,
+    ENVELOPE_ROW: 12,
+    POLICY_COLUMN: 3,
+    FIRST_MONTH_COLUMN: 4,
+    BLOCK_WIDTH: 3
+  };
+
+  /**
+   * @const {string[]} SUMMARY_LABELS
+   * @private
+   * @description Labels of the summary rows above the envelopes, in order.
+   */
+  const SUMMARY_LABELS = ['Income', 'Returned from Envelopes', 'Swept to Savings', 'To Be Assigned'];
+
+  /**
+   * Returns the month index (months since year 0) of a date.
+   * @private
+   * @param {Date} date - The date.
+   * @returns {number} The month index.
+   */
+  function toMonthIndex(date) {
+    return date.getFullYear() * 12 + date.getMonth();
+  }
+
+  /**
+   * Rounds an amount to cents.
+   * @private
+   * @param {number} value - The amount.
+   * @returns {number} The rounded amount.
+   */
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Identifies the envelope of a type and category.
+   * @private
+   * @param {string} type - The transaction type.
+   * @param {string} category - The category.
+   * @returns {string} The envelope key, "Type|Category".
+   */
+  function getEnvelopeKey(type, category) {
+    return type + '|' + category;
+  }
+
+  /**
+   * Reads the manually assigned months of an envelope row: the month labels listed in its hidden
+   * Manual cell.
+   * @private
+   * @param {*} value - The Manual cell value.
+   * @returns {string[]} The month labels.
+   */
+  function parseManual(value) {
+    return String(value || '').split(',').filter(function(label) { return label !== ''; });
+  }
+
+  /**
+   * Reads what the user set on the Envelopes sheet before it is rewritten: the start month, the
+   * policy of each envelope and the amounts assigned by hand.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet|null} sheet - The envelopes sheet, if it exists.
+   * @returns {{start: (Date|null), policies: Object<string, string>, assignments: Object<string, Object<string, number>>}}
+   *   The settings; `assignments` maps an envelope key to its manual amounts by month label.
+   */
+  function readState(sheet) {
+    const state = { start: null, policies: {}, assignments: {} };
+    if (!sheet) return state;
+
+    const start = sheet.getRange(LAYOUT.START_CELL).getValue();
+    if (start instanceof Date && !isNaN(start.getTime())) state.start = start;
+
+    const lastRow = sheet.getLastRow();
+    const lastColumn = sheet.getLastColumn();
+    if (lastRow < LAYOUT.ENVELOPE_ROW) return state;
+    // Labels are read as displayed, in case an older sheet stored them as dates
+    const header = sheet.getRange(LAYOUT.HEADER_ROW, 1, 1, lastColumn).getDisplayValues()[0];
+    const keyIndex = header.indexOf('Key');
+    if (keyIndex === -1) return state;
+
+    const rowCount = lastRow - LAYOUT.ENVELOPE_ROW + 1;
+    const manualCells = sheet.getRange(LAYOUT.ENVELOPE_ROW, keyIndex + 2, rowCount, 1).getDisplayValues();
+    sheet.getRange(LAYOUT.ENVELOPE_ROW, 1, rowCount, lastColumn).getValues().forEach(function(row, offset) {
+      const key = row[keyIndex];
+      if (!key) return;
+      if (row[LAYOUT.POLICY_COLUMN - 1]) state.policies[key] = row[LAYOUT.POLICY_COLUMN - 1];
+      parseManual(manualCells[offset][0]).forEach(function(label) {
+        const index = header.indexOf(label);
+        if (index === -1) return;
+        state.assignments[key] = state.assignments[key] || {};
+        state.assignments[key][label] = parseFloat(row[index]) || 0;
+      });
+    });
+    return state;
+  }
+
+  /**
+   * Writes the envelopes to the Envelopes sheet, replacing its content.
+   * @private
+   * @param {object} result - The envelopes (see `buildEnvelopes`).
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The envelopes sheet.
+   */
+  function writeEnvelopeSheet(result) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const config = FinancialPlanner.Config;
+    const utils = FinancialPlanner.Utils;
+    const sheet = utils.getOrCreateSheet(ss, config.getSheetNames().ENVELOPES);
+    const colors = config.getSection('COLORS');
+    const policies = config.getSection('ENVELOPES').POLICIES;
+    const currencyFormat = config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT;
+    const formatAmount = function(value) { return FinancialPlanner.MetricsCalculator.formatCurrency(value, { decimals: 2 }); };
+    const styleHeader = function(range) {
+      return range.setFontWeight('bold').setBackground(colors.UI.HEADER_BG).setFontColor(colors.UI.HEADER_FONT);
+    };
+
+    const months = result.months;
+    const monthColumns = months.length * LAYOUT.BLOCK_WIDTH;
+    const keyColumn = LAYOUT.FIRST_MONTH_COLUMN + monthColumns;
+    const width = keyColumn + 1;
+    if (sheet.getMaxColumns() < width) {
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), width - sheet.getMaxColumns());
+    }
+    sheet.clear();
+    sheet.showColumns(1, sheet.getMaxColumns());
+    sheet.getRange(LAYOUT.HEADER_ROW, 1, 1, sheet.getMaxColumns()).breakApart();
+    sheet.getRange(LAYOUT.ENVELOPE_ROW, LAYOUT.POLICY_COLUMN, sheet.getMaxRows() - LAYOUT.ENVELOPE_ROW + 1, 1).clearDataValidations();
+    // Sheets would turn "Jan-24" labels into dates, so the month headers and Manual cells are text
+    sheet.getRange(LAYOUT.HEADER_ROW, 1, 1, width).setNumberFormat('@');
+    sheet.getRange(LAYOUT.ENVELOPE_ROW, keyColumn + 1, sheet.getMaxRows() - LAYOUT.ENVELOPE_ROW + 1, 1).setNumberFormat('@');
+
+    // Title, start month and status
+    const current = months[result.currentOffset];
+    sheet.getRange(1, 1).setValue('Envelopes').setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1, 1, 2).setValues([['Start Month', months[0].date]]);
+    sheet.getRange(2, 1).setFontWeight('bold');
+    sheet.getRange(LAYOUT.START_CELL)
+      .setNumberFormat('mmm yyyy')
+      .setBackground('#FFF2CC')
+      .setDataValidation(SpreadsheetApp.newDataValidation().requireDate().setAllowInvalid(false).build())
+      .setNote('Balances roll forward from this month. Assigned amounts of earlier months are not kept.');
+
+    const offMonths = months.filter(function(month) { return month.toBeAssigned !== 0; });
+    const offLabels = offMonths.slice(0, 3).map(function(month) { return month.label; }).join(', ') +
+      (offMonths.length > 3 ? ' and ' + (offMonths.length - 3) + ' more months' : '');
+    let status;
+    if (current.toBeAssigned > 0) {
+      status = 'Assign ' + formatAmount(current.toBeAssigned) + ' more in ' + current.label + ' to bring To Be Assigned to zero.';
+    } else if (current.toBeAssigned < 0) {
+      status = current.label + ' is over-assigned by ' + formatAmount(-current.toBeAssigned) +
+        '. Take it back from envelopes to bring To Be Assigned to zero.';
+    } else {
+      status = 'Every amount is assigned in ' + current.label + '.';
+    }
+    if (offMonths.length > (current.toBeAssigned !== 0 ? 1 : 0)) {
+      status += ' To Be Assigned is not zero in ' + offLabels + '.';
+    }
+    sheet.getRange(LAYOUT.STATUS_ROW, 1).setValue(status).setFontWeight('bold')
+      .setFontColor(offMonths.length === 0 ? colors.UI.INCOME_FONT : colors.UI.EXPENSE_FONT);
+
+    // Headers: one merged month label over each Assigned / Activity / Available block
+    const header = ['Type', 'Category', 'Policy'];
+    const subheader = ['', '', ''];
+    months.forEach(function(month) {
+      header.push(month.label, '', '');
+      subheader.push('Assigned', 'Activity', 'Available');
+    });
+    header.push('Key', 'Manual');
+    subheader.push('', '');
+    styleHeader(sheet.getRange(LAYOUT.HEADER_ROW, 1, 2, width).setValues([header, subheader]));
+    months.forEach(function(month, offset) {
+      sheet.getRange(LAYOUT.HEADER_ROW, LAYOUT.FIRST_MONTH_COLUMN + offset * LAYOUT.BLOCK_WIDTH, 1, LAYOUT.BLOCK_WIDTH)
+        .merge()
+        .setHorizontalAlignment('center');
+    });
+    sheet.getRange(LAYOUT.HEADER_ROW, LAYOUT.POLICY_COLUMN).setNote(
+      'What happens to an envelope\'s balance at the end of a month. ' + policies.CARRY + ': it stays in the envelope, ' +
+      'overspending included. ' + policies.RESET + ': it goes back to To Be Assigned. ' + policies.SWEEP +
+      ': leftovers are moved to savings, overspending stays in the envelope.');
+    sheet.getRange(LAYOUT.SUBHEADER_ROW, LAYOUT.FIRST_MONTH_COLUMN).setNote(
+      'Enter what you assign to each envelope. Italic amounts follow the ' + config.getSheetNames().BUDGETS +
+      ' sheet; clear a cell to go back to the budget.');
+
+    // Summary rows: income, returns and sweeps as activity; To Be Assigned as assigned total and available
+    const summary = SUMMARY_LABELS.map(function(label) {
+      return [label, '', ''].concat(new Array(monthColumns).fill(''));
+    });
+    months.forEach(function(month, offset) {
+      const column = 3 + offset * LAYOUT.BLOCK_WIDTH;
+      summary[0][column + 1] = month.income;
+      summary[1][column + 1] = month.returned;
+      summary[2][column + 1] = month.swept;
+      summary[3][column] = month.assigned;
+      summary[3][column + 2] = month.toBeAssigned;
+    });
+    sheet.getRange(LAYOUT.SUMMARY_ROW, 1, summary.length, 3 + monthColumns).setValues(summary);
+    sheet.getRange(LAYOUT.SUMMARY_ROW, 1, summary.length, 1).setFontWeight('bold');
+    const toBeAssignedRow = LAYOUT.SUMMARY_ROW + SUMMARY_LABELS.length - 1;
+    sheet.getRange(toBeAssignedRow, 1).setNote('Income plus what Reset envelopes return, minus what is assigned, ' +
+      'carried from month to month. Assign until it is zero.');
+    months.forEach(function(month, offset) {
+      const cell = sheet.getRange(toBeAssignedRow, LAYOUT.FIRST_MONTH_COLUMN + offset * LAYOUT.BLOCK_WIDTH + 2);
+      cell.setFontWeight('bold').setFontColor(month.toBeAssigned === 0 ? colors.UI.INCOME_FONT : colors.UI.EXPENSE_FONT);
+      if (month.toBeAssigned !== 0) cell.setBackground('#F4CCCC');
+    });
+
+    // Envelope rows
+    const envelopes = result.envelopes;
+    if (envelopes.length === 0) {
+      sheet.getRange(LAYOUT.ENVELOPE_ROW, 1).setValue('No expense or savings categories found.');
+    } else {
+      const rows = envelopes.map(function(envelope) {
+        let row = [envelope.type, envelope.category, envelope.policy];
+        envelope.months.forEach(function(month) { row = row.concat([month.assigned, month.activity, month.available]); });
+        return row.concat([envelope.key, months.filter(function(month, offset) {
+          return envelope.months[offset].manual;
+        }).map(function(month) { return month.label; }).join(',')]);
+      });
+      sheet.getRange(LAYOUT.ENVELOPE_ROW, 1, rows.length, width).setValues(rows);
+      sheet.getRange(LAYOUT.ENVELOPE_ROW, LAYOUT.POLICY_COLUMN, rows.length, 1)
+        .setBackground('#FFF2CC')
+        .setDataValidation(SpreadsheetApp.newDataValidation()
+          .requireValueInList([policies.CARRY, policies.RESET, policies.SWEEP], true)
+          .setAllowInvalid(false)
+          .build());
+
+      const area = sheet.getRange(LAYOUT.ENVELOPE_ROW, LAYOUT.FIRST_MONTH_COLUMN, rows.length, monthColumns);
+      area.setFontColors(envelopes.map(function(envelope) {
+        const fontColors = [];
+        envelope.months.forEach(function(month) {
+          fontColors.push(month.manual ? colors.UI.NEUTRAL_FONT : '#757575', colors.UI.NEUTRAL_FONT,
+            month.available < 0 ? colors.UI.EXPENSE_FONT : colors.UI.NEUTRAL_FONT);
+        });
+        return fontColors;
+      }));
+      area.setFontStyles(envelopes.map(function(envelope) {
+        const styles = [];
+        envelope.months.forEach(function(month) { styles.push(month.manual ? 'normal' : 'italic', 'normal', 'normal'); });
+        return styles;
+      }));
+      months.forEach(function(month, offset) {
+        sheet.getRange(LAYOUT.ENVELOPE_ROW, LAYOUT.FIRST_MONTH_COLUMN + offset * LAYOUT.BLOCK_WIDTH, rows.length, 1)
+          .setBackground('#FFF2CC');
+      });
+    }
+
+    const lastRow = LAYOUT.ENVELOPE_ROW + Math.max(envelopes.length, 1) - 1;
+    utils.formatAsCurrency(sheet.getRange(LAYOUT.SUMMARY_ROW, LAYOUT.FIRST_MONTH_COLUMN,
+      lastRow - LAYOUT.SUMMARY_ROW + 1, monthColumns), currencyFormat);
+    sheet.setFrozenRows(LAYOUT.SUBHEADER_ROW);
+    sheet.setFrozenColumns(LAYOUT.POLICY_COLUMN);
+    sheet.autoResizeColumns(1, keyColumn - 1);
+    sheet.hideColumns(keyColumn, 2);
+    return sheet;
+  }
+
+  // Public API
+  return {
+    /**
+     * Builds the envelopes month by month, from the start month to `FUTURE_MONTHS` after the
+     * current one (at most `MAX_MONTHS`). Envelopes are the expense and savings categories found in
+     * the ledger or the budgets, plus any the settings name. An envelope's assigned amount is the
+     * one set by hand, else the month's budget; its activity is the signed ledger total, so spending
+     * draws it down and refunds fill it up. At the end of each month the available balance carries
+     * over, is returned to To Be Assigned (Reset) or, if positive, is moved to savings (Sweep).
+     * To Be Assigned carries over too: income plus returns minus what is assigned.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {Array<object>} budgets - Budgets as returned by `BudgetService.getBudgets`.
+     * @param {object} options - The ENVELOPES configuration section.
+     * @param {{start: Date, policies: Object<string, string>, assignments: Object<string, Object<string, number>>}} settings -
+     *   The start month, each envelope's policy by key ("Type|Category") and the amounts assigned by
+     *   hand, by envelope key and month label ("Jan-24").
+     * @param {Date} [today=new Date()] - The reference date.
+     * @returns {{months: Array<{date: Date, label: string, income: number, returned: number, swept: number,
+     *   assigned: number, toBeAssigned: number}>, envelopes: Array<{key: string, type: string, category: string,
+     *   policy: string, months: Array<{assigned: number, manual: boolean, activity: number, available: number}>}>,
+     *   currentOffset: number}} The months, the envelopes in type order then by name with one entry per month,
+     *   and the position of the current month.
+     * @memberof FinancialPlanner.EnvelopeService
+     */
+    buildEnvelopes: function(records, budgets, options, settings, today) {
+      const config = FinancialPlanner.Config;
+      const budgetService = FinancialPlanner.BudgetService;
+      const periodService = FinancialPlanner.PeriodService;
+      const now = today || new Date();
+      const types = config.getSection('EXPENSE_TYPES').concat([config.getSection('TRANSACTION_TYPES').SAVINGS]);
+      const incomeType = config.getSection('TRANSACTION_TYPES').INCOME;
+      const policyNames = Object.keys(options.POLICIES).map(function(key) { return options.POLICIES[key]; });
+
+      const current = toMonthIndex(now);
+      const last = current + options.FUTURE_MONTHS;
+      const first = Math.min(current, Math.max(toMonthIndex(settings.start || now), last - options.MAX_MONTHS + 1));
+
+      // Envelopes from the ledger, the budgets and the sheet
+      const envelopes = {};
+      const addEnvelope = function(type, category) {
+        const key = getEnvelopeKey(type, category);
+        if (types.indexOf(type) === -1 || envelopes[key]) return envelopes[key];
+        const policy = (settings.policies || {})[key];
+        envelopes[key] = {
+          key: key,
+          type: type,
+          category: category,
+          policy: policyNames.indexOf(policy) !== -1 ? policy : options.DEFAULT_POLICY,
+          activity: {},
+          months: []
+        };
+        return envelopes[key];
+      };
+      budgets.forEach(function(budget) {
+        if (budget.amount !== null) addEnvelope(budget.type, budget.category);
+      });
+      Object.keys(settings.policies || {}).concat(Object.keys(settings.assignments || {})).forEach(function(key) {
+        const separator = key.indexOf('|');
+        if (separator > 0) addEnvelope(key.substring(0, separator), key.substring(separator + 1));
+      });
+
+      const income = {};
+      records.forEach(function(record) {
+        const date = FinancialPlanner.Utils.getRecordDate(record);
+        if (!date || record.duplicateOf) return;
+        const index = toMonthIndex(date);
+        if (index < first || index > last) return;
+        const amount = parseFloat(record.amount) || 0;
+        if (record.type === incomeType) {
+          income[index] = (income[index] || 0) + amount;
+          return;
+        }
+        const envelope = addEnvelope(record.type, record.category || '(Uncategorized)');
+        if (envelope) envelope.activity[index] = (envelope.activity[index] || 0) + amount;
+      });
+
+      const list = Object.keys(envelopes).map(function(key) { return envelopes[key]; }).sort(function(a, b) {
+        return types.indexOf(a.type) - types.indexOf(b.type) || String(a.category).localeCompare(String(b.category));
+      });
+
+      // Month by month, rolling each envelope's balance into the next month
+      const months = [];
+      const carried = {};
+      let toBeAssigned = 0;
+      let returned = 0;
+      let swept = 0;
+      for (let index = first; index <= last; index++) {
+        const date = new Date(Math.floor(index / 12), index % 12, 1);
+        const label = periodService.getMonthLabel(date);
+        const month = { date: date, label: label, income: round(income[index] || 0), returned: round(returned),
+          swept: round(swept), assigned: 0, toBeAssigned: 0 };
+        returned = 0;
+        swept = 0;
+
+        list.forEach(function(envelope) {
+          const manual = (settings.assignments || {})[envelope.key] || {};
+          const isManual = manual[label] !== undefined;
+          const assigned = round(isManual ? manual[label] : budgetService.getMonthlyBudget(budgets, envelope.type, envelope.category, date));
+          const activity = round(envelope.activity[index] || 0);
+          const available = round((carried[envelope.key] || 0) + assigned + activity);
+          envelope.months.push({ assigned: assigned, manual: isManual, activity: activity, available: available });
+          month.assigned += assigned;
+
+          if (envelope.policy === options.POLICIES.RESET) {
+            returned += available;
+            carried[envelope.key] = 0;
+          } else if (envelope.policy === options.POLICIES.SWEEP && available > 0) {
+            swept += available;
+            carried[envelope.key] = 0;
+          } else {
+            carried[envelope.key] = available;
+          }
+        });
+
+        month.assigned = round(month.assigned);
+        toBeAssigned = round(toBeAssigned + month.income + month.returned - month.assigned);
+        month.toBeAssigned = toBeAssigned;
+        months.push(month);
+      }
+
+      return {
+        months: months,
+        envelopes: list.map(function(envelope) {
+          return { key: envelope.key, type: envelope.type, category: envelope.category, policy: envelope.policy, months: envelope.months };
+        }),
+        currentOffset: current - first
+      };
+    },
+
+    /**
+     * Builds the envelopes from the ledger, the budgets and the settings on the Envelopes sheet,
+     * and writes the sheet. Without a start month the envelopes start in January of this year.
+     * @returns {object} The envelopes (see `buildEnvelopes`).
+     * @memberof FinancialPlanner.EnvelopeService
+     */
+    run: function() {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const options = FinancialPlanner.Config.getSection('ENVELOPES');
+      const state = readState(ss.getSheetByName(FinancialPlanner.Config.getSheetNames().ENVELOPES));
+      const today = new Date();
+      const result = this.buildEnvelopes(FinancialPlanner.LedgerService.getRecords(),
+        FinancialPlanner.BudgetService.getSavedBudgets(), options, {
+          start: state.start || new Date(today.getFullYear(), 0, 1),
+          policies: state.policies,
+          assignments: state.assignments
+        }, today);
+      writeEnvelopeSheet(result).activate();
+
+      const current = result.months[result.currentOffset];
+      Logger.log('Envelopes: ' + result.envelopes.length + ' envelopes over ' + result.months.length +
+        ' months, ' + current.toBeAssigned + ' to be assigned in ' + current.label);
+      return result;
+    },
+
+    /**
+     * Rebuilds the envelopes when the start month, a policy or an assigned amount is edited on the
+     * sheet. An edited Assigned cell is remembered as set by hand; a cleared one follows the budget again.
+     * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event object.
+     * @memberof FinancialPlanner.EnvelopeService
+     */
+    handleEdit: function(e) {
+      const range = e.range;
+      const sheet = range.getSheet();
+      let relevant = range.getA1Notation() === LAYOUT.START_CELL;
+
+      if (!relevant && range.getLastRow() >= LAYOUT.ENVELOPE_ROW) {
+        const header = sheet.getRange(LAYOUT.HEADER_ROW, 1, 1, sheet.getLastColumn()).getDisplayValues()[0];
+        const keyColumn = header.indexOf('Key') + 1;
+        if (keyColumn === 0) return;
+        for (let row = Math.max(range.getRow(), LAYOUT.ENVELOPE_ROW); row <= range.getLastRow(); row++) {
+          if (!sheet.getRange(row, keyColumn).getValue()) continue;
+          const manualCell = sheet.getRange(row, keyColumn + 1);
+          let manual = parseManual(manualCell.getDisplayValue());
+          for (let column = range.getColumn(); column <= range.getLastColumn(); column++) {
+            if (column === LAYOUT.POLICY_COLUMN) {
+              relevant = true;
+            } else if (column >= LAYOUT.FIRST_MONTH_COLUMN && column < keyColumn &&
+                (column - LAYOUT.FIRST_MONTH_COLUMN) % LAYOUT.BLOCK_WIDTH === 0) {
+              const label = header[column - 1];
+              manual = manual.filter(function(existing) { return existing !== label; });
+              if (sheet.getRange(row, column).getValue() !== '') manual.push(label);
+              relevant = true;
+            }
+          }
+          manualCell.setValue(manual.join(','));
+        }
+      }
+      if (!relevant) return;
+
+      try {
+        this.run();
+        FinancialPlanner.UIService.showSuccessNotification('Envelopes updated');
+      } catch (error) {
+        FinancialPlanner.ErrorService.handle(error, 'Failed to update the envelopes');
+      }
+    }
+  };
+})();
@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Expense Classifier - Splits spending into fixed, semi-variable and variable costs.
+ * Each expense category (or merchant) is classified from its monthly series: how regularly it is
+ * charged and how much its monthly amount varies (coefficient of variation). The Fixed vs Variable
+ * sheet lists the classification next to a manual Override column, and reports the fixed-cost
+ * baseline per month, the share of income it commits and how it changed over the period.
+ * @module services/expense-classifier
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Expense Classifier - Fixed vs variable expense analysis.
+ * @namespace FinancialPlanner.ExpenseClassifier
+ */
+FinancialPlanner.ExpenseClassifier = (function() {
+  /**
+   * @const {object} CLASSES
+   * @private
+   * @description Display names of the expense classes, also the choices of the Override column.
+   */
+  const CLASSES = {
+    FIXED: 'Fixed',
+    SEMI_VARIABLE: 'Semi-variable',
+    VARIABLE: 'Variable'
+  };
+
+  /**
+   * @const {string[]} HEADERS
+   * @private
+   * @description Columns of the classification table. The hidden Key column identifies a group
+   * across runs, so an override is carried over.
+   */
+  const HEADERS = [
+    'Type', 'Category', 'Merchant', 'Months', 'Regularity', 'Avg / Month',
+    'Variation (CV)', 'Suggested', 'Override', 'Class', 'Key'
+  ];
+
+  /**
+   * @const {number} OVERRIDE_COLUMN
+   * @private
+   */
+  const OVERRIDE_COLUMN = 9;
+
+  /**
+   * @const {string[]} MONTH_HEADERS
+   * @private
+   * @description Columns of the monthly baseline table, right of the classification table.
+   */
+  const MONTH_HEADERS = ['Month', 'Fixed', 'Semi-variable', 'Variable', 'Income', 'Fixed % of Income'];
+
+  /**
+   * @const {number} MONTH_COLUMN
+   * @private
+   */
+  const MONTH_COLUMN = HEADERS.length + 2;
+
+  /**
+   * Reads the overrides entered on the Fixed vs Variable sheet.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet|null} sheet - The sheet, if it exists.
+   * @returns {Object<string, string>} The chosen class by group key.
+   */
+  function readOverrides(sheet) {
+    const overrides = {};
+    if (!sheet || sheet.getLastRow() < 2) return overrides;
+
+    const names = Object.keys(CLASSES).map(function(key) { return CLASSES[key]; });
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, HEADERS.length).getValues().forEach(function(row) {
+      const key = row[HEADERS.length - 1];
+      if (key && names.indexOf(row[OVERRIDE_COLUMN - 1]) !== -1) {
+        overrides[key] = row[OVERRIDE_COLUMN - 1];
+      }
+    });
+    return overrides;
+  }
+
+  /**
+   * Writes the classification and the monthly baseline to the Fixed vs Variable sheet,
+   * replacing its content.
+   * @private
+   * @param {object} summary - The analysis (see `summarize`).
+   * @param {object} options - The thresholds.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+   */
+  function writeClassifierSheet(summary, options) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const config = FinancialPlanner.Config;
+    const utils = FinancialPlanner.Utils;
+    const sheet = utils.getOrCreateSheet(ss, config.getSheetNames().FIXED_VARIABLE);
+    const colors = config.getSection('COLORS');
+    const currencyFormat = config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT;
+    const styleHeader = function(range) {
+      return range.setFontWeight('bold').setBackground(colors.UI.HEADER_BG).setFontColor(colors.UI.HEADER_FONT);
+    };
+
+    sheet.clear();
+    sheet.getCharts().forEach(function(chart) { sheet.removeChart(chart); });
+    sheet.getRange(2, OVERRIDE_COLUMN, sheet.getMaxRows() - 1, 1).clearDataValidations();
+    styleHeader(sheet.getRange(1, 1, 1, HEADERS.length).setValues([HEADERS]));
+    sheet.getRange(1, OVERRIDE_COLUMN).setNote('Choose a class to override the suggestion. ' +
+      'Run the analysis again to update the monthly baseline.');
+    sheet.setFrozenRows(1);
+    sheet.hideColumns(HEADERS.length);
+
+    if (summary.groups.length === 0) {
+      sheet.getRange(2, 1).setValue('No expenses in the last ' + options.LOOKBACK_MONTHS + ' complete months.');
+      return sheet;
+    }
+
+    const rows = summary.groups.map(function(group, i) {
+      const row = i + 2;
+      return [
+        group.type, group.category, group.merchant, group.months, group.regularity, group.average, group.cv,
+        group.suggested, group.override || '', '=IF(I' + row + '<>"",I' + row + ',H' + row + ')', group.key
+      ];
+    });
+    sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    utils.formatAsPercentage(sheet.getRange(2, 5, rows.length, 1), 0);
+    utils.formatAsCurrency(sheet.getRange(2, 6, rows.length, 1), currencyFormat);
+    utils.formatAsPercentage(sheet.getRange(2, 7, rows.length, 1), 0);
+    sheet.getRange(2, OVERRIDE_COLUMN, rows.length, 1)
+      .setBackground('#FFF2CC')
+      .setDataValidation(SpreadsheetApp.newDataValidation()
+        .requireValueInList([CLASSES.FIXED, CLASSES.SEMI_VARIABLE, CLASSES.VARIABLE], true)
+        .setAllowInvalid(false)
+        .build());
+    sheet.getRange(2, OVERRIDE_COLUMN + 1, rows.length, 1).setFontWeight('bold');
+
+    // Monthly baseline
+    const monthRows = summary.months.map(function(month) {
+      return [month.date, month.fixed, month.semiVariable, month.variable, month.income,
+        month.fixedShare === null ? '' : month.fixedShare];
+    });
+    monthRows.push(['Average', summary.averages.fixed, summary.averages.semiVariable, summary.averages.variable,
+      summary.averages.income, summary.averages.fixedShare === null ? '' : summary.averages.fixedShare]);
+    styleHeader(sheet.getRange(1, MONTH_COLUMN, 1, MONTH_HEADERS.length).setValues([MONTH_HEADERS]));
+    sheet.getRange(2, MONTH_COLUMN, monthRows.length, MONTH_HEADERS.length).setValues(monthRows);
+    sheet.getRange(2, MONTH_COLUMN, monthRows.length - 1, 1).setNumberFormat('mmm yyyy');
+    utils.formatAsCurrency(sheet.getRange(2, MONTH_COLUMN + 1, monthRows.length, 4), currencyFormat);
+    utils.formatAsPercentage(sheet.getRange(2, MONTH_COLUMN + 5, monthRows.length, 1), 1);
+    sheet.getRange(monthRows.length + 1, MONTH_COLUMN, 1, MONTH_HEADERS.length).setBackground('#D9D9D9').setFontWeight('bold');
+
+    const change = summary.change;
+    const changeRow = monthRows.length + 3;
+    sheet.getRange(changeRow, MONTH_COLUMN).setValue('Fixed Baseline Change').setFontWeight('bold');
+    sheet.getRange(changeRow, MONTH_COLUMN + 1).setValue(change ? change.amount : '-');
+    if (change) {
+      utils.formatAsCurrency(sheet.getRange(changeRow, MONTH_COLUMN + 1), currencyFormat);
+      sheet.getRange(changeRow, MONTH_COLUMN + 2).setValue(change.share === null ? '' : change.share);
+      utils.formatAsPercentage(sheet.getRange(changeRow, MONTH_COLUMN + 2), 1);
+      sheet.getRange(changeRow, MONTH_COLUMN).setNote('Average fixed costs of the last ' + change.months +
+        ' months compared with the first ' + change.months + ' months of the period');
+    }
+
+    const chart = sheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sheet.getRange(1, MONTH_COLUMN, summary.months.length + 1, 2))
+      .addRange(sheet.getRange(1, MONTH_COLUMN + 4, summary.months.length + 1, 1))
+      .setNumHeaders(1)
+      .setPosition(changeRow + 2, MONTH_COLUMN, 0, 0)
+      .setOption('title', 'Fixed Costs vs Income')
+      .setOption('colors', [colors.CHART.SERIES[0], colors.CHART.SERIES[3]])
+      .setOption('width', 600)
+      .setOption('height', 300)
+      .build();
+    sheet.insertChart(chart);
+
+    sheet.autoResizeColumns(1, HEADERS.length - 1);
+    sheet.autoResizeColumns(MONTH_COLUMN, MONTH_HEADERS.length);
+    return sheet;
+  }
+
+  // Public API
+  return {
+    /**
+     * Classifies one monthly series. Regularity is the share of months with spend; the
+     * coefficient of variation is taken over those months only, so a missed month does not count
+     * twice. Series shorter than `MIN_MONTHS` are variable.
+     * @param {number[]} values - Spend per month (positive), oldest first.
+     * @param {object} options - The thresholds (see the FIXED_VARIABLE configuration section).
+     * @returns {{months: number, activeMonths: number, regularity: number, average: number, cv: number,
+     *   suggested: string}} The series measures and the suggested class.
+     * @memberof FinancialPlanner.ExpenseClassifier
+     */
+    classifySeries: function(values, options) {
+      const active = values.filter(function(value) { return value > 0; });
+      const stats = FinancialPlanner.MetricsCalculator.calculateStatistics(active);
+      const regularity = values.length > 0 ? active.length / values.length : 0;
+      const cv = stats.mean > 0 ? stats.stdDev / stats.mean : 0;
+      const total = values.reduce(function(sum, value) { return sum + value; }, 0);
+
+      let suggested = CLASSES.VARIABLE;
+      if (values.length >= options.MIN_MONTHS && active.length > 0) {
+        if (regularity >= options.FIXED_MIN_REGULARITY && cv <= options.FIXED_MAX_CV) {
+          suggested = CLASSES.FIXED;
+        } else if (regularity >= options.SEMI_MIN_REGULARITY && cv <= options.SEMI_MAX_CV) {
+          suggested = CLASSES.SEMI_VARIABLE;
+        }
+      }
+      return {
+        months: values.length,
+        activeMonths: active.length,
+        regularity: regularity,
+        average: values.length > 0 ? Math.round(total / values.length * 100) / 100 : 0,
+        cv: cv,
+        suggested: suggested
+      };
+    },
+
+    /**
+     * Classifies the expense groups of the last `LOOKBACK_MONTHS` complete months and totals each
+     * month's spend by class. A group's series runs from its first month with spend to the end of
+     * the period; the period itself starts no earlier than the ledger. Rows marked as duplicates
+     * are ignored, refunds reduce their group's spend.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {object} options - The thresholds (see the FIXED_VARIABLE configuration section).
+     * @param {Object<string, string>} [overrides={}] - Classes chosen by hand, by group key.
+     * @param {Date} [today=new Date()] - The reference date; its month is excluded as incomplete.
+     * @returns {{groups: Array<object>, months: Array<{date: Date, fixed: number, semiVariable: number,
+     *   variable: number, income: number, fixedShare: (number|null)}>, averages: object,
+     *   change: ({months: number, from: number, to: number, amount: number, share: (number|null)}|null)}}
+     *   The groups (fixed first, then by average spend), the months oldest first, the monthly
+     *   averages and the change of the fixed baseline between the first and last `TREND_MONTHS`.
+     * @memberof FinancialPlanner.ExpenseClassifier
+     */
+    summarize: function(records, options, overrides, today) {
+      const self = this;
+      const now = today || new Date();
+      const chosen = overrides || {};
+      const config = FinancialPlanner.Config;
+      const expenseTypes = config.getSection('EXPENSE_TYPES');
+      const incomeType = config.getSection('TRANSACTION_TYPES').INCOME;
+      const byMerchant = options.GROUP_BY === 'merchant';
+      const end = now.getFullYear() * 12 + now.getMonth();
+      let start = end - options.LOOKBACK_MONTHS;
+
+      const groups = {};
+      const income = {};
+      let firstIndex = end;
+      records.forEach(function(record) {
+        const date = FinancialPlanner.Utils.getRecordDate(record);
+        if (!date || record.duplicateOf) return;
+        const index = date.getFullYear() * 12 + date.getMonth();
+        if (index < start || index >= end) return;
+        const amount = parseFloat(record.amount) || 0;
+
+        if (record.type === incomeType) {
+          income[index] = (income[index] || 0) + amount;
+          firstIndex = Math.min(firstIndex, index);
+          return;
+        }
+        if (expenseTypes.indexOf(record.type) === -1 || !record.category) return;
+        const merchantKey = FinancialPlanner.Utils.getMerchantKey(record);
+        if (byMerchant && !merchantKey) return;
+
+        const key = byMerchant ? 'merchant|' + merchantKey : record.type + '|' + record.category;
+        let group = groups[key];
+        if (!group) {
+          group = groups[key] = { key: key, first: index, latest: date, spend: {} };
+        }
+        if (date >= group.latest) {
+          group.latest = date;
+          group.type = record.type;
+          group.category = record.category;
+          group.merchant = byMerchant ? record.merchant || record.description : '';
+        }
+        group.first = Math.min(group.first, index);
+        group.spend[index] = (group.spend[index] || 0) - amount;
+        firstIndex = Math.min(firstIndex, index);
+      });
+      start = Math.max(start, firstIndex);
+
+      const order = [CLASSES.FIXED, CLASSES.SEMI_VARIABLE, CLASSES.VARIABLE];
+      const classified = [];
+      Object.keys(groups).forEach(function(key) {
+        const group = groups[key];
+        const values = [];
+        for (let index = group.first; index < end; index++) {
+          values.push(Math.round((group.spend[index] || 0) * 100) / 100);
+        }
+        const measures = self.classifySeries(values, options);
+        if (measures.activeMonths === 0) return;
+        classified.push({
+          key: key,
+          type: group.type,
+          category: group.category,
+          merchant: group.merchant,
+          months: measures.months,
+          regularity: measures.regularity,
+          average: measures.average,
+          cv: measures.cv,
+          suggested: measures.suggested,
+          override: chosen[key] || null,
+          classification: chosen[key] || measures.suggested,
+          spend: group.spend
+        });
+      });
+      classified.sort(function(a, b) {
+        return order.indexOf(a.classification) - order.indexOf(b.classification) || b.average - a.average;
+      });
+
+      const round = function(value) { return Math.round(value * 100) / 100; };
+      const months = [];
+      for (let index = start; index < end; index++) {
+        const totals = {};
+        totals[CLASSES.FIXED] = 0;
+        totals[CLASSES.SEMI_VARIABLE] = 0;
+        totals[CLASSES.VARIABLE] = 0;
+        classified.forEach(function(group) {
+          totals[group.classification] += group.spend[index] || 0;
+        });
+        const monthIncome = round(income[index] || 0);
+        months.push({
+          date: new Date(Math.floor(index / 12), index % 12, 1),
+          fixed: round(totals[CLASSES.FIXED]),
+          semiVariable: round(totals[CLASSES.SEMI_VARIABLE]),
+          variable: round(totals[CLASSES.VARIABLE]),
+          income: monthIncome,
+          fixedShare: monthIncome > 0 ? totals[CLASSES.FIXED] / monthIncome : null
+        });
+      }
+
+      const average = function(list, field) {
+        return list.length > 0 ? round(list.reduce(function(sum, month) { return sum + month[field]; }, 0) / list.length) : 0;
+      };
+      const averages = {
+        fixed: average(months, 'fixed'),
+        semiVariable: average(months, 'semiVariable'),
+        variable: average(months, 'variable'),
+        income: average(months, 'income')
+      };
+      averages.fixedShare = averages.income > 0 ? averages.fixed / averages.income : null;
+
+      const trendMonths = Math.min(options.TREND_MONTHS, Math.floor(months.length / 2));
+      let change = null;
+      if (trendMonths > 0) {
+        const from = average(months.slice(0, trendMonths), 'fixed');
+        const to = average(months.slice(-trendMonths), 'fixed');
+        change = { months: trendMonths, from: from, to: to, amount: round(to - from), share: from > 0 ? (to - from) / from : null };
+      }
+
+      classified.forEach(function(group) { delete group.spend; });
+      return { groups: classified, months: months, averages: averages, change: change };
+    },
+
+    /**
+     * Classifies the ledger's expenses and writes the Fixed vs Variable sheet. Overrides chosen on
+     * the sheet before are kept; overrides of groups that no longer appear are dropped.
+     * @returns {object} The analysis (see `summarize`).
+     * @memberof FinancialPlanner.ExpenseClassifier
+     */
+    run: function() {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const options = FinancialPlanner.Config.getSection('FIXED_VARIABLE');
+      const overrides = readOverrides(ss.getSheetByName(FinancialPlanner.Config.getSheetNames().FIXED_VARIABLE));
+      const summary = this.summarize(FinancialPlanner.LedgerService.getRecords(), options, overrides, new Date());
+      writeClassifierSheet(summary, options).activate();
+
+      Logger.log('Fixed vs variable: classified ' + summary.groups.length + ' groups over ' +
+        summary.months.length + ' months');
+      return summary;
+    },
+
+    /**
+     * Counts the groups of an analysis by class.
+     * @param {object} summary - The analysis (see `summarize`).
+     * @returns {Object<string, number>} The number of groups per class name.
+     * @memberof FinancialPlanner.ExpenseClassifier
+     */
+    countByClass: function(summary) {
+      const counts = {};
+      counts[CLASSES.FIXED] = 0;
+      counts[CLASSES.SEMI_VARIABLE] = 0;
+      counts[CLASSES.VARIABLE] = 0;
+      summary.groups.forEach(function(group) { counts[group.classification]++; });
+      return counts;
+    }
+  };
+})();
@@ -0,0 +1,516 @@
+/**
+ * @fileoverview Forecast Service - Projects monthly cash flow and the balance for the coming months.
+ * A month's projection combines the recurring items detected in the ledger (salary, rent,
+ * subscriptions), the seasonal average of every other category for that calendar month in prior
+ * years and the one-off items entered on the Planned Items sheet. The Cash Flow Forecast sheet
+ * shows income, outflows by type, the expected balance with a low/high band and the first month
+ * the balance drops below the safety threshold. The horizon and the threshold are chosen on the
+ * sheet itself and rebuild the forecast when edited.
+ * @module services/forecast-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Forecast Service - Cash flow forecast.
+ * @namespace FinancialPlanner.ForecastService
+ */
+FinancialPlanner.ForecastService = (function() {
+  /**
+   * @const {object} LAYOUT
+   * @private
+   * @description Cells of the Cash Flow Forecast sheet.
+   */
+  const LAYOUT = {
+    HORIZON_CELL: 'B2',
+    THRESHOLD_CELL: 'D2',
+    STATUS_ROW: 3,
+    TABLE_ROW: 5,
+    MIN_HORIZON: 3,
+    MAX_HORIZON: 12
+  };
+
+  /**
+   * @const {string[]} PLANNED_HEADERS
+   * @private
+   * @description Columns of the Planned Items sheet.
+   */
+  const PLANNED_HEADERS = ['Date', 'Description', 'Type', 'Category', 'Amount'];
+
+  /**
+   * Returns the month index (months since year 0) of a date.
+   * @private
+   * @param {Date} date - The date.
+   * @returns {number} The month index.
+   */
+  function toMonthIndex(date) {
+    return date.getFullYear() * 12 + date.getMonth();
+  }
+
+  /**
+   * Identifies the recurring item a record would belong to. Money in and out of the same
+   * merchant are kept apart, so a refund does not blend into a subscription.
+   * @private
+   * @param {object} record - A ledger record.
+   * @returns {string} The item key; empty if the record names no merchant.
+   */
+  function getItemKey(record) {
+    const merchantKey = FinancialPlanner.Utils.getMerchantKey(record);
+    if (!merchantKey) return '';
+    return merchantKey + '|' + ((parseFloat(record.amount) || 0) >= 0 ? 'in' : 'out');
+  }
+
+  /**
+   * Rounds an amount to cents.
+   * @private
+   * @param {number} value - The amount.
+   * @returns {number} The rounded amount.
+   */
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Selects the ledger records the forecast learns from: dated, not marked as duplicates, of a
+   * known type and within the history window up to and including the current month.
+   * @private
+   * @param {Array<object>} records - Ledger records.
+   * @param {object} options - The FORECAST configuration section.
+   * @param {Date} today - The reference date.
+   * @returns {Array<{record: object, date: Date, index: number, amount: number}>} The usable records.
+   */
+  function selectHistory(records, options, today) {
+    const typeOrder = FinancialPlanner.Config.getSection('TYPE_ORDER');
+    const current = toMonthIndex(today);
+    const items = [];
+    records.forEach(function(record) {
+      const date = FinancialPlanner.Utils.getRecordDate(record);
+      if (!date || record.duplicateOf || typeOrder.indexOf(record.type) === -1) return;
+      const index = toMonthIndex(date);
+      if (index < current - options.HISTORY_MONTHS || index > current) return;
+      items.push({ record: record, date: date, index: index, amount: parseFloat(record.amount) || 0 });
+    });
+    return items;
+  }
+
+  /**
+   * Reads the one-off items of the Planned Items sheet, creating the sheet if needed.
+   * Rows without a valid date, a known type or an amount are skipped.
+   * @private
+   * @returns {Array<{date: Date, description: string, type: string, category: string, amount: number}>} The items.
+   */
+  function readPlannedItems() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const config = FinancialPlanner.Config;
+    const sheetName = config.getSheetNames().PLANNED_ITEMS;
+    let sheet = ss.getSheetByName(sheetName);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, PLANNED_HEADERS.length)
+        .setValues([PLANNED_HEADERS])
+        .setFontWeight('bold')
+        .setBackground(config.getSection('COLORS').UI.HEADER_BG)
+        .setFontColor(config.getSection('COLORS').UI.HEADER_FONT);
+      sheet.setFrozenRows(1);
+      sheet.getRange(1, 5).setNote('Negative for payments, positive for money coming in');
+      sheet.getRange(2, 1, sheet.getMaxRows() - 1, 1).setNumberFormat('yyyy-mm-dd');
+      sheet.getRange(2, 3, sheet.getMaxRows() - 1, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+        .requireValueInList(config.getSection('TYPE_ORDER'), true)
+        .build());
+      sheet.getRange(2, 5, sheet.getMaxRows() - 1, 1)
+        .setNumberFormat(config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT);
+      Logger.log('Created ' + sheetName + ' sheet');
+      return [];
+    }
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+    const typeOrder = config.getSection('TYPE_ORDER');
+    return sheet.getRange(2, 1, lastRow - 1, PLANNED_HEADERS.length).getValues()
+      .map(function(row) {
+        return { date: row[0], description: row[1], type: row[2], category: row[3], amount: parseFloat(row[4]) };
+      })
+      .filter(function(item) {
+        return item.date instanceof Date && !isNaN(item.date.getTime()) && typeOrder.indexOf(item.type) !== -1 &&
+          !isNaN(item.amount) && item.amount !== 0;
+      });
+  }
+
+  /**
+   * Reads the horizon and the safety threshold chosen on the forecast sheet.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet|null} sheet - The forecast sheet, if it exists.
+   * @param {object} options - The FORECAST configuration section, for the defaults.
+   * @returns {{horizon: number, threshold: number}} The settings.
+   */
+  function readSettings(sheet, options) {
+    const settings = { horizon: options.HORIZON_MONTHS, threshold: options.SAFETY_THRESHOLD };
+    if (!sheet) return settings;
+
+    const horizon = parseInt(sheet.getRange(LAYOUT.HORIZON_CELL).getValue(), 10);
+    if (horizon >= LAYOUT.MIN_HORIZON && horizon <= LAYOUT.MAX_HORIZON) settings.horizon = horizon;
+    const threshold = sheet.getRange(LAYOUT.THRESHOLD_CELL).getValue();
+    if (threshold !== '' && !isNaN(Number(threshold))) settings.threshold = Number(threshold);
+    return settings;
+  }
+
+  /**
+   * Returns the balance the forecast starts from: the sum of the Account Balances sheet, or the
+   * ledger total when no balances were imported.
+   * @private
+   * @param {Array<object>} records - Ledger records.
+   * @returns {{amount: number, source: string}} The balance and where it came from.
+   */
+  function getStartingBalance(records) {
+    const balances = FinancialPlanner.AccountBalanceService.getBalances().filter(function(balance) {
+      return balance.ledgerBalance !== '' && !isNaN(parseFloat(balance.ledgerBalance));
+    });
+    if (balances.length > 0) {
+      return {
+        amount: round(balances.reduce(function(sum, balance) { return sum + parseFloat(balance.ledgerBalance); }, 0)),
+        source: 'Sum of ' + balances.length + ' account balance(s)'
+      };
+    }
+    return {
+      amount: round(records.reduce(function(sum, record) {
+        return record.duplicateOf ? sum : sum + (parseFloat(record.amount) || 0);
+      }, 0)),
+      source: 'Ledger total (no account balances imported)'
+    };
+  }
+
+  /**
+   * Writes the forecast to the Cash Flow Forecast sheet, replacing its content.
+   * @private
+   * @param {object} forecast - The forecast (see `buildForecast`).
+   * @param {{horizon: number, threshold: number}} settings - The horizon and safety threshold.
+   * @param {{amount: number, source: string}} start - The starting balance.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The forecast sheet.
+   */
+  function writeForecastSheet(forecast, settings, start) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const config = FinancialPlanner.Config;
+    const utils = FinancialPlanner.Utils;
+    const periodService = FinancialPlanner.PeriodService;
+    const sheet = utils.getOrCreateSheet(ss, config.getSheetNames().FORECAST);
+    const colors = config.getSection('COLORS');
+    const currencyFormat = config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT;
+    const formatAmount = function(value) { return FinancialPlanner.MetricsCalculator.formatCurrency(value); };
+    const styleHeader = function(range) {
+      return range.setFontWeight('bold').setBackground(colors.UI.HEADER_BG).setFontColor(colors.UI.HEADER_FONT);
+    };
+
+    sheet.clear();
+    sheet.getCharts().forEach(function(chart) { sheet.removeChart(chart); });
+
+    // Title, settings and status
+    const headers = ['Month'].concat(forecast.types, ['Net', 'Expected Balance', 'Low Balance',
+      'High Balance', 'Safety Threshold', 'Planned Items']);
+    sheet.getRange(1, 1).setValue('Cash Flow Forecast').setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1, 1, 6).setValues([['Horizon (Months)', settings.horizon, 'Safety Threshold', settings.threshold,
+      'Starting Balance', start.amount]]);
+    [1, 3, 5].forEach(function(column) { sheet.getRange(2, column).setFontWeight('bold'); });
+    const horizons = [];
+    for (let months = LAYOUT.MIN_HORIZON; months <= LAYOUT.MAX_HORIZON; months++) horizons.push(String(months));
+    sheet.getRange(LAYOUT.HORIZON_CELL)
+      .setBackground('#FFF2CC')
+      .setDataValidation(SpreadsheetApp.newDataValidation().requireValueInList(horizons, true).setAllowInvalid(false).build());
+    utils.formatAsCurrency(sheet.getRange(LAYOUT.THRESHOLD_CELL).setBackground('#FFF2CC'), currencyFormat);
+    utils.formatAsCurrency(sheet.getRange(2, 6), currencyFormat);
+    sheet.getRange(2, 6).setNote(start.source);
+
+    const last = forecast.months[forecast.months.length - 1];
+    let status;
+    let statusColor;
+    if (forecast.breach) {
+      status = 'The expected balance drops below ' + formatAmount(settings.threshold) + ' in ' +
+        periodService.getMonthLabel(forecast.breach.date) + '.';
+      statusColor = colors.UI.EXPENSE_FONT;
+    } else if (forecast.lowBreach) {
+      status = 'The expected balance stays above ' + formatAmount(settings.threshold) + ', but the low case drops below it in ' +
+        periodService.getMonthLabel(forecast.lowBreach.date) + '.';
+      statusColor = '#EF6C00';
+    } else {
+      status = 'The balance stays above ' + formatAmount(settings.threshold) + ' through ' +
+        periodService.getMonthLabel(last.date) + ', even in the low case.';
+      statusColor = colors.UI.INCOME_FONT;
+    }
+    sheet.getRange(LAYOUT.STATUS_ROW, 1).setValue(status).setFontWeight('bold').setFontColor(statusColor);
+
+    // Month table
+    const tableRow = LAYOUT.TABLE_ROW;
+    const rows = forecast.months.map(function(month) {
+      return [month.date].concat(forecast.types.map(function(type) { return month.flows[type]; }), [
+        month.net, month.expected, month.low, month.high, settings.threshold, month.planned.join(', ')
+      ]);
+    });
+    styleHeader(sheet.getRange(tableRow, 1, 1, headers.length).setValues([headers]));
+    sheet.getRange(tableRow + 1, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(tableRow + 1, 1, rows.length, 1).setNumberFormat('mmm yyyy');
+    utils.formatAsCurrency(sheet.getRange(tableRow + 1, 2, rows.length, headers.length - 2), currencyFormat);
+    sheet.getRange(tableRow, 2).setNote('The current month only includes what is still expected after today');
+    sheet.getRange(tableRow, forecast.types.length + 4, 1, 2)
+      .setNote('Expected balance minus/plus the usual variation of the non-recurring monthly net, growing with the months ahead');
+    if (forecast.breach) {
+      sheet.getRange(tableRow + 1 + forecast.breach.offset, 1, 1, headers.length).setBackground('#F4CCCC');
+    }
+    sheet.getRange(tableRow + 1, forecast.types.length + 4, rows.length, 1).setFontColors(forecast.months.map(function(month) {
+      return [month.low < settings.threshold ? colors.UI.EXPENSE_FONT : colors.UI.NEUTRAL_FONT];
+    }));
+
+    // Balance chart
+    const balanceColumn = forecast.types.length + 3;
+    const chart = sheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sheet.getRange(tableRow, 1, rows.length + 1, 1))
+      .addRange(sheet.getRange(tableRow, balanceColumn, rows.length + 1, 4))
+      .setNumHeaders(1)
+      .setPosition(tableRow + rows.length + 3, 1, 0, 0)
+      .setOption('title', 'Projected Balance')
+      .setOption('colors', [colors.CHART.SERIES[2], colors.CHART.SERIES[0], colors.CHART.SERIES[3], '#9E9E9E'])
+      .setOption('series', { 1: { lineDashStyle: [4, 4] }, 2: { lineDashStyle: [4, 4] }, 3: { lineWidth: 1 } })
+      .setOption('width', 700)
+      .setOption('height', 300)
+      .build();
+    sheet.insertChart(chart);
+
+    // Recurring items
+    const recurringRow = tableRow + rows.length + 20;
+    const recurringHeaders = ['Recurring Item', 'Type', 'Category', 'Monthly Amount', 'Months Seen', 'Last Seen'];
+    sheet.getRange(recurringRow, 1).setValue('Detected Recurring Items').setFontWeight('bold').setFontSize(12);
+    styleHeader(sheet.getRange(recurringRow + 1, 1, 1, recurringHeaders.length).setValues([recurringHeaders]));
+    if (forecast.recurring.length === 0) {
+      sheet.getRange(recurringRow + 2, 1).setValue('No recurring items detected.');
+    } else {
+      const recurringRows = forecast.recurring.map(function(item) {
+        return [item.merchant, item.type, item.category, item.amount, item.months, item.lastDate];
+      });
+      sheet.getRange(recurringRow + 2, 1, recurringRows.length, recurringHeaders.length).setValues(recurringRows);
+      utils.formatAsCurrency(sheet.getRange(recurringRow + 2, 4, recurringRows.length, 1), currencyFormat);
+      sheet.getRange(recurringRow + 2, 6, recurringRows.length, 1).setNumberFormat('yyyy-mm-dd');
+    }
+
+    sheet.autoResizeColumns(1, headers.length);
+    return sheet;
+  }
+
+  // Public API
+  return {
+    /**
+     * Detects recurring items: merchants charged (or paying in) every month for at least
+     * `RECURRING_MIN_MONTHS` consecutive complete months up to last month, with monthly amounts
+     * whose coefficient of variation stays within `RECURRING_MAX_CV`. An item that skipped last
+     * month is treated as ended.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {object} options - The FORECAST configuration section.
+     * @param {Date} [today=new Date()] - The reference date.
+     * @returns {Array<{key: string, merchant: string, type: string, category: string, subcategory: string,
+     *   providerDetail: string, amount: number, months: number, lastDate: Date}>} The items, largest first.
+     *   `amount` is last month's amount, signed as in the ledger; the categories are the latest charge's.
+     * @memberof FinancialPlanner.ForecastService
+     */
+    findRecurringItems: function(records, options, today) {
+      const now = today || new Date();
+      const lastComplete = toMonthIndex(now) - 1;
+      const groups = {};
+      selectHistory(records, options, now).forEach(function(item) {
+        const key = getItemKey(item.record);
+        if (!key || item.index > lastComplete) return;
+        const group = groups[key] || (groups[key] = { byMonth: {}, latest: item });
+        group.byMonth[item.index] = (group.byMonth[item.index] || 0) + item.amount;
+        if (item.date >= group.latest.date) group.latest = item;
+      });
+
+      const items = [];
+      Object.keys(groups).forEach(function(key) {
+        const group = groups[key];
+        const amounts = [];
+        for (let index = lastComplete; group.byMonth[index] && amounts.length < 12; index--) {
+          amounts.push(Math.abs(group.byMonth[index]));
+        }
+        if (amounts.length < options.RECURRING_MIN_MONTHS) return;
+        const stats = FinancialPlanner.MetricsCalculator.calculateStatistics(amounts);
+        if (stats.mean === 0 || stats.stdDev / stats.mean > options.RECURRING_MAX_CV) return;
+
+        const record = group.latest.record;
+        items.push({
+          key: key,
+          merchant: record.merchant || record.description,
+          type: record.type,
+          category: record.category || '',
+          subcategory: record.subcategory || '',
+          providerDetail: record.providerDetail || '',
+          amount: round(group.byMonth[lastComplete]),
+          months: amounts.length,
+          lastDate: group.latest.date
+        });
+      });
+      return items.sort(function(a, b) { return Math.abs(b.amount) - Math.abs(a.amount); });
+    },
+
+    /**
+     * Projects the cash flow month by month, starting with the current month. Each month adds
+     * the recurring items, the seasonal average of every other Type and Category (the mean of
+     * the same calendar month in the covered history, or of all covered months when that
+     * calendar month was never covered) and the planned items dated in it. For the current
+     * month, recurring items already seen, category spend already booked and planned items
+     * dated before today are left out. The low/high band is `BAND_Z` standard deviations of the
+     * historical non-recurring monthly net, scaled by the square root of the months ahead.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {Array<object>} plannedItems - One-off items with date, description, type and signed amount.
+     * @param {object} options - The FORECAST configuration section.
+     * @param {{horizon: number, threshold: number, startingBalance: number}} settings - The projection settings.
+     * @param {Date} [today=new Date()] - The reference date.
+     * @returns {{types: string[], months: Array<{date: Date, flows: Object<string, number>, net: number,
+     *   expected: number, low: number, high: number, planned: string[]}>, recurring: Array<object>,
+     *   variation: number, breach: ({date: Date, offset: number}|null), lowBreach: ({date: Date, offset: number}|null)}}
+     *   The forecast. `flows` holds income and the outflows of each type as positive amounts;
+     *   `breach` is the first month whose expected balance is below the threshold, `lowBreach` the
+     *   first month whose low balance is.
+     * @memberof FinancialPlanner.ForecastService
+     */
+    buildForecast: function(records, plannedItems, options, settings, today) {
+      const now = today || new Date();
+      const config = FinancialPlanner.Config;
+      const types = config.getSection('TYPE_ORDER');
+      const incomeType = config.getSection('TRANSACTION_TYPES').INCOME;
+      const current = toMonthIndex(now);
+      const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+      const recurring = this.findRecurringItems(records, options, now);
+      const recurringKeys = {};
+      recurring.forEach(function(item) { recurringKeys[item.key] = true; });
+
+      const history = selectHistory(records, options, now);
+      let firstIndex = current;
+      const categories = {};
+      const bookedThisMonth = {};
+      const chargedThisMonth = {};
+      history.forEach(function(item) {
+        firstIndex = Math.min(firstIndex, item.index);
+        const itemKey = getItemKey(item.record);
+        if (recurringKeys[itemKey]) {
+          if (item.index === current) chargedThisMonth[itemKey] = true;
+          return;
+        }
+        const key = item.record.type + '|' + (item.record.category || '');
+        if (item.index === current) {
+          bookedThisMonth[key] = (bookedThisMonth[key] || 0) + item.amount;
+          return;
+        }
+        const category = categories[key] || (categories[key] = { type: item.record.type, byMonth: {} });
+        category.byMonth[item.index] = (category.byMonth[item.index] || 0) + item.amount;
+      });
+
+      const covered = [];
+      for (let index = firstIndex; index < current; index++) covered.push(index);
+      const averageOf = function(category, months) {
+        if (months.length === 0) return 0;
+        return months.reduce(function(sum, index) { return sum + (category.byMonth[index] || 0); }, 0) / months.length;
+      };
+      const variation = FinancialPlanner.MetricsCalculator.calculateStatistics(covered.map(function(index) {
+        return Object.keys(categories).reduce(function(sum, key) { return sum + (categories[key].byMonth[index] || 0); }, 0);
+      })).stdDev;
+
+      const months = [];
+      let balance = settings.startingBalance;
+      for (let offset = 0; offset < settings.horizon; offset++) {
+        const index = current + offset;
+        const sameMonth = covered.filter(function(coveredIndex) { return coveredIndex % 12 === index % 12; });
+        const flows = {};
+        types.forEach(function(type) { flows[type] = 0; });
+
+        recurring.forEach(function(item) {
+          if (offset === 0 && chargedThisMonth[item.key]) return;
+          flows[item.type] += item.amount;
+        });
+        Object.keys(categories).forEach(function(key) {
+          let amount = averageOf(categories[key], sameMonth.length > 0 ? sameMonth : covered);
+          if (offset === 0) {
+            const remaining = amount - (bookedThisMonth[key] || 0);
+            amount = amount >= 0 ? Math.max(0, remaining) : Math.min(0, remaining);
+          }
+          flows[categories[key].type] += amount;
+        });
+        const planned = [];
+        plannedItems.forEach(function(item) {
+          if (toMonthIndex(item.date) !== index || (offset === 0 && item.date < startOfToday)) return;
+          flows[item.type] += item.amount;
+          planned.push(item.description || item.category || item.type);
+        });
+
+        const net = types.reduce(function(sum, type) { return sum + flows[type]; }, 0);
+        balance += net;
+        const spread = options.BAND_Z * variation * Math.sqrt(offset + 1);
+        types.forEach(function(type) { flows[type] = round(type === incomeType ? flows[type] : -flows[type]); });
+        months.push({
+          date: new Date(Math.floor(index / 12), index % 12, 1),
+          flows: flows,
+          net: round(net),
+          expected: round(balance),
+          low: round(balance - spread),
+          high: round(balance + spread),
+          planned: planned
+        });
+      }
+
+      const firstBelow = function(field) {
+        for (let offset = 0; offset < months.length; offset++) {
+          if (months[offset][field] < settings.threshold) return { date: months[offset].date, offset: offset };
+        }
+        return null;
+      };
+      return {
+        types: types,
+        months: months,
+        recurring: recurring,
+        variation: round(variation),
+        breach: firstBelow('expected'),
+        lowBreach: firstBelow('low')
+      };
+    },
+
+    /**
+     * Builds the forecast from the ledger, the Planned Items sheet and the account balances,
+     * and writes the Cash Flow Forecast sheet.
+     * @returns {object} The forecast (see `buildForecast`).
+     * @memberof FinancialPlanner.ForecastService
+     */
+    run: function() {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const options = FinancialPlanner.Config.getSection('FORECAST');
+      const settings = readSettings(ss.getSheetByName(FinancialPlanner.Config.getSheetNames().FORECAST), options);
+      const records = FinancialPlanner.LedgerService.getRecords();
+      const start = getStartingBalance(records);
+      const forecast = this.buildForecast(records, readPlannedItems(), options, {
+        horizon: settings.horizon,
+        threshold: settings.threshold,
+        startingBalance: start.amount
+      }, new Date());
+      writeForecastSheet(forecast, settings, start).activate();
+
+      Logger.log('Cash flow forecast: ' + forecast.months.length + ' months, ' + forecast.recurring.length +
+        ' recurring items' + (forecast.breach ? ', below threshold from ' + forecast.breach.date.toDateString() : ''));
+      return forecast;
+    },
+
+    /**
+     * Rebuilds the forecast when its horizon or safety threshold is edited on the sheet.
+     * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event object.
+     * @memberof FinancialPlanner.ForecastService
+     */
+    handleEdit: function(e) {
+      const cell = e.range.getA1Notation();
+      if (cell !== LAYOUT.HORIZON_CELL && cell !== LAYOUT.THRESHOLD_CELL) return;
+      try {
+        this.run();
+        FinancialPlanner.UIService.showSuccessNotification('Cash flow forecast updated');
+      } catch (error) {
+        FinancialPlanner.ErrorService.handle(error, 'Failed to update the cash flow forecast');
+      }
+    }
+  };
+})();
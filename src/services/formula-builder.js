@@ -187,11 +187,17 @@ FinancialPlanner.FormulaBuilder = (function() {
      *   typeValue: string,
      *   categoryValue?: string,
      *   subcategoryValue?: string,
-     *   monthDate: Date,
+     *   monthDate?: Date,
+     *   startDate?: Date,
+     *   endDate?: Date,
      *   overviewSheetName: string,
      *   currentRow: number,
-     *   showSubCategories: boolean
+     *   showSubCategories: boolean,
+     *   duplicateColumn?: string
      * }} params - Parameters for building the category total formula.
+     *   `duplicateColumn` (optional) is the ledger's Duplicate Of column; rows with a value
+     *   there are excluded so a transaction imported from two sources is only counted once.
+     *   The date bounds are `startDate`..`endDate` (inclusive) when given, otherwise the month of `monthDate`.
      * @returns {string} The complete SUMIFS formula string for category totals.
      * @memberof FinancialPlanner.FormulaBuilder
      */
@@ -205,16 +211,15 @@ FinancialPlanner.FormulaBuilder = (function() {
       const typeValue = params.typeValue;
       const categoryValue = params.categoryValue;
       const subcategoryValue = params.subcategoryValue;
-      const monthDate = params.monthDate;
       const overviewSheetName = params.overviewSheetName;
       const currentRow = params.currentRow;
       const showSubCategories = params.showSubCategories;
+      const duplicateColumn = params.duplicateColumn;
+
+      const monthDate = params.monthDate;
+      const startDate = params.startDate || new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
+      const endDate = params.endDate || new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0);
 
-      const month = monthDate.getMonth() + 1;
-      const year = monthDate.getFullYear();
-      const startDate = new Date(year, month - 1, 1);
-      const endDate = new Date(year, month, 0);
-      
       const criteria = [
         { range: transactionSheet + '!' + typeColumn + ':' + typeColumn, 
           value: overviewSheetName + '!$A' + currentRow },
@@ -242,6 +247,13 @@ FinancialPlanner.FormulaBuilder = (function() {
         }
       }
 
+      if (duplicateColumn) {
+        criteria.push({
+          range: transactionSheet + '!' + duplicateColumn + ':' + duplicateColumn,
+          value: '""'
+        });
+      }
+
       return this.buildMonthlySumFormula({
         sumRange: transactionSheet + '!' + amountColumn + ':' + amountColumn,
         criteria: criteria
@@ -0,0 +1,630 @@
+/**
+ * @fileoverview Ledger Service - Reads and writes the canonical Transactions sheet.
+ * Every provider (Plaid, SaltEdge, ...) is projected into the same sheet. Upserts are keyed by
+ * the Source and External ID columns so importers can re-run safely without duplicating rows
+ * or overwriting the user's categorization.
+ * @module services/ledger-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Ledger Service - Canonical Transactions sheet operations.
+ * @namespace FinancialPlanner.LedgerService
+ */
+FinancialPlanner.LedgerService = (function() {
+  /**
+   * Checks whether a cell value counts as empty for merge purposes.
+   * A `false` checkbox is treated as empty so imports can still set the Shared? flag.
+   * @private
+   * @param {*} value - The cell value.
+   * @returns {boolean} True if the value is blank.
+   */
+  function isBlank(value) {
+    return value === '' || value === null || value === undefined || value === false;
+  }
+
+  /**
+   * Merges an incoming record into an existing one, keeping non-empty user-owned fields.
+   * @private
+   * @param {object} existing - The record currently stored in the sheet.
+   * @param {object} incoming - The freshly imported record.
+   * @returns {object} The merged record.
+   */
+  function mergeRecords(existing, incoming) {
+    const userFields = FinancialPlanner.Config.getSection('LEDGER').USER_FIELDS;
+    const merged = Object.assign({}, incoming);
+    userFields.forEach(function(field) {
+      if (!isBlank(existing[field])) {
+        merged[field] = existing[field];
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Builds the upsert key of a ledger row. Ids are only unique per provider, so the
+   * source is part of the key.
+   * @private
+   * @param {string} source - The provider name (LEDGER.SOURCES).
+   * @param {string} id - The provider's transaction id.
+   * @returns {string} The key.
+   */
+  function getRecordKey(source, id) {
+    return (source || '') + '|' + id;
+  }
+
+  /**
+   * Writes rows to a sheet with the id column formatted as plain text first. Provider ids
+   * such as SaltEdge's 19-digit numbers would otherwise be stored as rounded numbers and
+   * never match the incoming id again.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+   * @param {number} startRow - The first row to write.
+   * @param {Array<Array<*>>} rows - The rows, all as wide as the header row.
+   * @param {number} idIndex - The zero-based index of the id column.
+   */
+  function writeRows(sheet, startRow, rows, idIndex) {
+    sheet.getRange(startRow, idIndex + 1, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows);
+  }
+
+  /**
+   * Renames legacy ledger headers in place (see LEDGER.LEGACY_HEADERS).
+   * Ledgers from before the Source column only held Plaid transactions, so rows with an id
+   * and no source are attributed to Plaid.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Transactions sheet.
+   * @param {string[]} headers - The current header row; updated in place.
+   */
+  function migrateLegacyHeaders(sheet, headers) {
+    const ledgerConfig = FinancialPlanner.Config.getSection('LEDGER');
+    let migrated = false;
+
+    Object.keys(ledgerConfig.LEGACY_HEADERS).forEach(function(legacyHeader) {
+      const newHeader = ledgerConfig.LEGACY_HEADERS[legacyHeader];
+      const index = headers.indexOf(legacyHeader);
+      if (index !== -1 && headers.indexOf(newHeader) === -1) {
+        sheet.getRange(1, index + 1).setValue(newHeader);
+        headers[index] = newHeader;
+        migrated = true;
+        Logger.log('Renamed ledger column "' + legacyHeader + '" to "' + newHeader + '"');
+      }
+    });
+
+    const sourceIndex = headers.indexOf(ledgerConfig.COLUMNS.source);
+    const idIndex = headers.indexOf(ledgerConfig.COLUMNS.id);
+    const lastRow = sheet.getLastRow();
+    if (!migrated || sourceIndex !== -1 || idIndex === -1 || lastRow < 2) return;
+
+    // The Source column does not exist yet: add it and attribute existing rows to Plaid
+    const ids = sheet.getRange(2, idIndex + 1, lastRow - 1, 1).getValues();
+    const sources = ids.map(function(row) {
+      return [row[0] !== '' ? ledgerConfig.SOURCES.PLAID : ''];
+    });
+    headers.push(ledgerConfig.COLUMNS.source);
+    sheet.getRange(1, headers.length).setValue(ledgerConfig.COLUMNS.source).setFontWeight('bold');
+    sheet.getRange(2, headers.length, sources.length, 1).setValues(sources);
+  }
+
+  /**
+   * Rebuilds a flattened Plaid payload (dot-notation keys, as once written to the
+   * Transactions sheet) into the nested shape `TransactionNormalizer.fromPlaid` expects.
+   * @private
+   * @param {object} flat - The flattened payload.
+   * @returns {object} The nested Plaid transaction.
+   */
+  function unflattenPlaid(flat) {
+    const tx = {};
+    Object.keys(flat).forEach(function(key) {
+      const parts = key.split('.');
+      let target = tx;
+      parts.slice(0, -1).forEach(function(part) {
+        target[part] = target[part] || {};
+        target = target[part];
+      });
+      target[parts[parts.length - 1]] = flat[key];
+    });
+    // flattenObject joined the legacy category array with ", "
+    if (typeof tx.category === 'string') {
+      tx.category = tx.category ? tx.category.split(', ') : [];
+    }
+    return tx;
+  }
+
+  /**
+   * Checks whether the header row has Type, Category and Sub-Category in columns C-E,
+   * where the dependent dropdowns expect them.
+   * @private
+   * @param {string[]} headers - The sheet header row.
+   * @returns {boolean} True if the sheet follows the ledger layout.
+   */
+  function hasLedgerLayout(headers) {
+    const columns = FinancialPlanner.Config.getSection('LEDGER').COLUMNS;
+    return headers[2] === columns.type && headers[3] === columns.category && headers[4] === columns.subcategory;
+  }
+
+  /**
+   * Copies a sheet to a new "<name> Backup" sheet (numbered if one already exists), keeping
+   * its formulas, formatting, validations and column widths.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to copy.
+   * @returns {string} The name of the backup sheet.
+   */
+  function backupSheet(sheet) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const baseName = sheet.getName() + ' Backup';
+    let name = baseName;
+    for (let n = 2; ss.getSheetByName(name); n++) {
+      name = baseName + ' ' + n;
+    }
+    sheet.copyTo(ss).setName(name);
+    return name;
+  }
+
+  /**
+   * Rewrites a Transactions sheet that does not follow the ledger layout, after copying it to
+   * a backup sheet. A sheet from before the ledger, holding flattened Plaid payloads, is
+   * converted row by row (rows flagged deleted are dropped); the converted rows are left
+   * uncategorized, as after a fresh import, for the Category Mappings to fill in. Any other
+   * sheet is reordered: the canonical columns first, then the remaining columns as they were,
+   * with formulas kept as formulas.
+   * @private
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Transactions sheet.
+   * @param {string[]} headers - The current header row.
+   * @returns {string} The name of the backup sheet.
+   * @throws {Error} If the sheet has neither ledger nor Plaid columns.
+   */
+  function migrateLayout(sheet, headers) {
+    const normalizer = FinancialPlanner.TransactionNormalizer;
+    const ledgerConfig = FinancialPlanner.Config.getSection('LEDGER');
+    const canonicalHeaders = normalizer.getHeaders();
+    const isPlaidLayout = headers.indexOf('transaction_id') !== -1 && headers.indexOf(ledgerConfig.COLUMNS.type) === -1;
+    const known = headers.filter(function(header) { return canonicalHeaders.indexOf(header) !== -1; });
+    if (!isPlaidLayout && known.length === 0) {
+      throw FinancialPlanner.ErrorService.create(
+        'The Transactions sheet has neither ledger nor Plaid columns; rename or move it so a new ledger can be created',
+        { headers: headers, severity: 'high' }
+      );
+    }
+
+    const backupName = backupSheet(sheet);
+    const lastRow = sheet.getLastRow();
+    const range = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headers.length) : null;
+    const values = range ? range.getValues() : [];
+    let newHeaders;
+    let rows;
+
+    if (isPlaidLayout) {
+      newHeaders = canonicalHeaders;
+      rows = values.filter(function(row) {
+        return row[headers.indexOf('transaction_id')] !== '' && row[headers.indexOf('deleted')] !== true;
+      }).map(function(row) {
+        const flat = {};
+        headers.forEach(function(header, i) {
+          if (header && header !== 'deleted') flat[header] = row[i];
+        });
+        return normalizer.toRow(normalizer.fromPlaid(unflattenPlaid(flat)), newHeaders);
+      });
+    } else {
+      const formulas = range ? range.getFormulas() : [];
+      newHeaders = canonicalHeaders.concat(headers.filter(function(header) {
+        return header !== '' && canonicalHeaders.indexOf(header) === -1;
+      }));
+      rows = values.map(function(row, r) {
+        return newHeaders.map(function(header) {
+          const index = headers.indexOf(header);
+          if (index !== -1) return formulas[r][index] || row[index];
+          return header === ledgerConfig.COLUMNS.shared ? false : '';
+        });
+      });
+    }
+
+    sheet.getDataRange().clearDataValidations();
+    sheet.clear();
+    sheet.getRange(1, 1, 1, newHeaders.length).setValues([newHeaders]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    if (rows.length > 0) {
+      writeRows(sheet, 2, rows, newHeaders.indexOf(ledgerConfig.COLUMNS.id));
+    }
+    Logger.log('Migrated the Transactions sheet to the ledger layout (' +
+               (isPlaidLayout ? 'converted Plaid rows' : 'reordered columns') + ', ' + rows.length +
+               ' rows); the old sheet is kept as ' + backupName);
+    return backupName;
+  }
+
+  /**
+   * Groups ascending, distinct numbers (rows or column indices) into runs of consecutive values,
+   * so adjacent cells can be written with one range.
+   * @private
+   * @param {number[]} numbers - The numbers, ascending.
+   * @returns {Array<{start: number, length: number}>} The runs, in order.
+   */
+  function toRuns(numbers) {
+    const runs = [];
+    numbers.forEach(function(number) {
+      const run = runs[runs.length - 1];
+      if (run && number === run.start + run.length) {
+        run.length++;
+      } else {
+        runs.push({ start: number, length: 1 });
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * Returns the zero-based index of a ledger column.
+   * @private
+   * @param {string[]} headers - The sheet header row.
+   * @param {string} field - The ledger field (key of LEDGER.COLUMNS).
+   * @returns {number} The column index.
+   * @throws {Error} If the column is missing.
+   */
+  function getColumnIndex(headers, field) {
+    const header = FinancialPlanner.Config.getSection('LEDGER').COLUMNS[field];
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      throw FinancialPlanner.ErrorService.create(
+        header + ' column not found in Transactions sheet headers',
+        { headers: headers, severity: 'high' }
+      );
+    }
+    return index;
+  }
+
+  // Public API
+  return {
+    /**
+     * Returns the Transactions sheet, creating it if needed, and makes sure every
+     * canonical ledger header is present. Missing headers are appended to the right
+     * so existing columns (and any user-added ones) keep their position.
+     * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, headers: string[]}} The sheet and its header row.
+     * @throws {Error} If the sheet does not follow the ledger layout yet (see `migrateSheet`).
+     * @memberof FinancialPlanner.LedgerService
+     */
+    getSheet: function() {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheetName = FinancialPlanner.Config.getSheetNames().TRANSACTIONS;
+      const canonicalHeaders = FinancialPlanner.TransactionNormalizer.getHeaders();
+      let sheet = ss.getSheetByName(sheetName);
+
+      if (!sheet) {
+        sheet = ss.insertSheet(sheetName);
+      }
+
+      if (sheet.getLastRow() === 0) {
+        sheet.getRange(1, 1, 1, canonicalHeaders.length)
+          .setValues([canonicalHeaders])
+          .setFontWeight('bold');
+        sheet.setFrozenRows(1);
+        return { sheet: sheet, headers: canonicalHeaders.slice() };
+      }
+
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      migrateLegacyHeaders(sheet, headers);
+      if (!hasLedgerLayout(headers)) {
+        throw FinancialPlanner.ErrorService.create(
+          'The Transactions sheet does not have Type, Category and Sub-Category in columns C-E. ' +
+          'Run Settings > Migrate Transactions Sheet to convert it; the old sheet is kept as a backup.',
+          { headers: headers, severity: 'high' }
+        );
+      }
+      const missing = canonicalHeaders.filter(function(header) {
+        return headers.indexOf(header) === -1;
+      });
+
+      if (missing.length > 0) {
+        Logger.log('Adding missing ledger columns: ' + missing.join(', '));
+        sheet.getRange(1, headers.length + 1, 1, missing.length)
+          .setValues([missing])
+          .setFontWeight('bold');
+      }
+
+      return { sheet: sheet, headers: headers.concat(missing) };
+    },
+
+    /**
+     * Converts a Transactions sheet that does not follow the ledger layout (e.g. one still
+     * holding flattened Plaid payloads). The sheet is copied to a backup sheet first, so
+     * nothing the rewrite drops (formatting, validations, column widths, Plaid fields outside
+     * the ledger) is lost.
+     * @returns {string|null} The name of the backup sheet, or null if there was nothing to migrate.
+     * @throws {Error} If the sheet has neither ledger nor Plaid columns.
+     * @memberof FinancialPlanner.LedgerService
+     */
+    migrateSheet: function() {
+      const sheetName = FinancialPlanner.Config.getSheetNames().TRANSACTIONS;
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+      if (!sheet || sheet.getLastRow() === 0) return null;
+
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      migrateLegacyHeaders(sheet, headers);
+      if (hasLedgerLayout(headers)) return null;
+
+      return migrateLayout(sheet, headers);
+    },
+
+    /**
+     * Reads every ledger row as a record. Each record also carries its sheet `row` number
+     * so it can be written back with `updateRecords`, even if it has no External ID
+     * (e.g. a hand-entered row).
+     * @returns {Array<object>} The ledger records, in sheet order.
+     * @memberof FinancialPlanner.LedgerService
+     */
+    getRecords: function() {
+      const ledger = this.getSheet();
+      const lastRow = ledger.sheet.getLastRow();
+      if (lastRow < 2) return [];
+
+      const values = ledger.sheet.getRange(2, 1, lastRow - 1, ledger.headers.length).getValues();
+      return values.map(function(row, i) {
+        const record = FinancialPlanner.TransactionNormalizer.fromRow(row, ledger.headers);
+        record.row = i + 2;
+        return record;
+      });
+    },
+
+    /**
+     * Writes the user-owned fields (LEDGER.USER_FIELDS) of records read via `getRecords` back
+     * to their original rows. Unlike `upsert`, the fields are written as given, so this is the
+     * way to deliberately overwrite a row's categorization. Only those cells are written, one
+     * range per run of adjacent rows and columns, so formulas and edits elsewhere in the sheet
+     * are left alone.
+     * @param {Array<object>} records - Records carrying a `row` number.
+     * @returns {number} The number of rows written.
+     * @memberof FinancialPlanner.LedgerService
+     */
+    updateRecords: function(records) {
+      const normalizer = FinancialPlanner.TransactionNormalizer;
+      const ledgerConfig = FinancialPlanner.Config.getSection('LEDGER');
+      const ledger = this.getSheet();
+      const lastRow = ledger.sheet.getLastRow();
+
+      const rowValues = {};
+      (records || []).forEach(function(record) {
+        if (record.row >= 2 && record.row <= lastRow) {
+          rowValues[record.row] = normalizer.toRow(record, ledger.headers);
+        }
+      });
+      const rowNumbers = Object.keys(rowValues).map(Number).sort(function(a, b) { return a - b; });
+      if (rowNumbers.length === 0) return 0;
+
+      const columnRuns = toRuns(ledgerConfig.USER_FIELDS.map(function(field) {
+        return ledger.headers.indexOf(ledgerConfig.COLUMNS[field]);
+      }).sort(function(a, b) { return a - b; }));
+
+      toRuns(rowNumbers).forEach(function(rowRun) {
+        columnRuns.forEach(function(columnRun) {
+          const values = [];
+          for (let row = rowRun.start; row < rowRun.start + rowRun.length; row++) {
+            values.push(rowValues[row].slice(columnRun.start, columnRun.start + columnRun.length));
+          }
+          ledger.sheet.getRange(rowRun.start, columnRun.start + 1, rowRun.length, columnRun.length).setValues(values);
+        });
+      });
+
+      FinancialPlanner.CacheService.invalidateAll();
+      Logger.log('Updated ' + rowNumbers.length + ' ledger rows');
+      return rowNumbers.length;
+    },
+
+    /**
+     * Inserts or updates ledger records keyed by their `source` and `id` fields.
+     * Existing rows keep any non-empty user-owned fields (Type, Category, Sub-Category, Shared?).
+     * @param {Array<object>} records - Ledger records produced by the TransactionNormalizer.
+     * @returns {{added: number, updated: number}} Counts of appended and updated rows.
+     * @memberof FinancialPlanner.LedgerService
+     */
+    upsert: function(records) {
+      const result = { added: 0, updated: 0 };
+      if (!records || records.length === 0) return result;
+
+      const normalizer = FinancialPlanner.TransactionNormalizer;
+      const ledger = this.getSheet();
+      const sheet = ledger.sheet;
+      const headers = ledger.headers;
+      const idIndex = getColumnIndex(headers, 'id');
+      const sourceIndex = getColumnIndex(headers, 'source');
+
+      const lastRow = sheet.getLastRow();
+      const data = lastRow > 1
+        ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+        : [];
+
+      const rowByKey = {};
+      data.forEach(function(row, i) {
+        if (row[idIndex] !== '') {
+          rowByKey[getRecordKey(row[sourceIndex], String(row[idIndex]))] = i;
+        }
+      });
+
+      const newRows = [];
+      const newRowByKey = {};
+      records.forEach(function(record) {
+        if (!record.id) {
+          Logger.log('Skipping ledger record without an id: ' + record.description);
+          return;
+        }
+        record.id = String(record.id);
+        const key = getRecordKey(record.source, record.id);
+        const existingIndex = rowByKey[key];
+        if (existingIndex !== undefined) {
+          const existing = normalizer.fromRow(data[existingIndex], headers);
+          data[existingIndex] = normalizer.toRow(mergeRecords(existing, record), headers, data[existingIndex]);
+          result.updated++;
+        } else if (newRowByKey[key] !== undefined) {
+          // Same transaction twice in one batch: the later version wins
+          newRows[newRowByKey[key]] = normalizer.toRow(record, headers);
+        } else {
+          newRowByKey[key] = newRows.length;
+          newRows.push(normalizer.toRow(record, headers));
+          result.added++;
+        }
+      });
+
+      if (result.updated > 0) {
+        sheet.getRange(2, 1, data.length, headers.length).setValues(data);
+      }
+
+      if (newRows.length > 0) {
+        writeRows(sheet, lastRow + 1, newRows, idIndex);
+      }
+
+      if (result.added > 0 || result.updated > 0) {
+        // The Overview caches its category combinations; new rows may introduce new ones
+        FinancialPlanner.CacheService.invalidateAll();
+      }
+
+      Logger.log('Ledger upsert: ' + result.added + ' added, ' + result.updated + ' updated');
+      return result;
+    },
+
+    /**
+     * Runs the standard import pipeline for freshly normalized records: the user's
+     * Categorization Rules first, then the Category Mappings for the records' provider,
+     * then the idempotent `upsert`.
+     * @param {Array<object>} records - Ledger records produced by the TransactionNormalizer or an importer.
+     * @param {string} source - The provider name (LEDGER.SOURCES) used to pick the mappings.
+     * @returns {{added: number, updated: number}} Counts of appended and updated rows.
+     * @memberof FinancialPlanner.LedgerService
+     */
+    importRecords: function(records, source) {
+      // User rules take precedence over the generic provider category mappings
+      FinancialPlanner.CategorizationRulesService.applyToRecords(records);
+      FinancialPlanner.CategoryMappingService.applyToRecords(records, source);
+      return this.upsert(records);
+    },
+
+    /**
+     * Deletes a provider's ledger rows whose External ID is in the given list.
+     * Used when a provider reports a transaction as removed (e.g. a pending
+     * transaction replaced by its posted version), so it no longer counts in the Overview.
+     * @param {string} source - The provider name (LEDGER.SOURCES).
+     * @param {string[]} ids - The provider's transaction IDs to remove.
+     * @returns {number} The number of rows deleted.
+     * @memberof FinancialPlanner.LedgerService
+     */
+    removeByIds: function(source, ids) {
+      if (!ids || ids.length === 0) return 0;
+
+      const ledger = this.getSheet();
+      const sheet = ledger.sheet;
+      const idIndex = getColumnIndex(ledger.headers, 'id');
+      const sourceIndex = getColumnIndex(ledger.headers, 'source');
+      const lastRow = sheet.getLastRow();
+      if (lastRow < 2) return 0;
+
+      const keys = new Set(ids.map(function(id) {
+        return getRecordKey(source, id);
+      }));
+      const values = sheet.getRange(2, 1, lastRow - 1, ledger.headers.length).getValues();
+      let removed = 0;
+
+      // Delete bottom-up so earlier row numbers stay valid
+      for (let i = values.length - 1; i >= 0; i--) {
+        if (keys.has(getRecordKey(values[i][sourceIndex], values[i][idIndex]))) {
+          sheet.deleteRow(i + 2);
+          removed++;
+        }
+      }
+
+      if (removed > 0) {
+        FinancialPlanner.CacheService.invalidateAll();
+      }
+
+      Logger.log('Removed ' + removed + ' ledger rows');
+      return removed;
+    },
+
+    /**
+     * Writes flattened provider payloads to a raw sheet, keyed by `idKey`.
+     * New payload fields are added as columns on the fly. Known ids are updated in place and
+     * removed ones are flagged rather than deleted, so the raw sheet keeps a full audit trail
+     * of what the provider sent. Nothing on the sheet is ever cleared.
+     * @param {string} sheetName - The raw sheet name.
+     * @param {string} idKey - The payload key holding the provider's transaction id.
+     * @param {Array<object>} payloads - Flattened payloads (one level, dot-notation keys).
+     * @param {string[]} [removedIds] - Ids to flag in the "removed" column.
+     * @returns {number} The number of rows on the raw sheet.
+     * @memberof FinancialPlanner.LedgerService
+     */
+    writeRawPayloads: function(sheetName, idKey, payloads, removedIds) {
+      removedIds = removedIds || [];
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      let rawSheet = ss.getSheetByName(sheetName);
+      if (!rawSheet) {
+        rawSheet = ss.insertSheet(sheetName);
+      }
+
+      const headers = rawSheet.getLastRow() > 0
+        ? rawSheet.getRange(1, 1, 1, rawSheet.getLastColumn()).getValues()[0]
+        : [idKey, 'removed'];
+      const originalHeaderCount = rawSheet.getLastRow() > 0 ? headers.length : 0;
+
+      payloads.forEach(function(payload) {
+        Object.keys(payload).forEach(function(key) {
+          if (headers.indexOf(key) === -1) {
+            headers.push(key);
+          }
+        });
+      });
+      if (removedIds.length > 0 && headers.indexOf('removed') === -1) {
+        headers.push('removed');
+      }
+
+      if (headers.length > originalHeaderCount) {
+        rawSheet.getRange(1, 1, 1, headers.length)
+          .setValues([headers])
+          .setFontWeight('bold');
+      }
+
+      const idIndex = headers.indexOf(idKey);
+      const removedIndex = headers.indexOf('removed');
+      const lastRow = rawSheet.getLastRow();
+      const data = lastRow > 1
+        ? rawSheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+        : [];
+
+      const rowById = {};
+      data.forEach(function(row, i) {
+        rowById[String(row[idIndex])] = i;
+      });
+
+      payloads.forEach(function(payload) {
+        const row = headers.map(function(header) {
+          if (header === 'removed') {
+            return false;
+          }
+          const value = payload[header];
+          return (value !== null && value !== undefined) ? value : '';
+        });
+
+        const id = String(payload[idKey]);
+        row[idIndex] = id;
+        const existingIndex = rowById[id];
+        if (existingIndex !== undefined) {
+          data[existingIndex] = row;
+        } else {
+          rowById[id] = data.length;
+          data.push(row);
+        }
+      });
+
+      removedIds.forEach(function(id) {
+        const existingIndex = rowById[String(id)];
+        if (existingIndex !== undefined) {
+          data[existingIndex][removedIndex] = true;
+        }
+      });
+
+      if (data.length > 0) {
+        writeRows(rawSheet, 2, data, idIndex);
+      }
+      Logger.log('Raw sheet "' + sheetName + '" now holds ' + data.length + ' transactions');
+      return data.length;
+    }
+  };
+})();
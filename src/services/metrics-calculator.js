@@ -254,5 +254,43 @@ FinancialPlanner.MetricsCalculator = {
     }
     
     return movingAverages;
+  },
+
+  /**
+   * Describes the distribution of an array of numeric values.
+   * Quartiles are interpolated linearly between the sorted values; the standard deviation is the
+   * population standard deviation.
+   * @param {Array<number>} values - An array of numbers.
+   * @returns {{count: number, mean: number, stdDev: number, median: number, q1: number, q3: number, iqr: number}}
+   *   The statistics; all 0 for an empty array.
+   * @memberof FinancialPlanner.MetricsCalculator
+   */
+  calculateStatistics: function(values) {
+    const count = values.length;
+    if (count === 0) {
+      return { count: 0, mean: 0, stdDev: 0, median: 0, q1: 0, q3: 0, iqr: 0 };
+    }
+    
+    const sorted = values.slice().sort(function(a, b) { return a - b; });
+    const quantile = function(q) {
+      const position = (count - 1) * q;
+      const lower = Math.floor(position);
+      const upper = Math.ceil(position);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    const mean = values.reduce(function(a, b) { return a + b; }, 0) / count;
+    const variance = values.reduce(function(sum, value) { return sum + Math.pow(value - mean, 2); }, 0) / count;
+    const q1 = quantile(0.25);
+    const q3 = quantile(0.75);
+    
+    return {
+      count: count,
+      mean: mean,
+      stdDev: Math.sqrt(variance),
+      median: quantile(0.5),
+      q1: q1,
+      q3: q3,
+      iqr: q3 - q1
+    };
   }
 };
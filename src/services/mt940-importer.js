@@ -0,0 +1,358 @@
+/**
+ * @fileoverview MT940 Importer - Imports SWIFT MT940 bank statements into the ledger.
+ * Many European banks still export MT940 next to (or instead of) CAMT.053. Each :61:
+ * statement line and its :86: information become a ledger record with booking and value
+ * date, signed amount, counterparty and remittance information; :62F: and :64: feed the
+ * Account Balances sheet. Imported lines are then deduplicated against SaltEdge.
+ * @module services/mt940-importer
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * MT940 Importer - Parses MT940 statements and imports them into the ledger.
+ * @namespace FinancialPlanner.Mt940Importer
+ */
+FinancialPlanner.Mt940Importer = (function() {
+  /**
+   * @const {RegExp} STATEMENT_LINE
+   * @private
+   * @description Layout of a :61: field: value date, optional entry date, debit/credit mark,
+   * optional funds code, amount, transaction type, owner reference, optional bank reference
+   * and optional supplementary details on the next line.
+   */
+  const STATEMENT_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+(?:,\d*)?)([A-Z][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+  /**
+   * @const {RegExp} SEPA_TAGS
+   * @private
+   * @description SEPA keywords that German banks put into the :86: remittance subfields.
+   */
+  const SEPA_TAGS = /(EREF|KREF|MREF|CRED|DEBT|SVWZ|ABWA|ABWE|IBAN|BIC)\+/;
+
+  /**
+   * Parses a YYMMDD date. Years 00-79 are 20xx.
+   * @private
+   * @param {string} value - The date.
+   * @returns {Date|null} The local date, or null if invalid.
+   */
+  function parseShortDate(value) {
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const year = Number(match[1]) + (Number(match[1]) < 80 ? 2000 : 1900);
+    const month = Number(match[2]) - 1;
+    const day = Number(match[3]);
+    const date = new Date(year, month, day);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Parses an MT940 amount ("1234,56").
+   * @private
+   * @param {string} value - The amount.
+   * @returns {number} The amount.
+   */
+  function parseAmount(value) {
+    return parseFloat(String(value).replace(',', '.'));
+  }
+
+  /**
+   * Parses a balance field (:60F:, :62F:, :64: ...), e.g. "C240331EUR1234,56".
+   * @private
+   * @param {string} value - The field value.
+   * @returns {{amount: number, date: Date, currency: string}|null} The signed balance, or null.
+   */
+  function parseBalance(value) {
+    const match = /^([CD])(\d{6})([A-Z]{3})(\d+(?:,\d*)?)/.exec(value.trim());
+    if (!match) return null;
+    const amount = parseAmount(match[4]);
+    return { amount: match[1] === 'D' ? -amount : amount, date: parseShortDate(match[2]), currency: match[3] };
+  }
+
+  /**
+   * Splits the German structured :86: format ("166?00SEPA-UEBERWEISUNG?20...?32Name") into
+   * its subfields.
+   * @private
+   * @param {string} value - The field value with line breaks removed.
+   * @returns {Object<string, string>|null} Subfield values by code, or null if unstructured.
+   */
+  function parseSubfields(value) {
+    if (!/^\d{3}\?\d{2}/.test(value)) return null;
+    const subfields = { code: value.substring(0, 3) };
+    value.substring(3).split('?').forEach(function(part) {
+      if (part.length >= 2) {
+        const key = part.substring(0, 2);
+        subfields[key] = (subfields[key] || '') + part.substring(2);
+      }
+    });
+    return subfields;
+  }
+
+  /**
+   * Reads the counterparty and remittance information of a :86: field. Understands the
+   * German "?xx" subfield layout (with SEPA keywords), the "/TAG/value" layout used by e.g.
+   * Dutch banks, and falls back to the free text.
+   * @private
+   * @param {string} value - The raw field value.
+   * @returns {{counterparty: string, counterpartyIban: string, remittance: string, bookingText: string}} The details.
+   */
+  function parseInformation(value) {
+    const compact = value.replace(/\r?\n/g, '');
+    const subfields = parseSubfields(compact);
+
+    if (subfields) {
+      const remittanceCodes = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63'];
+      let remittance = remittanceCodes.map(function(code) {
+        return subfields[code] || '';
+      }).join('');
+      let iban = subfields['31'] || '';
+
+      // SEPA remittance: keep the SVWZ+ text, use IBAN+ when the ?31 subfield is empty
+      if (SEPA_TAGS.test(remittance)) {
+        const tagged = {};
+        const parts = remittance.split(SEPA_TAGS);
+        for (let i = 1; i < parts.length; i += 2) {
+          tagged[parts[i]] = (parts[i + 1] || '').trim();
+        }
+        remittance = tagged.SVWZ || tagged.EREF || remittance;
+        iban = iban || tagged.IBAN || '';
+      }
+
+      return {
+        counterparty: ((subfields['32'] || '') + (subfields['33'] || '')).trim(),
+        counterpartyIban: iban.trim(),
+        remittance: remittance.trim(),
+        bookingText: (subfields['00'] || '').trim()
+      };
+    }
+
+    if (/^\/[A-Z]{3,4}\//.test(compact)) {
+      const tags = {};
+      const pattern = /\/(CNTP|NAME|REMI|IBAN|EREF|ORDP|BENM)\/([\s\S]*?)(?=\/(?:CNTP|NAME|REMI|IBAN|EREF|ORDP|BENM|ADDR|BIC|MARF|CSID|RTRN|PURP|ULTC|ULTD|SVCL|ISDT|FX|CHGS|EXCH)\/|$)/g;
+      let match;
+      while ((match = pattern.exec(compact)) !== null) {
+        tags[match[1]] = match[2];
+      }
+      // /CNTP/IBAN/BIC/NAME/CITY/ holds the counterparty in positional slots
+      const counterparty = tags.CNTP ? tags.CNTP.split('/') : [];
+      return {
+        counterparty: (counterparty[2] || tags.NAME || '').trim(),
+        counterpartyIban: (counterparty[0] || tags.IBAN || '').trim(),
+        remittance: (tags.REMI || '').replace(/^USTD\/\/?|^STRD\/[^/]*\/[^/]*\//, '').replace(/\/+$/, '').trim(),
+        bookingText: ''
+      };
+    }
+
+    return { counterparty: '', counterpartyIban: '', remittance: value.replace(/\s*\r?\n\s*/g, ' ').trim(), bookingText: '' };
+  }
+
+  // Public API
+  return {
+    /**
+     * Splits MT940 text into tagged fields. SWIFT block headers ("{1:...}{2:...}{4:") and
+     * trailers ("-}") are dropped; continuation lines belong to the field above them.
+     * @param {string} text - The MT940 file content.
+     * @returns {Array<{tag: string, value: string}>} The fields in file order.
+     * @memberof FinancialPlanner.Mt940Importer
+     */
+    parseFields: function(text) {
+      const fields = [];
+      String(text)
+        .replace(/\{[1-3]:[^}]*\}/g, '')
+        .replace(/\{[45]:/g, '')
+        .split(/\r?\n/)
+        .forEach(function(line) {
+          const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+          if (match) {
+            fields.push({ tag: match[1], value: match[2] });
+          } else if (fields.length > 0 && !/^-\}?\s*$/.test(line) && line.trim() !== '') {
+            fields[fields.length - 1].value += '\n' + line;
+          }
+        });
+      return fields;
+    },
+
+    /**
+     * Extracts the statements of an MT940 file.
+     * @param {string} text - The MT940 file content.
+     * @returns {Array<{account: string, statementNumber: string, currency: string,
+     *   transactions: Array<object>, closingBalance: object, availableBalance: object}>}
+     *   One entry per :20: block; transactions carry bookingDate, valueDate, amount,
+     *   ownerReference, bankReference, type, counterparty, counterpartyIban, remittance and bookingText.
+     * @memberof FinancialPlanner.Mt940Importer
+     */
+    getStatements: function(text) {
+      const statements = [];
+      let statement = null;
+      let transaction = null;
+
+      this.parseFields(text).forEach(function(field) {
+        if (field.tag === '20' || !statement) {
+          statement = { account: '', statementNumber: '', currency: '', transactions: [], closingBalance: null, availableBalance: null };
+          statements.push(statement);
+          transaction = null;
+          if (field.tag === '20') return;
+        }
+
+        switch (field.tag) {
+          case '25':
+            statement.account = field.value.trim();
+            break;
+          case '28C':
+            statement.statementNumber = field.value.trim();
+            break;
+          case '60F':
+          case '60M': {
+            const opening = parseBalance(field.value);
+            if (opening) statement.currency = opening.currency;
+            break;
+          }
+          case '61': {
+            const match = STATEMENT_LINE.exec(field.value.trim());
+            if (!match) {
+              transaction = null;
+              break;
+            }
+            const valueDate = parseShortDate(match[1]);
+            let bookingDate = valueDate;
+            if (match[2] && valueDate) {
+              // The entry date has no year: take the value date's, across a year boundary if needed
+              const month = Number(match[2].substring(0, 2)) - 1;
+              let year = valueDate.getFullYear();
+              if (month - valueDate.getMonth() > 6) year--;
+              if (valueDate.getMonth() - month > 6) year++;
+              bookingDate = new Date(year, month, Number(match[2].substring(2)));
+            }
+            const amount = parseAmount(match[5]);
+            const debit = match[3] === 'D' || match[3] === 'RC';
+            transaction = {
+              bookingDate: bookingDate,
+              valueDate: valueDate,
+              amount: debit ? -amount : amount,
+              type: match[6],
+              ownerReference: (match[7] || '').trim(),
+              bankReference: (match[8] || '').trim(),
+              supplementary: (match[9] || '').trim(),
+              counterparty: '',
+              counterpartyIban: '',
+              remittance: '',
+              bookingText: ''
+            };
+            statement.transactions.push(transaction);
+            break;
+          }
+          case '86':
+            if (transaction) {
+              Object.assign(transaction, parseInformation(field.value));
+            }
+            break;
+          case '62F':
+          case '62M':
+            statement.closingBalance = parseBalance(field.value) || statement.closingBalance;
+            break;
+          case '64':
+            statement.availableBalance = parseBalance(field.value);
+            break;
+          default:
+            break;
+        }
+      });
+
+      return statements.filter(function(candidate) {
+        return candidate.account || candidate.transactions.length > 0;
+      });
+    },
+
+    /**
+     * Maps an MT940 file to ledger records and account balances.
+     * MT940 references are not reliably unique ("NONREF"), so the id is a content id from
+     * account, booking date, amount and :86: text, plus an occurrence count for identical lines.
+     * @param {string} text - The MT940 file content.
+     * @param {{account: string}} [options] - `account` overrides the account name (otherwise the :25: account).
+     * @returns {{records: Array<object>, balances: Array<object>, skipped: number}} The import data.
+     * @memberof FinancialPlanner.Mt940Importer
+     */
+    toRecords: function(text, options) {
+      const accountOverride = options && options.account ? String(options.account).trim() : '';
+      const normalizer = FinancialPlanner.TransactionNormalizer;
+      const source = FinancialPlanner.Config.getSection('LEDGER').SOURCES.MT940;
+      const records = [];
+      const balances = [];
+      const occurrences = {};
+      let skipped = 0;
+
+      this.getStatements(text).forEach(function(statement) {
+        const account = accountOverride || statement.account;
+
+        statement.transactions.forEach(function(transaction) {
+          if (!transaction.bookingDate || isNaN(transaction.amount)) {
+            skipped++;
+            return;
+          }
+
+          const key = [statement.account, transaction.bookingDate.getTime(), transaction.amount.toFixed(2),
+            transaction.counterparty, transaction.remittance].join('|');
+          occurrences[key] = (occurrences[key] || 0) + 1;
+
+          records.push(normalizer.createRecord({
+            date: transaction.bookingDate,
+            valueDate: transaction.valueDate || '',
+            description: transaction.remittance || transaction.counterparty || transaction.bookingText,
+            amount: Math.round(transaction.amount * 100) / 100,
+            merchant: transaction.counterparty,
+            counterpartyIban: transaction.counterpartyIban,
+            account: account,
+            source: source,
+            providerCategory: transaction.bookingText || transaction.type,
+            id: normalizer.createContentId('mt940', key + '|' + occurrences[key])
+          }));
+        });
+
+        if (statement.closingBalance || statement.availableBalance) {
+          const dated = statement.closingBalance || statement.availableBalance;
+          balances.push({
+            account: account,
+            source: source,
+            currency: dated.currency || statement.currency,
+            ledgerBalance: statement.closingBalance ? statement.closingBalance.amount : '',
+            availableBalance: statement.availableBalance ? statement.availableBalance.amount : '',
+            balanceDate: dated.date || ''
+          });
+        }
+      });
+
+      return { records: records, balances: balances, skipped: skipped };
+    },
+
+    /**
+     * Imports an MT940 file into the ledger, records its balances and marks lines
+     * SaltEdge already imported as duplicates.
+     * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+     * @returns {{added: number, updated: number, skipped: number, balances: number, duplicates: number}} The import outcome.
+     * @memberof FinancialPlanner.Mt940Importer
+     */
+    importMt940: function(request) {
+      const sources = FinancialPlanner.Config.getSection('LEDGER').SOURCES;
+      const result = this.toRecords(FinancialPlanner.Utils.readImportText(request, request.encoding), request);
+      if (result.records.length === 0 && result.balances.length === 0) {
+        throw FinancialPlanner.ErrorService.create('The file contains no MT940 statement lines or balances', { severity: 'low' });
+      }
+
+      const upsert = FinancialPlanner.LedgerService.importRecords(result.records, sources.MT940);
+      FinancialPlanner.AccountBalanceService.upsert(result.balances);
+      const dedup = FinancialPlanner.DeduplicationService.markImported(result.records, sources.SALTEDGE);
+
+      Logger.log('MT940 import: ' + upsert.added + ' added, ' + upsert.updated + ' updated, ' +
+                 result.skipped + ' skipped, ' + dedup.marked + ' duplicates of SaltEdge');
+      return {
+        added: upsert.added,
+        updated: upsert.updated,
+        skipped: result.skipped,
+        balances: result.balances.length,
+        duplicates: dedup.marked
+      };
+    }
+  };
+})();
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview OFX Importer - Imports OFX/QFX statement files into the ledger.
+ * Handles both OFX 1.x (SGML, where leaf elements have no end tag) and OFX 2.x (XML).
+ * Bank, credit card and brokerage statements are read; every STMTTRN becomes a ledger
+ * record keyed by its FITID, and LEDGERBAL/AVAILBAL feed the Account Balances sheet.
+ * @module services/ofx-importer
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * OFX Importer - Parses OFX/QFX statements and imports them into the ledger.
+ * @namespace FinancialPlanner.OfxImporter
+ */
+FinancialPlanner.OfxImporter = (function() {
+  /**
+   * @const {Object<string, string>} STATEMENT_ACCOUNTS
+   * @private
+   * @description Statement response aggregates and the aggregate holding their account.
+   */
+  const STATEMENT_ACCOUNTS = {
+    STMTRS: 'BANKACCTFROM',
+    CCSTMTRS: 'CCACCTFROM',
+    INVSTMTRS: 'INVACCTFROM'
+  };
+
+  /**
+   * @const {Object<string, string>} ENTITIES
+   * @private
+   * @description Named character entities that occur in OFX values.
+   */
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  /**
+   * Decodes character entities in an element value.
+   * @private
+   * @param {string} value - The raw value.
+   * @returns {string} The decoded value.
+   */
+  function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(entity, name) {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+        return String.fromCharCode(code);
+      }
+      return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : entity;
+    });
+  }
+
+  /**
+   * Returns the first descendant element with the given name (depth first).
+   * @private
+   * @param {object} node - The element to search.
+   * @param {string} name - The element name.
+   * @returns {object|null} The element, or null.
+   */
+  function findFirst(node, name) {
+    for (let i = 0; i < node.children.length; i++) {
+      const child = node.children[i];
+      if (child.name === name) return child;
+      const found = findFirst(child, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Returns every descendant element with the given name, in document order.
+   * Matching elements are not searched further.
+   * @private
+   * @param {object} node - The element to search.
+   * @param {string} name - The element name.
+   * @param {Array<object>} [found] - Accumulator.
+   * @returns {Array<object>} The elements.
+   */
+  function findAll(node, name, found) {
+    const result = found || [];
+    node.children.forEach(function(child) {
+      if (child.name === name) {
+        result.push(child);
+      } else {
+        findAll(child, name, result);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Returns the value of the first descendant leaf element with the given name.
+   * @private
+   * @param {object|null} node - The element to search.
+   * @param {string} name - The element name.
+   * @returns {string} The value, or an empty string.
+   */
+  function valueOf(node, name) {
+    const element = node ? findFirst(node, name) : null;
+    return element && element.value !== undefined ? element.value : '';
+  }
+
+  /**
+   * Parses an OFX amount. Some banks write a decimal comma.
+   * @private
+   * @param {string} value - The amount value.
+   * @returns {number} The amount, or NaN.
+   */
+  function parseAmount(value) {
+    return parseFloat(String(value).replace(',', '.'));
+  }
+
+  /**
+   * Reads a LEDGERBAL or AVAILBAL aggregate.
+   * @private
+   * @param {object} statement - The statement response element.
+   * @param {string} name - The balance aggregate name.
+   * @returns {{amount: number, date: Date}|null} The balance, or null if absent.
+   */
+  function readBalance(statement, name) {
+    const element = findFirst(statement, name);
+    if (!element) return null;
+    const amount = parseAmount(valueOf(element, 'BALAMT'));
+    return isNaN(amount) ? null : { amount: amount, date: FinancialPlanner.OfxImporter.parseDate(valueOf(element, 'DTASOF')) };
+  }
+
+  // Public API
+  return {
+    /**
+     * Parses OFX text (SGML or XML) into an element tree. The header block before `<OFX>`
+     * is ignored. An element followed by text is a leaf whose end tag is optional; any other
+     * element is an aggregate that ends at its end tag.
+     * @param {string} text - The OFX file content.
+     * @returns {{name: string, children: Array<object>}} The root element; leaves carry a `value`.
+     * @throws {Error} If the text contains no OFX element.
+     * @memberof FinancialPlanner.OfxImporter
+     */
+    parse: function(text) {
+      const input = String(text);
+      const start = input.search(/<OFX>/i);
+      if (start === -1) {
+        throw FinancialPlanner.ErrorService.create('The file is not an OFX/QFX statement (no <OFX> element)', { severity: 'low' });
+      }
+
+      const body = input.substring(start);
+      const tokens = [];
+      const tokenPattern = /<(\/?)([A-Za-z0-9.]+)[^>]*?(\/?)>|([^<]+)/g;
+      let match;
+      while ((match = tokenPattern.exec(body)) !== null) {
+        if (match[2]) {
+          tokens.push({ close: match[1] === '/', empty: match[3] === '/', name: match[2].toUpperCase() });
+        } else if (match[4].trim() !== '') {
+          tokens.push({ text: match[4].trim() });
+        }
+      }
+
+      const root = { name: '', children: [] };
+      const stack = [root];
+      for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const parent = stack[stack.length - 1];
+        if (token.text !== undefined) {
+          continue; // Stray text outside a leaf
+        }
+        if (!token.close) {
+          const element = { name: token.name, children: [] };
+          parent.children.push(element);
+          if (token.empty) {
+            element.value = '';
+          } else if (tokens[i + 1] && tokens[i + 1].text !== undefined) {
+            element.value = decodeEntities(tokens[i + 1].text);
+            i++;
+            if (tokens[i + 1] && tokens[i + 1].close && tokens[i + 1].name === token.name) i++;
+          } else {
+            stack.push(element);
+          }
+          continue;
+        }
+        // Close the aggregate, and any unclosed ones inside it
+        for (let depth = stack.length - 1; depth > 0; depth--) {
+          if (stack[depth].name === token.name) {
+            stack.length = depth;
+            break;
+          }
+        }
+      }
+      return root;
+    },
+
+    /**
+     * Parses an OFX date ("YYYYMMDD", optionally followed by time, fraction and a time zone
+     * such as "[-5:EST]") as a local calendar date; the time of day is dropped.
+     * @param {string} value - The OFX date.
+     * @returns {Date|null} The date, or null if the value is not a valid date.
+     * @memberof FinancialPlanner.OfxImporter
+     */
+    parseDate: function(value) {
+      const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+      if (!match) return null;
+      const year = Number(match[1]);
+      const month = Number(match[2]) - 1;
+      const day = Number(match[3]);
+      const date = new Date(year, month, day);
+      return date.getMonth() === month && date.getDate() === day ? date : null;
+    },
+
+    /**
+     * Extracts the statements of an OFX file.
+     * @param {string} text - The OFX file content.
+     * @returns {Array<{type: string, accountId: string, bankId: string, accountType: string,
+     *   currency: string, transactions: Array<object>, ledgerBalance: object, availableBalance: object}>}
+     *   One entry per statement; transactions carry fitId, type, date, amount, name, memo and checkNumber.
+     * @memberof FinancialPlanner.OfxImporter
+     */
+    getStatements: function(text) {
+      const self = this;
+      const root = this.parse(text);
+      const statements = [];
+
+      Object.keys(STATEMENT_ACCOUNTS).forEach(function(type) {
+        findAll(root, type).forEach(function(statement) {
+          const account = findFirst(statement, STATEMENT_ACCOUNTS[type]);
+          statements.push({
+            type: type,
+            accountId: valueOf(account, 'ACCTID'),
+            bankId: valueOf(account, 'BANKID') || valueOf(account, 'BROKERID'),
+            accountType: valueOf(account, 'ACCTTYPE') || (type === 'CCSTMTRS' ? 'CREDITCARD' : ''),
+            currency: valueOf(statement, 'CURDEF'),
+            transactions: findAll(statement, 'STMTTRN').map(function(transaction) {
+              const payee = findFirst(transaction, 'PAYEE');
+              return {
+                fitId: valueOf(transaction, 'FITID'),
+                type: valueOf(transaction, 'TRNTYPE'),
+                date: self.parseDate(valueOf(transaction, 'DTPOSTED') || valueOf(transaction, 'DTUSER')),
+                amount: parseAmount(valueOf(transaction, 'TRNAMT')),
+                name: valueOf(transaction, 'NAME') || valueOf(payee, 'NAME'),
+                memo: valueOf(transaction, 'MEMO'),
+                checkNumber: valueOf(transaction, 'CHECKNUM')
+              };
+            }),
+            ledgerBalance: readBalance(statement, 'LEDGERBAL'),
+            availableBalance: readBalance(statement, 'AVAILBAL')
+          });
+        });
+      });
+      return statements;
+    },
+
+    /**
+     * Maps an OFX file to ledger records and account balances.
+     * FITIDs are only unique within an account, so the record id is "<ACCTID>:<FITID>".
+     * The OFX sign convention (negative debits) already matches the ledger. Transactions
+     * without a FITID, date or amount are counted as skipped.
+     * @param {string} text - The OFX file content.
+     * @param {{account: string}} [options] - `account` overrides the account name
+     *   (otherwise the ACCTID); only sensible for single-account files.
+     * @returns {{records: Array<object>, balances: Array<object>, skipped: number}} The import data.
+     * @memberof FinancialPlanner.OfxImporter
+     */
+    toRecords: function(text, options) {
+      const accountOverride = options && options.account ? String(options.account).trim() : '';
+      const source = FinancialPlanner.Config.getSection('LEDGER').SOURCES.OFX;
+      const records = [];
+      const balances = [];
+      let skipped = 0;
+
+      this.getStatements(text).forEach(function(statement) {
+        const account = accountOverride || statement.accountId;
+
+        statement.transactions.forEach(function(transaction) {
+          if (!transaction.fitId || !transaction.date || isNaN(transaction.amount)) {
+            skipped++;
+            return;
+          }
+          const memo = transaction.memo && transaction.memo !== transaction.name ? transaction.memo : '';
+          records.push(FinancialPlanner.TransactionNormalizer.createRecord({
+            date: transaction.date,
+            description: [transaction.name, memo].filter(Boolean).join(' - ') || transaction.type,
+            amount: Math.round(transaction.amount * 100) / 100,
+            merchant: transaction.name,
+            account: account,
+            source: source,
+            providerCategory: transaction.type,
+            providerDetail: transaction.checkNumber ? 'Check ' + transaction.checkNumber : '',
+            id: statement.accountId + ':' + transaction.fitId
+          }));
+        });
+
+        if (statement.ledgerBalance || statement.availableBalance) {
+          const dated = statement.ledgerBalance || statement.availableBalance;
+          balances.push({
+            account: account,
+            source: source,
+            currency: statement.currency,
+            ledgerBalance: statement.ledgerBalance ? statement.ledgerBalance.amount : '',
+            availableBalance: statement.availableBalance ? statement.availableBalance.amount : '',
+            balanceDate: dated.date || ''
+          });
+        }
+      });
+
+      return { records: records, balances: balances, skipped: skipped };
+    },
+
+    /**
+     * Imports an OFX/QFX file into the ledger and records its balances.
+     * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+     * @returns {{added: number, updated: number, skipped: number, balances: number}} The import outcome.
+     * @memberof FinancialPlanner.OfxImporter
+     */
+    importOfx: function(request) {
+      const result = this.toRecords(FinancialPlanner.Utils.readImportText(request, request.encoding), request);
+      if (result.records.length === 0 && result.balances.length === 0) {
+        throw FinancialPlanner.ErrorService.create('The OFX file contains no transactions or balances', { severity: 'low' });
+      }
+
+      const upsert = FinancialPlanner.LedgerService.importRecords(
+        result.records,
+        FinancialPlanner.Config.getSection('LEDGER').SOURCES.OFX
+      );
+      FinancialPlanner.AccountBalanceService.upsert(result.balances);
+
+      Logger.log('OFX import: ' + upsert.added + ' added, ' + upsert.updated + ' updated, ' +
+                 result.skipped + ' skipped, ' + result.balances.length + ' balances');
+      return { added: upsert.added, updated: upsert.updated, skipped: result.skipped, balances: result.balances.length };
+    }
+  };
+})();
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Period Service for Financial Planning Tools.
+ * Resolves the reporting window of the Overview (a calendar year, a fiscal year with a
+ * configurable start month, or the last N months) into its month columns, headers and
+ * sheet layout, so the Overview and everything reading it agree on one set of columns.
+ * @module services/period-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Period Service - Resolves the Overview's reporting window.
+ * @namespace FinancialPlanner.PeriodService
+ */
+FinancialPlanner.PeriodService = (function() {
+  /**
+   * @const {string[]} MONTH_NAMES
+   * @private
+   * @description Month names; the Overview headers use their first three letters ("Jan-24").
+   */
+  const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+  ];
+
+  /**
+   * @const {number} FIRST_MONTH_COLUMN
+   * @private
+   * @description 1-based column of the first month; Type, Category, Sub-Category and Shared? come before it.
+   */
+  const FIRST_MONTH_COLUMN = 5;
+
+  /**
+   * Clamps a value to a whole number within bounds, falling back when it is not numeric.
+   * @private
+   * @param {*} value - The value.
+   * @param {number} min - The lower bound.
+   * @param {number} max - The upper bound.
+   * @param {number} fallback - The value used when `value` is not a number.
+   * @returns {number} The clamped whole number.
+   */
+  function clamp(value, min, max, fallback) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed)) return fallback;
+    return Math.min(max, Math.max(min, parsed));
+  }
+
+  // Public API
+  return {
+    /**
+     * Formats a month as an Overview header, e.g. "Jan-24".
+     * @param {Date} date - Any date in the month.
+     * @returns {string} The header label.
+     * @memberof FinancialPlanner.PeriodService
+     */
+    getMonthLabel: function(date) {
+      return MONTH_NAMES[date.getMonth()].substring(0, 3) + '-' + String(date.getFullYear()).slice(-2);
+    },
+
+    /**
+     * Returns the month names, January first, as offered by the fiscal year start selector.
+     * @returns {string[]} The twelve month names.
+     * @memberof FinancialPlanner.PeriodService
+     */
+    getMonthNames: function() {
+      return MONTH_NAMES.slice();
+    },
+
+    /**
+     * Resolves period settings into the months of the window.
+     * Calendar and fiscal years are named by the year they start in; a rolling window
+     * ends with the month of `today`. The prior-year window is the same months one year earlier.
+     * @param {{mode: string, year: number, fiscalStartMonth: number, rollingMonths: number, compareYoY: boolean}} settings -
+     *   The period settings (see `SettingsService.getOverviewPeriod`); missing or invalid values
+     *   fall back to `OVERVIEW_PERIOD` defaults.
+     * @param {Date} [today=new Date()] - The reference date.
+     * @returns {{mode: string, year: number, fiscalStartMonth: number, rollingMonths: number, compare: boolean,
+     *   months: Date[], startDate: Date, endDate: Date, priorStartDate: Date, priorEndDate: Date, label: string}}
+     *   The period: the validated settings, the first day of each month, the first and last day of the
+     *   window and of the prior-year window, and a display label.
+     * @memberof FinancialPlanner.PeriodService
+     */
+    resolve: function(settings, today) {
+      const periodConfig = FinancialPlanner.Config.getSection('OVERVIEW_PERIOD');
+      const modes = periodConfig.MODES;
+      const s = settings || {};
+      const now = today || new Date();
+      const mode = [modes.CALENDAR, modes.FISCAL, modes.ROLLING].indexOf(s.mode) !== -1 ? s.mode : periodConfig.DEFAULT_MODE;
+      const year = clamp(s.year, 1900, 9999, now.getFullYear());
+      const fiscalStartMonth = clamp(s.fiscalStartMonth, 1, 12, periodConfig.FISCAL_START_MONTH);
+      const rollingMonths = clamp(s.rollingMonths, 1, periodConfig.MAX_ROLLING_MONTHS, periodConfig.ROLLING_MONTHS);
+
+      let first;
+      let count = 12;
+      let label;
+      if (mode === modes.ROLLING) {
+        count = rollingMonths;
+        first = new Date(now.getFullYear(), now.getMonth() - count + 1, 1);
+        label = 'Last ' + count + ' months';
+      } else if (mode === modes.FISCAL) {
+        first = new Date(year, fiscalStartMonth - 1, 1);
+        label = fiscalStartMonth === 1 ? 'FY ' + year : 'FY ' + year + '/' + String(year + 1).slice(-2);
+      } else {
+        first = new Date(year, 0, 1);
+        label = String(year);
+      }
+
+      const months = [];
+      for (let i = 0; i < count; i++) {
+        months.push(new Date(first.getFullYear(), first.getMonth() + i, 1));
+      }
+
+      return {
+        mode: mode,
+        year: year,
+        fiscalStartMonth: fiscalStartMonth,
+        rollingMonths: rollingMonths,
+        compare: s.compareYoY === true,
+        months: months,
+        startDate: months[0],
+        endDate: new Date(first.getFullYear(), first.getMonth() + count, 0),
+        priorStartDate: new Date(first.getFullYear() - 1, first.getMonth(), 1),
+        priorEndDate: new Date(first.getFullYear() - 1, first.getMonth() + count, 0),
+        label: label
+      };
+    },
+
+    /**
+     * Resolves the period currently selected for the Overview.
+     * @returns {object} The period (see `resolve`).
+     * @memberof FinancialPlanner.PeriodService
+     */
+    getCurrent: function() {
+      return this.resolve(FinancialPlanner.SettingsService.getOverviewPeriod(), new Date());
+    },
+
+    /**
+     * Builds the Overview header row for a period.
+     * @param {{months: Date[], compare: boolean}} period - The period.
+     * @returns {string[]} The leading headers, one header per month, the summary headers and,
+     *   when comparing, the year-over-year headers.
+     * @memberof FinancialPlanner.PeriodService
+     */
+    getHeaders: function(period) {
+      const headers = FinancialPlanner.Config.getSection('HEADERS');
+      return headers.LEADING
+        .concat(period.months.map(this.getMonthLabel))
+        .concat(headers.TRAILING)
+        .concat(period.compare ? headers.COMPARISON : []);
+    },
+
+    /**
+     * Returns the 1-based Overview column positions for a period.
+     * @param {{months: Date[], compare: boolean}} period - The period.
+     * @returns {{firstMonthColumn: number, lastMonthColumn: number, totalColumn: number, averageColumn: number,
+     *   priorTotalColumn: (number|null), changeColumn: (number|null), percentChangeColumn: (number|null),
+     *   lastAdditiveColumn: number, lastColumn: number}} The column numbers; the year-over-year columns are
+     *   null unless comparing. Columns up to `lastAdditiveColumn` can be summed across rows.
+     * @memberof FinancialPlanner.PeriodService
+     */
+    getLayout: function(period) {
+      const lastMonthColumn = FIRST_MONTH_COLUMN + period.months.length - 1;
+      const averageColumn = lastMonthColumn + 2;
+      return {
+        firstMonthColumn: FIRST_MONTH_COLUMN,
+        lastMonthColumn: lastMonthColumn,
+        totalColumn: lastMonthColumn + 1,
+        averageColumn: averageColumn,
+        priorTotalColumn: period.compare ? averageColumn + 1 : null,
+        changeColumn: period.compare ? averageColumn + 2 : null,
+        percentChangeColumn: period.compare ? averageColumn + 3 : null,
+        lastAdditiveColumn: period.compare ? averageColumn + 2 : averageColumn,
+        lastColumn: period.compare ? averageColumn + 3 : averageColumn
+      };
+    },
+
+    /**
+     * Locates the month, Total and Average columns in an existing Overview header row.
+     * Lets readers of the Overview follow whatever window it was generated for.
+     * @param {Array<*>} headerRow - The first row of the Overview sheet.
+     * @returns {object} The column numbers (see `getLayout`); falls back to the twelve-month layout
+     *   if the summary headers are missing.
+     * @memberof FinancialPlanner.PeriodService
+     */
+    findLayout: function(headerRow) {
+      const headers = FinancialPlanner.Config.getSection('HEADERS');
+      const totalIndex = headerRow.indexOf(headers.TRAILING[0]);
+      const months = totalIndex > FIRST_MONTH_COLUMN - 1 ? totalIndex - (FIRST_MONTH_COLUMN - 1) : 12;
+      return this.getLayout({ months: new Array(months), compare: headerRow.indexOf(headers.COMPARISON[0]) !== -1 });
+    },
+
+    /**
+     * Reads the months of an existing Overview header row back from their labels.
+     * @param {Array<*>} headerRow - The first row of the Overview sheet.
+     * @returns {Date[]} The first day of each month column; labels that are not "Mmm-yy" are skipped.
+     * @memberof FinancialPlanner.PeriodService
+     */
+    findMonths: function(headerRow) {
+      const layout = this.findLayout(headerRow);
+      const shortNames = MONTH_NAMES.map(function(name) { return name.substring(0, 3); });
+      const months = [];
+      for (let column = layout.firstMonthColumn; column <= layout.lastMonthColumn; column++) {
+        const match = /^([A-Za-z]{3})-(\d{2})$/.exec(String(headerRow[column - 1] || ''));
+        const month = match ? shortNames.indexOf(match[1]) : -1;
+        if (month !== -1) months.push(new Date(2000 + parseInt(match[2], 10), month, 1));
+      }
+      return months;
+    }
+  };
+})();
@@ -158,154 +158,53 @@ FinancialPlanner.PlaidTransactions = (function() {
     },
 
     /**
-     * Imports Plaid transaction sync results to the Transactions sheet.
-     * Handles added, modified, and removed transactions with dynamic column creation.
+     * Imports Plaid transaction sync results.
+     * Added and modified transactions are normalized into the canonical ledger schema,
+     * categorized via the Categorization Rules and Category Mappings sheets and upserted into
+     * the Transactions sheet;
+     * removed transactions are deleted from the ledger.
+     * The untouched Plaid payload is kept in the raw sheet for reference.
      * @param {object} syncResults - Sync results with added, modified, and removed arrays.
      * @returns {number} Number of transactions processed.
      * @memberof FinancialPlanner.PlaidTransactions
      */
     importToSheet: function(syncResults) {
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const sheetNames = FinancialPlanner.Config.getSheetNames();
-      let transactionSheet = ss.getSheetByName(sheetNames.TRANSACTIONS);
+      const added = syncResults.added || [];
+      const modified = syncResults.modified || [];
+      const removed = syncResults.removed || [];
       
-      // Combine all transactions to check if there's anything to process
-      const allTransactions = [].concat(syncResults.added || [], syncResults.modified || []);
-      
-      if (allTransactions.length === 0 && (!syncResults.removed || syncResults.removed.length === 0)) {
+      if (added.length === 0 && modified.length === 0 && removed.length === 0) {
         Logger.log('No transactions to process');
         return 0;
       }
       
-      Logger.log('Processing sync results: ' + 
-                 (syncResults.added ? syncResults.added.length : 0) + ' added, ' +
-                 (syncResults.modified ? syncResults.modified.length : 0) + ' modified, ' +
-                 (syncResults.removed ? syncResults.removed.length : 0) + ' removed');
-      
-      // Get or create headers from first transaction
-      let headers;
-      if (!transactionSheet || transactionSheet.getLastRow() === 0) {
-        // New sheet - create headers dynamically from first transaction
-        if (allTransactions.length > 0) {
-          const firstTx = allTransactions[0];
-          const flattened = FinancialPlanner.PlaidClient.flattenObject(firstTx);
-          headers = Object.keys(flattened);
-          headers.push('deleted'); // Add deleted flag column
-          
-          Logger.log('Creating new sheet with ' + headers.length + ' dynamic columns');
-          
-          if (!transactionSheet) {
-            transactionSheet = ss.insertSheet(sheetNames.TRANSACTIONS);
-          }
-          transactionSheet.getRange(1, 1, 1, headers.length)
-            .setValues([headers])
-            .setFontWeight('bold');
-        } else {
-          Logger.log('No transactions to create headers from');
-          return 0;
-        }
-      } else {
-        // Existing sheet - use existing headers
-        headers = transactionSheet.getRange(1, 1, 1, transactionSheet.getLastColumn()).getValues()[0];
-        Logger.log('Using existing headers: ' + headers.length + ' columns');
-      }
-      
-      const txIdIndex = headers.indexOf('transaction_id');
-      
-      if (txIdIndex === -1) {
-        throw FinancialPlanner.ErrorService.create(
-          'transaction_id column not found in sheet headers',
-          { severity: 'high' }
-        );
-      }
-      
-      // Process added transactions (simple append)
-      if (syncResults.added && syncResults.added.length > 0) {
-        Logger.log('Adding ' + syncResults.added.length + ' new transactions');
-        
-        const addedRows = syncResults.added.map(function(tx) {
-          const flattened = FinancialPlanner.PlaidClient.flattenObject(tx);
-          return headers.map(function(header) {
-            if (header === 'deleted') {
-              return false;
-            }
-            const value = flattened[header];
-            // Parse date fields
-            if ((header.includes('date') || header.includes('datetime')) && value) {
-              return new Date(value);
-            }
-            return FinancialPlanner.PlaidClient.safeValue(value, '');
-          });
-        });
-        
-        const lastRow = transactionSheet.getLastRow();
-        transactionSheet.getRange(lastRow + 1, 1, addedRows.length, headers.length)
-          .setValues(addedRows);
-        Logger.log('Added transactions at row ' + (lastRow + 1));
-      }
-      
-      // Process modified and removed transactions (single sheet scan for efficiency)
-      if ((syncResults.modified && syncResults.modified.length > 0) || 
-          (syncResults.removed && syncResults.removed.length > 0)) {
-        
-        Logger.log('Processing ' + 
-                   (syncResults.modified ? syncResults.modified.length : 0) + ' modified and ' +
-                   (syncResults.removed ? syncResults.removed.length : 0) + ' removed transactions');
-        
-        const data = transactionSheet.getDataRange().getValues();
-        const modifiedMap = {};
-        const removedSet = new Set();
-        
-        // Build lookup maps
-        if (syncResults.modified) {
-          syncResults.modified.forEach(function(tx) {
-            modifiedMap[tx.transaction_id] = tx;
-          });
-        }
-        
-        if (syncResults.removed) {
-          syncResults.removed.forEach(function(tx) {
-            removedSet.add(tx.transaction_id);
-          });
-        }
-        
-        // Single pass through sheet to update rows
-        for (let i = 1; i < data.length; i++) {
-          const rowTxId = data[i][txIdIndex];
-          
-          // Update modified transactions
-          if (modifiedMap[rowTxId]) {
-            const tx = modifiedMap[rowTxId];
-            const flattened = FinancialPlanner.PlaidClient.flattenObject(tx);
-            const rowData = headers.map(function(header) {
-              if (header === 'deleted') {
-                return false; // Reset deleted flag for modified transactions
-              }
-              const value = flattened[header];
-              if ((header.includes('date') || header.includes('datetime')) && value) {
-                return new Date(value);
-              }
-              return FinancialPlanner.PlaidClient.safeValue(value, '');
-            });
-            transactionSheet.getRange(i + 1, 1, 1, headers.length).setValues([rowData]);
-          }
-          
-          // Mark removed transactions
-          if (removedSet.has(rowTxId)) {
-            const deletedColIndex = headers.indexOf('deleted') + 1;
-            if (deletedColIndex > 0) {
-              transactionSheet.getRange(i + 1, deletedColIndex).setValue(true);
-            }
-          }
-        }
-        
-        Logger.log('Updated existing transactions');
-      }
+      Logger.log('Processing sync results: ' + added.length + ' added, ' +
+                 modified.length + ' modified, ' + removed.length + ' removed');
       
-      const totalProcessed = (syncResults.added ? syncResults.added.length : 0) +
-                             (syncResults.modified ? syncResults.modified.length : 0) +
-                             (syncResults.removed ? syncResults.removed.length : 0);
+      const records = added.concat(modified).map(function(tx) {
+        return FinancialPlanner.TransactionNormalizer.fromPlaid(tx);
+      });
+      const removedIds = removed.map(function(tx) {
+        return tx.transaction_id;
+      });
+      FinancialPlanner.LedgerService.importRecords(
+        records,
+        FinancialPlanner.Config.getSection('LEDGER').SOURCES.PLAID
+      );
+      FinancialPlanner.LedgerService.removeByIds(
+        FinancialPlanner.Config.getSection('LEDGER').SOURCES.PLAID,
+        removedIds
+      );
+      FinancialPlanner.LedgerService.writeRawPayloads(
+        FinancialPlanner.Config.getSheetNames().PLAID_RAW,
+        'transaction_id',
+        added.concat(modified).map(function(tx) {
+          return FinancialPlanner.PlaidClient.flattenObject(tx);
+        }),
+        removedIds
+      );
       
+      const totalProcessed = added.length + modified.length + removed.length;
       Logger.log('Successfully processed ' + totalProcessed + ' transactions');
       return totalProcessed;
     }
@@ -0,0 +1,442 @@
+/**
+ * @fileoverview QIF Service - Reads and writes Quicken Interchange Format files.
+ * Desktop finance tools hold years of history that only leaves them as QIF. The reader
+ * imports bank, cash and credit card registers (including split transactions) into the
+ * ledger, mapping "Category:Sub-Category" paths to the ledger columns; the writer exports a
+ * filtered slice of the Transactions sheet in the same layout so the data can round-trip.
+ * The ledger Type travels as the QIF class ("Food:Groceries/Essentials").
+ * @module services/qif-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * QIF Service - QIF import and export.
+ * @namespace FinancialPlanner.QifService
+ */
+FinancialPlanner.QifService = (function() {
+  /**
+   * @const {string[]} REGISTER_TYPES
+   * @private
+   * @description QIF section types holding cash-account transactions. Investment, memorized,
+   * category and class lists are skipped.
+   */
+  const REGISTER_TYPES = ['Bank', 'Cash', 'CCard', 'Oth A', 'Oth L'];
+
+  /**
+   * Creates an empty transaction as collected from QIF lines.
+   * @private
+   * @returns {object} The transaction.
+   */
+  function createTransaction() {
+    return { date: '', amount: '', payee: '', memo: '', category: '', checkNumber: '', cleared: '', splits: [] };
+  }
+
+  /**
+   * Splits a QIF category field into its category path and class.
+   * @private
+   * @param {string} value - The L or S field, e.g. "Food:Groceries/Essentials" or "[Savings]".
+   * @returns {{path: string, category: string, subcategory: string, className: string, transfer: string}}
+   *   The parts; `transfer` holds the account name of a "[Account]" transfer.
+   */
+  function splitCategory(value) {
+    const raw = String(value || '').trim();
+    const slash = raw.indexOf('/');
+    const path = slash === -1 ? raw : raw.substring(0, slash);
+    const className = slash === -1 ? '' : raw.substring(slash + 1);
+    const transfer = /^\[(.*)\]$/.exec(path);
+    if (transfer) {
+      return { path: path, category: '', subcategory: '', className: className, transfer: transfer[1] };
+    }
+    const parts = path.split(':');
+    return {
+      path: path,
+      category: parts[0] || '',
+      subcategory: parts.slice(1).join(':'),
+      className: className,
+      transfer: ''
+    };
+  }
+
+  /**
+   * Pads a number to two digits.
+   * @private
+   * @param {number} value - The number.
+   * @returns {string} The padded number.
+   */
+  function pad(value) {
+    return String(value).padStart(2, '0');
+  }
+
+  /**
+   * Makes a value safe for a single QIF line.
+   * @private
+   * @param {*} value - The value.
+   * @returns {string} The value without line breaks.
+   */
+  function clean(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+  }
+
+  /**
+   * Converts a date filter value (Date or "YYYY-MM-DD" from a date input) to a local date.
+   * @private
+   * @param {Date|string} value - The filter value.
+   * @returns {Date|null} The date, or null when not set.
+   */
+  function toFilterDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    const date = FinancialPlanner.TransactionNormalizer.parseDate(String(value));
+    return date instanceof Date ? date : null;
+  }
+
+  // Public API
+  return {
+    /**
+     * Parses QIF text into account registers. `!Account` blocks name the account of the
+     * `!Type:` section that follows; account lists between `!Option:AutoSwitch` and
+     * `!Clear:AutoSwitch` are skipped.
+     * @param {string} text - The QIF file content.
+     * @returns {Array<{account: string, type: string, transactions: Array<object>}>} The registers;
+     *   transactions carry the raw date, amount, payee, memo, category, checkNumber, cleared
+     *   and splits ({category, memo, amount}) fields.
+     * @memberof FinancialPlanner.QifService
+     */
+    parse: function(text) {
+      const registers = [];
+      let register = null;
+      let transaction = createTransaction();
+      let account = null;
+      let accountName = '';
+      let inAccountBlock = false;
+      let autoSwitch = false;
+
+      String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(function(rawLine) {
+        const line = rawLine.replace(/\s+$/, '');
+        if (!line) return;
+
+        if (line[0] === '!') {
+          const header = line.substring(1).trim();
+          if (/^Option:AutoSwitch$/i.test(header)) {
+            autoSwitch = true;
+          } else if (/^Clear:AutoSwitch$/i.test(header)) {
+            autoSwitch = false;
+          } else if (/^Account$/i.test(header)) {
+            inAccountBlock = true;
+            account = { name: '', type: '' };
+          } else if (/^Type:/i.test(header)) {
+            const type = header.substring(5).trim();
+            const known = REGISTER_TYPES.filter(function(candidate) {
+              return candidate.toLowerCase() === type.toLowerCase();
+            })[0];
+            register = known ? { account: accountName, type: known, transactions: [] } : null;
+            if (register) registers.push(register);
+            transaction = createTransaction();
+          }
+          return;
+        }
+
+        const code = line[0];
+        const value = line.substring(1).trim();
+
+        if (inAccountBlock) {
+          if (code === 'N') account.name = value;
+          if (code === 'T') account.type = value;
+          if (code === '^') {
+            inAccountBlock = false;
+            if (!autoSwitch) accountName = account.name;
+          }
+          return;
+        }
+        if (!register) return;
+
+        const lastSplit = transaction.splits[transaction.splits.length - 1];
+        switch (code) {
+          case 'D': transaction.date = value; break;
+          case 'T': transaction.amount = value; break;
+          case 'U': transaction.amount = transaction.amount || value; break;
+          case 'P': transaction.payee = value; break;
+          case 'M': transaction.memo = value; break;
+          case 'L': transaction.category = value; break;
+          case 'N': transaction.checkNumber = value; break;
+          case 'C': transaction.cleared = value; break;
+          case 'S': transaction.splits.push({ category: value, memo: '', amount: '' }); break;
+          case 'E': if (lastSplit) lastSplit.memo = value; break;
+          case '$': if (lastSplit) lastSplit.amount = value; break;
+          case '^':
+            register.transactions.push(transaction);
+            transaction = createTransaction();
+            break;
+          default:
+            break; // A (address), % (split percentage) and unknown codes
+        }
+      });
+
+      return registers;
+    },
+
+    /**
+     * Detects whether QIF dates are month-first (Quicken US) or day-first.
+     * @param {Array<string>} values - Raw D field values.
+     * @returns {string} "DMY" if any value only makes sense day-first or uses dots, otherwise "MDY".
+     * @memberof FinancialPlanner.QifService
+     */
+    detectDateOrder: function(values) {
+      const dayFirst = values.some(function(value) {
+        const parts = String(value).replace(/\s/g, '').split(/[\/.'-]/);
+        return String(value).indexOf('.') !== -1 || (parts.length === 3 && parts[0].length <= 2 && Number(parts[0]) > 12);
+      });
+      return dayFirst ? 'DMY' : 'MDY';
+    },
+
+    /**
+     * Parses a QIF date such as "3/ 1'24", "03/01/2024", "01.03.2024" or "2024-03-01".
+     * An apostrophe before a two-digit year means 20xx; other two-digit years pivot at 70.
+     * @param {string} value - The D field value.
+     * @param {string} [order="MDY"] - "MDY" or "DMY".
+     * @returns {Date|null} The local date, or null if invalid.
+     * @memberof FinancialPlanner.QifService
+     */
+    parseDate: function(value, order) {
+      const raw = String(value || '').replace(/\s/g, '');
+      let year, month, day;
+
+      const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(raw);
+      if (iso) {
+        year = Number(iso[1]);
+        month = Number(iso[2]);
+        day = Number(iso[3]);
+      } else {
+        const match = /^(\d{1,2})[\/.-](\d{1,2})([\/.'-])(\d{2}|\d{4})$/.exec(raw);
+        if (!match) return null;
+        month = Number(order === 'DMY' ? match[2] : match[1]);
+        day = Number(order === 'DMY' ? match[1] : match[2]);
+        year = Number(match[4]);
+        if (match[4].length === 2) {
+          year += match[3] === "'" || year < 70 ? 2000 : 1900;
+        }
+      }
+
+      const date = new Date(year, month - 1, day);
+      return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    },
+
+    /**
+     * Maps QIF text to ledger records. A split transaction becomes one record per split line.
+     * Type comes from the QIF class when it names a ledger type, otherwise from
+     * `options.typeByCategory`. Opening balance entries (a transfer to the register's own
+     * account) and transactions without a valid date or amount are skipped.
+     * @param {string} text - The QIF file content.
+     * @param {{account: string, typeByCategory: Object<string, string>}} [options] - `account`
+     *   names registers that have no `!Account` header (and overrides single-register files).
+     * @returns {{records: Array<object>, skipped: number, dateOrder: string}} The import data.
+     * @memberof FinancialPlanner.QifService
+     */
+    toRecords: function(text, options) {
+      const self = this;
+      const opts = options || {};
+      const normalizer = FinancialPlanner.TransactionNormalizer;
+      const csv = FinancialPlanner.CsvImporter;
+      const source = FinancialPlanner.Config.getSection('LEDGER').SOURCES.QIF;
+      const types = FinancialPlanner.Config.getTransactionTypes();
+      const typeNames = Object.keys(types).map(function(key) {
+        return types[key];
+      });
+      const typeByCategory = opts.typeByCategory || {};
+      const registers = this.parse(text);
+
+      const allTransactions = [];
+      registers.forEach(function(register) {
+        Array.prototype.push.apply(allTransactions, register.transactions);
+      });
+      const dateOrder = this.detectDateOrder(allTransactions.map(function(transaction) {
+        return transaction.date;
+      }));
+      const amounts = [];
+      allTransactions.forEach(function(transaction) {
+        amounts.push(transaction.amount);
+        transaction.splits.forEach(function(split) {
+          amounts.push(split.amount);
+        });
+      });
+      const decimalSeparator = csv.detectDecimalSeparator(amounts.filter(Boolean));
+
+      const records = [];
+      const occurrences = {};
+      let skipped = 0;
+
+      registers.forEach(function(register) {
+        const account = (registers.length === 1 && opts.account) || register.account || opts.account || '';
+
+        register.transactions.forEach(function(transaction) {
+          const date = self.parseDate(transaction.date, dateOrder);
+          const amount = csv.parseAmount(transaction.amount, decimalSeparator);
+          const main = splitCategory(transaction.category);
+          if (!date || isNaN(amount) || (main.transfer && main.transfer === register.account)) {
+            skipped++;
+            return;
+          }
+
+          const key = [account, date.getTime(), amount.toFixed(2), transaction.payee, transaction.memo, transaction.checkNumber].join('|');
+          occurrences[key] = (occurrences[key] || 0) + 1;
+          const id = normalizer.createContentId('qif', key + '|' + occurrences[key]);
+
+          const lines = transaction.splits.length > 0
+            ? transaction.splits.map(function(split) {
+              return { category: split.category, memo: split.memo || transaction.memo, amount: csv.parseAmount(split.amount, decimalSeparator) };
+            })
+            : [{ category: transaction.category, memo: transaction.memo, amount: amount }];
+
+          lines.forEach(function(line, i) {
+            if (isNaN(line.amount)) {
+              skipped++;
+              return;
+            }
+            const category = splitCategory(line.category);
+            const type = typeNames.indexOf(category.className) !== -1
+              ? category.className
+              : (typeByCategory[category.category] || '');
+            records.push(normalizer.createRecord({
+              date: date,
+              description: [transaction.payee, line.memo].filter(Boolean).join(' - '),
+              type: category.category ? type : '',
+              category: category.category,
+              subcategory: category.subcategory,
+              amount: Math.round(line.amount * 100) / 100,
+              merchant: transaction.payee,
+              account: account,
+              source: source,
+              providerCategory: category.path,
+              providerDetail: transaction.checkNumber ? 'Check ' + transaction.checkNumber : '',
+              id: lines.length > 1 ? id + '/' + (i + 1) : id
+            }));
+          });
+        });
+      });
+
+      return { records: records, skipped: skipped, dateOrder: dateOrder };
+    },
+
+    /**
+     * Imports a QIF file into the ledger. Categories the ledger already uses lend their Type
+     * to imported rows that carry no type class.
+     * @param {{text: string, driveFile: string, account: string, encoding: string}} request - The import request.
+     * @returns {{added: number, updated: number, skipped: number}} The import outcome.
+     * @memberof FinancialPlanner.QifService
+     */
+    importQif: function(request) {
+      const typeByCategory = {};
+      FinancialPlanner.LedgerService.getRecords().forEach(function(record) {
+        if (record.type && record.category && !typeByCategory[record.category]) {
+          typeByCategory[record.category] = record.type;
+        }
+      });
+
+      const text = FinancialPlanner.Utils.readImportText(request, request.encoding);
+      const result = this.toRecords(text, { account: request.account, typeByCategory: typeByCategory });
+      if (result.records.length === 0) {
+        throw FinancialPlanner.ErrorService.create('The QIF file contains no bank, cash or credit card transactions', { severity: 'low' });
+      }
+
+      const upsert = FinancialPlanner.LedgerService.importRecords(
+        result.records,
+        FinancialPlanner.Config.getSection('LEDGER').SOURCES.QIF
+      );
+      Logger.log('QIF import: ' + upsert.added + ' added, ' + upsert.updated + ' updated, ' + result.skipped + ' skipped');
+      return { added: upsert.added, updated: upsert.updated, skipped: result.skipped };
+    },
+
+    /**
+     * Selects the ledger records to export. Rows marked as duplicates are always left out.
+     * @param {Array<object>} records - Ledger records.
+     * @param {{from: (Date|string), to: (Date|string), account: string, type: string, category: string}} [filter] -
+     *   Inclusive date range ("YYYY-MM-DD" strings are accepted) and exact-match fields; empty values match everything.
+     * @returns {Array<object>} The matching records, oldest first.
+     * @memberof FinancialPlanner.QifService
+     */
+    filterRecords: function(records, filter) {
+      const f = filter || {};
+      const from = toFilterDate(f.from);
+      const to = toFilterDate(f.to);
+      return records.filter(function(record) {
+        if (!(record.date instanceof Date) || record.duplicateOf) return false;
+        if (from && record.date < from) return false;
+        if (to && record.date > new Date(to.getFullYear(), to.getMonth(), to.getDate(), 23, 59, 59)) return false;
+        if (f.account && record.account !== f.account) return false;
+        if (f.type && record.type !== f.type) return false;
+        if (f.category && record.category !== f.category) return false;
+        return true;
+      }).sort(function(a, b) {
+        return a.date - b.date;
+      });
+    },
+
+    /**
+     * Writes ledger records as QIF, one `!Account` + `!Type:Bank` section per account.
+     * Category and Sub-Category become the "L" path and the Type its class, so the file reads
+     * back into the same columns.
+     * @param {Array<object>} records - Ledger records.
+     * @param {{dateOrder: string}} [options] - "MDY" (default, Quicken US) or "DMY" dates.
+     * @returns {string} The QIF text.
+     * @memberof FinancialPlanner.QifService
+     */
+    write: function(records, options) {
+      const dateOrder = options && options.dateOrder === 'DMY' ? 'DMY' : 'MDY';
+      const byAccount = {};
+      const accounts = [];
+      records.forEach(function(record) {
+        const account = clean(record.account) || 'Transactions';
+        if (!byAccount[account]) {
+          byAccount[account] = [];
+          accounts.push(account);
+        }
+        byAccount[account].push(record);
+      });
+
+      const lines = [];
+      accounts.forEach(function(account) {
+        lines.push('!Account', 'N' + account, 'TBank', '^', '!Type:Bank');
+        byAccount[account].forEach(function(record) {
+          const d = record.date;
+          const date = dateOrder === 'DMY'
+            ? pad(d.getDate()) + '/' + pad(d.getMonth() + 1) + '/' + d.getFullYear()
+            : pad(d.getMonth() + 1) + '/' + pad(d.getDate()) + '/' + d.getFullYear();
+          const payee = clean(record.merchant) || clean(record.description);
+          let memo = clean(record.description);
+          if (memo.indexOf(payee + ' - ') === 0) memo = memo.substring(payee.length + 3);
+          const path = [clean(record.category), clean(record.subcategory)].filter(Boolean).join(':');
+
+          lines.push('D' + date);
+          lines.push('T' + (parseFloat(record.amount) || 0).toFixed(2));
+          if (payee) lines.push('P' + payee);
+          if (memo && memo !== payee) lines.push('M' + memo);
+          if (path) lines.push('L' + path + (record.type ? '/' + clean(record.type) : ''));
+          lines.push('^');
+        });
+      });
+      return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Exports a filtered slice of the Transactions sheet as a QIF file in the user's Drive.
+     * @param {{from: string, to: string, account: string, type: string, category: string, dateOrder: string}} filter -
+     *   The export filter (see `filterRecords`) and date order (see `write`).
+     * @returns {{count: number, name: string, url: string}} The number of exported rows and the created file.
+     * @memberof FinancialPlanner.QifService
+     */
+    exportQif: function(filter) {
+      const records = this.filterRecords(FinancialPlanner.LedgerService.getRecords(), filter);
+      if (records.length === 0) {
+        throw FinancialPlanner.ErrorService.create('No transactions match the export filter', { severity: 'low' });
+      }
+
+      const name = 'Transactions ' + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HHmm') + '.qif';
+      const file = DriveApp.createFile(name, this.write(records, filter), MimeType.PLAIN_TEXT);
+      Logger.log('QIF export: ' + records.length + ' transactions to ' + name);
+      return { count: records.length, name: name, url: file.getUrl() };
+    }
+  };
+})();
@@ -522,10 +522,13 @@ FinancialPlanner.SaltEdgeClient = (function() {
         Logger.log('Fetched page: ' + response.data.length + ' transactions. Has more: ' + hasMore);
       }
       
-      // Save final cursor for next import (null if no more data)
-      if (allTransactions.length > 0 || nextId) {
-        saveCursor(connectionId, accountId, nextId);
-        Logger.log('Saved pagination cursor for next import: ' + (nextId || 'null (no more data)'));
+      // Resume the next import at the newest transaction fetched. from_id is inclusive, so
+      // that transaction is fetched again; the ledger upsert, which keeps ids as text so
+      // 19-digit ids are not rounded, makes the overlap harmless.
+      if (allTransactions.length > 0) {
+        const lastId = String(allTransactions[allTransactions.length - 1].id);
+        saveCursor(connectionId, accountId, lastId);
+        Logger.log('Saved cursor for next import: ' + lastId);
       }
       
       Logger.log('Total transactions fetched: ' + allTransactions.length);
@@ -537,9 +540,13 @@ FinancialPlanner.SaltEdgeClient = (function() {
   }
 
   /**
-   * Imports transactions to Google Sheet with metadata columns and dynamic headers
-   * Prepends connection and account metadata at start of each row
-   * Creates sheet if it doesn't exist, handles flattened transaction structure
+   * Imports SaltEdge transactions into the canonical ledger
+   * Normalizes each transaction, categorizes it via the Categorization Rules and Category
+   * Mappings sheets and upserts it into the Transactions sheet keyed by Source + External ID,
+   * so overlapping fetches never create duplicates or overwrite the user's categorization.
+   * Transactions already imported from a CAMT.053 or MT940 statement are then marked as duplicates.
+   * The flattened payload, prefixed with connection and account metadata, is kept on the
+   * SaltEdge sheet for reference (upserted by id, never cleared).
    * @param {Array<Object>} transactions - Array of transaction objects
    * @param {Object} connectionMeta - Connection metadata (id, provider_name, etc.)
    * @param {Object} accountMeta - Account metadata (name, nature, currency_code, etc.)
@@ -553,89 +560,31 @@ FinancialPlanner.SaltEdgeClient = (function() {
     }
     
     try {
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const sheetName = FinancialPlanner.Config.getSheetNames().SALTEDGE_TRANSACTIONS;
-      const sheet = FinancialPlanner.Utils.getOrCreateSheet(ss, sheetName);
-      
-      // Define metadata columns to prepend
-      const metadataColumns = ['connection_id', 'provider_name', 'account_name'];
-      
-      // Get or create headers
-      let headers;
-      if (sheet.getLastRow() === 0) {
-        // Create headers: metadata + transaction fields
-        const firstTx = transactions[0];
-        const flattened = flattenObject(firstTx);
-        const txHeaders = Object.keys(flattened);
-        
-        headers = metadataColumns.concat(txHeaders);
-        
-        Logger.log('Creating SaltEdge sheet with ' + headers.length + ' columns (3 metadata + ' + txHeaders.length + ' transaction fields)');
-        
-        sheet.getRange(1, 1, 1, headers.length)
-          .setValues([headers])
-          .setFontWeight('bold')
-          .setBackground('#4285F4')
-          .setFontColor('#FFFFFF');
-      } else {
-        // Use existing headers
-        headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-        Logger.log('Using existing headers: ' + headers.length + ' columns');
-      }
-      
-      // Prepare transaction rows with metadata
-      const rows = transactions.map(function(tx) {
-        const flattened = flattenObject(tx);
-        
-        return headers.map(function(header) {
-          // Prepend metadata values
-          if (header === 'connection_id') {
-            return connectionMeta.id;
-          }
-          if (header === 'provider_name') {
-            return connectionMeta.provider_name;
-          }
-          if (header === 'account_name') {
-            return accountMeta.name;
-          }
-          
-          // Map transaction fields
-          const value = flattened[header];
-          
-          // Parse date fields (reuse Plaid pattern)
-          if ((header.includes('date') || header.includes('_at')) && value && typeof value === 'string') {
-            try {
-              return new Date(value);
-            } catch (dateError) {
-              return value;
-            }
-          }
-          
-          return value !== undefined ? value : '';
-        });
+      const sources = FinancialPlanner.Config.getSection('LEDGER').SOURCES;
+      const records = transactions.map(function(tx) {
+        return FinancialPlanner.TransactionNormalizer.fromSaltEdge(tx, accountMeta);
       });
+      FinancialPlanner.LedgerService.importRecords(records, sources.SALTEDGE);
+      // Statement files fill the gaps while the consent is expired; mark what they already brought in
+      const dedup = FinancialPlanner.DeduplicationService.markImported(records, [sources.CAMT, sources.MT940]);
+      
+      // Keep the raw payload with connection and account metadata prepended
+      const payloads = transactions.map(function(tx) {
+        return Object.assign({
+          id: tx.id,
+          connection_id: connectionMeta.id,
+          provider_name: connectionMeta.provider_name,
+          account_name: accountMeta.name
+        }, flattenObject(tx));
+      });
+      FinancialPlanner.LedgerService.writeRawPayloads(
+        FinancialPlanner.Config.getSheetNames().SALTEDGE_TRANSACTIONS,
+        'id',
+        payloads
+      );
       
-      // Append rows to sheet
-      if (rows.length > 0) {
-        const lastRow = sheet.getLastRow();
-        sheet.getRange(lastRow + 1, 1, rows.length, headers.length).setValues(rows);
-        
-        // Format currency columns (amount fields)
-        const amountColumns = headers.map(function(header, index) {
-          return header.toLowerCase().includes('amount') || header.toLowerCase().includes('balance') ? index + 1 : null;
-        }).filter(function(col) {
-          return col !== null;
-        });
-        
-        if (amountColumns.length > 0) {
-          const currencyFormat = FinancialPlanner.Config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT;
-          amountColumns.forEach(function(col) {
-            sheet.getRange(lastRow + 1, col, rows.length, 1).setNumberFormat(currencyFormat);
-          });
-        }
-      }
-      
-      Logger.log('Imported ' + transactions.length + ' transactions to SaltEdge sheet');
+      Logger.log('Imported ' + transactions.length + ' SaltEdge transactions into the ledger, ' +
+                 dedup.marked + ' duplicates of statement files');
       return transactions.length;
     } catch (error) {
       FinancialPlanner.ErrorService.handle(error, 'Failed to import SaltEdge transactions to sheet');
@@ -0,0 +1,447 @@
+/**
+ * @fileoverview Savings Opportunity Service - Suggests where spending could be cut.
+ * Suggestions are computed from the ledger: categories whose recent spend rose above their
+ * baseline, Wants/Pleasure spend above its target share of income, subscriptions for the same
+ * service or charged twice, subscriptions whose category has otherwise gone quiet, and merchants
+ * whose average ticket grew. Each suggestion
+ * carries an estimated monthly and annual saving and the evidence behind it, and the Savings
+ * Opportunities sheet ranks them by saving. Suggestions can overlap, e.g. a rising category and
+ * a merchant in it, so their savings are not meant to be added up.
+ * @module services/savings-opportunity-service
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Savings Opportunity Service - Ranked savings suggestions.
+ * @namespace FinancialPlanner.SavingsOpportunityService
+ */
+FinancialPlanner.SavingsOpportunityService = (function() {
+  /**
+   * @const {object} KINDS
+   * @private
+   * @description Display names of the suggestion kinds.
+   */
+  const KINDS = {
+    RISING_CATEGORY: 'Rising category',
+    WANTS_ABOVE_TARGET: 'Wants above target',
+    DUPLICATE_SUBSCRIPTION: 'Duplicate subscription',
+    UNUSED_SUBSCRIPTION: 'Unused subscription',
+    GROWING_TICKET: 'Growing ticket'
+  };
+
+  /**
+   * @const {string[]} HEADERS
+   * @private
+   * @description Columns of the Savings Opportunities sheet.
+   */
+  const HEADERS = ['Rank', 'Suggestion', 'Kind', 'Type', 'Category', 'Monthly Saving', 'Annual Saving', 'Evidence'];
+
+  /**
+   * Formats an amount for an evidence text.
+   * @private
+   * @param {number} value - The amount.
+   * @returns {string} The formatted amount with two decimals.
+   */
+  function formatAmount(value) {
+    return FinancialPlanner.MetricsCalculator.formatCurrency(value, { decimals: 2 });
+  }
+
+  /**
+   * Formats a ratio as a whole percentage.
+   * @private
+   * @param {number} value - The ratio.
+   * @returns {string} The percentage, e.g. "27%".
+   */
+  function formatPercent(value) {
+    return Math.round(value * 100) + '%';
+  }
+
+  /**
+   * Splits the ledger into the recent and the baseline period. Both end with complete months;
+   * the baseline is cut to the months the ledger covers.
+   * @private
+   * @param {Array<object>} records - Ledger records.
+   * @param {object} options - The SAVINGS_OPPORTUNITIES configuration section.
+   * @param {Date} today - The reference date.
+   * @returns {{recent: Array<object>, baseline: Array<object>, recentMonths: number, baselineMonths: number,
+   *   lastComplete: number}} The dated records of each period (`{record, date, index, amount}`), the
+   *   number of months in each and the month index of last month.
+   */
+  function splitPeriods(records, options, today) {
+    const lastComplete = today.getFullYear() * 12 + today.getMonth() - 1;
+    const recentStart = lastComplete - options.RECENT_MONTHS + 1;
+    const baselineStart = recentStart - options.BASELINE_MONTHS;
+    const periods = { recent: [], baseline: [], recentMonths: options.RECENT_MONTHS, baselineMonths: 0, lastComplete: lastComplete };
+    let firstIndex = recentStart;
+
+    records.forEach(function(record) {
+      const date = FinancialPlanner.Utils.getRecordDate(record);
+      if (!date || record.duplicateOf) return;
+      const index = date.getFullYear() * 12 + date.getMonth();
+      if (index > lastComplete) return;
+      firstIndex = Math.min(firstIndex, index);
+      if (index < baselineStart) return;
+      const item = { record: record, date: date, index: index, amount: parseFloat(record.amount) || 0 };
+      (index >= recentStart ? periods.recent : periods.baseline).push(item);
+    });
+    periods.baselineMonths = recentStart - Math.max(baselineStart, firstIndex);
+    return periods;
+  }
+
+  /**
+   * Finds categories whose average monthly spend in the recent period rose above the baseline.
+   * @private
+   * @param {object} periods - The periods (see `splitPeriods`).
+   * @param {object} options - The thresholds.
+   * @returns {Array<object>} The suggestions.
+   */
+  function findRisingCategories(periods, options) {
+    const expenseTypes = FinancialPlanner.Config.getSection('EXPENSE_TYPES');
+    const categories = {};
+    const add = function(items, field) {
+      items.forEach(function(item) {
+        if (expenseTypes.indexOf(item.record.type) === -1 || !item.record.category) return;
+        const key = item.record.type + '|' + item.record.category;
+        const category = categories[key] ||
+          (categories[key] = { type: item.record.type, category: item.record.category, recent: 0, baseline: 0 });
+        category[field] -= item.amount;
+      });
+    };
+    add(periods.recent, 'recent');
+    add(periods.baseline, 'baseline');
+
+    const suggestions = [];
+    Object.keys(categories).forEach(function(key) {
+      const category = categories[key];
+      const recent = category.recent / periods.recentMonths;
+      const baseline = category.baseline / periods.baselineMonths;
+      if (baseline <= 0 || recent < baseline * (1 + options.MIN_INCREASE)) return;
+      suggestions.push({
+        kind: KINDS.RISING_CATEGORY,
+        title: 'Bring ' + category.category + ' back to its usual level',
+        type: category.type,
+        category: category.category,
+        monthly: recent - baseline,
+        evidence: formatAmount(recent) + ' a month over the last ' + periods.recentMonths + ' months vs ' +
+          formatAmount(baseline) + ' over the ' + periods.baselineMonths + ' months before (+' +
+          formatPercent(recent / baseline - 1) + ')'
+      });
+    });
+    return suggestions;
+  }
+
+  /**
+   * Compares the recent Wants/Pleasure spend with its target share of income.
+   * @private
+   * @param {object} periods - The periods (see `splitPeriods`).
+   * @returns {Array<object>} The suggestion, if the spend is above target.
+   */
+  function findWantsAboveTarget(periods) {
+    const config = FinancialPlanner.Config;
+    const types = config.getSection('TRANSACTION_TYPES');
+    const target = config.getSection('TARGET_RATES').WANTS;
+    let income = 0;
+    let wants = 0;
+    periods.recent.forEach(function(item) {
+      if (item.record.type === types.INCOME) income += item.amount;
+      if (item.record.type === types.WANTS) wants -= item.amount;
+    });
+    if (income <= 0 || wants <= target * income) return [];
+
+    return [{
+      kind: KINDS.WANTS_ABOVE_TARGET,
+      title: 'Trim ' + types.WANTS + ' spending to ' + formatPercent(target) + ' of income',
+      type: types.WANTS,
+      category: '',
+      monthly: (wants - target * income) / periods.recentMonths,
+      evidence: types.WANTS + ' took ' + formatPercent(wants / income) + ' of income over the last ' +
+        periods.recentMonths + ' months (' + formatAmount(wants / periods.recentMonths) + ' a month), target ' +
+        formatPercent(target)
+    }];
+  }
+
+  /**
+   * Tells whether two subscriptions of one category pay for the same service: they share a
+   * subcategory or provider detail, or their merchant names are alike. A category alone is not
+   * enough, since e.g. Utilities holds a phone and an internet contract side by side.
+   * @private
+   * @param {object} a - A recurring item (see `ForecastService.findRecurringItems`).
+   * @param {object} b - Another recurring item of the same Type and Category.
+   * @param {object} options - The thresholds.
+   * @returns {boolean} True if one of the two could replace the other.
+   */
+  function isSameService(a, b, options) {
+    return (a.subcategory !== '' && a.subcategory === b.subcategory) ||
+      (a.providerDetail !== '' && a.providerDetail === b.providerDetail) ||
+      FinancialPlanner.DeduplicationService.similarity(a, b) >= options.SUBSCRIPTION_SIMILARITY;
+  }
+
+  /**
+   * Finds the subscriptions: recurring monthly expenses up to `SUBSCRIPTION_MAX_AMOUNT`.
+   * @private
+   * @param {Array<object>} records - Ledger records.
+   * @param {object} options - The thresholds.
+   * @param {Date} today - The reference date.
+   * @returns {Array<object>} The recurring items (see `ForecastService.findRecurringItems`).
+   */
+  function findSubscriptions(records, options, today) {
+    const config = FinancialPlanner.Config;
+    const expenseTypes = config.getSection('EXPENSE_TYPES');
+    return FinancialPlanner.ForecastService
+      .findRecurringItems(records, config.getSection('FORECAST'), today)
+      .filter(function(item) {
+        return item.amount < 0 && -item.amount <= options.SUBSCRIPTION_MAX_AMOUNT && expenseTypes.indexOf(item.type) !== -1;
+      });
+  }
+
+  /**
+   * Finds duplicated subscriptions: several subscriptions for the same service (see
+   * `isSameService`), and one subscription charged more than once a month by the same amount.
+   * @private
+   * @param {Array<object>} subscriptions - The subscriptions (see `findSubscriptions`).
+   * @param {object} periods - The periods (see `splitPeriods`).
+   * @param {object} options - The thresholds.
+   * @returns {Array<object>} The suggestions.
+   */
+  function findDuplicateSubscriptions(subscriptions, periods, options) {
+    const suggestions = [];
+
+    const groups = [];
+    subscriptions.forEach(function(item) {
+      if (!item.category) return;
+      const group = groups.filter(function(candidate) {
+        return candidate[0].type === item.type && candidate[0].category === item.category &&
+          candidate.some(function(other) { return isSameService(item, other, options); });
+      })[0];
+      if (group) group.push(item);
+      else groups.push([item]);
+    });
+    groups.forEach(function(group) {
+      if (group.length < 2) return;
+      // Amounts are negative, so the cheapest subscription sorts first
+      const items = group.slice().sort(function(a, b) { return b.amount - a.amount; });
+      const dearer = items.slice(1);
+      suggestions.push({
+        kind: KINDS.DUPLICATE_SUBSCRIPTION,
+        title: 'Keep one ' + items[0].category + ' subscription',
+        type: items[0].type,
+        category: items[0].category,
+        monthly: -dearer.reduce(function(sum, item) { return sum + item.amount; }, 0),
+        evidence: items.map(function(item) { return item.merchant + ' ' + formatAmount(-item.amount); }).join(', ') +
+          ' are all charged monthly; keeping only the cheapest, ' + items[0].merchant + ', saves the others'
+      });
+    });
+
+    subscriptions.forEach(function(item) {
+      const merchantKey = FinancialPlanner.Utils.getMerchantKey(item);
+      const charges = periods.recent.filter(function(entry) {
+        return entry.index === periods.lastComplete && entry.amount < 0 &&
+          FinancialPlanner.Utils.getMerchantKey(entry.record) === merchantKey;
+      });
+      const sameAmount = charges.filter(function(entry) {
+        return Math.round(entry.amount * 100) === Math.round(charges[0].amount * 100);
+      });
+      if (charges.length < 2 || sameAmount.length !== charges.length) return;
+      suggestions.push({
+        kind: KINDS.DUPLICATE_SUBSCRIPTION,
+        title: 'Cancel the second ' + item.merchant + ' subscription',
+        type: item.type,
+        category: item.category,
+        monthly: -charges[0].amount * (charges.length - 1),
+        evidence: item.merchant + ' charged ' + formatAmount(-charges[0].amount) + ' ' + charges.length +
+          ' times last month, and has been charged every month for ' + item.months + ' months'
+      });
+    });
+    return suggestions;
+  }
+
+  /**
+   * Finds subscriptions that look unused. Usage itself is not in the ledger, so the rest of the
+   * subscription's Type and Category stands in for it: a gym membership with no other Fitness
+   * spending, or a streaming plan with no other Streaming purchases, for the last
+   * `SUBSCRIPTION_IDLE_MONTHS` complete months, while that spending existed before. Categories
+   * that only ever held subscriptions give no signal and are skipped.
+   * @private
+   * @param {Array<object>} records - Ledger records.
+   * @param {Array<object>} subscriptions - The subscriptions (see `findSubscriptions`).
+   * @param {object} periods - The periods (see `splitPeriods`).
+   * @param {object} options - The thresholds.
+   * @returns {Array<object>} The suggestions.
+   */
+  function findUnusedSubscriptions(records, subscriptions, periods, options) {
+    const utils = FinancialPlanner.Utils;
+    const idleStart = periods.lastComplete - options.SUBSCRIPTION_IDLE_MONTHS + 1;
+    const subscriptionKeys = subscriptions.map(function(item) { return utils.getMerchantKey(item); });
+    const usage = {};
+    records.forEach(function(record) {
+      const date = utils.getRecordDate(record);
+      if (!date || record.duplicateOf || (parseFloat(record.amount) || 0) >= 0 || !record.category) return;
+      if (subscriptionKeys.indexOf(utils.getMerchantKey(record)) !== -1) return;
+      const index = date.getFullYear() * 12 + date.getMonth();
+      if (index > periods.lastComplete) return;
+      const key = record.type + '|' + record.category;
+      const entry = usage[key] || (usage[key] = { before: 0, idle: 0 });
+      entry[index >= idleStart ? 'idle' : 'before']++;
+    });
+
+    const suggestions = [];
+    subscriptions.forEach(function(item) {
+      const entry = usage[item.type + '|' + item.category];
+      if (!item.category || !entry || entry.before === 0 || entry.idle > 0) return;
+      suggestions.push({
+        kind: KINDS.UNUSED_SUBSCRIPTION,
+        title: 'Cancel ' + item.merchant + ' if it is no longer used',
+        type: item.type,
+        category: item.category,
+        monthly: -item.amount,
+        evidence: item.merchant + ' charged ' + formatAmount(-item.amount) + ' a month, but there was no other ' +
+          item.category + ' spending in the last ' + options.SUBSCRIPTION_IDLE_MONTHS + ' months after ' +
+          entry.before + ' purchase(s) before'
+      });
+    });
+    return suggestions;
+  }
+
+  /**
+   * Finds merchants whose average purchase grew from the baseline to the recent period.
+   * @private
+   * @param {object} periods - The periods (see `splitPeriods`).
+   * @param {object} options - The thresholds.
+   * @returns {Array<object>} The suggestions.
+   */
+  function findGrowingTickets(periods, options) {
+    const expenseTypes = FinancialPlanner.Config.getSection('EXPENSE_TYPES');
+    const merchants = {};
+    const add = function(items, field) {
+      items.forEach(function(item) {
+        const key = FinancialPlanner.Utils.getMerchantKey(item.record);
+        if (!key || item.amount >= 0 || expenseTypes.indexOf(item.record.type) === -1) return;
+        const merchant = merchants[key] || (merchants[key] = { recent: [], baseline: [], latest: item });
+        merchant[field].push(-item.amount);
+        if (item.date >= merchant.latest.date) merchant.latest = item;
+      });
+    };
+    add(periods.recent, 'recent');
+    add(periods.baseline, 'baseline');
+
+    const suggestions = [];
+    Object.keys(merchants).forEach(function(key) {
+      const merchant = merchants[key];
+      if (merchant.recent.length < options.MIN_TICKETS || merchant.baseline.length < options.MIN_TICKETS) return;
+      const average = function(values) { return values.reduce(function(sum, value) { return sum + value; }, 0) / values.length; };
+      const recent = average(merchant.recent);
+      const baseline = average(merchant.baseline);
+      if (recent < baseline * (1 + options.MIN_INCREASE)) return;
+
+      const record = merchant.latest.record;
+      const name = record.merchant || record.description;
+      const perMonth = merchant.recent.length / periods.recentMonths;
+      suggestions.push({
+        kind: KINDS.GROWING_TICKET,
+        title: 'Spend less per visit at ' + name,
+        type: record.type,
+        category: record.category || '',
+        monthly: (recent - baseline) * perMonth,
+        evidence: 'Average purchase rose from ' + formatAmount(baseline) + ' to ' + formatAmount(recent) + ' (+' +
+          formatPercent(recent / baseline - 1) + ') at about ' + (Math.round(perMonth * 10) / 10) + ' visits a month'
+      });
+    });
+    return suggestions;
+  }
+
+  /**
+   * Writes the suggestions to the Savings Opportunities sheet, replacing its content.
+   * @private
+   * @param {Array<object>} suggestions - The ranked suggestions.
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+   */
+  function writeOpportunitySheet(suggestions) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const config = FinancialPlanner.Config;
+    const sheet = FinancialPlanner.Utils.getOrCreateSheet(ss, config.getSheetNames().SAVINGS_OPPORTUNITIES);
+    const colors = config.getSection('COLORS').UI;
+
+    sheet.clear();
+    sheet.getRange(1, 1, 1, HEADERS.length)
+      .setValues([HEADERS])
+      .setFontWeight('bold')
+      .setBackground(colors.HEADER_BG)
+      .setFontColor(colors.HEADER_FONT);
+    sheet.setFrozenRows(1);
+
+    if (suggestions.length === 0) {
+      sheet.getRange(2, 2).setValue('No savings opportunities found.');
+      return sheet;
+    }
+
+    const rows = suggestions.map(function(suggestion) {
+      return [suggestion.rank, suggestion.title, suggestion.kind, suggestion.type, suggestion.category,
+        suggestion.monthly, suggestion.annual, suggestion.evidence];
+    });
+    sheet.getRange(2, 1, rows.length, HEADERS.length).setValues(rows);
+    FinancialPlanner.Utils.formatAsCurrency(
+      sheet.getRange(2, 6, rows.length, 2),
+      config.getLocale().NUMBER_FORMATS.CURRENCY_DEFAULT
+    );
+    sheet.getRange(2, 6, rows.length, 2).setFontColor(colors.INCOME_FONT).setFontWeight('bold');
+    sheet.getRange(1, 6).setNote('Suggestions can overlap, so their savings are not meant to be added up');
+    sheet.autoResizeColumns(1, HEADERS.length - 1);
+    sheet.setColumnWidth(HEADERS.length, 500);
+    return sheet;
+  }
+
+  // Public API
+  return {
+    /**
+     * Computes the savings suggestions, ranked by monthly saving. The recent period is the last
+     * `RECENT_MONTHS` complete months, the baseline the `BASELINE_MONTHS` before them (or as many
+     * as the ledger covers). Suggestions below `MIN_MONTHLY_SAVING` are dropped.
+     * @param {Array<object>} records - Ledger records (see `LedgerService.getRecords`).
+     * @param {object} options - The thresholds (see the SAVINGS_OPPORTUNITIES configuration section).
+     * @param {Date} [today=new Date()] - The reference date; its month is excluded as incomplete.
+     * @returns {Array<{rank: number, kind: string, title: string, type: string, category: string,
+     *   monthly: number, annual: number, evidence: string}>} The suggestions, largest saving first.
+     * @memberof FinancialPlanner.SavingsOpportunityService
+     */
+    findOpportunities: function(records, options, today) {
+      const now = today || new Date();
+      const periods = splitPeriods(records, options, now);
+      const subscriptions = findSubscriptions(records, options, now);
+      const suggestions = findWantsAboveTarget(periods).concat(
+        findDuplicateSubscriptions(subscriptions, periods, options),
+        findUnusedSubscriptions(records, subscriptions, periods, options)
+      );
+      if (periods.baselineMonths > 0) {
+        Array.prototype.push.apply(suggestions, findRisingCategories(periods, options));
+        Array.prototype.push.apply(suggestions, findGrowingTickets(periods, options));
+      }
+
+      return suggestions
+        .filter(function(suggestion) { return suggestion.monthly >= options.MIN_MONTHLY_SAVING; })
+        .sort(function(a, b) { return b.monthly - a.monthly; })
+        .map(function(suggestion, i) {
+          suggestion.rank = i + 1;
+          suggestion.monthly = Math.round(suggestion.monthly * 100) / 100;
+          suggestion.annual = Math.round(suggestion.monthly * 12 * 100) / 100;
+          return suggestion;
+        });
+    },
+
+    /**
+     * Computes the suggestions from the ledger and lists them on the Savings Opportunities sheet.
+     * @returns {Array<object>} The suggestions (see `findOpportunities`).
+     * @memberof FinancialPlanner.SavingsOpportunityService
+     */
+    run: function() {
+      const options = FinancialPlanner.Config.getSection('SAVINGS_OPPORTUNITIES');
+      const suggestions = this.findOpportunities(FinancialPlanner.LedgerService.getRecords(), options, new Date());
+      writeOpportunitySheet(suggestions).activate();
+
+      Logger.log('Savings opportunities: ' + suggestions.length + ' suggestions');
+      return suggestions;
+    }
+  };
+})();
@@ -14,6 +14,13 @@ var FinancialPlanner = FinancialPlanner || {};
  * @namespace FinancialPlanner.SettingsService
  */
 FinancialPlanner.SettingsService = (function() {
+  /**
+   * @const {string} SAVINGS_GOAL_PREFIX
+   * @private
+   * @description Prefix of the preference keys holding savings goals, followed by the bucket name.
+   */
+  const SAVINGS_GOAL_PREFIX = 'SavingsGoal: ';
+
   /**
    * Retrieves or creates the settings sheet.
    * The sheet is hidden by default if created.
@@ -175,6 +182,99 @@ FinancialPlanner.SettingsService = (function() {
       this.setValue('ShowSubCategories', typeof value === 'boolean' ? value : true);
     },
 
+    /**
+     * Gets the reporting window of the Overview sheet.
+     * @returns {{mode: string, year: number, fiscalStartMonth: number, rollingMonths: number, compareYoY: boolean}}
+     *   The period settings; `compareYoY` adds the year-over-year columns. Defaults to `OVERVIEW_PERIOD`
+     *   from the config, the current calendar year and no comparison.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    getOverviewPeriod: function() {
+      const defaults = FinancialPlanner.Config.getSection('OVERVIEW_PERIOD');
+      return {
+        mode: this.getValue('OverviewPeriodMode', defaults.DEFAULT_MODE),
+        year: this.getNumericValue('OverviewYear', new Date().getFullYear()),
+        fiscalStartMonth: this.getNumericValue('FiscalYearStartMonth', defaults.FISCAL_START_MONTH),
+        rollingMonths: this.getNumericValue('RollingMonths', defaults.ROLLING_MONTHS),
+        compareYoY: this.getBooleanValue('OverviewCompareYoY', false)
+      };
+    },
+
+    /**
+     * Updates the reporting window of the Overview sheet. Only the given fields are changed.
+     * @param {{mode: string, year: number, fiscalStartMonth: number, rollingMonths: number, compareYoY: boolean}} period -
+     *   The fields to update.
+     * @throws {Error} If a field is out of range.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    setOverviewPeriod: function(period) {
+      const defaults = FinancialPlanner.Config.getSection('OVERVIEW_PERIOD');
+      const modes = Object.keys(defaults.MODES).map(function(key) {
+        return defaults.MODES[key];
+      });
+      const invalid = function(message, value) {
+        return FinancialPlanner.ErrorService.create(message, { severity: 'low', providedValue: value });
+      };
+
+      if (period.mode !== undefined && modes.indexOf(period.mode) === -1) {
+        throw invalid('Invalid period. Must be one of: ' + modes.join(', '), period.mode);
+      }
+      if (period.year !== undefined && !(Number.isInteger(Number(period.year)) && Number(period.year) >= 1900)) {
+        throw invalid('Invalid year', period.year);
+      }
+      if (period.fiscalStartMonth !== undefined &&
+          !(Number.isInteger(Number(period.fiscalStartMonth)) && period.fiscalStartMonth >= 1 && period.fiscalStartMonth <= 12)) {
+        throw invalid('Invalid fiscal year start. Must be a month from 1 to 12', period.fiscalStartMonth);
+      }
+      if (period.rollingMonths !== undefined &&
+          !(Number.isInteger(Number(period.rollingMonths)) && period.rollingMonths >= 1 && period.rollingMonths <= defaults.MAX_ROLLING_MONTHS)) {
+        throw invalid('Invalid rolling window. Must be 1 to ' + defaults.MAX_ROLLING_MONTHS + ' months', period.rollingMonths);
+      }
+
+      if (period.mode !== undefined) this.setValue('OverviewPeriodMode', period.mode);
+      if (period.year !== undefined) this.setValue('OverviewYear', Number(period.year));
+      if (period.fiscalStartMonth !== undefined) this.setValue('FiscalYearStartMonth', Number(period.fiscalStartMonth));
+      if (period.rollingMonths !== undefined) this.setValue('RollingMonths', Number(period.rollingMonths));
+      if (period.compareYoY !== undefined) this.setValue('OverviewCompareYoY', period.compareYoY === true);
+    },
+
+    /**
+     * Gets the savings goals set on the Savings Analysis report.
+     * @returns {Object<string, number>} Goal amounts keyed by savings bucket (category or
+     *   "Category / Sub-Category"); buckets without a goal are absent.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    getSavingsGoals: function() {
+      const goals = {};
+      const data = getSettingsSheet().getDataRange().getValues();
+      for (let i = 1; i < data.length; i++) {
+        const key = String(data[i][0]);
+        const amount = parseFloat(data[i][1]);
+        if (key.indexOf(SAVINGS_GOAL_PREFIX) === 0 && amount > 0) {
+          goals[key.substring(SAVINGS_GOAL_PREFIX.length)] = amount;
+        }
+      }
+      return goals;
+    },
+
+    /**
+     * Sets or clears the savings goal of a savings bucket.
+     * @param {string} bucket - The savings bucket.
+     * @param {number} amount - The goal amount; 0 or empty clears the goal.
+     * @throws {Error} If the amount is not a non-negative number.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    setSavingsGoal: function(bucket, amount) {
+      const value = amount === '' || amount === null ? 0 : Number(amount);
+      if (isNaN(value) || value < 0) {
+        throw FinancialPlanner.ErrorService.create('Invalid savings goal. Must be zero or a positive amount', {
+          severity: 'low',
+          providedValue: amount
+        });
+      }
+      this.setValue(SAVINGS_GOAL_PREFIX + bucket, value);
+    },
+
     /**
      * Gets the current Plaid environment setting.
      * @returns {string} The current environment ('sandbox' or 'production'). Defaults to 'sandbox'.
@@ -218,6 +318,85 @@ FinancialPlanner.SettingsService = (function() {
       this.setValue('SaltEdgeCustomerId', customerId);
     },
 
+    /**
+     * Gets the date window used when matching duplicate transactions across sources.
+     * @returns {number} The maximum number of days between two postings of the same transaction.
+     *   Defaults to `DEDUPLICATION.DATE_WINDOW_DAYS` from the config.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    getDedupDateWindowDays: function() {
+      const defaultDays = FinancialPlanner.Config.getSection('DEDUPLICATION').DATE_WINDOW_DAYS;
+      return this.getNumericValue('DedupDateWindowDays', defaultDays);
+    },
+
+    /**
+     * Sets the date window used when matching duplicate transactions across sources.
+     * @param {number} days - A whole number of days, zero or more.
+     * @throws {Error} If the value is not a non-negative integer.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    setDedupDateWindowDays: function(days) {
+      const parsed = Number(days);
+      if (!Number.isInteger(parsed) || parsed < 0) {
+        throw FinancialPlanner.ErrorService.create(
+          'Invalid date window. Must be a whole number of days (0 or more)',
+          { severity: 'low', providedValue: days }
+        );
+      }
+      this.setValue('DedupDateWindowDays', parsed);
+    },
+
+    /**
+     * Gets the saved CSV import profiles, keyed by profile name.
+     * Profiles are stored as a single JSON preference.
+     * @returns {Object<string, object>} The profiles (see `CSV_IMPORT.DEFAULT_PROFILE` for their shape).
+     *   An empty object if none are saved or the stored value cannot be parsed.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    getCsvProfiles: function() {
+      const stored = this.getValue('CsvProfiles', '');
+      if (!stored) return {};
+      try {
+        return JSON.parse(stored);
+      } catch (error) {
+        FinancialPlanner.ErrorService.handle(
+          FinancialPlanner.ErrorService.create('Stored CSV profiles are not valid JSON', { originalError: error.toString(), severity: 'medium' }),
+          'Failed to read CSV import profiles'
+        );
+        return {};
+      }
+    },
+
+    /**
+     * Saves a CSV import profile, replacing any profile with the same name.
+     * @param {object} profile - The profile; `name` is required.
+     * @throws {Error} If the profile has no name.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    saveCsvProfile: function(profile) {
+      const name = profile && String(profile.name || '').trim();
+      if (!name) {
+        throw FinancialPlanner.ErrorService.create('A CSV profile needs a name', { severity: 'low' });
+      }
+      const profiles = this.getCsvProfiles();
+      profiles[name] = Object.assign({}, profile, { name: name });
+      this.setValue('CsvProfiles', JSON.stringify(profiles));
+    },
+
+    /**
+     * Deletes a saved CSV import profile.
+     * @param {string} name - The profile name.
+     * @returns {boolean} True if a profile was deleted.
+     * @memberof FinancialPlanner.SettingsService
+     */
+    deleteCsvProfile: function(name) {
+      const profiles = this.getCsvProfiles();
+      if (!profiles[name]) return false;
+      delete profiles[name];
+      this.setValue('CsvProfiles', JSON.stringify(profiles));
+      return true;
+    },
+
     /**
      * Retrieves all preferences stored in the settings sheet as an object.
      * @returns {Object<string, *>} An object where keys are preference names and values are their stored values.
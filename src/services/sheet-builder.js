@@ -3,10 +3,14 @@
  * Provides a fluent API for programmatically constructing and formatting
  * Google Sheets. This service simplifies tasks like adding headers, data rows,
  * formulas, and applying various formatting options.
- * This module is designed to be instantiated by `00_module_loader.js`.
+ * A shared instance is registered as `FinancialPlanner.SheetBuilder` at the end of this file.
  * @module services/sheet-builder
  */
 
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
 /**
  * IIFE to encapsulate the SheetBuilderModule logic.
  * @returns {function} The SheetBuilderModule constructor.
@@ -83,7 +87,7 @@ const SheetBuilderModule = (function() {
     }
 
     /**
-     * Clears all content, formatting, and data validations from the sheet.
+     * Clears all content, formatting, notes and data validations from the sheet.
      * Resets the `currentRow` to 1.
      * @returns {SheetBuilder} The `SheetBuilder` instance for chaining.
      */
@@ -91,7 +95,8 @@ const SheetBuilderModule = (function() {
       this.currentRow = 1; // Reset current row as sheet is cleared
       this.sheet.clear();
       this.sheet.clearFormats();
-      this.sheet.getRange("A1:Z1000").setDataValidation(null);
+      this.sheet.clearNotes();
+      this.sheet.getRange(1, 1, this.sheet.getMaxRows(), this.sheet.getMaxColumns()).setDataValidation(null);
       return this;
     }
 
@@ -385,3 +390,11 @@ const SheetBuilderModule = (function() {
 
   return SheetBuilderModuleConstructor;
 })();
+
+/**
+ * Shared Sheet Builder factory used by the feature modules, which receive it as
+ * `FinancialPlanner.SheetBuilder` when their IIFEs run. Relies on Config and Utils being
+ * loaded first (see filePushOrder in .clasp.json).
+ * @type {SheetBuilderModule}
+ */
+FinancialPlanner.SheetBuilder = new SheetBuilderModule(FinancialPlanner.Config, FinancialPlanner.Utils);
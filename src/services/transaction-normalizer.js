@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Transaction Normalizer - Maps provider transactions to the canonical ledger schema.
+ * Every importer converts its payload into a plain ledger record ({date, description, type, ...})
+ * so that the Transactions sheet always has the Type/Category/Sub-Category/Date/Amount/Shared?
+ * layout the Overview, reports and dropdowns expect.
+ * @module services/transaction-normalizer
+ */
+
+// Ensure the global FinancialPlanner namespace exists
+// eslint-disable-next-line no-var, vars-on-top
+var FinancialPlanner = FinancialPlanner || {};
+
+/**
+ * Transaction Normalizer - Converts between provider payloads, ledger records and sheet rows.
+ * @namespace FinancialPlanner.TransactionNormalizer
+ */
+FinancialPlanner.TransactionNormalizer = (function() {
+  /**
+   * Parses a provider date string (YYYY-MM-DD) as a local date.
+   * `new Date('2024-01-05')` is interpreted as UTC midnight, which shifts the day
+   * backwards in negative-offset time zones and moves transactions into the wrong month.
+   * @private
+   * @param {string|Date} value - The date string or Date object.
+   * @returns {Date|string} The parsed local date, or an empty string if missing/invalid.
+   */
+  function parseDate(value) {
+    if (!value) return '';
+    if (value instanceof Date) return value;
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (match) {
+      return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? '' : parsed;
+  }
+
+  /**
+   * Returns the ledger column mapping (record field => sheet header).
+   * @private
+   * @returns {object} The LEDGER.COLUMNS configuration.
+   */
+  function getColumns() {
+    return FinancialPlanner.Config.getSection('LEDGER').COLUMNS;
+  }
+
+  /**
+   * Creates an empty ledger record with every canonical field present.
+   * @private
+   * @returns {object} A record with all fields set to their blank value.
+   */
+  function createEmptyRecord() {
+    const record = {};
+    Object.keys(getColumns()).forEach(function(field) {
+      record[field] = '';
+    });
+    record.shared = false;
+    return record;
+  }
+
+  // Public API
+  return {
+    parseDate: parseDate,
+
+    /**
+     * Returns the canonical ledger headers in sheet order.
+     * @returns {string[]} The ledger header row.
+     * @memberof FinancialPlanner.TransactionNormalizer
+     */
+    getHeaders: function() {
+      const columns = getColumns();
+      return Object.keys(columns).map(function(field) {
+        return columns[field];
+      });
+    },
+
+    /**
+     * Creates a ledger record with every canonical field present, blank unless given.
+     * Used by file importers that assemble the fields themselves.
+     * @param {object} [values] - Field values to set (keys of LEDGER.COLUMNS).
+     * @returns {object} The ledger record.
+     * @memberof FinancialPlanner.TransactionNormalizer
+     */
+    createRecord: function(values) {
+      return Object.assign(createEmptyRecord(), values || {});
+    },
+
+    /**
+     * Builds a stable transaction id from row content, for statement files whose
+     * transactions carry no unique reference. Callers include an occurrence count in the
+     * key so identical transactions on the same day get distinct ids.
+     * @param {string} prefix - The id prefix (e.g. "csv").
+     * @param {string} key - The content key.
+     * @returns {string} The id, e.g. "csv_3f2a...".
+     * @memberof FinancialPlanner.TransactionNormalizer
+     */
+    createContentId: function(prefix, key) {
+      const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, key, Utilities.Charset.UTF_8);
+      return prefix + '_' + bytes.slice(0, 12).map(function(b) {
+        return ((b + 256) % 256).toString(16).padStart(2, '0');
+      }).join('');
+    },
+
+    /**
+     * Maps a Plaid transaction (from /transactions/sync) to a ledger record.
+     * Plaid reports outflows as positive amounts, so the sign is flipped to match the
+     * ledger convention of negative expenses and positive income.
+     * Type/Category/Sub-Category are left blank for the categorization step to fill in.
+     * @param {object} tx - The Plaid transaction object.
+     * @returns {object} The ledger record.
+     * @memberof FinancialPlanner.TransactionNormalizer
+     */
+    fromPlaid: function(tx) {
+      const record = createEmptyRecord();
+      const pfc = tx.personal_finance_category || {};
+      const legacyCategory = Array.isArray(tx.category) ? tx.category : [];
+      const amount = parseFloat(tx.amount);
+
+      record.date = parseDate(tx.authorized_date || tx.date);
+      record.description = tx.name || tx.merchant_name || '';
+      record.amount = isNaN(amount) ? 0 : -amount;
+      record.merchant = tx.merchant_name || '';
+      record.account = tx.account_id || '';
+      record.source = FinancialPlanner.Config.getSection('LEDGER').SOURCES.PLAID;
+      record.providerCategory = pfc.primary || legacyCategory[0] || '';
+      record.providerDetail = pfc.detailed || legacyCategory.slice(1).join(' > ');
+      record.id = tx.transaction_id;
+
+      return record;
+    },
+
+    /**
+     * Maps a SaltEdge transaction to a ledger record.
+     * SaltEdge already reports outflows as negative amounts, so the amount is kept as is.
+     * The account column holds the account name because SaltEdge ids are opaque numbers.
+     * @param {object} tx - The SaltEdge transaction object.
+     * @param {object} [accountMeta] - The SaltEdge account the transaction belongs to.
+     * @returns {object} The ledger record.
+     * @memberof FinancialPlanner.TransactionNormalizer
+     */
+    fromSaltEdge: function(tx, accountMeta) {
+      const record = createEmptyRecord();
+      const extra = tx.extra || {};
+      const amount = parseFloat(tx.amount);
+
+      record.date = parseDate(tx.made_on);
+      record.description = tx.description || extra.payee || '';
+      record.amount = isNaN(amount) ? 0 : amount;
+      record.merchant = extra.payee || '';
+      record.account = (accountMeta && accountMeta.name) || tx.account_id || '';
+      record.source = FinancialPlanner.Config.getSection('LEDGER').SOURCES.SALTEDGE;
+      record.providerCategory = tx.category || '';
+      record.id = tx.id !== undefined && tx.id !== null ? String(tx.id) : '';
+
+      return record;
+    },
+
+    /**
+     * Converts a ledger record to a sheet row matching the given headers.
+     * Headers that are not part of the ledger schema are taken from `baseRow`
+     * (so user-added columns survive updates) or left empty.
+     * @param {object} record - The ledger record.
+     * @param {string[]} headers - The sheet header row.
+     * @param {Array<*>} [baseRow] - The existing row values, when updating a row in place.
+     * @returns {Array<*>} The row values.
+     * @memberof FinancialPlanner.TransactionNormalizer
+     */
+    toRow: function(record, headers, baseRow) {
+      const columns = getColumns();
+      const fieldByHeader = {};
+      Object.keys(columns).forEach(function(field) {
+        fieldByHeader[columns[field]] = field;
+      });
+
+      return headers.map(function(header, col) {
+        const field = fieldByHeader[header];
+        if (!field) return baseRow ? baseRow[col] : '';
+        const value = record[field];
+        return (value !== null && value !== undefined) ? value : '';
+      });
+    },
+
+    /**
+     * Converts a sheet row back into a ledger record using the given headers.
+     * @param {Array<*>} row - The row values.
+     * @param {string[]} headers - The sheet header row.
+     * @returns {object} The ledger record.
+     * @memberof FinancialPlanner.TransactionNormalizer
+     */
+    fromRow: function(row, headers) {
+      const columns = getColumns();
+      const record = {};
+      Object.keys(columns).forEach(function(field) {
+        const index = headers.indexOf(columns[field]);
+        record[field] = index === -1 ? '' : row[index];
+      });
+      return record;
+    }
+  };
+})();
@@ -0,0 +1,157 @@
+/**
+ * Financial Planning Tools - Anomaly Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.AnomalyService module.
+ * Covers the transaction and category-month detectors; the Anomalies sheet and its dismissals
+ * are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, A) { // T = Testing, A = AnomalyService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping AnomalyService tests.");
+    return;
+  }
+  if (!A) {
+    console.error("AnomalyService module is not available. Skipping AnomalyService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "AnomalyService";
+  const today = new Date(2024, 5, 20); // 20 Jun 2024
+
+  function options(overrides) {
+    return Object.assign({
+      LOOKBACK_MONTHS: 12, MIN_MERCHANT_HISTORY: 4, MERCHANT_RATIO: 2, FIRST_TIME_AMOUNT: 250,
+      LEARNING_DAYS: 60, DUPLICATE_WINDOW_HOURS: 24, CATEGORY_METHOD: "zscore", Z_SCORE: 2.5,
+      IQR_MULTIPLIER: 1.5, BASELINE_MONTHS: 12, MIN_BASELINE_MONTHS: 6, MIN_DEVIATION: 0.25
+    }, overrides);
+  }
+
+  function record(row, date, amount, merchant, overrides) {
+    return Object.assign({
+      row: row,
+      source: "Plaid",
+      id: "tx" + row,
+      date: date,
+      amount: amount,
+      description: merchant + " #" + row,
+      merchant: merchant,
+      type: "Essentials",
+      category: "Food",
+      duplicateOf: ""
+    }, overrides);
+  }
+
+  // Five monthly grocery runs of about 50, starting in January
+  function groceries() {
+    return [48, 52, 50, 47, 53].map(function(amount, i) {
+      return record(i + 2, new Date(2024, i, 10), -amount, "REWE");
+    });
+  }
+
+  // --- Tests for findTransactionAnomalies ---
+  T.registerTest(MODULE_NAME, "findTransactionAnomalies should flag amounts far above the merchant's history", function() {
+    const records = groceries().concat([record(7, new Date(2024, 5, 10), -180, "REWE")]);
+    const anomalies = A.findTransactionAnomalies(records, options(), today);
+    T.assertEquals(1, anomalies.length, "Only the large charge expected");
+    T.assertEquals("Unusual amount", anomalies[0].kind, "Kind expected");
+    T.assertEquals(7, anomalies[0].row, "Source row expected");
+    T.assertEquals(-180, anomalies[0].amount, "Amount should keep the ledger sign");
+    T.assertEquals(-50, anomalies[0].baseline, "Baseline should be the median of earlier charges");
+    T.assertEquals("Unusual amount|Plaid:tx7", anomalies[0].key, "Key should not depend on the row");
+
+    const few = A.findTransactionAnomalies(records.slice(2), options(), today);
+    T.assertEquals(0, few.length, "Merchants with too little history should not be judged");
+  });
+
+  T.registerTest(MODULE_NAME, "findTransactionAnomalies should flag duplicate charges within the window", function() {
+    const records = groceries().concat([
+      record(7, new Date(2024, 5, 10, 9), -12.5, "Netflix"),
+      record(8, new Date(2024, 5, 10, 15), -12.5, "NETFLIX 4411"),
+      record(9, new Date(2024, 5, 12, 9), -12.5, "Netflix"),
+      record(10, new Date(2024, 5, 12, 10), -12.5, "Netflix", { duplicateOf: "SaltEdge:1" })
+    ]);
+    const anomalies = A.findTransactionAnomalies(records, options(), today);
+    T.assertEquals(1, anomalies.length, "Only the charge six hours later expected");
+    T.assertEquals("Duplicate charge", anomalies[0].kind, "Kind expected");
+    T.assertEquals(8, anomalies[0].row, "The later charge should be flagged");
+    T.assertTrue(anomalies[0].reason.indexOf("6 hour(s) after row 7") !== -1, "Reason should point at the earlier row");
+  });
+
+  T.registerTest(MODULE_NAME, "findTransactionAnomalies should not flag purchases repeated on another day or account", function() {
+    const records = groceries().concat([
+      record(7, new Date(2024, 5, 10), -3.2, "Coffee Corner"),
+      record(8, new Date(2024, 5, 11), -3.2, "Coffee Corner"),
+      record(9, new Date(2024, 5, 12), -2.9, "BVG Ticket", { account: "Checking" }),
+      record(10, new Date(2024, 5, 12), -2.9, "BVG Ticket", { account: "Credit card" }),
+      record(11, new Date(2024, 5, 13), -2.9, "BVG Ticket", { account: "Checking" }),
+      record(12, new Date(2024, 5, 13), -2.9, "BVG Ticket", { account: "Checking" })
+    ]);
+    const anomalies = A.findTransactionAnomalies(records, options(), today);
+    T.assertEquals(1, anomalies.length, "Only the second charge to the same account on one day expected");
+    T.assertEquals(12, anomalies[0].row, "The repeated charge should be flagged");
+    T.assertTrue(anomalies[0].reason.indexOf("on the same day after row 11") !== -1, "Reason should point at the same-day row");
+  });
+
+  T.registerTest(MODULE_NAME, "findTransactionAnomalies should flag large first charges once history exists", function() {
+    const records = groceries().concat([
+      record(7, new Date(2024, 0, 12), -400, "IKEA"),
+      record(8, new Date(2024, 4, 2), -320, "MediaMarkt"),
+      record(9, new Date(2024, 4, 3), -90, "Bookshop"),
+      record(10, new Date(2024, 4, 4), 2500, "Employer", { type: "Income" }),
+      record(11, new Date(2024, 4, 5), -500, "Broker", { type: "Savings" })
+    ]);
+    const anomalies = A.findTransactionAnomalies(records, options(), today);
+    T.assertEquals(1, anomalies.length, "Only the new merchant after the learning period expected");
+    T.assertEquals("New merchant", anomalies[0].kind, "Kind expected");
+    T.assertEquals("MediaMarkt", anomalies[0].merchant, "Merchant expected");
+    T.assertEquals(null, anomalies[0].baseline, "New merchants have no baseline");
+    T.assertEquals(0, A.findTransactionAnomalies(records, options({ LOOKBACK_MONTHS: 1 }), today).length,
+      "Anomalies before the lookback window should not be listed");
+  });
+
+  // --- Tests for findCategoryAnomalies ---
+  function rentAndFun(lastFun) {
+    const records = [];
+    for (let month = 0; month < 12; month++) {
+      records.push(record(month + 2, new Date(2023, 6 + month, 1), -1000, "Landlord", { category: "Housing" }));
+      records.push(record(month + 20, new Date(2023, 6 + month, 15), month === 11 ? -lastFun : -(100 + (month % 3) * 10),
+        "Cinema", { type: "Wants/Pleasure", category: "Fun" }));
+    }
+    return records;
+  }
+
+  T.registerTest(MODULE_NAME, "findCategoryAnomalies should flag a month far from the category's baseline", function() {
+    const anomalies = A.findCategoryAnomalies(rentAndFun(400), options(), today);
+    T.assertEquals(1, anomalies.length, "Only the expensive month expected");
+    const fun = anomalies[0];
+    T.assertEquals("Fun", fun.category, "Category expected");
+    T.assertEquals(5, fun.date.getMonth(), "June expected");
+    T.assertEquals(-400, fun.amount, "Month spend should keep the ledger sign");
+    T.assertTrue(fun.reason.indexOf("above the 11-month average") !== -1, "Reason should name the baseline");
+    T.assertEquals("Unusual month|Wants/Pleasure|Fun|2024-6", fun.key, "Key should name the category and month");
+  });
+
+  T.registerTest(MODULE_NAME, "findCategoryAnomalies should support the IQR method and missing months", function() {
+    const records = rentAndFun(110).filter(r => !(r.category === "Housing" && r.date.getMonth() === 2));
+    const anomalies = A.findCategoryAnomalies(records, options({ CATEGORY_METHOD: "iqr" }), today);
+    T.assertEquals(1, anomalies.length, "Only the month without rent expected");
+    T.assertEquals("Housing", anomalies[0].category, "Category expected");
+    T.assertEquals(0, anomalies[0].amount, "A month without spend should count as zero");
+    T.assertTrue(anomalies[0].reason.indexOf("below the usual range") !== -1, "Low months should be flagged too");
+  });
+
+  T.registerTest(MODULE_NAME, "findCategoryAnomalies should only flag the current month when it is high", function() {
+    const records = rentAndFun(110).filter(r => !(r.category === "Housing" && r.date.getMonth() === 5));
+    T.assertEquals(0, A.findCategoryAnomalies(records, options(), today).length, "An incomplete month should not be low");
+    const high = records.concat([record(40, new Date(2024, 5, 2), -3000, "Landlord", { category: "Housing" })]);
+    const anomalies = A.findCategoryAnomalies(high, options(), today);
+    T.assertEquals(1, anomalies.length, "A high month to date should be flagged");
+    T.assertTrue(anomalies[0].reason.indexOf("month to date") !== -1, "Reason should say the month is incomplete");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.AnomalyService);
@@ -0,0 +1,86 @@
+/**
+ * Financial Planning Tools - Budget Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.BudgetService module.
+ * Only the budget lookups are covered; sheet access and the Budgets sidebar are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, B) { // T = Testing, B = BudgetService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping BudgetService tests.");
+    return;
+  }
+  if (!B) {
+    console.error("BudgetService module is not available. Skipping BudgetService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "BudgetService";
+
+  const budgets = [
+    { type: "Essentials", category: "Food", monthly: 450 },
+    { type: "Wants/Pleasure", category: "Food", monthly: 120 },
+    { type: "Essentials", category: "Housing", monthly: 0 }
+  ];
+
+  // --- Tests for lookups ---
+  T.registerTest(MODULE_NAME, "findBudget should match on type and category", function() {
+    T.assertEquals(120, B.findBudget(budgets, "Wants/Pleasure", "Food").monthly, "Type should tell categories apart");
+    T.assertEquals(null, B.findBudget(budgets, "Extra", "Food"), "Unknown category should have no budget");
+  });
+
+  T.registerTest(MODULE_NAME, "getMonthlyBudget should return the monthly amount", function() {
+    T.assertEquals(450, B.getMonthlyBudget(budgets, "Essentials", "Food", new Date(2024, 4, 1)), "Monthly budget expected");
+    T.assertEquals(0, B.getMonthlyBudget(budgets, "Essentials", "Transport", new Date(2024, 4, 1)), "Missing budget should be 0");
+  });
+
+  // Sheet rows as read by getBudgets: a category budget, an override, sub-category budgets and a weighted yearly budget
+  const detailed = [
+    { type: "Essentials", category: "Food", subcategory: "", period: "Monthly", amount: 450, month: null, weights: null, monthly: 450 },
+    { type: "Essentials", category: "Food", subcategory: "", period: "Monthly", amount: 600, month: new Date(2024, 11, 1), weights: null, monthly: 600 },
+    { type: "Essentials", category: "Transport", subcategory: "Fuel", period: "Monthly", amount: 80, month: null, weights: null, monthly: 80 },
+    { type: "Essentials", category: "Transport", subcategory: "Train", period: "Yearly", amount: 240, month: null, weights: null, monthly: 20 },
+    { type: "Extra", category: "Gifts", subcategory: "", period: "Yearly", amount: 600, month: null,
+      weights: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 9], monthly: 50 },
+    { type: "Wants/Pleasure", category: "Hobbies", subcategory: "", period: "Monthly", amount: null, month: null, weights: null, monthly: 0 }
+  ];
+
+  T.registerTest(MODULE_NAME, "getMonthlyBudget should apply month overrides and spread yearly budgets", function() {
+    T.assertEquals(450, B.getMonthlyBudget(detailed, "Essentials", "Food", new Date(2024, 10, 1)), "Standing budget expected");
+    T.assertEquals(600, B.getMonthlyBudget(detailed, "Essentials", "Food", new Date(2024, 11, 20)), "December override expected");
+    T.assertEquals(450, B.getMonthlyBudget(detailed, "Essentials", "Food", new Date(2025, 11, 1)), "Overrides should apply to one year only");
+    T.assertEquals(30, B.getMonthlyBudget(detailed, "Extra", "Gifts", new Date(2024, 0, 1)), "Weighted share of the year expected");
+    T.assertEquals(270, B.getMonthlyBudget(detailed, "Extra", "Gifts", new Date(2024, 11, 1)), "December weight expected");
+    T.assertEquals(50, B.findBudget(detailed, "Extra", "Gifts").monthly, "A yearly budget should average a twelfth a month");
+    T.assertEquals(450, B.findBudget(detailed, "Essentials", "Food").amount, "The standing budget should be found, not the override");
+  });
+
+  T.registerTest(MODULE_NAME, "getMonthlyBudget should total sub-category budgets", function() {
+    const may = new Date(2024, 4, 1);
+    T.assertEquals(20, B.getMonthlyBudget(detailed, "Essentials", "Transport", may, "Train"), "Even share of the yearly budget expected");
+    T.assertEquals(100, B.getMonthlyBudget(detailed, "Essentials", "Transport", may), "A category should total its sub-categories");
+    T.assertEquals(0, B.getMonthlyBudget(detailed, "Essentials", "Food", may, "Bakery"), "Sub-categories should not inherit the category budget");
+    T.assertEquals(550, B.getTypeBudget(detailed, "Essentials", may), "A type should total its categories");
+  });
+
+  T.registerTest(MODULE_NAME, "getAverageBudget should average months and skip blank budgets", function() {
+    const months = [new Date(2024, 10, 1), new Date(2024, 11, 1)];
+    T.assertEquals(525, B.getAverageBudget(detailed, months, "Essentials", "Food"), "Average with the override expected");
+    T.assertEquals(150, B.getAverageBudget(detailed, months, "Extra"), "Average of the weighted months expected");
+    T.assertEquals(null, B.getAverageBudget(detailed, months, "Wants/Pleasure"), "Blank budgets should not count");
+    T.assertEquals(null, B.getAverageBudget(detailed, [], "Essentials"), "No months should give no average");
+    T.assertTrue(!B.hasBudget(detailed, "Savings"), "Savings have no budget");
+  });
+
+  T.registerTest(MODULE_NAME, "getTargetRate should fall back to the configured rates", function() {
+    const rates = FinancialPlanner.Config.getTargetRates();
+    T.assertEquals(rates.ESSENTIALS, B.getTargetRate("Essentials"), "Essentials rate expected");
+    T.assertEquals(rates.WANTS, B.getTargetRate("Wants/Pleasure"), "Wants rate expected");
+    T.assertEquals(rates.DEFAULT, B.getTargetRate("Unknown"), "Default rate expected");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.BudgetService);
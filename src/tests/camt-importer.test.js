@@ -0,0 +1,115 @@
+/**
+ * Financial Planning Tools - CAMT Importer Tests
+ *
+ * This file contains tests for the FinancialPlanner.CamtImporter module.
+ * Covers statement extraction and record mapping; the ledger, balance and deduplication
+ * writes are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, C) { // T = Testing, C = CamtImporter
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping CamtImporter tests.");
+    return;
+  }
+  if (!C) {
+    console.error("CamtImporter module is not available. Skipping CamtImporter tests.");
+    return;
+  }
+
+  const MODULE_NAME = "CamtImporter";
+
+  const camt = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<Document xmlns=\"urn:iso:std:iso:20022:tech:xsd:camt.053.001.02\">",
+    "<BkToCstmrStmt><GrpHdr><MsgId>M1</MsgId></GrpHdr>",
+    "<Stmt><Id>S1</Id>",
+    "<Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>",
+    "<Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy=\"EUR\">100.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-03-01</Dt></Dt></Bal>",
+    "<Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy=\"EUR\">2995.80</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-03-05</Dt></Dt></Bal>",
+    // Debit with creditor details and unstructured remittance
+    "<Ntry><Amt Ccy=\"EUR\">54.20</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>",
+    "<BookgDt><Dt>2024-03-01</Dt></BookgDt><ValDt><Dt>2024-03-02</Dt></ValDt><AcctSvcrRef>REF-1</AcctSvcrRef>",
+    "<NtryDtls><TxDtls><RltdPties><Cdtr><Nm>REWE Markt GmbH</Nm></Cdtr><CdtrAcct><Id><IBAN>DE02120300000000202051</IBAN></Id></CdtrAcct></RltdPties>",
+    "<RmtInf><Ustrd>REWE SAGT DANKE</Ustrd><Ustrd>4411</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>",
+    // Credit in the camt.053.001.08 layout (Sts/Cd, Dbtr/Pty/Nm), no reference
+    "<Ntry><Amt Ccy=\"EUR\">3200.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>",
+    "<BookgDt><DtTm>2024-03-04T08:00:00</DtTm></BookgDt><ValDt><Dt>2024-03-04</Dt></ValDt>",
+    "<NtryDtls><TxDtls><RltdPties><Dbtr><Pty><Nm>ACME GmbH</Nm></Pty></Dbtr></RltdPties>",
+    "<RmtInf><Ustrd>Gehalt Maerz</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>",
+    // Batch booking with two priced details
+    "<Ntry><Amt Ccy=\"EUR\">250.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>",
+    "<BookgDt><Dt>2024-03-05</Dt></BookgDt><AcctSvcrRef>BATCH-9</AcctSvcrRef><NtryDtls>",
+    "<TxDtls><Amt Ccy=\"EUR\">200.00</Amt><RltdPties><Cdtr><Nm>Landlord</Nm></Cdtr></RltdPties><RmtInf><Ustrd>Rent</Ustrd></RmtInf></TxDtls>",
+    "<TxDtls><Amt Ccy=\"EUR\">50.00</Amt><RltdPties><Cdtr><Nm>Power Co</Nm></Cdtr></RltdPties><RmtInf><Ustrd>Electricity</Ustrd></RmtInf></TxDtls>",
+    "</NtryDtls></Ntry>",
+    // Pending entry
+    "<Ntry><Amt Ccy=\"EUR\">9.99</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>PDNG</Sts><BookgDt><Dt>2024-03-05</Dt></BookgDt></Ntry>",
+    "</Stmt></BkToCstmrStmt></Document>"
+  ].join("\n");
+
+  // --- Tests for getStatements ---
+  T.registerTest(MODULE_NAME, "getStatements should read account, entries and balances", function() {
+    const statements = C.getStatements(camt);
+    T.assertEquals(1, statements.length, "One statement expected");
+    const statement = statements[0];
+    T.assertEquals("DE89370400440532013000", statement.iban, "IBAN expected");
+    T.assertEquals(5, statement.transactions.length, "Batch details should be split into transactions");
+    T.assertEquals(2995.8, statement.closingBalance.amount, "Closing balance expected");
+    T.assertEquals(null, statement.availableBalance, "Missing CLAV should be null");
+
+    const debit = statement.transactions[0];
+    T.assertEquals(-54.2, debit.amount, "DBIT should be negative");
+    T.assertEquals(2, debit.valueDate.getDate(), "Value date expected");
+    T.assertEquals("REWE Markt GmbH", debit.counterparty, "Creditor should be the counterparty of a debit");
+    T.assertEquals("DE02120300000000202051", debit.counterpartyIban, "Creditor IBAN expected");
+    T.assertEquals("REWE SAGT DANKE 4411", debit.remittance, "Remittance lines should be joined");
+  });
+
+  T.registerTest(MODULE_NAME, "getStatements should read the camt.053.001.08 layout", function() {
+    const credit = C.getStatements(camt)[0].transactions[1];
+    T.assertEquals(3200, credit.amount, "CRDT should be positive");
+    T.assertEquals("BOOK", credit.status, "Nested status code expected");
+    T.assertEquals(4, credit.bookingDate.getDate(), "Date-time booking date expected");
+    T.assertEquals("ACME GmbH", credit.counterparty, "Debtor under Pty should be the counterparty of a credit");
+  });
+
+  T.registerTest(MODULE_NAME, "getStatements should reject non-CAMT files", function() {
+    T.assertThrows(function() {
+      C.getStatements("<?xml version=\"1.0\"?><Other/>");
+    }, "not a CAMT.053", "Other XML should throw");
+  });
+
+  // --- Tests for toRecords ---
+  T.registerTest(MODULE_NAME, "toRecords should map booked entries to ledger records", function() {
+    const result = C.toRecords(camt);
+    T.assertEquals(4, result.records.length, "Four booked transactions expected");
+    T.assertEquals(1, result.skipped, "Pending entry should be skipped");
+
+    const record = result.records[0];
+    T.assertEquals("DE89370400440532013000:REF-1", record.id, "Id should combine IBAN and bank reference");
+    T.assertEquals("CAMT.053", record.source, "Source should be CAMT.053");
+    T.assertEquals("REWE SAGT DANKE 4411", record.description, "Remittance should be the description");
+    T.assertEquals("REWE Markt GmbH", record.merchant, "Counterparty should be the merchant");
+    T.assertEquals("DE02120300000000202051", record.counterpartyIban, "Counterparty IBAN expected");
+    T.assertEquals(2, record.valueDate.getDate(), "Value date expected");
+
+    T.assertTrue(result.records[1].id.indexOf("camt_") !== -1, "Entries without reference should get a content id");
+    T.assertEquals("DE89370400440532013000:BATCH-9/2", result.records[3].id, "Batch details should get numbered ids");
+    T.assertEquals(-50, result.records[3].amount, "Batch detail should take the entry's sign");
+  });
+
+  T.registerTest(MODULE_NAME, "toRecords should be stable and produce the closing balance", function() {
+    const first = C.toRecords(camt, { account: "Girokonto" });
+    const second = C.toRecords(camt, { account: "Girokonto" });
+    T.assertEquals(first.records[1].id, second.records[1].id, "Content ids should be stable");
+    T.assertEquals("Girokonto", first.records[0].account, "Account override should be used");
+    T.assertEquals(1, first.balances.length, "One balance expected");
+    T.assertEquals(2995.8, first.balances[0].ledgerBalance, "Closing balance should be the ledger balance");
+    T.assertEquals("EUR", first.balances[0].currency, "Currency expected");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.CamtImporter);
@@ -0,0 +1,101 @@
+/**
+ * Financial Planning Tools - Categorization Rules Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.CategorizationRulesService module.
+ * Only rule parsing and matching are covered; sheet access is exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, R) { // T = Testing, R = CategorizationRulesService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping CategorizationRulesService tests.");
+    return;
+  }
+  if (!R) {
+    console.error("CategorizationRulesService module is not available. Skipping CategorizationRulesService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "CategorizationRulesService";
+
+  // Columns: Enabled, Rule Name, Description Regex, Merchant Regex, Min Amount, Max Amount,
+  //          Account, Provider Category, Day From, Day To, Type, Category, Sub-Category, Shared?
+  const ruleRows = [
+    [false, "Disabled", "NETFLIX", "", "", "", "", "", "", "", "Wants/Pleasure", "Subscriptions", "Streaming", ""],
+    [true, "Rent", "", "", 900, 1200, "", "", 28, 3, "Essentials", "Housing", "Rent", true],
+    ["", "Coffee", "", "starbucks", "", "", "", "", "", "", "Wants/Pleasure", "Food", "Coffee", ""],
+    [true, "Broken", "([", "", "", "", "", "", "", "", "Extra", "Misc", "", ""],
+    [true, "Groceries on card", "", "", "", "", "acc_card", "FOOD_AND_DRINK_GROCERIES", "", "", "Essentials", "Food", "Groceries", ""]
+  ];
+
+  function record(overrides) {
+    return Object.assign({
+      date: new Date(2024, 2, 15),
+      description: "",
+      merchant: "",
+      amount: -10,
+      account: "",
+      providerCategory: "",
+      providerDetail: "",
+      type: "",
+      category: "",
+      subcategory: "",
+      shared: false
+    }, overrides);
+  }
+
+  // --- Tests for parseRules ---
+  T.registerTest(MODULE_NAME, "parseRules should skip disabled and invalid rules", function() {
+    const rules = R.parseRules(ruleRows);
+    T.assertEquals(3, rules.length, "Only enabled rules with valid regexes should be kept");
+    T.assertEquals("Rent", rules[0].name, "Order should follow the sheet");
+    T.assertEquals(3, rules[0].row, "Rules should remember their sheet row");
+  });
+
+  // --- Tests for matching ---
+  T.registerTest(MODULE_NAME, "matches should compare absolute amounts against the range", function() {
+    const rent = R.parseRules(ruleRows)[0];
+    T.assertTrue(R.matches(rent, record({ amount: -1000, date: new Date(2024, 2, 1) })), "-1000 on the 1st should match");
+    T.assertFalse(R.matches(rent, record({ amount: -500, date: new Date(2024, 2, 1) })), "-500 is below the range");
+  });
+
+  T.registerTest(MODULE_NAME, "matches should support day ranges that wrap the month end", function() {
+    const rent = R.parseRules(ruleRows)[0];
+    T.assertTrue(R.matches(rent, record({ amount: -1000, date: new Date(2024, 2, 30) })), "30th is within 28-3");
+    T.assertFalse(R.matches(rent, record({ amount: -1000, date: new Date(2024, 2, 15) })), "15th is outside 28-3");
+  });
+
+  T.registerTest(MODULE_NAME, "matches should use case-insensitive merchant regexes", function() {
+    const coffee = R.parseRules(ruleRows)[1];
+    T.assertTrue(R.matches(coffee, record({ merchant: "Starbucks" })), "Merchant regex should ignore case");
+    T.assertFalse(R.matches(coffee, record({ description: "STARBUCKS" })), "Merchant regex should not look at the description");
+  });
+
+  T.registerTest(MODULE_NAME, "matches should check account and provider detail", function() {
+    const groceries = R.parseRules(ruleRows)[2];
+    T.assertTrue(R.matches(groceries, record({ account: "ACC_CARD", providerDetail: "FOOD_AND_DRINK_GROCERIES" })), "Account and detail should match");
+    T.assertFalse(R.matches(groceries, record({ account: "acc_other", providerDetail: "FOOD_AND_DRINK_GROCERIES" })), "Other accounts should not match");
+  });
+
+  // --- Tests for applyToRecords ---
+  T.registerTest(MODULE_NAME, "applyToRecords should use the first matching rule and set Shared?", function() {
+    const rules = R.parseRules(ruleRows);
+    const records = [
+      record({ amount: -1000, date: new Date(2024, 2, 1) }),
+      record({ merchant: "Starbucks", type: "Extra" }),
+      record({ description: "Unknown shop" })
+    ];
+
+    const result = R.applyToRecords(records, rules);
+
+    T.assertEquals(1, result.matched, "Only the blank rent record should be matched");
+    T.assertEquals("Housing", records[0].category, "Rent rule should set the category");
+    T.assertTrue(records[0].shared, "Rent rule should set Shared?");
+    T.assertEquals("Extra", records[1].type, "Already categorized records should be left alone");
+    T.assertEquals("", records[2].type, "Unmatched records stay blank");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.CategorizationRulesService);
@@ -0,0 +1,92 @@
+/**
+ * Financial Planning Tools - Category Mapping Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.CategoryMappingService module.
+ * Only the pure matching logic is covered; sheet access is exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, M) { // T = Testing, M = CategoryMappingService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping CategoryMappingService tests.");
+    return;
+  }
+  if (!M) {
+    console.error("CategoryMappingService module is not available. Skipping CategoryMappingService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "CategoryMappingService";
+
+  const mappings = [
+    { provider: "Plaid", providerCategory: "Food and Drink", providerDetail: "", type: "Essentials", category: "Food", subcategory: "" },
+    { provider: "Plaid", providerCategory: "FOOD_AND_DRINK", providerDetail: "FOOD_AND_DRINK_RESTAURANT", type: "Wants/Pleasure", category: "Food", subcategory: "Restaurants" },
+    { provider: "SaltEdge", providerCategory: "groceries", providerDetail: "", type: "Essentials", category: "Food", subcategory: "Groceries" },
+    { provider: "", providerCategory: "Transfer", providerDetail: "", type: "Savings", category: "Transfers", subcategory: "" },
+    { provider: "Plaid", providerCategory: "ENTERTAINMENT", providerDetail: "", type: "", category: "", subcategory: "" }
+  ];
+
+  // --- Tests for findMapping ---
+  T.registerTest(MODULE_NAME, "findMapping should match legacy and PFC spellings of a primary category", function() {
+    const mapping = M.findMapping(mappings, "Plaid", "FOOD_AND_DRINK", "FOOD_AND_DRINK_GROCERIES");
+    T.assertNotNull(mapping, "FOOD_AND_DRINK should match the 'Food and Drink' seed");
+    T.assertEquals("Essentials", mapping.type, "Primary mapping should give Essentials");
+  });
+
+  T.registerTest(MODULE_NAME, "findMapping should prefer a detailed mapping over a primary one", function() {
+    const mapping = M.findMapping(mappings, "Plaid", "FOOD_AND_DRINK", "FOOD_AND_DRINK_RESTAURANT");
+    T.assertEquals("Restaurants", mapping.subcategory, "Detailed mapping should win");
+  });
+
+  T.registerTest(MODULE_NAME, "findMapping should respect the provider column", function() {
+    T.assertEquals(null, M.findMapping(mappings, "Plaid", "groceries", ""), "SaltEdge mapping should not apply to Plaid");
+    T.assertEquals("Groceries", M.findMapping(mappings, "SaltEdge", "groceries", "").subcategory, "SaltEdge mapping should apply to SaltEdge");
+  });
+
+  T.registerTest(MODULE_NAME, "findMapping should treat a blank provider as a wildcard", function() {
+    T.assertEquals("Savings", M.findMapping(mappings, "SaltEdge", "transfer", "").type, "Blank mapping provider matches any provider");
+  });
+
+  T.registerTest(MODULE_NAME, "findMapping should ignore rows without a Type", function() {
+    T.assertEquals(null, M.findMapping(mappings, "Plaid", "ENTERTAINMENT", ""), "Placeholder rows should not match");
+  });
+
+  // --- Tests for applyToRecords ---
+  T.registerTest(MODULE_NAME, "applyToRecords should only fill records without a Type", function() {
+    const records = [
+      { type: "", category: "", subcategory: "", providerCategory: "FOOD_AND_DRINK", providerDetail: "" },
+      { type: "Income", category: "Salary", subcategory: "", providerCategory: "FOOD_AND_DRINK", providerDetail: "" },
+      { type: "", category: "", subcategory: "", providerCategory: "UNKNOWN", providerDetail: "" }
+    ];
+
+    const result = M.applyToRecords(records, "Plaid", mappings);
+
+    T.assertEquals(1, result.mapped, "One record should be mapped");
+    T.assertEquals(1, result.unmapped, "One record should stay unmapped");
+    T.assertEquals("Essentials", records[0].type, "Blank record should receive the mapped Type");
+    T.assertEquals("Income", records[1].type, "Existing categorization should be kept");
+    T.assertEquals("", records[2].type, "Unknown category should stay blank");
+  });
+
+  // --- Tests for collectUnmapped ---
+  T.registerTest(MODULE_NAME, "collectUnmapped should report each category under its own source", function() {
+    const records = [
+      { source: "SaltEdge", type: "", providerCategory: "pets", providerDetail: "" },
+      { source: "SaltEdge", type: "", providerCategory: "pets", providerDetail: "" },
+      { source: "Plaid", type: "", providerCategory: "groceries", providerDetail: "" },
+      { source: "SaltEdge", type: "", providerCategory: "groceries", providerDetail: "" },
+      { source: "CSV", type: "Extra", providerCategory: "pets", providerDetail: "" }
+    ];
+
+    const unmapped = M.collectUnmapped(records, mappings);
+
+    T.assertDeepEquals([
+      { provider: "SaltEdge", providerCategory: "pets", providerDetail: "", count: 2 },
+      { provider: "Plaid", providerCategory: "groceries", providerDetail: "", count: 1 }
+    ], unmapped, "Unmapped categories by source expected, categorized rows skipped");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.CategoryMappingService);
@@ -0,0 +1,75 @@
+/**
+ * Financial Planning Tools - Category Suggester Tests
+ *
+ * This file contains tests for the FinancialPlanner.CategorySuggester module.
+ * Covers feature extraction, training and prediction; sheet access is exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, S) { // T = Testing, S = CategorySuggester
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping CategorySuggester tests.");
+    return;
+  }
+  if (!S) {
+    console.error("CategorySuggester module is not available. Skipping CategorySuggester tests.");
+    return;
+  }
+
+  const MODULE_NAME = "CategorySuggester";
+
+  function row(description, merchant, amount, type, category, subcategory) {
+    return { description: description, merchant: merchant, amount: amount, type: type, category: category, subcategory: subcategory };
+  }
+
+  const history = [
+    row("REWE SAGT DANKE 4411", "REWE", -54.2, "Essentials", "Food", "Groceries"),
+    row("REWE MARKT GMBH", "REWE", -23.9, "Essentials", "Food", "Groceries"),
+    row("REWE SAGT DANKE 1234", "REWE", -61.0, "Essentials", "Food", "Groceries"),
+    row("LIDL DIENSTL 0021", "Lidl", -18.4, "Essentials", "Food", "Groceries"),
+    row("NETFLIX.COM", "Netflix", -12.99, "Wants/Pleasure", "Subscriptions", "Streaming"),
+    row("NETFLIX.COM AMSTERDAM", "Netflix", -12.99, "Wants/Pleasure", "Subscriptions", "Streaming"),
+    row("GEHALT ACME GMBH", "", 3200, "Income", "Salary", ""),
+    row("GEHALT ACME GMBH", "", 3200, "Income", "Salary", ""),
+    row("UNCATEGORIZED THING", "", -5, "", "", "")
+  ];
+
+  // --- Tests for extractFeatures ---
+  T.registerTest(MODULE_NAME, "extractFeatures should tokenize descriptions and drop numbers", function() {
+    const features = S.extractFeatures(row("REWE SAGT DANKE 4411", "REWE", -54.2));
+    T.assertTrue(features.indexOf("rewe") !== -1, "Description tokens should be lowercased");
+    T.assertTrue(features.indexOf("4411") === -1, "Pure numbers should be dropped");
+    T.assertTrue(features.indexOf("m:rewe") !== -1, "Merchant should be a feature");
+    T.assertTrue(features.indexOf("amt:-<=100") !== -1, "Amount bucket should be a feature");
+  });
+
+  // --- Tests for train ---
+  T.registerTest(MODULE_NAME, "train should skip uncategorized rows", function() {
+    const model = S.train(history);
+    T.assertEquals(8, model.totalDocs, "Only categorized rows should be counted");
+    T.assertEquals(3, Object.keys(model.labels).length, "Three distinct labels expected");
+  });
+
+  // --- Tests for predict ---
+  T.registerTest(MODULE_NAME, "predict should suggest the learned category with high confidence", function() {
+    const model = S.train(history);
+    const suggestion = S.predict(model, row("REWE SAGT DANKE 9999", "REWE", -40));
+    T.assertEquals("Essentials", suggestion.type, "Type should be Essentials");
+    T.assertEquals("Groceries", suggestion.subcategory, "Sub-Category should be Groceries");
+    T.assertTrue(suggestion.confidence > 0.9, "Confidence should be high for a familiar merchant");
+  });
+
+  T.registerTest(MODULE_NAME, "predict should give low confidence for unfamiliar transactions", function() {
+    const model = S.train(history);
+    const suggestion = S.predict(model, row("SOMETHING NEW", "", -40));
+    T.assertTrue(suggestion.confidence < 0.8, "Confidence should be low when no features are known");
+  });
+
+  T.registerTest(MODULE_NAME, "predict should return null for an empty model", function() {
+    T.assertEquals(null, S.predict(S.train([]), row("REWE", "", -1)), "Empty model cannot suggest");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.CategorySuggester);
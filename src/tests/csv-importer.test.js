@@ -0,0 +1,128 @@
+/**
+ * Financial Planning Tools - CSV Importer Tests
+ *
+ * This file contains tests for the FinancialPlanner.CsvImporter module.
+ * Covers parsing, detection and profile mapping; Drive access and the ledger upsert are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, C) { // T = Testing, C = CsvImporter
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping CsvImporter tests.");
+    return;
+  }
+  if (!C) {
+    console.error("CsvImporter module is not available. Skipping CsvImporter tests.");
+    return;
+  }
+
+  const MODULE_NAME = "CsvImporter";
+
+  const germanCsv = [
+    "Kontoauszug Girokonto",
+    "Buchungstag;Verwendungszweck;Betrag",
+    "01.03.2024;\"REWE SAGT DANKE; Berlin\";-54,20",
+    "02.03.2024;GEHALT ACME GMBH;3.200,00",
+    "02.03.2024;Kaffee;-3,50",
+    "02.03.2024;Kaffee;-3,50"
+  ].join("\n");
+
+  const germanProfile = {
+    name: "Sparkasse",
+    skipRows: 1,
+    columns: { date: "Buchungstag", description: "Verwendungszweck", amount: "Betrag" }
+  };
+
+  // --- Tests for detectDelimiter and parse ---
+  T.registerTest(MODULE_NAME, "detectDelimiter should find a semicolon after the preamble", function() {
+    T.assertEquals(";", C.detectDelimiter(germanCsv, 1), "Semicolon-separated file expected");
+    T.assertEquals("\t", C.detectDelimiter("a\tb\tc\n1\t2\t3"), "Tab-separated file expected");
+  });
+
+  T.registerTest(MODULE_NAME, "parse should handle quotes, doubled quotes and embedded newlines", function() {
+    const rows = C.parse("\uFEFFa,b\n\"x, y\",\"say \"\"hi\"\"\"\n\n\"line1\nline2\",z\r\n", ",");
+    T.assertEquals(3, rows.length, "Blank lines should be skipped");
+    T.assertEquals("a", rows[0][0], "Byte order mark should be dropped");
+    T.assertEquals("x, y", rows[1][0], "Quoted delimiter should stay in the field");
+    T.assertEquals("say \"hi\"", rows[1][1], "Doubled quotes should become one quote");
+    T.assertEquals("line1\nline2", rows[2][0], "Quoted newline should stay in the field");
+  });
+
+  // --- Tests for parseAmount and detectDecimalSeparator ---
+  T.registerTest(MODULE_NAME, "parseAmount should handle separators, signs and currency", function() {
+    T.assertEquals(1234.56, C.parseAmount("1.234,56", ","), "Decimal comma with thousands point");
+    T.assertEquals(1234.56, C.parseAmount("1,234.56", "."), "Decimal point with thousands comma");
+    T.assertEquals(-12.5, C.parseAmount("(12.50)", "."), "Parentheses mean negative");
+    T.assertEquals(-12.5, C.parseAmount("12,50-", ","), "Trailing minus means negative");
+    T.assertEquals(-3.2, C.parseAmount("€ -3,20", ","), "Currency symbol should be ignored");
+    T.assertTrue(isNaN(C.parseAmount("", ",")), "Empty cell should be NaN");
+  });
+
+  T.registerTest(MODULE_NAME, "detectDecimalSeparator should tell decimal comma from decimal point", function() {
+    T.assertEquals(",", C.detectDecimalSeparator(["-54,20", "3.200,00", "1.000"]), "Decimal comma expected");
+    T.assertEquals(".", C.detectDecimalSeparator(["-54.20", "3,200.00", "1,000"]), "Decimal point expected");
+  });
+
+  // --- Tests for parseDate and detectDateFormat ---
+  T.registerTest(MODULE_NAME, "parseDate should parse formats and reject impossible dates", function() {
+    const date = C.parseDate("1.3.2024", "DD.MM.YYYY");
+    T.assertEquals(2024, date.getFullYear(), "Year should be parsed");
+    T.assertEquals(2, date.getMonth(), "Month should be parsed");
+    T.assertEquals(1, date.getDate(), "Day should be parsed");
+    T.assertEquals(null, C.parseDate("31.02.2024", "DD.MM.YYYY"), "31 February should be rejected");
+    T.assertEquals(5, C.parseDate("20240305", "YYYYMMDD").getDate(), "Compact format should be parsed");
+  });
+
+  T.registerTest(MODULE_NAME, "detectDateFormat should pick the format that fits every value", function() {
+    T.assertEquals("DD.MM.YYYY", C.detectDateFormat(["01.03.2024", "31.03.2024"]), "German dates expected");
+    T.assertEquals("MM/DD/YYYY", C.detectDateFormat(["03/01/2024", "03/31/2024"]), "US dates expected");
+    T.assertEquals(null, C.detectDateFormat(["yesterday"]), "Unknown formats should give null");
+  });
+
+  // --- Tests for toRecords ---
+  T.registerTest(MODULE_NAME, "toRecords should map rows through a profile with detection", function() {
+    const result = C.toRecords(germanCsv, germanProfile);
+    T.assertEquals(4, result.records.length, "Four records expected");
+    T.assertEquals(";", result.delimiter, "Delimiter should be detected");
+    T.assertEquals(",", result.decimalSeparator, "Decimal comma should be detected");
+    T.assertEquals("DD.MM.YYYY", result.dateFormat, "Date format should be detected");
+    T.assertEquals("REWE SAGT DANKE; Berlin", result.records[0].description, "Quoted description expected");
+    T.assertEquals(3200, result.records[1].amount, "Income should be positive");
+    T.assertEquals("Sparkasse", result.records[0].account, "Account should default to the profile name");
+    T.assertEquals("CSV", result.records[0].source, "Source should be CSV");
+  });
+
+  T.registerTest(MODULE_NAME, "toRecords should generate stable, distinct ids for identical rows", function() {
+    const first = C.toRecords(germanCsv, germanProfile).records;
+    const second = C.toRecords(germanCsv, germanProfile).records;
+    T.assertEquals(first[2].id, second[2].id, "Re-parsing should give the same id");
+    T.assertTrue(first[2].id !== first[3].id, "Identical rows should get distinct ids");
+    T.assertTrue(first[2].id.indexOf("csv_") === 0, "Generated ids should be prefixed");
+  });
+
+  T.registerTest(MODULE_NAME, "toRecords should support inverted signs, debit/credit and id columns", function() {
+    const inverted = C.toRecords("Date,Payee,Amount\n2024-03-01,Shop,12.50\n2024-03-02,Refund,-4.00",
+      { name: "Card", signConvention: "inverted", columns: { date: "Date", description: "Payee", amount: "Amount" } });
+    T.assertEquals(-12.5, inverted.records[0].amount, "Positive outflow should become negative");
+    T.assertEquals(4, inverted.records[1].amount, "Negative refund should become positive");
+
+    const split = C.toRecords("Ref,Date,Text,Debit,Credit\nA1,03/01/2024,Rent,950.00,\nA2,03/02/2024,Salary,,2500.00\nA3,bad,Broken,1.00,",
+      { name: "Bank", account: "Checking", signConvention: "debitCredit", dateFormat: "MM/DD/YYYY",
+        columns: { date: "Date", description: "Text", debit: "Debit", credit: "Credit", id: 1 } });
+    T.assertEquals(-950, split.records[0].amount, "Debit should be negative");
+    T.assertEquals(2500, split.records[1].amount, "Credit should be positive");
+    T.assertEquals("A2", split.records[1].id, "Id column should be used");
+    T.assertEquals("Checking", split.records[0].account, "Explicit account should be used");
+    T.assertEquals(1, split.skipped, "Row with an invalid date should be skipped");
+  });
+
+  T.registerTest(MODULE_NAME, "toRecords should reject a profile whose columns are missing", function() {
+    T.assertThrows(function() {
+      C.toRecords("Date,Amount\n2024-03-01,1", { name: "X", columns: { date: "Datum", amount: "Amount" } });
+    }, "was not found", "Unknown column should throw");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.CsvImporter);
@@ -0,0 +1,201 @@
+/**
+ * Financial Planning Tools - Deduplication Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.DeduplicationService module.
+ * Covers similarity scoring, survivor choice and pair matching, and the Duplicate Review round trip
+ * against in-memory SpreadsheetApp and LedgerService stubs.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, D) { // T = Testing, D = DeduplicationService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping DeduplicationService tests.");
+    return;
+  }
+  if (!D) {
+    console.error("DeduplicationService module is not available. Skipping DeduplicationService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "DeduplicationService";
+
+  const options = { windowDays: 3, matchSimilarity: 0.6, reviewSimilarity: 0.3 };
+
+  function record(row, source, id, day, amount, description, overrides) {
+    return Object.assign({
+      row: row,
+      source: source,
+      id: id,
+      date: new Date(2024, 2, day),
+      amount: amount,
+      description: description,
+      merchant: "",
+      type: "",
+      duplicateOf: ""
+    }, overrides);
+  }
+
+  // --- Tests for similarity ---
+  T.registerTest(MODULE_NAME, "similarity should ignore numbers, punctuation and case", function() {
+    const score = D.similarity({ description: "REWE SAGT DANKE 4411" }, { description: "Rewe sagt danke, 1234" });
+    T.assertEquals(1, score, "Descriptions differing only in numbers should be identical");
+  });
+
+  T.registerTest(MODULE_NAME, "similarity should treat a contained description as a full match", function() {
+    T.assertEquals(1, D.similarity({ description: "Netflix" }, { description: "NETFLIX.COM AMSTERDAM" }), "Containment should score 1");
+    T.assertTrue(D.similarity({ description: "Netflix" }, { description: "Spotify" }) < 0.3, "Unrelated descriptions should score low");
+  });
+
+  // --- Tests for chooseSurvivor ---
+  T.registerTest(MODULE_NAME, "chooseSurvivor should prefer categorized, then older rows", function() {
+    const older = record(2, "Plaid", "p1", 1, -10, "Shop");
+    const newer = record(9, "SaltEdge", "s1", 1, -10, "Shop", { type: "Essentials" });
+    T.assertEquals(newer, D.chooseSurvivor(older, newer).survivor, "Categorized row should survive");
+
+    newer.type = "";
+    T.assertEquals(older, D.chooseSurvivor(newer, older).survivor, "Older row should survive when neither is categorized");
+  });
+
+  // --- Tests for findDuplicates ---
+  T.registerTest(MODULE_NAME, "findDuplicates should match a unique cross-source pair", function() {
+    const records = [
+      record(2, "Plaid", "p1", 1, -54.2, "REWE SAGT DANKE 4411"),
+      record(3, "SaltEdge", "s1", 3, -54.2, "Rewe sagt danke"),
+      record(4, "SaltEdge", "s2", 3, -12.0, "Rewe sagt danke")
+    ];
+    const result = D.findDuplicates(records, options);
+    T.assertEquals(1, result.matches.length, "One pair should match");
+    T.assertEquals("p1", result.matches[0].survivor.id, "The older row should survive");
+    T.assertEquals("s1", result.matches[0].duplicate.id, "The newer row should be the duplicate");
+    T.assertEquals(2, result.matches[0].days, "Days apart should be reported");
+  });
+
+  T.registerTest(MODULE_NAME, "findDuplicates should respect source, window and marks", function() {
+    const records = [
+      record(2, "Plaid", "p1", 1, -20, "Coffee"),
+      record(3, "Plaid", "p2", 1, -20, "Coffee"),
+      record(4, "SaltEdge", "s1", 10, -20, "Coffee"),
+      record(5, "SaltEdge", "s2", 1, -20, "Coffee", { duplicateOf: "Plaid:p9" })
+    ];
+    const result = D.findDuplicates(records, options);
+    T.assertEquals(0, result.matches.length + result.ambiguous.length, "Same-source, out-of-window and marked rows should not pair");
+  });
+
+  T.registerTest(MODULE_NAME, "findDuplicates should send competing candidates to review", function() {
+    const records = [
+      record(2, "Plaid", "p1", 1, -9.99, "Spotify"),
+      record(3, "Plaid", "p2", 2, -9.99, "Spotify"),
+      record(4, "SaltEdge", "s1", 2, -9.99, "SPOTIFY AB")
+    ];
+    const result = D.findDuplicates(records, options);
+    T.assertEquals(0, result.matches.length, "No pair is unique");
+    T.assertEquals(2, result.ambiguous.length, "Both candidate pairs should be reviewed");
+  });
+
+  T.registerTest(MODULE_NAME, "findDuplicates should review pairs below the match similarity", function() {
+    const records = [
+      record(2, "Plaid", "p1", 1, -30, "Amazon Marketplace"),
+      record(3, "SaltEdge", "s1", 1, -30, "AMZN Mktp DE")
+    ];
+    const result = D.findDuplicates(records, Object.assign({}, options, { reviewSimilarity: 0.1 }));
+    T.assertEquals(0, result.matches.length, "A weak description match should not be marked automatically");
+    T.assertEquals(1, result.ambiguous.length, "A weak description match should be reviewed");
+  });
+
+  // --- Tests for run and applyReview ---
+  // Like Sheets, cells without a text format turn numeric strings into (rounded) numbers.
+  function createSheet() {
+    const sheet = { data: [], textColumns: {} };
+    sheet.getLastRow = () => sheet.data.length;
+    sheet.getMaxRows = () => Math.max(sheet.data.length, 1);
+    sheet.getMaxColumns = () => 12;
+    sheet.getRange = function(row, col, numRows, numCols) {
+      numRows = numRows || 1;
+      numCols = numCols || 1;
+      const range = {
+        getValues: function() {
+          const values = [];
+          for (let r = 0; r < numRows; r++) {
+            const source = sheet.data[row - 1 + r] || [];
+            values.push(Array.from({ length: numCols }, (_, c) => source[col - 1 + c] === undefined ? "" : source[col - 1 + c]));
+          }
+          return values;
+        },
+        setValues: function(values) {
+          for (let r = 0; r < numRows; r++) {
+            sheet.data[row - 1 + r] = sheet.data[row - 1 + r] || [];
+            for (let c = 0; c < numCols; c++) {
+              let value = values[r][c];
+              if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value) && !sheet.textColumns[col + c]) {
+                value = Number(value);
+              }
+              sheet.data[row - 1 + r][col - 1 + c] = value;
+            }
+          }
+          return range;
+        },
+        setNumberFormat: function(format) {
+          for (let c = 0; c < numCols; c++) sheet.textColumns[col + c] = format === "@";
+          return range;
+        },
+        clearContent: function() { sheet.data.length = 0; return range; },
+        setFontWeight: () => range,
+        setBackground: () => range,
+        setFontColor: () => range,
+        insertCheckboxes: () => range
+      };
+      return range;
+    };
+    sheet.setFrozenRows = function() {};
+    sheet.autoResizeColumns = function() {};
+    sheet.deleteRow = function(row) { sheet.data.splice(row - 1, 1); };
+    return sheet;
+  }
+
+  T.registerTest(MODULE_NAME, "applyReview should find ticked pairs by their 19-digit ids", function() {
+    const saltEdgeId = "1234567890123456789";
+    const records = [
+      record(2, "Plaid", "p1", 1, -12.5, "Netflix"),
+      record(3, "SaltEdge", saltEdgeId, 2, -12.5, "NETFLIX.COM"),
+      record(4, "Plaid", "p2", 3, -12.5, "Netflix")
+    ];
+    const sheets = {};
+    const updated = [];
+    const originals = {
+      SpreadsheetApp: globalThis.SpreadsheetApp,
+      LedgerService: FinancialPlanner.LedgerService,
+      SettingsService: FinancialPlanner.SettingsService
+    };
+    globalThis.SpreadsheetApp = {
+      getActiveSpreadsheet: () => ({
+        getSheetByName: name => sheets[name] || null,
+        insertSheet: function(name) { sheets[name] = createSheet(); return sheets[name]; }
+      })
+    };
+    FinancialPlanner.LedgerService = {
+      getRecords: () => records,
+      updateRecords: function(marked) { updated.push.apply(updated, marked); return marked.length; }
+    };
+    FinancialPlanner.SettingsService = { getDedupDateWindowDays: () => 3 };
+
+    try {
+      T.assertDeepEquals({ marked: 0, review: 2 }, D.run(), "Both pairs should go to review");
+      const review = sheets[FinancialPlanner.Config.getSheetNames().DUPLICATE_REVIEW];
+      T.assertEquals(saltEdgeId, review.data[1][9], "The id should be kept as text");
+
+      review.data[1][0] = true;
+      T.assertEquals(1, D.applyReview(), "The ticked pair should be applied");
+      T.assertEquals(saltEdgeId, updated[0].id, "The newer SaltEdge row should be marked");
+      T.assertEquals("Plaid:p1", updated[0].duplicateOf, "The older Plaid row should survive");
+      T.assertEquals(2, review.data.length, "The applied row should leave the review sheet");
+    } finally {
+      globalThis.SpreadsheetApp = originals.SpreadsheetApp;
+      FinancialPlanner.LedgerService = originals.LedgerService;
+      FinancialPlanner.SettingsService = originals.SettingsService;
+    }
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.DeduplicationService);
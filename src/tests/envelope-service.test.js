@@ -0,0 +1,126 @@
+/**
+ * Financial Planning Tools - Envelope Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.EnvelopeService module.
+ * Covers the monthly envelope balances, rollover policies and To Be Assigned; the Envelopes
+ * sheet is exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, E) { // T = Testing, E = EnvelopeService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping EnvelopeService tests.");
+    return;
+  }
+  if (!E) {
+    console.error("EnvelopeService module is not available. Skipping EnvelopeService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "EnvelopeService";
+  const today = new Date(2024, 2, 15); // 15 Mar 2024
+  const options = {
+    FUTURE_MONTHS: 1, MAX_MONTHS: 24, DEFAULT_POLICY: "Carry over",
+    POLICIES: { CARRY: "Carry over", RESET: "Reset", SWEEP: "Sweep to savings" }
+  };
+
+  function budget(type, category, amount) {
+    return { type: type, category: category, subcategory: "", period: "Monthly", amount: amount, month: null, weights: null, monthly: amount };
+  }
+
+  function record(month, amount, type, category) {
+    return { date: new Date(2024, month, 10), amount: amount, type: type, category: category, duplicateOf: "" };
+  }
+
+  const budgets = [
+    budget("Essentials", "Food", 400),
+    budget("Wants/Pleasure", "Fun", 100),
+    budget("Extra", "Gifts", 50),
+    budget("Savings", "Emergency", 200)
+  ];
+
+  // Salary and the emergency savings every month until March, spending that over- and underruns the budgets
+  function ledger() {
+    const records = [];
+    for (let month = 0; month < 3; month++) {
+      records.push(record(month, 1000, "Income", "Salary"));
+      records.push(record(month, -200, "Savings", "Emergency"));
+    }
+    records.push(record(0, -450, "Essentials", "Food"), record(1, -300, "Essentials", "Food"), record(2, -100, "Essentials", "Food"));
+    records.push(record(0, -20, "Wants/Pleasure", "Fun"), record(1, -150, "Wants/Pleasure", "Fun"));
+    records.push(record(0, -80, "Extra", "Gifts"));
+    records.push(Object.assign(record(0, -80, "Extra", "Gifts"), { duplicateOf: "row 12" }));
+    return records;
+  }
+
+  function settings(overrides) {
+    return Object.assign({
+      start: new Date(2024, 0, 1),
+      policies: { "Wants/Pleasure|Fun": "Sweep to savings", "Extra|Gifts": "Reset" },
+      assignments: {}
+    }, overrides);
+  }
+
+  function available(envelope) {
+    return envelope.months.map(month => month.available);
+  }
+
+  // --- Tests for buildEnvelopes ---
+  T.registerTest(MODULE_NAME, "buildEnvelopes should roll balances forward by policy", function() {
+    const result = E.buildEnvelopes(ledger(), budgets, options, settings(), today);
+
+    T.assertDeepEquals(["Jan-24", "Feb-24", "Mar-24", "Apr-24"], result.months.map(month => month.label),
+      "The start month through the month after this one expected");
+    T.assertEquals(2, result.currentOffset, "March should be the current month");
+    T.assertDeepEquals(["Essentials|Food", "Wants/Pleasure|Fun", "Extra|Gifts", "Savings|Emergency"],
+      result.envelopes.map(envelope => envelope.key), "Envelopes in type order expected");
+
+    const [food, fun, gifts, emergency] = result.envelopes;
+    T.assertEquals("Carry over", food.policy, "The default policy should apply");
+    T.assertDeepEquals([-50, 50, 350, 750], available(food), "Overspending and leftovers should carry over");
+    T.assertDeepEquals([80, -50, 50, 100], available(fun), "Leftovers should be swept and overspending carried");
+    T.assertDeepEquals([-30, 50, 50, 50], available(gifts), "Reset envelopes should start each month from the assigned amount");
+    T.assertDeepEquals([0, 0, 0, 200], available(emergency), "Savings should draw down their envelope");
+    T.assertEquals(-80, gifts.months[0].activity, "Duplicates should be left out");
+    T.assertEquals(400, food.months[0].assigned, "The budget should be assigned by default");
+    T.assertTrue(!food.months[0].manual, "Budget amounts should not be marked as set by hand");
+
+    T.assertDeepEquals([0, 80, 0, 50], result.months.map(month => month.swept), "Leftovers should be swept the month after");
+    T.assertDeepEquals([0, -30, 50, 50], result.months.map(month => month.returned), "Reset balances should be returned the month after");
+    T.assertDeepEquals([250, 470, 770, 70], result.months.map(month => month.toBeAssigned),
+      "To Be Assigned should carry income, returns and assignments forward");
+  });
+
+  T.registerTest(MODULE_NAME, "buildEnvelopes should prefer amounts assigned by hand", function() {
+    const result = E.buildEnvelopes(ledger(), budgets, options, settings({
+      policies: { "Extra|Travel": "Reset", "Essentials|Food": "Unknown" },
+      assignments: { "Essentials|Food": { "Jan-24": 450 }, "Wants/Pleasure|Fun": { "Feb-24": 0 } }
+    }), today);
+    const food = result.envelopes[0];
+
+    T.assertEquals(450, food.months[0].assigned, "The manual amount expected");
+    T.assertTrue(food.months[0].manual, "The manual amount should be marked");
+    T.assertEquals(400, food.months[1].assigned, "Other months should follow the budget");
+    T.assertDeepEquals([0, 100, 400, 800], available(food), "Balances should follow the manual amount");
+    T.assertEquals("Carry over", food.policy, "An unknown policy should fall back to the default");
+    T.assertEquals(0, result.envelopes[1].months[1].assigned, "A manual zero should be kept");
+    T.assertTrue(result.envelopes.some(envelope => envelope.key === "Extra|Travel" && envelope.policy === "Reset"),
+      "Envelopes kept on the sheet should stay without budget or spending");
+    T.assertEquals(200, result.months[0].toBeAssigned, "Manual amounts should count against To Be Assigned");
+  });
+
+  T.registerTest(MODULE_NAME, "buildEnvelopes should keep the window around the current month", function() {
+    const late = E.buildEnvelopes([], budgets, options, settings({ start: new Date(2025, 5, 1) }), today);
+    T.assertDeepEquals(["Mar-24", "Apr-24"], late.months.map(month => month.label), "A future start should begin with this month");
+    T.assertEquals(0, late.currentOffset, "The current month should come first");
+    T.assertEquals(-750, late.months[0].toBeAssigned, "Assigning without income should go below zero");
+
+    const early = E.buildEnvelopes([], budgets, options, settings({ start: new Date(2020, 0, 1) }), today);
+    T.assertEquals(24, early.months.length, "The window should be capped");
+    T.assertEquals("May-22", early.months[0].label, "The window should end the month after this one");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.EnvelopeService);
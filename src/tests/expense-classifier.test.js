@@ -0,0 +1,114 @@
+/**
+ * Financial Planning Tools - Expense Classifier Tests
+ *
+ * This file contains tests for the FinancialPlanner.ExpenseClassifier module.
+ * Covers the series classification and the monthly baseline; the Fixed vs Variable sheet and its
+ * overrides are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, C) { // T = Testing, C = ExpenseClassifier
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping ExpenseClassifier tests.");
+    return;
+  }
+  if (!C) {
+    console.error("ExpenseClassifier module is not available. Skipping ExpenseClassifier tests.");
+    return;
+  }
+
+  const MODULE_NAME = "ExpenseClassifier";
+  const today = new Date(2024, 6, 15); // 15 Jul 2024, so January to June are complete
+
+  function options(overrides) {
+    return Object.assign({
+      GROUP_BY: "category", LOOKBACK_MONTHS: 6, MIN_MONTHS: 3, FIXED_MIN_REGULARITY: 0.9, FIXED_MAX_CV: 0.1,
+      SEMI_MIN_REGULARITY: 0.6, SEMI_MAX_CV: 0.35, TREND_MONTHS: 3
+    }, overrides);
+  }
+
+  function record(month, amount, type, category, merchant) {
+    return {
+      date: new Date(2024, month, 5),
+      amount: amount,
+      type: type,
+      category: category,
+      merchant: merchant || "",
+      description: (merchant || category) + " " + month,
+      duplicateOf: ""
+    };
+  }
+
+  // Rent rises in April, groceries vary a little, dining out is sporadic
+  function ledger() {
+    const records = [];
+    for (let month = 0; month < 7; month++) {
+      records.push(record(month, 3000, "Income", "Salary", "Employer"));
+      records.push(record(month, month < 3 ? -1000 : -1100, "Essentials", "Housing", "Landlord"));
+      records.push(record(month, -[300, 380, 250, 320, 400, 290, 500][month], "Essentials", "Food", "REWE"));
+      if (month % 2 === 0) records.push(record(month, -[40, 0, 260, 0, 90, 0, 30][month], "Wants/Pleasure", "Dining", "Bistro"));
+    }
+    return records;
+  }
+
+  // --- Tests for classifySeries ---
+  T.registerTest(MODULE_NAME, "classifySeries should classify by regularity and variation", function() {
+    T.assertEquals("Fixed", C.classifySeries([50, 50, 52, 50], options()).suggested, "Steady monthly charge should be fixed");
+    T.assertEquals("Semi-variable", C.classifySeries([80, 120, 100, 90], options()).suggested,
+      "Monthly charge with moderate variation should be semi-variable");
+    T.assertEquals("Variable", C.classifySeries([40, 0, 260, 0, 90], options()).suggested, "Sporadic spend should be variable");
+    T.assertEquals("Variable", C.classifySeries([50, 50], options()).suggested, "Too little history should be variable");
+
+    const missed = C.classifySeries([50, 50, 0, 50, 50, 50, 50, 50, 50, 50], options());
+    T.assertEquals(0.9, missed.regularity, "Regularity should be the share of months with spend");
+    T.assertEquals(0, missed.cv, "Variation should ignore months without spend");
+    T.assertEquals(45, missed.average, "Average should spread the spend over all months");
+    T.assertEquals("Fixed", missed.suggested, "One missed month should still be fixed");
+  });
+
+  // --- Tests for summarize ---
+  T.registerTest(MODULE_NAME, "summarize should classify categories and total the fixed baseline per month", function() {
+    const summary = C.summarize(ledger(), options(), {}, today);
+    T.assertEquals(3, summary.groups.length, "Three expense categories expected");
+    T.assertEquals("Housing", summary.groups[0].category, "Fixed groups should come first");
+    T.assertEquals("Fixed", summary.groups[0].classification, "Rent should be fixed");
+    T.assertEquals("Semi-variable", summary.groups[1].classification, "Groceries should be semi-variable");
+    T.assertEquals("Variable", summary.groups[2].classification, "Dining out should be variable");
+
+    T.assertEquals(6, summary.months.length, "July is incomplete and should be excluded");
+    T.assertEquals(1000, summary.months[0].fixed, "January fixed costs expected");
+    T.assertEquals(300, summary.months[0].semiVariable, "January semi-variable costs expected");
+    T.assertEquals(40, summary.months[0].variable, "January variable costs expected");
+    T.assertEquals(1000 / 3000, summary.months[0].fixedShare, "Fixed share of income expected");
+    T.assertEquals(1050, summary.averages.fixed, "Average fixed baseline expected");
+    T.assertDeepEquals({ months: 3, from: 1000, to: 1100, amount: 100, share: 0.1 }, summary.change,
+      "Baseline change between the first and last three months expected");
+  });
+
+  T.registerTest(MODULE_NAME, "summarize should apply overrides and support grouping by merchant", function() {
+    const overridden = C.summarize(ledger(), options(), { "Essentials|Food": "Fixed" }, today);
+    const food = overridden.groups.filter(g => g.category === "Food")[0];
+    T.assertEquals("Semi-variable", food.suggested, "The suggestion should be kept");
+    T.assertEquals("Fixed", food.override, "The override should be reported");
+    T.assertEquals(1300, overridden.months[0].fixed, "Overridden groups should count towards the baseline");
+
+    const records = ledger().concat([record(5, -15, "Essentials", "Food", "Bakery 12")]);
+    const byMerchant = C.summarize(records, options({ GROUP_BY: "merchant" }), {}, today);
+    const bakery = byMerchant.groups.filter(g => g.key === "merchant|bakery")[0];
+    T.assertNotNull(bakery, "Merchants should be grouped by their normalized name");
+    T.assertEquals("Food", bakery.category, "Merchant groups should carry their category");
+    T.assertEquals(1, bakery.months, "A merchant's series should start at its first charge");
+  });
+
+  T.registerTest(MODULE_NAME, "summarize should start the period at the first ledger month", function() {
+    const records = ledger().filter(r => r.date.getMonth() >= 4);
+    const summary = C.summarize(records, options(), {}, today);
+    T.assertEquals(2, summary.months.length, "Months before the ledger should not be listed");
+    T.assertEquals(1, summary.change.months, "The trend should compare the available halves");
+    T.assertEquals(0, summary.change.amount, "Rent did not change in May and June");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.ExpenseClassifier);
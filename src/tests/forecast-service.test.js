@@ -0,0 +1,114 @@
+/**
+ * Financial Planning Tools - Forecast Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.ForecastService module.
+ * Covers recurring item detection and the monthly projection; the forecast and Planned Items
+ * sheets are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, F) { // T = Testing, F = ForecastService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping ForecastService tests.");
+    return;
+  }
+  if (!F) {
+    console.error("ForecastService module is not available. Skipping ForecastService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "ForecastService";
+  const today = new Date(2024, 6, 15); // 15 Jul 2024
+
+  function options(overrides) {
+    return Object.assign({
+      HORIZON_MONTHS: 6, HISTORY_MONTHS: 24, RECURRING_MIN_MONTHS: 3, RECURRING_MAX_CV: 0.2,
+      SAFETY_THRESHOLD: 1000, BAND_Z: 1.28
+    }, overrides);
+  }
+
+  function record(date, amount, merchant, type, category) {
+    return { date: date, amount: amount, merchant: merchant, description: merchant, type: type, category: category, duplicateOf: "" };
+  }
+
+  // January 2023 to mid-July 2024: salary and rent on the 1st, a streaming subscription on the
+  // 20th, groceries alternating between 500 (even months) and 300, and gifts once in December
+  function ledger() {
+    const records = [];
+    for (let month = 0; month < 18; month++) {
+      const date = new Date(2023, month, 1);
+      records.push(record(date, 3000, "Employer", "Income", "Salary"));
+      records.push(record(date, -1000, "Landlord", "Essentials", "Housing"));
+      records.push(record(new Date(2023, month, 20), -15, "Netflix", "Wants/Pleasure", "Streaming"));
+      records.push(record(new Date(2023, month, 10), date.getMonth() % 2 === 0 ? -500 : -300, "REWE", "Essentials", "Food"));
+    }
+    records.push(record(new Date(2023, 11, 18), -600, "Toy Shop", "Extra", "Gifts"));
+    records.push(record(new Date(2024, 6, 1), 3000, "Employer", "Income", "Salary"));
+    records.push(record(new Date(2024, 6, 1), -1000, "Landlord", "Essentials", "Housing"));
+    records.push(record(new Date(2024, 6, 5), -100, "REWE", "Essentials", "Food"));
+    return records;
+  }
+
+  // --- Tests for findRecurringItems ---
+  T.registerTest(MODULE_NAME, "findRecurringItems should detect steady monthly items that are still active", function() {
+    const records = ledger();
+    for (let month = 0; month < 16; month++) {
+      records.push(record(new Date(2023, month, 3), -30, "FitX Gym", "Wants/Pleasure", "Sport")); // Cancelled after April 2024
+    }
+    records.push(record(new Date(2024, 5, 12), 15, "Netflix", "Wants/Pleasure", "Streaming")); // A refund
+
+    const items = F.findRecurringItems(records, options(), today);
+    T.assertDeepEquals(["Employer", "Landlord", "Netflix"], items.map(item => item.merchant),
+      "Salary, rent and the subscription expected, largest first");
+    T.assertEquals(3000, items[0].amount, "Income should keep its sign");
+    T.assertEquals(-1000, items[1].amount, "Payments should keep their sign");
+    T.assertEquals(12, items[1].months, "Consecutive months should be counted up to a year");
+    T.assertEquals("Housing", items[1].category, "Category of the latest charge expected");
+    T.assertEquals(-15, items[2].amount, "A refund should not be netted into the subscription");
+
+    const loose = F.findRecurringItems(records, options({ RECURRING_MAX_CV: 0.3 }), today);
+    T.assertTrue(loose.some(item => item.merchant === "REWE"), "Groceries should be recurring with a looser limit");
+  });
+
+  // --- Tests for buildForecast ---
+  T.registerTest(MODULE_NAME, "buildForecast should combine recurring, seasonal and planned items", function() {
+    const planned = [
+      { date: new Date(2024, 7, 9), description: "Car repair", type: "Extra", category: "Car", amount: -3000 },
+      { date: new Date(2024, 6, 2), description: "Already paid", type: "Extra", category: "Car", amount: -200 }
+    ];
+    const forecast = F.buildForecast(ledger(), planned, options(),
+      { horizon: 6, threshold: 4000, startingBalance: 5000 }, today);
+    const months = forecast.months;
+
+    T.assertEquals(6, months.length, "Six months expected");
+    T.assertEquals(6, months[0].date.getMonth(), "The forecast should start with the current month");
+    T.assertEquals(0, months[0].flows.Income, "Salary already received this month should not count again");
+    T.assertEquals(400, months[0].flows.Essentials, "Only the rest of this month's groceries should remain");
+    T.assertEquals(15, months[0].flows["Wants/Pleasure"], "The subscription is still due this month");
+    T.assertEquals(0, months[0].flows.Extra, "Planned items before today should be left out");
+    T.assertEquals(4585, months[0].expected, "July closing balance expected");
+
+    T.assertEquals(3000, months[1].flows.Income, "Salary expected in August");
+    T.assertEquals(1300, months[1].flows.Essentials, "Rent and August's seasonal groceries expected");
+    T.assertEquals(3000, months[1].flows.Extra, "The planned repair expected in August");
+    T.assertDeepEquals(["Car repair"], months[1].planned, "Planned items should be named");
+    T.assertEquals(-1315, months[1].net, "August net expected");
+    T.assertEquals(3270, months[1].expected, "August closing balance expected");
+    T.assertEquals(600, months[5].flows.Extra, "December gifts should come from the seasonal average");
+
+    T.assertEquals(1, forecast.breach.offset, "August should be the first month below the threshold");
+    T.assertTrue(months[0].low < months[0].expected && months[0].high > months[0].expected, "A band should surround the balance");
+    T.assertTrue(months[5].high - months[5].low > months[0].high - months[0].low, "The band should widen over time");
+  });
+
+  T.registerTest(MODULE_NAME, "buildForecast should fall back to the average month without a prior year", function() {
+    const records = ledger().filter(r => r.date >= new Date(2024, 2, 1));
+    const forecast = F.buildForecast(records, [], options(), { horizon: 3, threshold: 0, startingBalance: 0 }, today);
+    T.assertEquals(3, forecast.recurring.length, "Four complete months should be enough to detect recurring items");
+    T.assertEquals(1400, forecast.months[1].flows.Essentials, "August groceries should be the average of March to June");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.ForecastService);
@@ -0,0 +1,254 @@
+/**
+ * Financial Planning Tools - Ledger Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.LedgerService module.
+ * Covers the migration of older Transactions sheet layouts and id round-trips against an in-memory
+ * SpreadsheetApp mock.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, L) { // T = Testing, L = LedgerService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping LedgerService tests.");
+    return;
+  }
+  if (!L) {
+    console.error("LedgerService module is not available. Skipping LedgerService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "LedgerService";
+
+  // --- Mock SpreadsheetApp ---
+  // Like Sheets, cells without a text format turn numeric strings into numbers.
+  function createSheet() {
+    const sheet = { name: "", data: [], formulas: {}, textColumns: {} };
+    sheet.getName = () => sheet.name;
+    sheet.setName = function(name) { sheet.name = name; return sheet; };
+    sheet.getLastRow = () => sheet.data.length;
+    sheet.getLastColumn = () => sheet.data.reduce((max, row) => Math.max(max, row.length), 0);
+    sheet.getRange = function(row, col, numRows, numCols) {
+      numRows = numRows || 1;
+      numCols = numCols || 1;
+      const range = {
+        getValues: function() {
+          const values = [];
+          for (let r = 0; r < numRows; r++) {
+            const source = sheet.data[row - 1 + r] || [];
+            const out = [];
+            for (let c = 0; c < numCols; c++) {
+              const value = source[col - 1 + c];
+              out.push(value === undefined ? "" : value);
+            }
+            values.push(out);
+          }
+          return values;
+        },
+        setValues: function(values) {
+          for (let r = 0; r < numRows; r++) {
+            sheet.data[row - 1 + r] = sheet.data[row - 1 + r] || [];
+            for (let c = 0; c < numCols; c++) {
+              let value = values[r][c];
+              if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value) && !sheet.textColumns[col + c]) {
+                value = Number(value);
+              }
+              if (typeof value === "string" && value.charAt(0) === "=") {
+                sheet.formulas[(row + r) + ":" + (col + c)] = value;
+                value = 0;
+              }
+              sheet.data[row - 1 + r][col - 1 + c] = value;
+            }
+          }
+          return range;
+        },
+        getFormulas: function() {
+          const formulas = [];
+          for (let r = 0; r < numRows; r++) {
+            const out = [];
+            for (let c = 0; c < numCols; c++) out.push(sheet.formulas[(row + r) + ":" + (col + c)] || "");
+            formulas.push(out);
+          }
+          return formulas;
+        },
+        setValue: value => range.setValues([[value]]),
+        setNumberFormat: function(format) {
+          for (let c = 0; c < numCols; c++) sheet.textColumns[col + c] = format === "@";
+          return range;
+        },
+        setFontWeight: () => range,
+        clearDataValidations: () => range
+      };
+      return range;
+    };
+    sheet.getDataRange = () => sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), Math.max(sheet.getLastColumn(), 1));
+    sheet.clear = function() { sheet.data.length = 0; sheet.formulas = {}; sheet.textColumns = {}; };
+    sheet.copyTo = function(spreadsheet) {
+      const copy = spreadsheet.insertSheet("Copy of " + sheet.name);
+      copy.data = sheet.data.map(row => row.slice());
+      copy.formulas = Object.assign({}, sheet.formulas);
+      return copy;
+    };
+    sheet.setFrozenRows = function() {};
+    sheet.deleteRow = function(row) { sheet.data.splice(row - 1, 1); };
+    return sheet;
+  }
+
+  // Runs `fn` against a fresh spreadsheet holding the given sheets, restoring SpreadsheetApp afterwards
+  function withSpreadsheet(sheets, fn) {
+    const original = globalThis.SpreadsheetApp;
+    const spreadsheet = {
+      getSheetByName: name => Object.keys(sheets).map(key => sheets[key]).find(sheet => sheet.name === name) || null,
+      insertSheet: function(name) { sheets[name] = createSheet(); sheets[name].name = name; return sheets[name]; }
+    };
+    Object.keys(sheets).forEach(name => { sheets[name].name = name; });
+    globalThis.SpreadsheetApp = { getActiveSpreadsheet: () => spreadsheet };
+    try {
+      fn(sheets);
+    } finally {
+      globalThis.SpreadsheetApp = original;
+    }
+  }
+
+  function column(sheet, header) {
+    const index = sheet.data[0].indexOf(header);
+    return sheet.data.slice(1).map(row => row[index]);
+  }
+
+  const sheetNames = FinancialPlanner.Config.getSheetNames();
+
+  // --- Tests for getSheet ---
+  T.registerTest(MODULE_NAME, "getSheet should refuse a sheet that does not follow the ledger layout", function() {
+    const transactions = createSheet();
+    transactions.data.push(["transaction_id", "date", "name", "amount"]);
+    transactions.data.push(["tx1", new Date(2024, 0, 5), "REWE Berlin", 42.5]);
+
+    withSpreadsheet({ [sheetNames.TRANSACTIONS]: transactions }, function() {
+      let error = null;
+      try {
+        L.getSheet();
+      } catch (e) {
+        error = e;
+      }
+      T.assertNotNull(error, "An error expected");
+      T.assertTrue(error.message.indexOf("Migrate Transactions Sheet") !== -1, "The error should point at the migration");
+      T.assertEquals(2, transactions.data.length, "The sheet should be left alone");
+    });
+  });
+
+  // --- Tests for migrateSheet ---
+  T.registerTest(MODULE_NAME, "migrateSheet should convert a sheet of flattened Plaid payloads", function() {
+    const transactions = createSheet();
+    transactions.data.push(["transaction_id", "date", "name", "amount", "merchant_name", "personal_finance_category.primary", "deleted"]);
+    transactions.data.push(["tx1", new Date(2024, 0, 5), "REWE Berlin", 42.5, "REWE", "FOOD_AND_DRINK", false]);
+    transactions.data.push(["tx2", new Date(2024, 0, 6), "Old pending", 10, "", "", true]);
+
+    withSpreadsheet({ [sheetNames.TRANSACTIONS]: transactions }, function(sheets) {
+      T.assertEquals(sheetNames.TRANSACTIONS + " Backup", L.migrateSheet(), "The backup name expected");
+      T.assertDeepEquals(FinancialPlanner.TransactionNormalizer.getHeaders(), L.getSheet().headers, "Canonical headers expected");
+      T.assertEquals("Type", transactions.data[0][2], "Type should be in column C");
+      T.assertEquals(2, transactions.data.length, "Deleted rows should be dropped");
+      T.assertDeepEquals(["REWE Berlin"], column(transactions, "Description"), "Rows should be converted");
+      T.assertDeepEquals([-42.5], column(transactions, "Amount"), "Plaid outflows should become negative");
+      T.assertDeepEquals(["FOOD_AND_DRINK"], column(transactions, "Provider Category"), "Nested fields should be read");
+
+      const backup = sheets["Copy of " + sheetNames.TRANSACTIONS];
+      T.assertEquals(sheetNames.TRANSACTIONS + " Backup", backup.name, "The old sheet should be copied first");
+      T.assertDeepEquals(["tx1", "tx2"], column(backup, "transaction_id"), "The backup should keep every old row");
+      T.assertEquals(null, L.migrateSheet(), "A migrated sheet should not be migrated again");
+    });
+  });
+
+  T.registerTest(MODULE_NAME, "migrateSheet should move ledger columns into place and keep extra columns and formulas", function() {
+    const transactions = createSheet();
+    transactions.data.push(["Date", "Amount", "Notes", "Category", "Type", "Description", "Shared", "Half"]);
+    transactions.data.push([new Date(2024, 0, 5), -20, "Split with Sam", "Food", "Essentials", "Bakery", true, -10]);
+    transactions.data.push([new Date(2024, 0, 6), -8, "", "Food", "Essentials", "Coffee", false, ""]);
+    transactions.formulas["2:8"] = "=-20/2";
+
+    withSpreadsheet({ [sheetNames.TRANSACTIONS]: transactions }, function() {
+      L.migrateSheet();
+      const headers = L.getSheet().headers;
+      T.assertEquals("Type", headers[2], "Type should be in column C");
+      T.assertDeepEquals(["Notes", "Half"], headers.slice(-2), "Extra columns should follow the ledger columns");
+      T.assertDeepEquals(["Essentials", "Essentials"], column(transactions, "Type"), "Type should move with its column");
+      T.assertDeepEquals(["Bakery", "Coffee"], column(transactions, "Description"), "Description should move with its column");
+      T.assertDeepEquals([true, false], column(transactions, "Shared?"), "The old Shared column should be kept as Shared?");
+      T.assertEquals(-1, headers.indexOf("Shared"), "The old Shared column should be renamed, not duplicated");
+      T.assertDeepEquals(["Split with Sam", ""], column(transactions, "Notes"), "Extra column values should be kept");
+      T.assertEquals("=-20/2", transactions.formulas["2:" + headers.length], "Formulas should be kept as formulas");
+    });
+  });
+
+  T.registerTest(MODULE_NAME, "migrateSheet should refuse a sheet it does not recognize", function() {
+    const transactions = createSheet();
+    transactions.data.push(["Foo", "Bar"]);
+
+    withSpreadsheet({ [sheetNames.TRANSACTIONS]: transactions }, function(sheets) {
+      let error = null;
+      try {
+        L.migrateSheet();
+      } catch (e) {
+        error = e;
+      }
+      T.assertNotNull(error, "An error expected");
+      T.assertDeepEquals(["Foo", "Bar"], transactions.data[0], "The sheet should be left alone");
+      T.assertEquals(1, Object.keys(sheets).length, "No backup should be made");
+    });
+  });
+
+  // --- Tests for updateRecords ---
+  T.registerTest(MODULE_NAME, "updateRecords should only write the user-owned cells of the given rows", function() {
+    const headers = FinancialPlanner.TransactionNormalizer.getHeaders().concat(["Half"]);
+    const transactions = createSheet();
+    transactions.data.push(headers);
+    ["Bakery", "Coffee", "Cinema", "Rent"].forEach(function(description, i) {
+      const row = headers.map(() => "");
+      row[headers.indexOf("Description")] = description;
+      row[headers.indexOf("Amount")] = -10 * (i + 1);
+      row[headers.indexOf("Shared?")] = false;
+      transactions.data.push(row);
+    });
+    transactions.formulas["3:" + headers.length] = "=-20/2";
+
+    withSpreadsheet({ [sheetNames.TRANSACTIONS]: transactions }, function() {
+      const records = L.getRecords();
+      transactions.data[3][headers.indexOf("Amount")] = -45; // edited after the read
+      [records[0], records[1], records[3]].forEach(function(record) {
+        record.type = "Essentials";
+        record.category = "Food";
+        record.amount = 0;
+      });
+      records[1].shared = true;
+
+      T.assertEquals(3, L.updateRecords([records[0], records[1], records[3]]), "Three rows should be written");
+      T.assertDeepEquals(["Essentials", "Essentials", "", "Essentials"], column(transactions, "Type"), "Types expected");
+      T.assertDeepEquals([false, true, false, false], column(transactions, "Shared?"), "Shared flags expected");
+      T.assertDeepEquals([-10, -20, -45, -40], column(transactions, "Amount"), "Other cells should not be written");
+      T.assertEquals("=-20/2", transactions.formulas["3:" + headers.length], "Formulas should be left alone");
+    });
+  });
+
+  // --- Tests for upsert and writeRawPayloads ---
+  T.registerTest(MODULE_NAME, "upsert should match 19-digit ids across imports", function() {
+    const id = "1234567890123456789";
+    const record = () => FinancialPlanner.TransactionNormalizer.createRecord({
+      date: new Date(2024, 0, 5), description: "Bakery", amount: -4.2, source: "SaltEdge", id: id
+    });
+
+    withSpreadsheet({}, function(sheets) {
+      T.assertEquals(1, L.upsert([record()]).added, "The first import should add the row");
+      const second = L.upsert([record()]);
+      T.assertEquals(0, second.added, "The second import should not add a row");
+      T.assertEquals(1, second.updated, "The second import should update the row");
+      T.assertDeepEquals([id], column(sheets[sheetNames.TRANSACTIONS], "External ID"), "The id should be kept as text");
+
+      L.writeRawPayloads(sheetNames.SALTEDGE_TRANSACTIONS, "id", [{ id: id, description: "Bakery" }]);
+      L.writeRawPayloads(sheetNames.SALTEDGE_TRANSACTIONS, "id", [{ id: id, description: "Bakery GmbH" }]);
+      T.assertDeepEquals([id], column(sheets[sheetNames.SALTEDGE_TRANSACTIONS], "id"), "The raw sheet should hold one row");
+    });
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.LedgerService);
@@ -0,0 +1,107 @@
+/**
+ * Financial Planning Tools - MT940 Importer Tests
+ *
+ * This file contains tests for the FinancialPlanner.Mt940Importer module.
+ * Covers field splitting, statement extraction and record mapping; the ledger, balance and
+ * deduplication writes are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, M) { // T = Testing, M = Mt940Importer
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping Mt940Importer tests.");
+    return;
+  }
+  if (!M) {
+    console.error("Mt940Importer module is not available. Skipping Mt940Importer tests.");
+    return;
+  }
+
+  const MODULE_NAME = "Mt940Importer";
+
+  const mt940 = [
+    "{1:F01BANKDEFFXXXX0000000000}{2:O9401200240305BANKDEFFXXXX00000000002403051200N}{4:",
+    ":20:STARTUMSE",
+    ":25:37040044/0532013000",
+    ":28C:00042/001",
+    ":60F:C240229EUR100,00",
+    ":61:2403010301DR54,20NDDTNONREF//BANKREF1",
+    ":86:106?00KARTENZAHLUNG?20SVWZ+REWE SAGT DANKE ?214411?30COBADEFFXXX?31DE0212030000",
+    "0000202051?32REWE Markt GmbH",
+    ":61:2403040304CR3200,00NTRFNONREF",
+    ":86:166?00GUTSCHRIFT?20EREF+LOHN0324?21SVWZ+Gehalt Maerz?32ACME GmbH",
+    ":61:2403040304DR9,99NDDTNONREF",
+    ":86:Spotify AB monthly",
+    "subscription",
+    ":61:2403040304DR9,99NDDTNONREF",
+    ":86:Spotify AB monthly",
+    "subscription",
+    ":62F:C240305EUR3226,82",
+    ":64:C240305EUR3100,00",
+    "-}"
+  ].join("\r\n");
+
+  // --- Tests for parseFields ---
+  T.registerTest(MODULE_NAME, "parseFields should drop SWIFT blocks and join continuation lines", function() {
+    const fields = M.parseFields(mt940);
+    T.assertEquals("20", fields[0].tag, "First field should be :20:");
+    const information = fields.filter(function(field) { return field.tag === "86"; })[0];
+    T.assertTrue(information.value.indexOf("\n0000202051") !== -1, "Continuation line should belong to :86:");
+  });
+
+  // --- Tests for getStatements ---
+  T.registerTest(MODULE_NAME, "getStatements should read lines, details and balances", function() {
+    const statements = M.getStatements(mt940);
+    T.assertEquals(1, statements.length, "One statement expected");
+    const statement = statements[0];
+    T.assertEquals("37040044/0532013000", statement.account, "Account expected");
+    T.assertEquals(4, statement.transactions.length, "Four statement lines expected");
+    T.assertEquals(3226.82, statement.closingBalance.amount, "Closing balance expected");
+    T.assertEquals(3100, statement.availableBalance.amount, "Available balance expected");
+
+    const debit = statement.transactions[0];
+    T.assertEquals(-54.2, debit.amount, "Debit should be negative");
+    T.assertEquals("BANKREF1", debit.bankReference, "Bank reference expected");
+    T.assertEquals("REWE SAGT DANKE 4411", debit.remittance, "SVWZ remittance should be extracted");
+    T.assertEquals("REWE Markt GmbH", debit.counterparty, "Counterparty name expected");
+    T.assertEquals("DE02120300000000202051", debit.counterpartyIban, "Wrapped IBAN should be joined");
+    T.assertEquals("KARTENZAHLUNG", debit.bookingText, "Booking text expected");
+  });
+
+  T.registerTest(MODULE_NAME, "getStatements should take the booking date across a year boundary", function() {
+    const text = ":20:X\n:25:ACC\n:61:2401021231DR10,00NMSCNONREF\n:86:Year end fee\n:62F:C240102EUR0,00";
+    const line = M.getStatements(text)[0].transactions[0];
+    T.assertEquals(2024, line.valueDate.getFullYear(), "Value date year expected");
+    T.assertEquals(2023, line.bookingDate.getFullYear(), "Entry date should fall in the previous year");
+    T.assertEquals(31, line.bookingDate.getDate(), "Entry day expected");
+  });
+
+  T.registerTest(MODULE_NAME, "getStatements should read the /TAG/ information layout", function() {
+    const text = ":20:X\n:25:NL91ABNA0417164300\n:61:240301C25,00NTRFNONREF\n" +
+      ":86:/CNTP/NL20INGB0001234567/INGBNL2A/J Jansen/AMSTERDAM/REMI/USTD//Terugbetaling lunch/";
+    const line = M.getStatements(text)[0].transactions[0];
+    T.assertEquals(25, line.amount, "Credit should be positive");
+    T.assertEquals("J Jansen", line.counterparty, "Counterparty name expected");
+    T.assertEquals("NL20INGB0001234567", line.counterpartyIban, "Counterparty IBAN expected");
+    T.assertEquals("Terugbetaling lunch", line.remittance, "Remittance expected");
+  });
+
+  // --- Tests for toRecords ---
+  T.registerTest(MODULE_NAME, "toRecords should map lines with stable, distinct content ids", function() {
+    const first = M.toRecords(mt940);
+    const second = M.toRecords(mt940);
+    T.assertEquals(4, first.records.length, "Four records expected");
+    T.assertEquals("MT940", first.records[0].source, "Source should be MT940");
+    T.assertEquals(1, first.records[0].date.getDate(), "Booking date expected");
+    T.assertEquals("Gehalt Maerz", first.records[1].description, "Remittance should be the description");
+    T.assertEquals("Spotify AB monthly subscription", first.records[2].description, "Free text should be joined");
+    T.assertEquals(first.records[2].id, second.records[2].id, "Ids should be stable");
+    T.assertTrue(first.records[2].id !== first.records[3].id, "Identical lines should get distinct ids");
+    T.assertEquals(1, first.balances.length, "One balance expected");
+    T.assertEquals("EUR", first.balances[0].currency, "Currency expected");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.Mt940Importer);
@@ -0,0 +1,136 @@
+/**
+ * Financial Planning Tools - OFX Importer Tests
+ *
+ * This file contains tests for the FinancialPlanner.OfxImporter module.
+ * Covers SGML and XML parsing, statement extraction and record mapping; the ledger and
+ * balance writes are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, O) { // T = Testing, O = OfxImporter
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping OfxImporter tests.");
+    return;
+  }
+  if (!O) {
+    console.error("OfxImporter module is not available. Skipping OfxImporter tests.");
+    return;
+  }
+
+  const MODULE_NAME = "OfxImporter";
+
+  const sgmlBank = [
+    "OFXHEADER:100",
+    "DATA:OFXSGML",
+    "VERSION:102",
+    "CHARSET:1252",
+    "",
+    "<OFX>",
+    "<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>20240305120000</SONRS></SIGNONMSGSRSV1>",
+    "<BANKMSGSRSV1><STMTTRNRS><TRNUID>1",
+    "<STMTRS><CURDEF>USD",
+    "<BANKACCTFROM><BANKID>121000248<ACCTID>1234567890<ACCTTYPE>CHECKING</BANKACCTFROM>",
+    "<BANKTRANLIST><DTSTART>20240301<DTEND>20240305",
+    "<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240301120000.000[-5:EST]<TRNAMT>-54.20<FITID>T1001<NAME>WHOLE FOODS &amp; CO<MEMO>POS PURCHASE</STMTTRN>",
+    "<STMTTRN><TRNTYPE>CHECK<DTPOSTED>20240302<TRNAMT>-950.00<FITID>T1002<CHECKNUM>311<NAME>RENT</STMTTRN>",
+    "<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240304<TRNAMT>3200.00<FITID>T1003<NAME>PAYROLL ACME</STMTTRN>",
+    "<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240305<TRNAMT>-1.00<NAME>NO FITID</STMTTRN>",
+    "</BANKTRANLIST>",
+    "<LEDGERBAL><BALAMT>2195.80<DTASOF>20240305</LEDGERBAL>",
+    "<AVAILBAL><BALAMT>2100.00<DTASOF>20240305</AVAILBAL>",
+    "</STMTRS></STMTTRNRS></BANKMSGSRSV1>",
+    "</OFX>"
+  ].join("\n");
+
+  const xmlCard = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    "<?OFX OFXHEADER=\"200\" VERSION=\"220\" SECURITY=\"NONE\"?>",
+    "<OFX>",
+    "  <CREDITCARDMSGSRSV1><CCSTMTTRNRS><TRNUID>2</TRNUID>",
+    "    <CCSTMTRS><CURDEF>USD</CURDEF>",
+    "      <CCACCTFROM><ACCTID>XXXX4242</ACCTID></CCACCTFROM>",
+    "      <BANKTRANLIST>",
+    "        <STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240310</DTPOSTED><TRNAMT>-12.99</TRNAMT>",
+    "          <FITID>C-77</FITID><NAME>NETFLIX.COM</NAME><MEMO/></STMTTRN>",
+    "      </BANKTRANLIST>",
+    "      <LEDGERBAL><BALAMT>-412.50</BALAMT><DTASOF>20240310</DTASOF></LEDGERBAL>",
+    "    </CCSTMTRS>",
+    "  </CCSTMTTRNRS></CREDITCARDMSGSRSV1>",
+    "</OFX>"
+  ].join("\n");
+
+  // --- Tests for parseDate ---
+  T.registerTest(MODULE_NAME, "parseDate should read OFX dates with time and zone", function() {
+    const date = O.parseDate("20240301120000.000[-5:EST]");
+    T.assertEquals(2024, date.getFullYear(), "Year should be parsed");
+    T.assertEquals(2, date.getMonth(), "Month should be parsed");
+    T.assertEquals(1, date.getDate(), "Day should be parsed");
+    T.assertEquals(null, O.parseDate("20240231"), "Invalid dates should be rejected");
+  });
+
+  // --- Tests for parse ---
+  T.registerTest(MODULE_NAME, "parse should build a tree from SGML with unclosed leaves", function() {
+    const root = O.parse(sgmlBank);
+    const ofx = root.children[0];
+    T.assertEquals("OFX", ofx.name, "Root element should be OFX");
+    T.assertEquals(2, ofx.children.length, "Signon and bank messages expected as siblings");
+  });
+
+  T.registerTest(MODULE_NAME, "parse should reject files without an OFX element", function() {
+    T.assertThrows(function() {
+      O.parse("Date,Amount\n2024-03-01,1");
+    }, "not an OFX", "Non-OFX text should throw");
+  });
+
+  // --- Tests for getStatements ---
+  T.registerTest(MODULE_NAME, "getStatements should read an SGML bank statement", function() {
+    const statements = O.getStatements(sgmlBank);
+    T.assertEquals(1, statements.length, "One statement expected");
+    const statement = statements[0];
+    T.assertEquals("1234567890", statement.accountId, "Account id expected");
+    T.assertEquals("CHECKING", statement.accountType, "Account type expected");
+    T.assertEquals("USD", statement.currency, "Currency expected");
+    T.assertEquals(4, statement.transactions.length, "Four transactions expected");
+    T.assertEquals("WHOLE FOODS & CO", statement.transactions[0].name, "Entities should be decoded");
+    T.assertEquals("311", statement.transactions[1].checkNumber, "Check number expected");
+    T.assertEquals(2195.8, statement.ledgerBalance.amount, "Ledger balance expected");
+    T.assertEquals(2100, statement.availableBalance.amount, "Available balance expected");
+  });
+
+  T.registerTest(MODULE_NAME, "getStatements should read an XML credit card statement", function() {
+    const statement = O.getStatements(xmlCard)[0];
+    T.assertEquals("CCSTMTRS", statement.type, "Credit card statement expected");
+    T.assertEquals("CREDITCARD", statement.accountType, "Credit card account type expected");
+    T.assertEquals(-12.99, statement.transactions[0].amount, "Amount expected");
+    T.assertEquals("", statement.transactions[0].memo, "Self-closing element should be empty");
+    T.assertEquals(null, statement.availableBalance, "Missing AVAILBAL should be null");
+  });
+
+  // --- Tests for toRecords ---
+  T.registerTest(MODULE_NAME, "toRecords should key records by account and FITID", function() {
+    const result = O.toRecords(sgmlBank);
+    T.assertEquals(3, result.records.length, "Three records expected");
+    T.assertEquals(1, result.skipped, "Transaction without FITID should be skipped");
+    const record = result.records[0];
+    T.assertEquals("1234567890:T1001", record.id, "Id should combine account and FITID");
+    T.assertEquals("OFX", record.source, "Source should be OFX");
+    T.assertEquals(-54.2, record.amount, "Debits should stay negative");
+    T.assertEquals("WHOLE FOODS & CO - POS PURCHASE", record.description, "Memo should be appended");
+    T.assertEquals("DEBIT", record.providerCategory, "Transaction type should be the provider category");
+    T.assertEquals("Check 311", result.records[1].providerDetail, "Check number should be the provider detail");
+  });
+
+  T.registerTest(MODULE_NAME, "toRecords should produce balances and honour an account override", function() {
+    const result = O.toRecords(xmlCard, { account: "Visa" });
+    T.assertEquals("Visa", result.records[0].account, "Account override should be used");
+    T.assertEquals("XXXX4242:C-77", result.records[0].id, "Id should keep the file's account id");
+    T.assertEquals(1, result.balances.length, "One balance expected");
+    T.assertEquals(-412.5, result.balances[0].ledgerBalance, "Ledger balance expected");
+    T.assertEquals("", result.balances[0].availableBalance, "Missing available balance should be blank");
+    T.assertEquals(10, result.balances[0].balanceDate.getDate(), "Balance date expected");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.OfxImporter);
@@ -0,0 +1,105 @@
+/**
+ * Financial Planning Tools - Period Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.PeriodService module.
+ * Covers window resolution, headers and column layout; reading the saved settings is
+ * exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, P) { // T = Testing, P = PeriodService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping PeriodService tests.");
+    return;
+  }
+  if (!P) {
+    console.error("PeriodService module is not available. Skipping PeriodService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "PeriodService";
+  const today = new Date(2025, 1, 14); // 14 Feb 2025
+
+  // --- Tests for resolve ---
+  T.registerTest(MODULE_NAME, "resolve should cover the selected calendar year", function() {
+    const period = P.resolve({ mode: "calendar", year: 2023 }, today);
+    T.assertEquals(12, period.months.length, "Twelve months expected");
+    T.assertEquals(0, period.startDate.getMonth(), "Should start in January");
+    T.assertEquals(2023, period.startDate.getFullYear(), "Should start in the selected year");
+    T.assertEquals(31, period.endDate.getDate(), "Should end on 31 December");
+    T.assertEquals("2023", period.label, "Year label expected");
+  });
+
+  T.registerTest(MODULE_NAME, "resolve should start a fiscal year in its start month", function() {
+    const period = P.resolve({ mode: "fiscal", year: 2024, fiscalStartMonth: 4 }, today);
+    T.assertEquals(3, period.startDate.getMonth(), "Should start in April");
+    T.assertEquals(2025, period.endDate.getFullYear(), "Should end in the following year");
+    T.assertEquals(2, period.endDate.getMonth(), "Should end in March");
+    T.assertEquals("FY 2024/25", period.label, "Fiscal year label expected");
+  });
+
+  T.registerTest(MODULE_NAME, "resolve should end a rolling window with the current month", function() {
+    const period = P.resolve({ mode: "rolling", rollingMonths: 6 }, today);
+    T.assertEquals(6, period.months.length, "Six months expected");
+    T.assertEquals(8, period.startDate.getMonth(), "Should start in September");
+    T.assertEquals(2024, period.startDate.getFullYear(), "Should start in the previous year");
+    T.assertEquals(28, period.endDate.getDate(), "Should end on the last day of February");
+  });
+
+  T.registerTest(MODULE_NAME, "resolve should fall back to defaults for invalid settings", function() {
+    const period = P.resolve({ mode: "weekly", year: "abc", rollingMonths: 999 }, today);
+    T.assertEquals("calendar", period.mode, "Default mode expected");
+    T.assertEquals(2025, period.year, "Current year expected");
+    T.assertEquals(36, P.resolve({ mode: "rolling", rollingMonths: 999 }, today).months.length, "Window should be capped");
+  });
+
+  // --- Tests for headers and layout ---
+  T.registerTest(MODULE_NAME, "getHeaders should label the months of the window", function() {
+    const headers = P.getHeaders(P.resolve({ mode: "fiscal", year: 2024, fiscalStartMonth: 7 }, today));
+    T.assertEquals(18, headers.length, "Four leading, twelve month and two summary headers expected");
+    T.assertEquals("Shared?", headers[3], "Leading headers expected");
+    T.assertEquals("Jul-24", headers[4], "First month header expected");
+    T.assertEquals("Jun-25", headers[15], "Last month header expected");
+    T.assertEquals("Average", headers[17], "Summary headers expected");
+  });
+
+  T.registerTest(MODULE_NAME, "getLayout and findLayout should agree on the columns", function() {
+    const period = P.resolve({ mode: "rolling", rollingMonths: 3 }, today);
+    const layout = P.getLayout(period);
+    T.assertEquals(7, layout.lastMonthColumn, "Three month columns expected");
+    T.assertEquals(8, layout.totalColumn, "Total column expected");
+    T.assertEquals(9, layout.averageColumn, "Average column expected");
+    const found = P.findLayout(P.getHeaders(period));
+    T.assertEquals(layout.averageColumn, found.averageColumn, "Layout should be found from the headers");
+    T.assertEquals(18, P.findLayout([]).averageColumn, "Missing headers should fall back to twelve months");
+  });
+
+  T.registerTest(MODULE_NAME, "findMonths should read the months back from the headers", function() {
+    const period = P.resolve({ mode: "fiscal", year: 2024, fiscalStartMonth: 7 }, today);
+    const months = P.findMonths(P.getHeaders(period));
+    T.assertEquals(12, months.length, "Twelve months expected");
+    T.assertEquals(period.months[0].getTime(), months[0].getTime(), "First month expected");
+    T.assertEquals(period.months[11].getTime(), months[11].getTime(), "Last month expected");
+    T.assertEquals(0, P.findMonths([]).length, "Missing headers should give no months");
+  });
+
+  T.registerTest(MODULE_NAME, "comparing years should add the prior-year window and columns", function() {
+    const period = P.resolve({ mode: "fiscal", year: 2024, fiscalStartMonth: 4, compareYoY: true }, today);
+    T.assertEquals(2023, period.priorStartDate.getFullYear(), "Prior window should start a year earlier");
+    T.assertEquals(3, period.priorStartDate.getMonth(), "Prior window should start in the same month");
+    T.assertEquals(31, period.priorEndDate.getDate(), "Prior window should end on 31 March");
+    T.assertEquals(2024, period.priorEndDate.getFullYear(), "Prior window should end a year earlier");
+
+    const layout = P.getLayout(period);
+    T.assertEquals(19, layout.priorTotalColumn, "Prior Year column should follow Average");
+    T.assertEquals(20, layout.lastAdditiveColumn, "Change should be the last summable column");
+    T.assertEquals(21, layout.lastColumn, "% Change should be the last column");
+    T.assertEquals("% Change", P.getHeaders(period)[20], "Comparison headers expected");
+    T.assertEquals(21, P.findLayout(P.getHeaders(period)).percentChangeColumn, "Comparison should be found from the headers");
+    T.assertEquals(null, P.getLayout(P.resolve({ year: 2024 }, today)).priorTotalColumn, "No comparison columns by default");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.PeriodService);
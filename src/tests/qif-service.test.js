@@ -0,0 +1,194 @@
+/**
+ * Financial Planning Tools - QIF Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.QifService module.
+ * Covers parsing, date handling, record mapping, export filtering and the writer round trip;
+ * the ledger writes and Drive export are exercised manually.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, Q) { // T = Testing, Q = QifService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping QifService tests.");
+    return;
+  }
+  if (!Q) {
+    console.error("QifService module is not available. Skipping QifService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "QifService";
+
+  const qif = [
+    "!Option:AutoSwitch",
+    "!Account",
+    "NChecking",
+    "TBank",
+    "^",
+    "NVisa",
+    "TCCard",
+    "^",
+    "!Clear:AutoSwitch",
+    "!Account",
+    "NChecking",
+    "TBank",
+    "^",
+    "!Type:Bank",
+    "D3/ 1'24",
+    "T100.00",
+    "POpening Balance",
+    "L[Checking]",
+    "^",
+    "D3/ 2'24",
+    "T-54.20",
+    "PREWE",
+    "MWeekly shop",
+    "LFood:Groceries/Essentials",
+    "N1042",
+    "CX",
+    "^",
+    "D03/15/2024",
+    "T-120.00",
+    "PCostco",
+    "LHousehold",
+    "SFood:Groceries",
+    "EFood",
+    "$-80.00",
+    "SHousehold:Cleaning",
+    "$-40.00",
+    "^",
+    "D3/20'24",
+    "U-500.00",
+    "T-500.00",
+    "PTransfer",
+    "L[Savings]",
+    "^",
+    "!Account",
+    "NVisa",
+    "TCCard",
+    "^",
+    "!Type:CCard",
+    "D3/ 3'24",
+    "T-9.99",
+    "PSpotify",
+    "LEntertainment:Streaming",
+    "^",
+    "!Type:Invst",
+    "D3/ 4'24",
+    "NBuy",
+    "YACME",
+    "T1000.00",
+    "^"
+  ].join("\r\n");
+
+  // --- Tests for parse ---
+  T.registerTest(MODULE_NAME, "parse should read registers per account and skip account lists", function() {
+    const registers = Q.parse(qif);
+    T.assertEquals(2, registers.length, "Bank and credit card registers expected, investments skipped");
+    T.assertEquals("Checking", registers[0].account, "Bank register account expected");
+    T.assertEquals("CCard", registers[1].type, "Credit card register type expected");
+    T.assertEquals("Visa", registers[1].account, "Credit card register account expected");
+    T.assertEquals(4, registers[0].transactions.length, "Four bank transactions expected");
+    const split = registers[0].transactions[2];
+    T.assertEquals(2, split.splits.length, "Two split lines expected");
+    T.assertEquals("Food", split.splits[0].memo, "Split memo expected");
+    T.assertEquals("-40.00", split.splits[1].amount, "Split amount expected");
+  });
+
+  // --- Tests for dates ---
+  T.registerTest(MODULE_NAME, "parseDate should handle Quicken year styles and orders", function() {
+    const apostrophe = Q.parseDate("3/ 1'05", "MDY");
+    T.assertEquals(2005, apostrophe.getFullYear(), "Apostrophe year should be 20xx");
+    T.assertEquals(1, apostrophe.getDate(), "Day expected");
+    T.assertEquals(1998, Q.parseDate("12/31/98", "MDY").getFullYear(), "Two-digit year should pivot at 70");
+    T.assertEquals(2, Q.parseDate("01.03.2024", "DMY").getMonth(), "Day-first month expected");
+    T.assertEquals(15, Q.parseDate("2024-03-15").getDate(), "ISO date expected");
+    T.assertEquals(null, Q.parseDate("2/30/2024", "MDY"), "Invalid date should be null");
+  });
+
+  T.registerTest(MODULE_NAME, "detectDateOrder should detect day-first files", function() {
+    T.assertEquals("MDY", Q.detectDateOrder(["3/ 1'24", "12/11/2024"]), "Month-first expected by default");
+    T.assertEquals("DMY", Q.detectDateOrder(["3/ 1'24", "25/03/2024"]), "Day above 12 should mean day-first");
+    T.assertEquals("DMY", Q.detectDateOrder(["01.03.2024"]), "Dotted dates should be day-first");
+  });
+
+  // --- Tests for toRecords ---
+  T.registerTest(MODULE_NAME, "toRecords should map categories, classes and splits", function() {
+    const result = Q.toRecords(qif, { typeByCategory: { Household: "Essentials" } });
+    T.assertEquals(1, result.skipped, "Opening balance should be skipped");
+    T.assertEquals(5, result.records.length, "Splits should become separate records");
+
+    const groceries = result.records[0];
+    T.assertEquals("QIF", groceries.source, "Source should be QIF");
+    T.assertEquals("Checking", groceries.account, "Account name expected");
+    T.assertEquals("Food", groceries.category, "Category expected");
+    T.assertEquals("Groceries", groceries.subcategory, "Sub-category expected");
+    T.assertEquals("Essentials", groceries.type, "Class should set the type");
+    T.assertEquals("REWE - Weekly shop", groceries.description, "Payee and memo expected");
+    T.assertEquals("Check 1042", groceries.providerDetail, "Check number expected");
+
+    const splitFood = result.records[1];
+    const splitCleaning = result.records[2];
+    T.assertEquals(-80, splitFood.amount, "Split amount expected");
+    T.assertEquals("", splitFood.type, "Unknown category without class should have no type");
+    T.assertEquals("Essentials", splitCleaning.type, "Type should come from ledger history");
+    T.assertEquals(splitFood.id.replace(/\/1$/, "/2"), splitCleaning.id, "Split ids should be numbered");
+
+    const transfer = result.records[3];
+    T.assertEquals("", transfer.category, "Transfers should have no category");
+    T.assertEquals("[Savings]", transfer.providerCategory, "Transfer path should be kept");
+    T.assertEquals("Visa", result.records[4].account, "Credit card account expected");
+  });
+
+  T.registerTest(MODULE_NAME, "toRecords should produce stable, distinct ids", function() {
+    const text = "!Type:Bank\nD01/05/2024\nT-3.50\nPBakery\n^\nD01/05/2024\nT-3.50\nPBakery\n^\n";
+    const first = Q.toRecords(text, { account: "Wallet" });
+    const second = Q.toRecords(text, { account: "Wallet" });
+    T.assertEquals("Wallet", first.records[0].account, "Account option should name unnamed registers");
+    T.assertEquals(first.records[1].id, second.records[1].id, "Ids should be stable");
+    T.assertTrue(first.records[0].id !== first.records[1].id, "Identical transactions should get distinct ids");
+    T.assertTrue(first.records[0].id.indexOf("qif_") === 0, "Content id prefix expected");
+  });
+
+  // --- Tests for export ---
+  T.registerTest(MODULE_NAME, "filterRecords should apply the filter and leave out duplicates", function() {
+    const records = [
+      { date: new Date(2024, 2, 31), account: "Checking", type: "Wants/Pleasure", category: "Food", duplicateOf: "" },
+      { date: new Date(2024, 2, 1), account: "Checking", type: "Essentials", category: "Food", duplicateOf: "" },
+      { date: new Date(2024, 3, 1), account: "Checking", type: "Essentials", category: "Food", duplicateOf: "" },
+      { date: new Date(2024, 2, 5), account: "Checking", type: "Essentials", category: "Food", duplicateOf: "SaltEdge|1" },
+      { date: new Date(2024, 2, 5), account: "Visa", type: "Essentials", category: "Food", duplicateOf: "" }
+    ];
+    const result = Q.filterRecords(records, { from: "2024-03-01", to: "2024-03-31", account: "Checking" });
+    T.assertEquals(2, result.length, "Two rows in range expected");
+    T.assertEquals(1, result[0].date.getDate(), "Rows should be sorted by date");
+    T.assertEquals(1, Q.filterRecords(records, { type: "Wants/Pleasure" }).length, "Type filter expected");
+  });
+
+  T.registerTest(MODULE_NAME, "write should round-trip through toRecords", function() {
+    const records = [
+      { date: new Date(2024, 2, 2), description: "REWE - Weekly shop", merchant: "REWE", amount: -54.2, account: "Checking",
+        type: "Essentials", category: "Food", subcategory: "Groceries" },
+      { date: new Date(2024, 2, 25), description: "Salary\nMarch", merchant: "", amount: 3200, account: "Checking",
+        type: "Income", category: "Salary", subcategory: "" },
+      { date: new Date(2024, 2, 3), description: "Spotify", merchant: "Spotify", amount: -9.99, account: "Visa",
+        type: "Wants/Pleasure", category: "Entertainment", subcategory: "Streaming" }
+    ];
+    const text = Q.write(records, { dateOrder: "DMY" });
+    T.assertTrue(text.indexOf("D25/03/2024") !== -1, "Day-first date expected");
+    T.assertTrue(text.indexOf("LEntertainment:Streaming/Wants/Pleasure") !== -1, "Type should be the class");
+
+    const parsed = Q.toRecords(text).records;
+    T.assertEquals(3, parsed.length, "All rows should read back");
+    T.assertEquals("REWE - Weekly shop", parsed[0].description, "Description should survive");
+    T.assertEquals("Groceries", parsed[0].subcategory, "Sub-category should survive");
+    T.assertEquals("Salary March", parsed[1].description, "Line breaks should be flattened");
+    T.assertEquals(3200, parsed[1].amount, "Amount should survive");
+    T.assertEquals("Wants/Pleasure", parsed[2].type, "Type containing a slash should survive");
+    T.assertEquals("Visa", parsed[2].account, "Account should survive");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.QifService);
@@ -2,93 +2,150 @@
  * Financial Planning Tools - Report Service Tests
  *
  * This file contains tests for the FinancialPlanner.ReportService module.
- * It tests the placeholder functions for report generation.
+ * It tests the yearly summary, category breakdown and savings analysis calculations; writing the
+ * report sheets and charts is exercised manually.
  */
 (function() {
   // Alias for easier access
   const T = FinancialPlanner.Testing;
 
-  // --- Mock Dependencies & Globals ---
-  let lastToast = null;
-  let lastAlert = null;
-  let lastHandledError = null;
-
-  // Mock UI Service
-  const mockUiService = {
-    showLoadingSpinner: function(msg) { lastToast = { message: msg, title: "Working..." }; },
-    hideLoadingSpinner: function() { /* Mock */ },
-    showInfoAlert: function(title, message) { lastAlert = { title: title, message: message }; },
-    showErrorNotification: function(title, message) { lastAlert = { title: title, message: message }; } // Use alert for error mock too
-  };
-
-  // Mock Error Service
-  const mockErrorService = {
-    handle: function(error, msg) { lastHandledError = { error, msg }; console.error("ERROR SERVICE MOCK:", msg, error); },
-    create: function(msg, details) { const e = new Error(msg); e.details = details; e.name="FinancialPlannerError"; return e; },
-    log: function(error) { console.log("ErrorService Mock Log:", error.message); }
+  // --- Tests for the yearly summary ---
+  const R = FinancialPlanner.ReportService;
+  const indices = { type: 0, category: 1, amount: 2 };
+  const monthlyData = {
+    "2024-1": { income: 3000, expenses: -1500, savings: 300, transactions: [
+      ["Income", "Salary", 3000], ["Essentials", "Housing", -1000], ["Wants/Pleasure", "Dining", -400],
+      ["Extra", "Gifts", -100], ["Savings", "ETF", -300]
+    ] },
+    "2024-2": { income: 3000, expenses: -2600, savings: 0, transactions: [
+      ["Income", "Salary", 3000], ["Essentials", "Housing", -1000], ["Wants/Pleasure", "Travel", -1650],
+      ["Wants/Pleasure", "Dining", 50]
+    ] },
+    "2023-12": { income: 2800, expenses: -900, savings: 0, transactions: [["Essentials", "Housing", -900]] }
   };
 
-  // Mock Config and Utils (minimal mocks as they aren't directly used by placeholders)
-  const mockConfig = {};
-  const mockUtils = {};
-  
-  // Global Logger mock
-  global.Logger = { log: function(msg) { console.log("Logger.log:", msg); } };
-
-
-  // --- Test Suite Setup ---
-   // Redefine ReportService with mocks
-   const TestReportService = (function(utils, uiService, errorService, config) {
-       // --- Copy of ReportService Implementation Start ---
-        function createYearlySummary() { uiService.showInfoAlert('Yearly Summary', 'Coming Soon!'); }
-        function createCategoryBreakdown() { uiService.showInfoAlert('Category Breakdown', 'Coming Soon!'); }
-        function createSavingsAnalysis() { uiService.showInfoAlert('Savings Analysis', 'Coming Soon!'); }
-        return {
-            generateYearlySummary: function() { try { uiService.showLoadingSpinner("Generating yearly summary report..."); const result = createYearlySummary(); uiService.hideLoadingSpinner(); return result; } catch (error) { uiService.hideLoadingSpinner(); errorService.handle(error, "Failed to generate yearly summary report"); return null; } },
-            generateCategoryBreakdown: function() { try { uiService.showLoadingSpinner("Generating category breakdown report..."); const result = createCategoryBreakdown(); uiService.hideLoadingSpinner(); return result; } catch (error) { uiService.hideLoadingSpinner(); errorService.handle(error, "Failed to generate category breakdown report"); return null; } },
-            generateSavingsAnalysis: function() { try { uiService.showLoadingSpinner("Generating savings analysis report..."); const result = createSavingsAnalysis(); uiService.hideLoadingSpinner(); return result; } catch (error) { uiService.hideLoadingSpinner(); errorService.handle(error, "Failed to generate savings analysis report"); return null; } }
-        };
-       // --- Copy of ReportService Implementation End ---
-   })(mockUtils, mockUiService, mockErrorService, mockConfig); // Pass mocks
-
+  T.registerTest("ReportService", "summarizeYear should total each month by type", function() {
+    const summary = R.summarizeYear(monthlyData, 2024, indices);
+    T.assertEquals(12, summary.months.length, "Twelve months expected");
+    const january = summary.months[0];
+    T.assertEquals(3000, january.income, "Income expected");
+    T.assertEquals(1000, january.expensesByType.Essentials, "Essentials spend expected");
+    T.assertEquals(1500, january.expenses, "Expenses should be positive spend");
+    T.assertEquals(1200, january.net, "Net should deduct expenses and savings");
+    T.assertEquals(0.1, january.savingsRate, "Savings rate expected");
+    T.assertEquals(1600, summary.months[1].expensesByType["Wants/Pleasure"], "Refunds should reduce spend");
+    T.assertEquals(0, summary.months[2].income, "Months without data should be zero");
+  });
 
-  // --- Helper to reset state before each test ---
-  function resetMocks() {
-      lastToast = null;
-      lastAlert = null;
-      lastHandledError = null;
-  }
+  T.registerTest("ReportService", "summarizeYear should compute totals, averages and best/worst months", function() {
+    const summary = R.summarizeYear(monthlyData, 2024, indices);
+    T.assertEquals(6000, summary.totals.income, "Year income expected");
+    T.assertEquals(4100, summary.totals.expenses, "Year expenses expected");
+    T.assertEquals(2, summary.monthsWithData, "Two months with data expected");
+    T.assertEquals(2050, summary.averages.expenses, "Averages should cover months with data");
+    T.assertEquals(0.05, summary.totals.savingsRate, "Year savings rate expected");
+    T.assertEquals("January", summary.bestMonth.label, "Best month by net expected");
+    T.assertEquals("February", summary.worstMonth.label, "Worst month by net expected");
+    T.assertEquals(null, R.summarizeYear(monthlyData, 2022, indices).bestMonth, "No best month without data");
+  });
 
-  // --- Test Cases ---
+  T.registerTest("ReportService", "summarizeYear should rank categories by spend", function() {
+    const top = R.summarizeYear(monthlyData, 2024, indices).topCategories;
+    T.assertEquals(4, top.length, "Only expense categories expected");
+    T.assertEquals("Housing", top[0].category, "Largest category first");
+    T.assertEquals(2000, top[0].amount, "Category spend should cover the year only");
+    T.assertEquals("Travel", top[1].category, "Second category expected");
+    T.assertEquals(350, top[2].amount, "Refunds should reduce category spend");
+    T.assertEquals(2000 / 4100, top[0].share, "Share of expenses expected");
+  });
 
-  T.registerTest("ReportService", "generateYearlySummary should show 'Coming Soon' alert", function() {
-    resetMocks();
-    T.assertEquals(null, lastAlert, "lastAlert should be reset before calling the service.");
-    const result = TestReportService.generateYearlySummary();
+  // --- Tests for the category breakdown ---
+  const ledgerIndices = { date: 0, description: 1, type: 2, category: 3, subcategory: 4, amount: 5, merchant: -1, duplicateOf: 6 };
+  const ledgerRows = [
+    [new Date(2024, 0, 3), "REWE", "Essentials", "Food", "Groceries", -60, ""],
+    [new Date(2024, 0, 20), "Lidl", "Essentials", "Food", "Groceries", -40, ""],
+    [new Date(2024, 1, 2), "Pizza", "Essentials", "Food", "", -30, ""],
+    [new Date(2024, 1, 5), "REWE", "Essentials", "Food", "Groceries", -70, ""],
+    [new Date(2024, 1, 5), "REWE", "Essentials", "Food", "Groceries", -70, "SaltEdge|9"],
+    [new Date(2024, 1, 9), "Rent", "Essentials", "Housing", "Rent", -900, ""],
+    [new Date(2024, 2, 1), "Lidl", "Essentials", "Food", "Groceries", -25, ""],
+    [new Date(2024, 1, 1), "Cinema", "Wants/Pleasure", "Fun", "Cinema", -12, ""]
+  ];
+
+  T.registerTest("ReportService", "breakdownCategories should rank sub-categories of a category", function() {
+    const selection = { type: "Essentials", category: "Food", from: new Date(2024, 0, 1), to: new Date(2024, 1, 29) };
+    const result = R.breakdownCategories(ledgerRows, selection, ledgerIndices);
+    T.assertEquals(200, result.total, "Parent total should skip duplicates and dates out of range");
+    T.assertEquals(2, result.months.length, "One month per month in range expected");
+    T.assertEquals("Groceries", result.items[0].name, "Largest sub-category first");
+    T.assertEquals(3, result.items[0].count, "Transaction count expected");
+    T.assertEquals(170 / 3, result.items[0].average, "Average ticket expected");
+    T.assertEquals(0.85, result.items[0].share, "Share of parent expected");
+    T.assertEquals(100, result.items[0].monthly[0], "January total expected");
+    T.assertEquals(70, result.items[0].largest[0].amount, "Largest transaction first");
+    T.assertEquals("(None)", result.items[1].name, "Rows without sub-category should be grouped");
+    T.assertEquals("", result.items[1].value, "Empty match value expected");
+  });
 
-    T.assertTrue(result === undefined || result === null, "Placeholder function should return null or undefined."); // Placeholder returns void, wrapper returns null on error or result (which is undefined)
-    T.assertDeepEquals({ title: "Yearly Summary", message: "Coming Soon!" }, lastAlert, "Alert should contain correct title and message.");
-    T.assertTrue(lastHandledError === null, "No error should be handled.");
+  T.registerTest("ReportService", "breakdownCategories should rank the categories of a type", function() {
+    const selection = { type: "Essentials", category: null, from: new Date(2024, 0, 1), to: new Date(2024, 2, 1) };
+    const result = R.breakdownCategories(ledgerRows, selection, ledgerIndices);
+    T.assertEquals(2, result.items.length, "Two categories expected");
+    T.assertEquals("Housing", result.items[0].name, "Largest category first");
+    T.assertEquals(225, result.items[1].amount, "Last day of the range should be included");
+    T.assertEquals("REWE", result.items[1].largest[0].description, "Description expected");
   });
 
-  T.registerTest("ReportService", "generateCategoryBreakdown should show 'Coming Soon' alert", function() {
-    resetMocks();
-    T.assertEquals(null, lastAlert, "lastAlert should be reset before calling the service.");
-    const result = TestReportService.generateCategoryBreakdown();
+  // --- Tests for the savings analysis ---
+  const savingsIndices = { type: 0, category: 1, subcategory: 2, amount: 3 };
+  const savingsData = {
+    "2024-1": { income: 3000, transactions: [
+      ["Income", "Salary", "", 3000], ["Savings", "Emergency Fund", "", -400], ["Savings", "Investments", "ETF", -300]
+    ] },
+    "2024-2": { income: 3000, transactions: [["Income", "Salary", "", 3000], ["Savings", "Emergency Fund", "", -300]] },
+    "2024-3": { income: 3000, transactions: [
+      ["Income", "Salary", "", 3000], ["Savings", "Emergency Fund", "", -500], ["Savings", "Investments", "ETF", -200]
+    ] },
+    "2024-4": { income: 3000, transactions: [["Income", "Salary", "", 3000], ["Savings", "Emergency Fund", "", -50]] }
+  };
+  const savingsMonths = [0, 1, 2, 3, 4, 5].map(m => new Date(2024, m, 1));
+  const savingsOptions = {
+    targetRate: 0.2,
+    goals: { "Emergency Fund": 2000, "Investments / ETF": 400, "Pension": 1000 },
+    trailingMonths: 3,
+    today: new Date(2024, 3, 10)
+  };
 
-    T.assertTrue(result === undefined || result === null, "Placeholder function should return null or undefined.");
-    T.assertDeepEquals({ title: "Category Breakdown", message: "Coming Soon!" }, lastAlert, "Alert should contain correct title and message.");
-    T.assertTrue(lastHandledError === null, "No error should be handled.");
+  T.registerTest("ReportService", "summarizeSavings should compare each month with the target", function() {
+    const summary = R.summarizeSavings(savingsData, savingsMonths, savingsIndices, savingsOptions);
+    T.assertEquals(4, summary.months.length, "Months after today should be left out");
+    T.assertEquals(700, summary.months[0].savings, "Savings should cover all buckets");
+    T.assertEquals(true, summary.months[0].hit, "January should meet the target");
+    T.assertEquals(-300, summary.months[1].gap, "Gap to the target amount expected");
+    T.assertEquals(1700, summary.months[2].cumulative, "Cumulative savings expected");
+    T.assertTrue(summary.months[3].partial, "The current month should be partial");
+    T.assertEquals(1750, summary.totals.savings, "Total savings expected");
   });
 
-  T.registerTest("ReportService", "generateSavingsAnalysis should show 'Coming Soon' alert", function() {
-    resetMocks();
-    T.assertEquals(null, lastAlert, "lastAlert should be reset before calling the service.");
-    const result = TestReportService.generateSavingsAnalysis();
+  T.registerTest("ReportService", "summarizeSavings should track streaks over complete months", function() {
+    const streaks = R.summarizeSavings(savingsData, savingsMonths, savingsIndices, savingsOptions).streaks;
+    T.assertEquals(true, streaks.current.hit, "March should end on a met target");
+    T.assertEquals(1, streaks.current.length, "The current month should not extend the streak");
+    T.assertEquals(1, streaks.longestHit, "Longest hit streak expected");
+    T.assertEquals(1, streaks.longestMiss, "Longest miss streak expected");
+  });
 
-    T.assertTrue(result === undefined || result === null, "Placeholder function should return null or undefined.");
-    T.assertDeepEquals({ title: "Savings Analysis", message: "Coming Soon!" }, lastAlert, "Alert should contain correct title and message.");
-    T.assertTrue(lastHandledError === null, "No error should be handled.");
+  T.registerTest("ReportService", "summarizeSavings should project time to each goal", function() {
+    const buckets = R.summarizeSavings(savingsData, savingsMonths, savingsIndices, savingsOptions).buckets;
+    T.assertEquals("Emergency Fund", buckets[0].name, "Largest bucket first");
+    T.assertEquals(1250, buckets[0].saved, "Bucket savings expected");
+    T.assertEquals(400, buckets[0].monthlyAverage, "Trailing average should cover complete months only");
+    T.assertEquals(2, buckets[0].monthsToGoal, "Months to goal should round up");
+    T.assertEquals(5, buckets[0].goalDate.getMonth(), "Projected date should count from the current month");
+    T.assertEquals("Investments / ETF", buckets[1].name, "Sub-categories should be separate buckets");
+    T.assertEquals("Reached", buckets[1].status, "Reached goal expected");
+    T.assertEquals("Stalled", buckets[2].status, "Goal without savings should be stalled");
+    T.assertEquals(null, buckets[2].monthsToGoal, "No projection without savings");
   });
 
 })(); // End IIFE
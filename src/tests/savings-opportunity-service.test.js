@@ -0,0 +1,149 @@
+/**
+ * Financial Planning Tools - Savings Opportunity Service Tests
+ *
+ * This file contains tests for the FinancialPlanner.SavingsOpportunityService module.
+ * Covers the suggestion rules and their ranking; the Savings Opportunities sheet is exercised manually.
+ * Subscriptions are detected by FinancialPlanner.ForecastService and compared with
+ * FinancialPlanner.DeduplicationService, which must be loaded as well.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, S) { // T = Testing, S = SavingsOpportunityService
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping SavingsOpportunityService tests.");
+    return;
+  }
+  if (!S) {
+    console.error("SavingsOpportunityService module is not available. Skipping SavingsOpportunityService tests.");
+    return;
+  }
+
+  const MODULE_NAME = "SavingsOpportunityService";
+  const today = new Date(2024, 9, 15); // 15 Oct 2024: July to September are recent, January to June the baseline
+
+  function options(overrides) {
+    return Object.assign({
+      RECENT_MONTHS: 3, BASELINE_MONTHS: 6, MIN_INCREASE: 0.15, MIN_MONTHLY_SAVING: 10, MIN_TICKETS: 3,
+      SUBSCRIPTION_MAX_AMOUNT: 100, SUBSCRIPTION_SIMILARITY: 0.6, SUBSCRIPTION_IDLE_MONTHS: 3
+    }, overrides);
+  }
+
+  function record(month, day, amount, merchant, type, category, subcategory) {
+    return {
+      date: new Date(2024, month, day), amount: amount, merchant: merchant, description: merchant,
+      type: type, category: category, subcategory: subcategory || "", duplicateOf: ""
+    };
+  }
+
+  // Nine months of salary, groceries and subscriptions; restaurant visits cost 30 until June and 45 after
+  function ledger(salary) {
+    const records = [];
+    for (let month = 0; month < 9; month++) {
+      records.push(record(month, 1, salary, "Employer", "Income", "Salary"));
+      records.push(record(month, 3, -15.99, "Netflix", "Wants/Pleasure", "Streaming", "Video"));
+      records.push(record(month, 4, -12.99, "Disney Plus", "Wants/Pleasure", "Streaming", "Video"));
+      records.push(record(month, 5, -10.99, "Spotify", "Wants/Pleasure", "Music"));
+      records.push(record(month, 6, -10.99, "Spotify", "Wants/Pleasure", "Music"));
+      for (let week = 0; week < 4; week++) {
+        records.push(record(month, 7 + week * 5, -100, "REWE", "Essentials", "Food"));
+        records.push(record(month, 8 + week * 5, month < 6 ? -30 : -45, "Bistro", "Wants/Pleasure", "Restaurants"));
+      }
+    }
+    records.push(record(9, 2, -500, "Bistro", "Wants/Pleasure", "Restaurants")); // The current month is ignored
+    return records;
+  }
+
+  function byKind(suggestions, kind) {
+    return suggestions.filter(s => s.kind === kind);
+  }
+
+  // --- Tests for findOpportunities ---
+  T.registerTest(MODULE_NAME, "findOpportunities should flag rising categories and growing tickets", function() {
+    const suggestions = S.findOpportunities(ledger(3000), options(), today);
+    const rising = byKind(suggestions, "Rising category");
+    T.assertEquals(1, rising.length, "Only restaurants should be rising");
+    T.assertEquals("Restaurants", rising[0].category, "Category expected");
+    T.assertEquals(60, rising[0].monthly, "Saving should be the rise over the baseline");
+    T.assertEquals(720, rising[0].annual, "Annual saving should be twelve months");
+    T.assertTrue(rising[0].evidence.indexOf("+50%") !== -1, "Evidence should show the rise");
+
+    const tickets = byKind(suggestions, "Growing ticket");
+    T.assertEquals(1, tickets.length, "Only the restaurant ticket should have grown");
+    T.assertEquals(60, tickets[0].monthly, "Saving should be the ticket growth times the visits");
+    T.assertTrue(tickets[0].title.indexOf("Bistro") !== -1, "Merchant should be named");
+    T.assertEquals(0, byKind(suggestions, "Wants above target").length, "Wants are well below target");
+  });
+
+  T.registerTest(MODULE_NAME, "findOpportunities should flag duplicated subscriptions", function() {
+    const duplicates = byKind(S.findOpportunities(ledger(3000), options(), today), "Duplicate subscription");
+    T.assertEquals(2, duplicates.length, "Two streaming services and a double Spotify charge expected");
+    const streaming = duplicates.filter(s => s.category === "Streaming")[0];
+    T.assertEquals(15.99, streaming.monthly, "Keeping the cheaper service should save the dearer one");
+    T.assertTrue(streaming.evidence.indexOf("keeping only the cheapest, Disney Plus") !== -1, "The cheaper service should be kept");
+    T.assertTrue(streaming.evidence.indexOf("Netflix") !== -1 && streaming.evidence.indexOf("Disney Plus") !== -1,
+      "Evidence should name both services");
+    const music = duplicates.filter(s => s.category === "Music")[0];
+    T.assertEquals(10.99, music.monthly, "Cancelling the second charge should save one charge");
+  });
+
+  T.registerTest(MODULE_NAME, "findOpportunities should not pair different services of one category", function() {
+    const records = ledger(3000);
+    for (let month = 0; month < 9; month++) {
+      records.push(record(month, 10, -39.99, "Telekom Mobilfunk", "Essentials", "Utilities", "Phone"));
+      records.push(record(month, 11, -29.99, "Vodafone Kabel", "Essentials", "Utilities", "Internet"));
+      records.push(record(month, 12, -25, "Stadtwerke", "Essentials", "Utilities"));
+      records.push(record(month, 13, -9.99, "Spotify Family", "Wants/Pleasure", "Music"));
+    }
+    const duplicates = byKind(S.findOpportunities(records, options(), today), "Duplicate subscription");
+    T.assertEquals(0, duplicates.filter(s => s.category === "Utilities").length, "Phone, internet and power are different services");
+    const music = duplicates.filter(s => s.category === "Music" && s.title.indexOf("Keep one") === 0)[0];
+    T.assertNotNull(music, "Similar merchant names should be paired without a subcategory");
+    T.assertEquals(21.98, music.monthly, "Keeping Spotify Family should save both Spotify charges");
+  });
+
+  T.registerTest(MODULE_NAME, "findOpportunities should flag subscriptions whose category went quiet", function() {
+    const records = ledger(3000);
+    for (let month = 0; month < 9; month++) {
+      records.push(record(month, 2, -24.9, "FitX", "Wants/Pleasure", "Fitness"));
+      records.push(record(month, 2, -14.99, "Game Pass", "Wants/Pleasure", "Gaming"));
+      if (month < 6) records.push(record(month, 20, -15, "Boulderhalle", "Wants/Pleasure", "Fitness"));
+      records.push(record(month, 21, -20, "Steam", "Wants/Pleasure", "Gaming"));
+    }
+    const unused = byKind(S.findOpportunities(records, options(), today), "Unused subscription");
+    T.assertEquals(1, unused.length, "Only the gym should look unused");
+    T.assertEquals("Fitness", unused[0].category, "Category expected");
+    T.assertEquals(24.9, unused[0].monthly, "Saving should be the monthly charge");
+    T.assertTrue(unused[0].title.indexOf("FitX") !== -1, "Subscription should be named");
+    T.assertTrue(unused[0].evidence.indexOf("last 3 months after 6 purchase(s)") !== -1, "Evidence should show the idle months");
+
+    T.assertEquals(0, byKind(S.findOpportunities(records, options({ SUBSCRIPTION_IDLE_MONTHS: 4 }), today), "Unused subscription").length,
+      "Spending within the idle window should count as use");
+    T.assertEquals(0, byKind(S.findOpportunities(ledger(3000), options(), today), "Unused subscription").length,
+      "Categories holding only subscriptions should give no signal");
+  });
+
+  T.registerTest(MODULE_NAME, "findOpportunities should compare wants with the target share of income", function() {
+    const suggestions = S.findOpportunities(ledger(800), options(), today);
+    const wants = byKind(suggestions, "Wants above target");
+    T.assertEquals(1, wants.length, "Wants above target expected");
+    // 230.96 a month of wants against 20% of 800
+    T.assertEquals(70.96, wants[0].monthly, "Saving should be the spend above target");
+    T.assertTrue(wants[0].evidence.indexOf("29%") !== -1, "Evidence should show the share of income");
+  });
+
+  T.registerTest(MODULE_NAME, "findOpportunities should rank by saving and drop small suggestions", function() {
+    const suggestions = S.findOpportunities(ledger(3000), options({ MIN_MONTHLY_SAVING: 11 }), today);
+    T.assertEquals(3, suggestions.length, "The double Spotify charge should be dropped");
+    T.assertDeepEquals([1, 2, 3], suggestions.map(s => s.rank), "Ranks expected");
+    T.assertTrue(suggestions[0].monthly >= suggestions[1].monthly && suggestions[1].monthly >= suggestions[2].monthly,
+      "Suggestions should be sorted by saving");
+
+    const recentOnly = ledger(3000).filter(r => r.date.getMonth() >= 6);
+    T.assertEquals(0, byKind(S.findOpportunities(recentOnly, options(), today), "Rising category").length,
+      "Without a baseline nothing can be rising");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.SavingsOpportunityService);
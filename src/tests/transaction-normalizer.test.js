@@ -0,0 +1,138 @@
+/**
+ * Financial Planning Tools - Transaction Normalizer Tests
+ *
+ * This file contains tests for the FinancialPlanner.TransactionNormalizer module.
+ */
+
+// Ensure the main namespace and testing framework are available
+var FinancialPlanner = FinancialPlanner || {};
+FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-framework.js is loaded first
+
+(function(T, N) { // T = Testing, N = TransactionNormalizer
+  if (!T || !T.registerTest) {
+    console.error("Testing framework (FinancialPlanner.Testing) is not available. Skipping TransactionNormalizer tests.");
+    return;
+  }
+  if (!N) {
+    console.error("TransactionNormalizer module is not available. Skipping TransactionNormalizer tests.");
+    return;
+  }
+
+  const MODULE_NAME = "TransactionNormalizer";
+
+  const samplePlaidTx = {
+    transaction_id: "tx_123",
+    account_id: "acc_1",
+    amount: 42.5,
+    date: "2024-03-01",
+    authorized_date: null,
+    name: "WHOLEFDS MKT 10234",
+    merchant_name: "Whole Foods",
+    personal_finance_category: {
+      primary: "FOOD_AND_DRINK",
+      detailed: "FOOD_AND_DRINK_GROCERIES"
+    }
+  };
+
+  // --- Tests for getHeaders ---
+  T.registerTest(MODULE_NAME, "getHeaders should keep Type/Category/Sub-Category in columns C-E", function() {
+    const headers = N.getHeaders();
+    T.assertEquals("Type", headers[2], "Column C should be Type");
+    T.assertEquals("Category", headers[3], "Column D should be Category");
+    T.assertEquals("Sub-Category", headers[4], "Column E should be Sub-Category");
+    T.assertTrue(headers.indexOf("Shared?") !== -1, "Headers should include Shared?");
+  });
+
+  // --- Tests for parseDate ---
+  T.registerTest(MODULE_NAME, "parseDate should parse YYYY-MM-DD as a local date", function() {
+    const date = N.parseDate("2024-03-01");
+    T.assertEquals(2024, date.getFullYear(), "Year should be 2024");
+    T.assertEquals(2, date.getMonth(), "Month should be March (2)");
+    T.assertEquals(1, date.getDate(), "Day should be 1 regardless of time zone");
+  });
+
+  T.registerTest(MODULE_NAME, "parseDate should return empty string for missing values", function() {
+    T.assertEquals("", N.parseDate(null), "null should map to empty string");
+    T.assertEquals("", N.parseDate("not a date"), "Invalid strings should map to empty string");
+  });
+
+  // --- Tests for fromPlaid ---
+  T.registerTest(MODULE_NAME, "fromPlaid should flip the Plaid amount sign", function() {
+    const record = N.fromPlaid(samplePlaidTx);
+    T.assertEquals(-42.5, record.amount, "Plaid outflows should become negative amounts");
+
+    const refund = N.fromPlaid(Object.assign({}, samplePlaidTx, { amount: -10 }));
+    T.assertEquals(10, refund.amount, "Plaid inflows should become positive amounts");
+  });
+
+  T.registerTest(MODULE_NAME, "fromPlaid should map descriptive and provider fields", function() {
+    const record = N.fromPlaid(samplePlaidTx);
+    T.assertEquals("WHOLEFDS MKT 10234", record.description, "Description should come from name");
+    T.assertEquals("Whole Foods", record.merchant, "Merchant should come from merchant_name");
+    T.assertEquals("acc_1", record.account, "Account should come from account_id");
+    T.assertEquals("FOOD_AND_DRINK", record.providerCategory, "Provider category should be the PFC primary");
+    T.assertEquals("FOOD_AND_DRINK_GROCERIES", record.providerDetail, "Provider detail should be the PFC detailed");
+    T.assertEquals("tx_123", record.id, "Id should be the transaction_id");
+    T.assertEquals("Plaid", record.source, "Source should be Plaid");
+  });
+
+  T.registerTest(MODULE_NAME, "fromPlaid should leave categorization fields blank", function() {
+    const record = N.fromPlaid(samplePlaidTx);
+    T.assertEquals("", record.type, "Type should be blank");
+    T.assertEquals("", record.category, "Category should be blank");
+    T.assertEquals("", record.subcategory, "Sub-Category should be blank");
+    T.assertFalse(record.shared, "Shared should default to false");
+  });
+
+  T.registerTest(MODULE_NAME, "fromPlaid should fall back to the legacy category array", function() {
+    const legacyTx = Object.assign({}, samplePlaidTx, {
+      personal_finance_category: null,
+      category: ["Food and Drink", "Restaurants", "Coffee Shop"]
+    });
+    const record = N.fromPlaid(legacyTx);
+    T.assertEquals("Food and Drink", record.providerCategory, "Primary should be the first legacy category");
+    T.assertEquals("Restaurants > Coffee Shop", record.providerDetail, "Detail should join the remaining legacy categories");
+  });
+
+  // --- Tests for fromSaltEdge ---
+  T.registerTest(MODULE_NAME, "fromSaltEdge should keep the SaltEdge amount sign and map fields", function() {
+    const record = N.fromSaltEdge({
+      id: 987654321,
+      made_on: "2024-03-02",
+      amount: -19.99,
+      description: "KARTENZAHLUNG REWE",
+      category: "groceries",
+      extra: { payee: "REWE" }
+    }, { name: "Girokonto" });
+
+    T.assertEquals(-19.99, record.amount, "SaltEdge outflows are already negative");
+    T.assertEquals(2, record.date.getDate(), "made_on should be parsed as a local date");
+    T.assertEquals("REWE", record.merchant, "Merchant should come from extra.payee");
+    T.assertEquals("Girokonto", record.account, "Account should be the account name");
+    T.assertEquals("groceries", record.providerCategory, "Provider category should be the SaltEdge category");
+    T.assertEquals("SaltEdge", record.source, "Source should be SaltEdge");
+    T.assertEquals("987654321", record.id, "Id should be stored as a string");
+  });
+
+  // --- Tests for toRow / fromRow ---
+  T.registerTest(MODULE_NAME, "toRow and fromRow should round-trip a record", function() {
+    const headers = N.getHeaders();
+    const record = N.fromPlaid(samplePlaidTx);
+    const row = N.toRow(record, headers);
+    T.assertEquals(headers.length, row.length, "Row should have one value per header");
+
+    const roundTripped = N.fromRow(row, headers);
+    T.assertEquals(record.id, roundTripped.id, "Id should survive the round trip");
+    T.assertEquals(record.amount, roundTripped.amount, "Amount should survive the round trip");
+  });
+
+  T.registerTest(MODULE_NAME, "toRow should keep unknown columns from the base row", function() {
+    const headers = N.getHeaders().concat(["Notes"]);
+    const baseRow = headers.map(function() { return ""; });
+    baseRow[headers.length - 1] = "Split with Alex";
+
+    const row = N.toRow(N.fromPlaid(samplePlaidTx), headers, baseRow);
+    T.assertEquals("Split with Alex", row[headers.length - 1], "User-added columns should be preserved");
+  });
+
+})(FinancialPlanner.Testing, FinancialPlanner.TransactionNormalizer);
@@ -87,6 +87,22 @@ FinancialPlanner.Testing = FinancialPlanner.Testing || {}; // Assuming testing-f
     T.assertEquals("", result, "Invalid month index -1 should return empty string");
   });
 
+  // --- Tests for getRecordDate ---
+  T.registerTest(MODULE_NAME, "getRecordDate should read Date cells and date strings", function() {
+    const date = new Date(2024, 0, 5);
+    T.assertEquals(date, U.getRecordDate({ date: date }), "Date cells should be returned as they are");
+    T.assertEquals(new Date(2024, 0, 5).getTime(), U.getRecordDate({ date: "2024-01-05" }).getTime(), "Strings should be parsed as local dates");
+    T.assertEquals(null, U.getRecordDate({ date: "" }), "Blank dates should give null");
+    T.assertEquals(null, U.getRecordDate({ date: "not a date" }), "Invalid dates should give null");
+  });
+
+  // --- Tests for getMerchantKey ---
+  T.registerTest(MODULE_NAME, "getMerchantKey should ignore references and fall back to the description", function() {
+    T.assertEquals("netflix", U.getMerchantKey({ merchant: "NETFLIX 4411", description: "Card payment" }), "Merchant expected");
+    T.assertEquals("rewe berlin", U.getMerchantKey({ merchant: "", description: "REWE 0815 Berlin" }), "Description expected");
+    T.assertEquals("", U.getMerchantKey({}), "Records without a merchant should give an empty key");
+  });
+
   // --- Tests for formatAsCurrency (Basic check, requires Mocks for SpreadsheetApp) ---
   // Note: Testing functions interacting directly with SpreadsheetApp is harder without mocks.
   // This is a placeholder showing the intent. More robust tests would need a mocking strategy.
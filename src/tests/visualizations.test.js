@@ -2,101 +2,142 @@
  * Financial Planning Tools - Visualization Service Tests
  *
  * This file contains tests for the FinancialPlanner.VisualizationService module.
- * It tests the placeholder functions for chart generation.
+ * It tests the spending trends series, the budget comparison, the cash-flow data and the
+ * category pie grouping; drawing the charts is exercised manually.
  */
 (function() {
   // Alias for easier access
   const T = FinancialPlanner.Testing;
 
-  // --- Mock Dependencies & Globals ---
-  let lastToast = null;
-  let lastAlert = null;
-  let lastHandledError = null;
-
-  // Mock UI Service
-  const mockUiService = {
-    showLoadingSpinner: function(msg) { lastToast = { message: msg, title: "Working..." }; },
-    hideLoadingSpinner: function() { /* Mock */ },
-    showInfoAlert: function(title, message) { lastAlert = { title: title, message: message }; }, // Used by placeholders
-    showErrorNotification: function(title, message) { lastAlert = { title: title, message: message }; } // Use alert for error mock
-  };
-   // Mock Error Service
-  const mockErrorService = {
-    handle: function(error, msg) { lastHandledError = { error, msg }; console.error("ERROR SERVICE MOCK:", msg, error); },
-    create: function(msg, details) { const e = new Error(msg); e.details = details; e.name="FinancialPlannerError"; return e; },
-    log: function(error) { console.log("ErrorService Mock Log:", error.message); }
-  };
-
-  // Mock Config and Utils (minimal mocks as they aren't directly used by placeholders)
-  const mockConfig = {};
-  const mockUtils = {};
-  
-  // Global mocks needed by service implementation (even if placeholders)
-  global.SpreadsheetApp = {
-      getUi: function() { return { alert: mockUiService.showInfoAlert }; } // Mock the specific call used in placeholders
+  // --- Tests for the spending trends series ---
+  const V = FinancialPlanner.VisualizationService;
+  const indices = { type: 0, category: 1, amount: 2 };
+  const monthlyData = {
+    "2023-11": { transactions: [["Essentials", "Food", -300]] },
+    "2023-12": { transactions: [["Essentials", "Food", -300], ["Wants/Pleasure", "Fun", -90]] },
+    "2024-1": { transactions: [["Essentials", "Food", -600], ["Essentials", "Housing", -1000], ["Income", "Salary", 3000]] },
+    "2024-2": { transactions: [["Essentials", "Food", -250], ["Essentials", "Food", 50], ["Wants/Pleasure", "Fun", -30]] }
   };
-  global.Logger = { log: function(msg) { console.log("Logger.log:", msg); } };
-
-
-  // --- Test Suite Setup ---
-   // Redefine VisualizationService with mocks
-   const TestVisualizationService = (function(utils, uiService, errorService, config) {
-       // --- Copy of VisualizationService Implementation Start ---
-        return {
-            createSpendingTrendsChart: function() { try { uiService.showLoadingSpinner("Creating spending trends chart..."); SpreadsheetApp.getUi().alert('Spending Trends Chart - Coming Soon!'); uiService.hideLoadingSpinner(); } catch (error) { uiService.hideLoadingSpinner(); errorService.handle(error, "Failed to create spending trends chart"); } },
-            createBudgetVsActualChart: function() { try { uiService.showLoadingSpinner("Creating budget vs actual chart..."); SpreadsheetApp.getUi().alert('Budget vs Actual Chart - Coming Soon!'); uiService.hideLoadingSpinner(); } catch (error) { uiService.hideLoadingSpinner(); errorService.handle(error, "Failed to create budget vs actual chart"); } },
-            createIncomeVsExpensesChart: function() { try { uiService.showLoadingSpinner("Creating income vs expenses chart..."); SpreadsheetApp.getUi().alert('Income vs Expenses Chart - Coming Soon!'); uiService.hideLoadingSpinner(); } catch (error) { uiService.hideLoadingSpinner(); errorService.handle(error, "Failed to create income vs expenses chart"); } },
-            createCategoryPieChart: function() { try { uiService.showLoadingSpinner("Creating category pie chart..."); SpreadsheetApp.getUi().alert('Category Pie Chart - Coming Soon!'); uiService.hideLoadingSpinner(); } catch (error) { uiService.hideLoadingSpinner(); errorService.handle(error, "Failed to create category pie chart"); } }
-        };
-       // --- Copy of VisualizationService Implementation End ---
-   })(mockUtils, mockUiService, mockErrorService, mockConfig); // Pass mocks
-
-
-  // --- Helper to reset state before each test ---
-  function resetMocks() {
-      lastToast = null;
-      lastAlert = null;
-      lastHandledError = null;
-  }
-
-  // --- Test Cases ---
+  const months = [new Date(2024, 0, 1), new Date(2024, 1, 1)];
+
+  T.registerTest("VisualizationService", "buildSpendingTrends should chart each expense type by default", function() {
+    const series = V.buildSpendingTrends(monthlyData, months, indices, []);
+    T.assertEquals(FinancialPlanner.Config.getSection("EXPENSE_TYPES").length, series.length, "One series per expense type");
+    T.assertEquals("Essentials", series[0].name, "Expense types in config order");
+    T.assertDeepEquals([1600, 200], series[0].values, "Monthly spend should net out refunds");
+    T.assertEquals(0, series.filter(s => s.name === "Income").length, "Income should not be charted");
+  });
 
-  T.registerTest("VisualizationService", "createSpendingTrendsChart should show 'Coming Soon' alert", function() {
-    resetMocks();
-    TestVisualizationService.createSpendingTrendsChart();
+  T.registerTest("VisualizationService", "buildSpendingTrends should chart chosen categories with moving averages", function() {
+    const series = V.buildSpendingTrends(monthlyData, months, indices, ["Food", "Fun"]);
+    T.assertEquals(2, series.length, "One series per chosen category");
+    T.assertDeepEquals([600, 200], series[0].values, "Category spend expected");
+    T.assertEquals(400, series[0].average[0], "Average should draw on the months before the first one");
+    T.assertEquals(1100 / 3, series[0].average[1], "Three-month average expected");
+    T.assertEquals(30, series[1].average[0], "Months without data should count as zero");
+  });
 
-    T.assertNotNull(lastAlert, "uiService.showInfoAlert (via SpreadsheetApp.getUi().alert) should have been called.");
-    // Note: The actual implementation calls SpreadsheetApp.getUi().alert directly
-    // T.assertEquals("Spending Trends Chart", lastAlert.title, "Alert title should be correct."); // Title not passed in current impl
-    T.assertEquals("Spending Trends Chart - Coming Soon!", lastAlert.message, "Alert message should be correct.");
-    T.assertTrue(lastHandledError === null, "No error should be handled.");
+  // --- Tests for the budget comparison ---
+  const budgets = [
+    { type: "Essentials", category: "Food", monthly: 500 },
+    { type: "Essentials", category: "Housing", monthly: 1000 },
+    { type: "Wants/Pleasure", category: "Travel", monthly: 0 }
+  ];
+
+  T.registerTest("VisualizationService", "compareBudget should compute the month's variance per category", function() {
+    const result = V.compareBudget(budgets, monthlyData, indices, new Date(2024, 0, 1), new Date(2024, 0, 1));
+    T.assertEquals(2, result.rows.length, "Budgeted categories without budget or spend should be left out");
+    const food = result.rows[0];
+    T.assertEquals("Food", food.category, "Categories should be sorted by name within a type");
+    T.assertEquals(600, food.actual, "Actual spend expected");
+    T.assertEquals(100, food.variance, "Over budget should be a positive variance");
+    T.assertEquals(0.2, food.variancePercent, "Variance percent expected");
+    T.assertEquals(1500, result.totals.budget, "Total budget expected");
+    T.assertEquals(100, result.totals.variance, "Total variance expected");
   });
 
-  T.registerTest("VisualizationService", "createBudgetVsActualChart should show 'Coming Soon' alert", function() {
-    resetMocks();
-    TestVisualizationService.createBudgetVsActualChart();
+  T.registerTest("VisualizationService", "compareBudget should add the year to date and unbudgeted spend", function() {
+    const result = V.compareBudget(budgets, monthlyData, indices, new Date(2024, 1, 1), new Date(2023, 11, 1));
+    const food = result.rows[0];
+    T.assertEquals(1500, food.ytdBudget, "YTD budget should cover three months");
+    T.assertEquals(1100, food.ytdActual, "YTD spend should net out refunds");
+    T.assertEquals(-400, food.ytdVariance, "Under budget should be a negative variance");
+    const fun = result.rows.filter(r => r.category === "Fun")[0];
+    T.assertEquals(0, fun.budget, "Unbudgeted spend should have no budget");
+    T.assertEquals(null, fun.variancePercent, "No variance percent without a budget");
+  });
 
-    T.assertNotNull(lastAlert, "uiService.showInfoAlert should have been called.");
-    T.assertEquals("Budget vs Actual Chart - Coming Soon!", lastAlert.message, "Alert message should be correct.");
-    T.assertTrue(lastHandledError === null, "No error should be handled.");
+  // --- Tests for the cash-flow data ---
+  T.registerTest("VisualizationService", "readOverviewCashFlow should read the total and net rows", function() {
+    const values = [
+      ["Type", "Category", "Sub-Category", "Shared?", "Jan-24", "Feb-24", "Total", "Average"],
+      ["Income", "", "", "", 3000, 3100, 6100, 3050],
+      ["Income", "Salary", "", "", 3000, 3100, 6100, 3050],
+      ["Total Income", "", "", "", 3000, 3100, 6100, 3050],
+      ["Essentials", "", "", "", -1200, -1300, -2500, -1250],
+      ["Essentials", "Housing", "", "", -1000, -1000, -2000, -1000],
+      ["Wants/Pleasure", "", "", "", -300, "", -300, -150],
+      ["Net (Total Income - Expenses)", "", "", "", 1500, 1800, 3300, 1650],
+      ["Net (Total Income - Expenses - Savings)", "", "", "", 1300, 1600, 2900, 1450]
+    ];
+    const result = V.readOverviewCashFlow(values, { firstMonthColumn: 5, lastMonthColumn: 6 });
+    T.assertDeepEquals([3000, 3100], result.income, "Income should come from Total Income");
+    T.assertDeepEquals([-1200, -1300], result.expenses.Essentials, "Expense types should come from their type rows");
+    T.assertDeepEquals([-300, 0], result.expenses["Wants/Pleasure"], "Blank cells should read as zero");
+    T.assertDeepEquals([0, 0], result.expenses.Extra, "Missing types should be zero");
+    T.assertDeepEquals([1300, 1600], result.net, "Net should come from the last net row");
+    T.assertEquals(null, V.readOverviewCashFlow(values.slice(0, 3), { firstMonthColumn: 5, lastMonthColumn: 6 }),
+      "An Overview without totals should not be used");
   });
 
-  T.registerTest("VisualizationService", "createIncomeVsExpensesChart should show 'Coming Soon' alert", function() {
-    resetMocks();
-     TestVisualizationService.createIncomeVsExpensesChart();
+  T.registerTest("VisualizationService", "buildLedgerCashFlow should use the Overview's signs", function() {
+    const result = V.buildLedgerCashFlow({
+      "2024-1": { transactions: [["Income", "Salary", 3000], ["Essentials", "Food", -600], ["Savings", "ETF", -200]] }
+    }, [new Date(2024, 0, 1), new Date(2024, 1, 1)], indices);
+    T.assertDeepEquals([3000, 0], result.income, "Income per month expected");
+    T.assertDeepEquals([-600, 0], result.expenses.Essentials, "Expenses should stay negative");
+    T.assertDeepEquals([2200, 0], result.net, "Net should deduct expenses and savings");
+  });
 
-    T.assertNotNull(lastAlert, "uiService.showInfoAlert should have been called.");
-    T.assertEquals("Income vs Expenses Chart - Coming Soon!", lastAlert.message, "Alert message should be correct.");
-    T.assertTrue(lastHandledError === null, "No error should be handled.");
+  // --- Tests for the category pie grouping ---
+  const pieIndices = { type: 0, category: 1, subcategory: 2, amount: 3 };
+  const pieData = {
+    "2024-3": { transactions: [
+      ["Essentials", "Housing", "Rent", -1000], ["Essentials", "Food", "Groceries", -400], ["Essentials", "Food", "Groceries", 20],
+      ["Wants/Pleasure", "Food", "Restaurants", -180], ["Wants/Pleasure", "Fun", "", -15], ["Extra", "Gifts", "", -10],
+      ["Income", "Salary", "", 3000], ["Extra", "Refunds", "", 50]
+    ] },
+    "2024-4": { transactions: [["Essentials", "Housing", "Rent", -1000]] }
+  };
+  const march = [new Date(2024, 2, 1)];
+
+  T.registerTest("VisualizationService", "groupCategorySlices should group expenses by category largest first", function() {
+    const result = V.groupCategorySlices(pieData, march, pieIndices, { threshold: 0 });
+    T.assertDeepEquals(["Housing", "Food", "Fun", "Gifts"], result.slices.map(s => s.label), "Categories across expense types, largest first");
+    T.assertEquals(560, result.slices[1].value, "Refunds should reduce a slice and types should combine");
+    T.assertEquals(1585, result.total, "Income and net refunds should be left out");
+    T.assertEquals(1000 / 1585, result.slices[0].share, "Share of the total expected");
+    const both = V.groupCategorySlices(pieData, [march[0], new Date(2024, 3, 1)], pieIndices, { threshold: 0 });
+    T.assertEquals(2000, both.slices[0].value, "Every month of the period should count");
   });
 
-  T.registerTest("VisualizationService", "createCategoryPieChart should show 'Coming Soon' alert", function() {
-    resetMocks();
-    TestVisualizationService.createCategoryPieChart();
+  T.registerTest("VisualizationService", "groupCategorySlices should fold small slices into Other", function() {
+    const result = V.groupCategorySlices(pieData, march, pieIndices, { level: "Sub-Category", threshold: 0.05 });
+    T.assertDeepEquals(["Housing / Rent", "Food / Groceries", "Food / Restaurants", "Other"], result.slices.map(s => s.label),
+      "Sub-categories should be qualified by their category");
+    T.assertEquals(25, result.slices[3].value, "Other should sum the folded slices");
+    T.assertDeepEquals(["Fun / (None)", "Gifts / (None)"], result.folded, "Folded labels expected");
+    const single = V.groupCategorySlices(pieData, march, pieIndices, { level: "Type", threshold: 0.05 });
+    T.assertDeepEquals(["Essentials", "Wants/Pleasure"], single.slices.map(s => s.label), "Net refunds should drop Extra");
+    const lone = V.groupCategorySlices(pieData, march, pieIndices, { threshold: 0.008 });
+    T.assertEquals("Gifts", lone.slices[3].label, "A single small slice should not be folded alone");
+  });
 
-    T.assertNotNull(lastAlert, "uiService.showInfoAlert should have been called.");
-    T.assertEquals("Category Pie Chart - Coming Soon!", lastAlert.message, "Alert message should be correct.");
-    T.assertTrue(lastHandledError === null, "No error should be handled.");
+  T.registerTest("VisualizationService", "groupCategorySlices should filter by one type", function() {
+    const income = V.groupCategorySlices(pieData, march, pieIndices, { type: "Income" });
+    T.assertDeepEquals(["Salary"], income.slices.map(s => s.label), "Only the chosen type expected");
+    T.assertEquals(3000, income.total, "Income should keep its sign");
+    T.assertEquals(0, V.groupCategorySlices(pieData, march, pieIndices, { type: "Savings" }).slices.length, "No slices without spend");
   });
 
 })(); // End IIFE
@@ -136,6 +136,78 @@ FinancialPlanner.Utils = (function() {
         sheet.getRange(i, 1, 1, sheet.getLastColumn()).setBackground(color);
       }
       return sheet; // Return for chaining
+    },
+
+    /**
+     * Returns a ledger record's date as a Date. Date strings are parsed by
+     * `TransactionNormalizer.parseDate`, so 'YYYY-MM-DD' is read as a local date.
+     * @param {object} record - A ledger record (see `LedgerService.getRecords`).
+     * @return {Date|null} The date, or null if it is missing or invalid.
+     * @memberof FinancialPlanner.Utils
+     * @example
+     * const date = FinancialPlanner.Utils.getRecordDate({ date: '2024-01-05' }); // new Date(2024, 0, 5)
+     */
+    getRecordDate: function(record) {
+      if (!record.date) return null;
+      const date = record.date instanceof Date ? record.date : FinancialPlanner.TransactionNormalizer.parseDate(record.date);
+      return date && !isNaN(date.getTime()) ? date : null;
+    },
+
+    /**
+     * Lowercases a text and strips digits and punctuation, which mostly carry card numbers,
+     * store numbers and booking references that differ between charges of the same merchant.
+     * @param {string} value - The raw text.
+     * @return {string} The normalized text, words separated by single spaces.
+     * @memberof FinancialPlanner.Utils
+     * @example
+     * const text = FinancialPlanner.Utils.normalizeText('REWE 0815 Berlin'); // 'rewe berlin'
+     */
+    normalizeText: function(value) {
+      return String(value || '')
+        .toLowerCase()
+        .replace(/[^\p{L}]+/gu, ' ')
+        .trim();
+    },
+
+    /**
+     * Returns the key that groups a ledger record's charges by merchant: the normalized merchant,
+     * or the normalized description when the record names no merchant.
+     * @param {object} record - A ledger record, or any object with a merchant or description.
+     * @return {string} The merchant key; empty if the record names neither.
+     * @memberof FinancialPlanner.Utils
+     * @example
+     * const key = FinancialPlanner.Utils.getMerchantKey({ merchant: 'NETFLIX 4411' }); // 'netflix'
+     */
+    getMerchantKey: function(record) {
+      return FinancialPlanner.Utils.normalizeText(record.merchant || record.description);
+    },
+
+    /**
+     * Returns the text of a file import request: the pasted text, or the content of the
+     * given Drive file (URL or id). Shared by the statement importers' dialogs.
+     * @param {{text: string, driveFile: string}} request - The import request.
+     * @param {string} [encoding='UTF-8'] - The file encoding (e.g. "UTF-8", "ISO-8859-1").
+     * @return {string} The file text.
+     * @throws {Error} If neither text nor a valid Drive file is given.
+     * @memberof FinancialPlanner.Utils
+     * @example
+     * const text = FinancialPlanner.Utils.readImportText({ driveFile: 'https://drive.google.com/file/d/1AbC.../view' });
+     */
+    readImportText: function(request, encoding) {
+      if (request.text && String(request.text).trim()) {
+        return String(request.text);
+      }
+      if (request.driveFile) {
+        const match = /[-\w]{25,}/.exec(String(request.driveFile));
+        if (!match) {
+          throw FinancialPlanner.ErrorService.create(
+            'Could not find a Drive file id in "' + request.driveFile + '"',
+            { severity: 'low' }
+          );
+        }
+        return DriveApp.getFileById(match[0]).getBlob().getDataAsString(encoding || 'UTF-8');
+      }
+      throw FinancialPlanner.ErrorService.create('Paste the file content or give a Drive file', { severity: 'low' });
     }
   };
 })();